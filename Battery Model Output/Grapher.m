@@ -16,7 +16,8 @@ fullFilePath = fullfile(pathname, filename);
 disp(['Loading file: ', fullFilePath]);
 
 try
-    data = readtable(fullFilePath);
+    % Dashboard exports start with '# key: value' run-metadata lines
+    data = readtable(fullFilePath, 'CommentStyle', '#');
 catch ME
     error('Failed to read CSV file. Ensure the file is not open and is correctly formatted.');
 end
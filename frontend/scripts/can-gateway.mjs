@@ -0,0 +1,138 @@
+// can-gateway.mjs - Local CAN gateway: receives the dashboard's CAN frames over WebSocket and writes candump / ASC logs
+//
+// Usage: npm run can-gateway -- [--port 8765] [--log name] [--format candump|asc|both] [--channel can0]
+//   --port     WebSocket port on localhost (default 8765; the dashboard's default URL is ws://localhost:8765)
+//   --log      log base name; writes <name>.log (candump -L) and/or <name>.asc (default can-telemetry)
+//   --format   which logs to write (default both)
+//   --channel  interface name in the candump log (default can0)
+//
+// Frames from every connected dashboard go to the same logs, in arrival order. Ctrl+C closes the
+// ASC trigger block and stops. The wire protocol and log formats are the app's own modules
+// (canGateway.js, canLog.js), loaded as they are.
+import fs from 'node:fs';
+import { once } from 'node:events';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { formatCandumpLine, formatAscHeader, formatAscLine, ASC_FOOTER } from '../src/canLog.js';
+import { decodeFrameBatch } from '../src/canGateway.js';
+
+const MAX_MESSAGE_BYTES = 16 << 20;
+
+const parseArgs = (argv) => {
+    const args = { port: 8765, log: 'can-telemetry', format: 'both', channel: 'can0' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--log') args.log = argv[++i];
+        else if (argv[i] === '--format') args.format = argv[++i];
+        else if (argv[i] === '--channel') args.channel = argv[++i];
+        else throw new Error(`Unknown option ${argv[i]}.`);
+    }
+    if (!(Number.isInteger(args.port) && args.port > 0 && args.port < 65536)) throw new Error('--port needs a port number.');
+    if (!args.log) throw new Error('--log needs a name.');
+    if (!['candump', 'asc', 'both'].includes(args.format)) throw new Error('--format must be candump, asc or both.');
+    if (!args.channel) throw new Error('--channel needs an interface name.');
+    return args;
+};
+
+/**
+ * Starts the gateway on localhost:`port` (0 picks a free port). Resolves once it listens to
+ * { port, logs, total, close() }; close() disconnects the dashboards and resolves when the logs
+ * are complete on disk (again on later calls). `onEvent(text)` receives connect/disconnect notices.
+ */
+export const startCanGateway = async ({ port = 8765, log = 'can-telemetry', format = 'both', channel = 'can0', onEvent = () => {} } = {}) => {
+    const candump = format !== 'asc' ? fs.createWriteStream(`${log}.log`) : null;
+    const asc = format !== 'candump' ? fs.createWriteStream(`${log}.asc`) : null;
+    const streams = [candump, asc].filter(Boolean);
+    const logs = [candump && `${log}.log`, asc && `${log}.asc`].filter(Boolean);
+    let ascStart = null;
+    let total = 0;
+
+    const writeFrames = (frames) => {
+        for (const frame of frames) {
+            candump?.write(`${formatCandumpLine(frame, channel)}\n`);
+            if (asc) {
+                if (ascStart == null) {
+                    ascStart = frame.time;
+                    asc.write(`${formatAscHeader(ascStart).join('\n')}\n`);
+                }
+                asc.write(`${formatAscLine(frame, ascStart)}\n`);
+            }
+        }
+        total += frames.length;
+    };
+    const endLogs = async () => {
+        candump?.end();
+        if (asc) {
+            if (ascStart == null) asc.write(`${formatAscHeader(Date.now() / 1000).join('\n')}\n`);
+            asc.end(`${ASC_FOOTER}\n`);
+        }
+        await Promise.all(streams.map(stream => (stream.writableFinished ? null : once(stream, 'finish'))));
+    };
+
+    // Plain HTTP requests get 426 Upgrade Required from ws
+    const server = new WebSocketServer({ host: 'localhost', port, maxPayload: MAX_MESSAGE_BYTES });
+    let clients = 0;
+    server.on('connection', (socket, req) => {
+        const id = ++clients;
+        let received = 0;
+        onEvent(`Client ${id} connected (${req.socket.remoteAddress})`);
+        socket.on('message', (data, isBinary) => {
+            if (isBinary) {
+                socket.close(1003, 'The protocol is text only');
+                return;
+            }
+            try {
+                const frames = decodeFrameBatch(data.toString('utf8'));
+                writeFrames(frames);
+                received += frames.length;
+            } catch (err) {
+                socket.send(JSON.stringify({ type: 'error', message: err.message }));
+            }
+        });
+        socket.on('close', () => onEvent(`Client ${id} disconnected after ${received} frames (${total} logged in total)`));
+        socket.send(JSON.stringify({ type: 'hello', name: 'can-gateway', logs }));
+    });
+
+    try {
+        await Promise.race([once(server, 'listening'), once(server, 'error').then(([err]) => { throw err; })]);
+    } catch (err) {
+        await endLogs();
+        throw err;
+    }
+    let closing = null;
+    return {
+        port: server.address().port,
+        logs,
+        get total() { return total; },
+        close: () => {
+            closing ??= (async () => {
+                // Dashboards still connected would keep the server open
+                for (const socket of server.clients) socket.terminate();
+                await new Promise(resolve => server.close(resolve));
+                await endLogs();
+            })();
+            return closing;
+        },
+    };
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const gateway = await startCanGateway({ ...args, onEvent: text => console.log(text) });
+    console.log(`CAN gateway listening on ws://localhost:${gateway.port}, writing ${gateway.logs.join(' and ')} (Ctrl+C to stop)`);
+
+    const shutdown = async () => {
+        await gateway.close();
+        console.log(`\nLogged ${gateway.total} frames to ${gateway.logs.join(' and ')}`);
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,83 @@
+// can-gateway.test.mjs - Round trip: simulator frames published to the gateway, read back from its logs with ev_battery.dbc
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import WebSocket from 'ws';
+import { startCanGateway } from './can-gateway.mjs';
+import { parseDbc, decodeMessage, findMessage } from '../src/dbc';
+import { createCanPublisher, telemetryValues, signalSource } from '../src/canTelemetry';
+import { parseCanLog } from '../src/canLog';
+import { DEFAULT_CONFIG } from '../src/engine';
+import { createRun, stepRun, snapshotRun } from '../src/simulation';
+
+const database = parseDbc(fs.readFileSync(new URL('../src/ev_battery.dbc', import.meta.url), 'utf8'), 'ev_battery.dbc');
+
+// A dashboard's view of a run: 10 s at 40 % throttle
+const snapshot = () => {
+    const run = createRun({ mode: 'live', config: DEFAULT_CONFIG, startSoc: 64, inputs: { throttle: 40 } });
+    for (let i = 0; i < 600; i++) stepRun(run);
+    return snapshotRun(run);
+};
+
+// Connects like the dashboard and waits for the gateway's hello
+const connect = async (port) => {
+    const socket = new WebSocket(`ws://localhost:${port}`);
+    const [hello] = await once(socket, 'message');
+    return { socket, hello: JSON.parse(hello.toString()) };
+};
+
+describe('can-gateway', () => {
+    let dir, gateway;
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'can-gateway-'));
+        gateway = await startCanGateway({ port: 0, log: path.join(dir, 'run') });
+    });
+    afterEach(async () => {
+        await gateway.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('logs published frames that decode back to the telemetry values', async () => {
+        const { socket, hello } = await connect(gateway.port);
+        expect(hello).toEqual({ type: 'hello', name: 'can-gateway', logs: gateway.logs });
+
+        const view = snapshot();
+        const values = telemetryValues(view, DEFAULT_CONFIG);
+        const publisher = createCanPublisher({ database, transport: { send: text => socket.send(text), close: () => socket.close() } });
+        publisher.update(view, DEFAULT_CONFIG);
+        await new Promise(resolve => setTimeout(resolve, 350));
+        publisher.stop();
+        await once(socket, 'close');
+        const sent = publisher.sent;
+        await gateway.close();
+
+        const candump = parseCanLog(fs.readFileSync(path.join(dir, 'run.log'), 'utf8'), 'run.log');
+        const asc = parseCanLog(fs.readFileSync(path.join(dir, 'run.asc'), 'utf8'), 'run.asc');
+        expect(candump.length).toBe(sent);
+        expect(gateway.total).toBe(sent);
+        expect(asc.map(({ id, extended, data }) => ({ id, extended, data }))).toEqual(candump.map(({ id, extended, data }) => ({ id, extended, data })));
+        expect(new Set(candump.map(f => f.id))).toEqual(new Set(database.messages.map(m => m.id)));
+
+        for (const frame of candump) {
+            const message = findMessage(database, frame.id, frame.extended);
+            const decoded = decodeMessage(message, frame.data);
+            for (const signal of message.signals) {
+                const value = Math.max(signal.min, Math.min(signal.max, values[signalSource(signal.name)]));
+                expect(Math.abs(decoded[signal.name] - value), `${message.name}.${signal.name}`).toBeLessThanOrEqual(signal.factor / 2 + 1e-9);
+            }
+        }
+        expect(values.Speed).toBeGreaterThan(0);
+    });
+
+    it('answers a malformed batch with an error and keeps the connection', async () => {
+        const { socket } = await connect(gateway.port);
+        socket.send('{"type":"frames","frames":[{"time":1,"id":4096,"data":"00"}]}');
+        const [reply] = await once(socket, 'message');
+        expect(JSON.parse(reply.toString())).toEqual({ type: 'error', message: 'Frame 1 needs a time, an identifier in range and 0-8 hex bytes.' });
+        expect(socket.readyState).toBe(WebSocket.OPEN);
+        socket.close();
+        await once(socket, 'close');
+    });
+});
@@ -0,0 +1,74 @@
+// evaluate-estimators.mjs - Command-line SOC estimator evaluation (see src/evaluation.js)
+//
+// Usage: npm run evaluate -- [--server [url]] [--anchor nn|recorded] [--out name] [file.csv ...]
+//   --server  take the fusion from server.py's /simulate (default URL http://localhost:8000)
+//   --anchor  coulomb-counting start: the NN's first estimate like server.py (default) or the recorded SOC
+//   --out     report base name; writes <name>.json and <name>.html (default estimator-evaluation)
+//   files     drive-cycle CSVs (default ../CSV_Output/DriveData_*.csv)
+//
+// The app modules are loaded through Vite, so JSON imports and import.meta work as in the browser.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const parseArgs = (argv) => {
+    const args = { server: null, anchor: 'nn', out: 'estimator-evaluation', files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--server') {
+            args.server = argv[i + 1] && !argv[i + 1].startsWith('--') && !argv[i + 1].endsWith('.csv') ? argv[++i] : 'http://localhost:8000';
+        } else if (argv[i] === '--anchor') {
+            args.anchor = argv[++i];
+        } else if (argv[i] === '--out') {
+            args.out = argv[++i];
+        } else if (argv[i].startsWith('--')) {
+            throw new Error(`Unknown option ${argv[i]}.`);
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    if (!args.out) throw new Error('--out needs a name.');
+    if (!args.files.length) {
+        const dir = path.resolve(root, '../CSV_Output');
+        args.files = fs.readdirSync(dir).filter(name => /^DriveData_.*\.csv$/.test(name)).sort().map(name => path.join(dir, name));
+    }
+    return args;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.server) process.env.VITE_SOC_API_URL = args.server;
+
+    const vite = await createServer({ root, logLevel: 'error', server: { middlewareMode: true, hmr: false }, appType: 'custom' });
+    try {
+        const { parseDriveCycleCsv } = await vite.ssrLoadModule('/src/driveCycle.js');
+        const { evaluateCycles, buildEvaluationHtml, formatMetric } = await vite.ssrLoadModule('/src/evaluation.js');
+        const { simulateCycle } = await vite.ssrLoadModule('/src/socApi.js');
+
+        const cycles = args.files.map(file => parseDriveCycleCsv(fs.readFileSync(file, 'utf8'), path.basename(file)));
+        const report = await evaluateCycles(cycles, {
+            simulate: args.server ? simulateCycle : null,
+            anchor: args.anchor,
+            onProgress: (done, total, name) => console.log(`[${done}/${total}] ${name}`),
+        });
+
+        fs.writeFileSync(`${args.out}.json`, JSON.stringify(report, null, 2));
+        fs.writeFileSync(`${args.out}.html`, buildEvaluationHtml(report));
+
+        console.log(`\nAll files (fusion: ${report.fusionSource}, coulomb counting from: ${report.anchor})`);
+        Object.entries(report.overall).forEach(([key, s]) => {
+            console.log(`  ${report.estimators[key].padEnd(26)} RMSE ${formatMetric(s.rmse)}  MAE ${formatMetric(s.mae)}  max ${formatMetric(s.maxError)} %`);
+        });
+        console.log(`  Lowest-RMSE ML weight: ${report.bestWeight.toFixed(2)} (server.py uses ${report.mlWeight})`);
+        console.log(`\nWrote ${args.out}.json and ${args.out}.html`);
+    } finally {
+        await vite.close();
+    }
+};
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,36 @@
+# nn-parity-fixture.py - Writes src/fixtures/server_nn_soc.json: server.py's run_neural_net_batch
+# on the CSV_Output drive cycles, which nnModel.test.js compares predictNnSoc against
+#
+# Usage (needs server.py's numpy/fastapi/pydantic):  python scripts/nn-parity-fixture.py
+# Every EVERY-th row of each cycle is kept; the cell voltage column is scaled to the pack like the
+# dashboard does (x SERIES_CELLS), and server.py divides it back.
+import csv
+import json
+import os
+import sys
+
+FRONTEND = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+ROOT = os.path.dirname(FRONTEND)
+CYCLES = os.path.join(ROOT, 'CSV_Output')
+OUT = os.path.join(FRONTEND, 'src', 'fixtures', 'server_nn_soc.json')
+EVERY = 10
+
+os.chdir(ROOT)  # server.py loads model_params.json from the working directory
+sys.path.insert(0, ROOT)
+import server  # noqa: E402
+
+files = {}
+for name in sorted(f for f in os.listdir(CYCLES) if f.endswith('.csv')):
+    with open(os.path.join(CYCLES, name), newline='') as f:
+        rows = [row for i, row in enumerate(csv.DictReader(f)) if i % EVERY == 0]
+    files[name] = server.run_neural_net_batch(
+        [float(r['current_A']) for r in rows],
+        [float(r['temperature_C']) for r in rows],
+        [float(r['voltage_V']) * server.SERIES_CELLS for r in rows],
+    )
+
+os.makedirs(os.path.dirname(OUT), exist_ok=True)
+with open(OUT, 'w') as f:
+    json.dump({'source': 'server.py run_neural_net_batch', 'every': EVERY, 'files': files}, f, separators=(',', ':'))
+    f.write('\n')
+print(f'Wrote {sum(len(v) for v in files.values())} points to {os.path.relpath(OUT, FRONTEND)}')
@@ -0,0 +1,254 @@
+// AgingPage.jsx - Fleet-year mode: capacity fade and resistance growth over years of one daily usage pattern
+//
+// Pick a usage pattern, climate and horizon; fleetYear.js repeats the day headlessly through the
+// calendar + rainflow cycle aging model and the charts fill in as the simulated days pass.
+import { useState, useRef } from 'react';
+import { Hourglass, PlayCircle, StopCircle, Loader, Download } from 'lucide-react';
+import { USAGE_PATTERNS, CLIMATES, simulateFleetYears } from './fleetYear';
+import { DOD_BINS } from './aging';
+import { historyFromColumns } from './timeSeries';
+import { downloadText } from './download';
+import TimeSeriesChart from './TimeSeriesChart';
+
+const CHARTS = [
+    {
+        title: 'Capacity Fade', unit: '%',
+        series: [
+            { key: 'capacityFade', label: 'Total', color: '#ef4444' },
+            { key: 'calendarLoss', label: 'Calendar', color: '#f59e0b', dashed: true },
+            { key: 'cycleLoss', label: 'Cycling', color: '#6366f1', dashed: true },
+        ],
+    },
+    { title: 'Resistance Growth', unit: '%', series: [{ key: 'resistanceGrowth', label: 'Resistance', color: '#38bdf8' }] },
+    { title: 'Lowest SOC of the Day', unit: '%', min: 0, max: 100, series: [{ key: 'minSoc', label: 'Min SOC', color: '#10b981' }] },
+];
+const CSV_COLUMNS = [
+    ['Day', 'day', 0], ['SOH_pct', 'soh', 4], ['Capacity_Fade_pct', 'capacityFade', 4], ['Calendar_Fade_pct', 'calendarLoss', 4],
+    ['Cycle_Fade_pct', 'cycleLoss', 4], ['Resistance_Growth_pct', 'resistanceGrowth', 3], ['Equivalent_Cycles', 'equivalentCycles', 1],
+    ['Distance_km', 'distanceKm', 0], ['Grid_kWh', 'gridKwh', 1], ['Min_SOC_pct', 'minSoc', 2],
+];
+
+// Chart axis in days, labelled in days or years
+const formatDays = (days, span) => (span > 730 ? `${(days / 365).toFixed(1)} y` : `${Math.round(days)} d`);
+
+const pointsHistory = (points) => historyFromColumns(
+    points.map(p => p.day),
+    Object.fromEntries(['capacityFade', 'calendarLoss', 'cycleLoss', 'resistanceGrowth', 'minSoc'].map(key => [key, points.map(p => p[key])])),
+);
+
+function AgingPage() {
+    const [patternId, setPatternId] = useState(USAGE_PATTERNS[0].id);
+    const [climateId, setClimateId] = useState('temperate');
+    const [years, setYears] = useState(8);
+    const [startSoh, setStartSoh] = useState(100);
+    const [progress, setProgress] = useState(null); // { day, totalDays } while simulating
+    const [result, setResult] = useState(null); // simulateFleetYears output plus the settings it ran with
+    const [error, setError] = useState(null);
+    const [history, setHistory] = useState(null);
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [zoom, setZoom] = useState(null);
+    const [hoverTime, setHoverTime] = useState(null);
+    const abortRef = useRef(null);
+    const running = progress != null;
+    const pattern = USAGE_PATTERNS.find(p => p.id === patternId);
+
+    const runAging = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setResult(null);
+        setError(null);
+        setZoom(null);
+        setHistory(null);
+        setProgress({ day: 0, totalDays: Math.round(years * 365) });
+        try {
+            const answer = await simulateFleetYears(pattern, {
+                years, startSoh, climate: CLIMATES[climateId], signal: controller.signal,
+                onProgress: ({ day, totalDays, points }) => {
+                    setHistory(pointsHistory(points));
+                    setHistoryVersion(v => v + 1);
+                    setProgress({ day, totalDays });
+                },
+            });
+            setResult({ ...answer, pattern, climate: CLIMATES[climateId], years });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const exportCsv = () => {
+        const meta = [
+            `# Usage_Pattern: ${result.pattern.name}`, `# Climate: ${result.climate.name}`, `# Years: ${result.years}`,
+            `# Stranded_Days: ${result.strandedDays}`,
+        ];
+        const rows = result.points.map(p => CSV_COLUMNS.map(([, key, digits]) => p[key].toFixed(digits)).join(','));
+        downloadText([...meta, CSV_COLUMNS.map(([header]) => header).join(','), ...rows].join('\n'), `aging_${result.pattern.id}_${result.years}y.csv`, 'text/csv;charset=utf-8;');
+    };
+
+    const last = result?.points[result.points.length - 1];
+    const endOfLife = result?.points.find(p => p.soh < 80);
+    const histogram = result?.aging.histogram;
+    const histogramMax = histogram ? Math.max(1, ...histogram) : 1;
+
+    return (
+        <div className="min-h-screen bg-slate-900 p-6 font-sans text-white">
+            <div className="max-w-7xl mx-auto space-y-6">
+                <div className="bg-slate-800 p-6 rounded-xl shadow-2xl border border-slate-700 space-y-4">
+                    <h1 className="text-3xl font-light flex items-center gap-3 text-indigo-400">
+                        <Hourglass size={32} /> Long-Term Aging (fleet-year)
+                    </h1>
+                    <p className="text-sm text-slate-400">
+                        Repeats one day of driving, charging and parking for months or years. The engine simulates the day once a
+                        month with the aged pack and that month&apos;s climate; calendar fade (SOC, Arrhenius temperature) and rainflow-counted
+                        cycle fade (depth of discharge) accumulate every day.
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Usage
+                            <select
+                                value={patternId}
+                                onChange={e => setPatternId(e.target.value)}
+                                disabled={running}
+                                className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50"
+                            >
+                                {USAGE_PATTERNS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Climate
+                            <select
+                                value={climateId}
+                                onChange={e => setClimateId(e.target.value)}
+                                disabled={running}
+                                className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50"
+                            >
+                                {Object.entries(CLIMATES).map(([key, climate]) => <option key={key} value={key}>{climate.name}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Years
+                            <input
+                                type="number" min={0.1} max={20} step={0.5} value={years}
+                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setYears(Math.min(20, Math.max(0.1, e.target.valueAsNumber)))}
+                                disabled={running}
+                                className="w-20 bg-slate-700 text-white rounded-lg p-2 border border-slate-600 text-right disabled:opacity-50"
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Start SOH (%)
+                            <input
+                                type="number" min={50} max={100} step={1} value={startSoh}
+                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setStartSoh(Math.min(100, Math.max(50, e.target.valueAsNumber)))}
+                                disabled={running}
+                                className="w-20 bg-slate-700 text-white rounded-lg p-2 border border-slate-600 text-right disabled:opacity-50"
+                            />
+                        </label>
+                        {running ? (
+                            <button
+                                onClick={() => abortRef.current?.abort()}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-500 font-semibold"
+                            >
+                                <StopCircle size={16} /> Cancel
+                            </button>
+                        ) : (
+                            <button
+                                onClick={runAging}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold"
+                            >
+                                <PlayCircle size={16} /> Simulate
+                            </button>
+                        )}
+                        {result && !running && (
+                            <button
+                                onClick={exportCsv}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold"
+                            >
+                                <Download size={16} /> CSV
+                            </button>
+                        )}
+                    </div>
+                    <div className="text-xs text-slate-400">{pattern.description}</div>
+                    {running && (
+                        <div className="flex items-center gap-2 text-xs text-slate-400">
+                            <Loader size={14} className="animate-spin" />
+                            <div className="flex-1 h-2 bg-slate-700 rounded">
+                                <div className="h-2 bg-indigo-500 rounded" style={{ width: `${100 * progress.day / progress.totalDays}%` }} />
+                            </div>
+                            day {progress.day}/{progress.totalDays}
+                        </div>
+                    )}
+                    {error && <div className="text-xs text-red-300">{error}</div>}
+                </div>
+
+                {result && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-center">
+                            <div>
+                                <div className="text-xs text-slate-400">Final SOH</div>
+                                <div className="text-xl font-bold text-yellow-400">{last.soh.toFixed(2)}%</div>
+                                <div className="text-xs text-slate-500">calendar {last.calendarLoss.toFixed(2)}% · cycling {last.cycleLoss.toFixed(2)}%</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">Resistance Growth</div>
+                                <div className="text-xl font-bold text-sky-400">+{last.resistanceGrowth.toFixed(1)}%</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">80% SOH Reached</div>
+                                <div className="text-xl font-bold text-white">{endOfLife ? `${(endOfLife.day / 365).toFixed(1)} y` : 'Not reached'}</div>
+                                <div className="text-xs text-slate-500">{endOfLife ? `day ${endOfLife.day}` : `within ${result.years} y`}</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">Equivalent Full Cycles</div>
+                                <div className="text-xl font-bold text-indigo-400">{last.equivalentCycles.toFixed(0)}</div>
+                                <div className="text-xs text-slate-500">{last.distanceKm.toFixed(0)} km · {last.gridKwh.toFixed(0)} kWh from the grid</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">Stranded Days</div>
+                                <div className={`text-xl font-bold ${result.strandedDays ? 'text-red-400' : 'text-green-400'}`}>{result.strandedDays}</div>
+                                <div className="text-xs text-slate-500">a trip ran the pack empty</div>
+                            </div>
+                        </div>
+                        <div>
+                            <div className="text-xs text-slate-400 mb-1">Rainflow Cycles by Depth of Discharge</div>
+                            <div className="flex items-end gap-1 h-24">
+                                {histogram.map((count, i) => (
+                                    <div key={i} className="flex-1 flex flex-col items-center justify-end h-full" title={`${count.toFixed(1)} cycles`}>
+                                        <div className="w-full bg-indigo-500 rounded-t" style={{ height: `${100 * count / histogramMax}%` }} />
+                                        <div className="text-[10px] text-slate-500">{i * 100 / DOD_BINS}-{(i + 1) * 100 / DOD_BINS}%</div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {history && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                        {CHARTS.map(chart => (
+                            <div key={chart.title}>
+                                <div className="text-xs text-slate-400">{chart.title} ({chart.unit})</div>
+                                <TimeSeriesChart
+                                    history={history}
+                                    version={historyVersion}
+                                    series={chart.series}
+                                    unit={chart.unit}
+                                    min={chart.min}
+                                    max={chart.max}
+                                    zoom={zoom}
+                                    onZoomChange={setZoom}
+                                    hoverTime={hoverTime}
+                                    onHoverTimeChange={setHoverTime}
+                                    formatTime={formatDays}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AgingPage;
@@ -1,12 +1,52 @@
 import { useState } from 'react'
 import EVSOCDashboard from './EV_SOC_Dashboard'
+import EvaluationPage from './EvaluationPage'
+import BatchAnalysisPage from './BatchAnalysisPage'
+import AgingPage from './AgingPage'
+import SweepPage from './SweepPage'
+import FleetPage from './FleetPage'
+
+// Top-level pages; the simulator and the fleet stay mounted while hidden so a running simulation
+// keeps going and a fleet's results survive opening one of its vehicles in the simulator
+const PAGES = {
+  simulator: 'Simulator', evaluation: 'Estimator Evaluation', batch: 'Batch Analysis', aging: 'Long-Term Aging',
+  sweep: 'Parameter Sweep', fleet: 'Fleet',
+}
 
 function App() {
-  const [count, setCount] = useState(0)
+  const [page, setPage] = useState('simulator')
+  const [fleetVehicle, setFleetVehicle] = useState(null) // fleet.js simulatorPreset shown in the simulator
 
   return (
     <>
-      <EVSOCDashboard />
+      <nav className="flex gap-1 bg-slate-950 px-6 pt-3 font-sans">
+        {Object.entries(PAGES).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setPage(key)}
+            className={`px-4 py-2 rounded-t-lg text-sm font-semibold ${
+              page === key ? 'bg-slate-900 text-indigo-400' : 'text-slate-400 hover:text-slate-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+      <div className={page === 'simulator' ? '' : 'hidden'}>
+        <EVSOCDashboard fleetVehicle={fleetVehicle} onCloseFleetVehicle={() => setFleetVehicle(null)} />
+      </div>
+      {page === 'evaluation' && <EvaluationPage />}
+      {page === 'batch' && <BatchAnalysisPage />}
+      {page === 'aging' && <AgingPage />}
+      {page === 'sweep' && <SweepPage />}
+      <div className={page === 'fleet' ? '' : 'hidden'}>
+        <FleetPage
+          onOpenVehicle={(vehicle) => {
+            setFleetVehicle(vehicle)
+            setPage('simulator')
+          }}
+        />
+      </div>
     </>
   )
 }
@@ -0,0 +1,320 @@
+// BatchAnalysisPage.jsx - Offline analysis of a whole drive cycle through server.py's /simulate
+//
+// Pick a bundled cycle or upload a CSV, check its column mapping and voltage scale, then send it
+// in chunks (batchSimulation.js) and compare fused SOC, coulomb counting and the recorded SOC
+// against the raw inputs on linked charts.
+import { useState, useRef } from 'react';
+import { FileSearch, PlayCircle, StopCircle, Upload, CheckCircle, AlertTriangle, Loader } from 'lucide-react';
+import {
+    BUNDLED_DRIVE_CYCLES, DRIVE_CYCLE_COLUMNS, VOLTAGE_KINDS, SERIES_CELLS,
+    fetchBundledDriveCycle, inspectDriveCycleCsv, parseDriveCycleCsv
+} from './driveCycle';
+import { API_BASE_URL } from './socApi';
+import { CHUNK_SIZES, DEFAULT_CHUNK_SIZE, simulateInChunks } from './batchSimulation';
+import { historyFromColumns, setHistoryValue } from './timeSeries';
+import TimeSeriesChart from './TimeSeriesChart';
+
+// Linked charts: SOC estimates over the raw inputs
+const CHARTS = [
+    {
+        title: 'SOC', unit: '%', min: 0, max: 100,
+        series: [
+            { key: 'fused', label: 'Fused (/simulate)', color: '#10b981' },
+            { key: 'physics', label: 'Coulomb counting', color: '#6366f1', dashed: true },
+            { key: 'recorded', label: 'Recorded', color: '#e2e8f0', dashed: true },
+        ],
+    },
+    { title: 'Current', unit: 'A', series: [{ key: 'current', label: 'Current', color: '#f59e0b' }] },
+    { title: 'Pack Voltage', unit: 'V', series: [{ key: 'voltage', label: 'Pack voltage', color: '#6366f1' }] },
+    { title: 'Temperature', unit: '°C', series: [{ key: 'temp', label: 'Temperature', color: '#ef4444' }] },
+];
+
+// Chart history of a parsed cycle (time from its first sample); the SOC columns fill in per chunk
+const cycleHistory = (cycle) => {
+    const empty = new Array(cycle.length).fill(null);
+    return historyFromColumns(Array.from(cycle.time, t => t - cycle.startTime), {
+        fused: empty, physics: empty, recorded: cycle.soc,
+        current: cycle.current, voltage: cycle.packVoltage, temp: cycle.temperature,
+    });
+};
+
+const formatSeconds = (s) => `${s.toFixed(1)} s`;
+
+function BatchAnalysisPage() {
+    const [source, setSource] = useState(null); // { name, text }
+    const [inspection, setInspection] = useState(null); // inspectDriveCycleCsv output
+    const [voltageKind, setVoltageKind] = useState('cell'); // key of VOLTAGE_KINDS
+    const [cycle, setCycle] = useState(null); // parseDriveCycleCsv output
+    const [loadError, setLoadError] = useState(null);
+    const [chunkSize, setChunkSize] = useState(DEFAULT_CHUNK_SIZE);
+    const [progress, setProgress] = useState(null); // { done, total } while simulating
+    const [result, setResult] = useState(null); // simulateInChunks output
+    const [error, setError] = useState(null);
+    const [history, setHistory] = useState(null);
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [zoom, setZoom] = useState(null); // Shared by the linked charts
+    const [hoverTime, setHoverTime] = useState(null);
+    const abortRef = useRef(null);
+    const running = progress != null;
+
+    // Parses with the chosen voltage scale and clears earlier results
+    const selectCycle = (name, text, kind) => {
+        setVoltageKind(kind);
+        setResult(null);
+        setError(null);
+        setZoom(null);
+        try {
+            const parsed = parseDriveCycleCsv(text, name, { voltageKind: kind });
+            setCycle(parsed);
+            setHistory(cycleHistory(parsed));
+            setLoadError(null);
+        } catch (err) {
+            setCycle(null);
+            setHistory(null);
+            setLoadError(err.message);
+        }
+    };
+
+    const loadSource = async (name, readText) => {
+        try {
+            const text = await readText();
+            const checked = inspectDriveCycleCsv(text);
+            setSource({ name, text });
+            setInspection(checked);
+            selectCycle(name, text, checked.voltage.kind ?? 'cell');
+        } catch (err) {
+            setLoadError(`${name}: ${err.message}`);
+        }
+    };
+
+    const handleUpload = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) loadSource(file.name, () => file.text());
+    };
+
+    const runSimulation = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        const target = cycleHistory(cycle);
+        setHistory(target);
+        setResult(null);
+        setError(null);
+        setProgress({ done: 0, total: cycle.length });
+        try {
+            const answer = await simulateInChunks(cycle, {
+                chunkSize,
+                signal: controller.signal,
+                onChunk: ({ done, total, from, to, soc, physics }) => {
+                    for (let i = from; i < to; i++) {
+                        setHistoryValue(target, 'fused', i, soc[i]);
+                        setHistoryValue(target, 'physics', i, physics[i]);
+                    }
+                    setHistoryVersion(v => v + 1);
+                    setProgress({ done, total });
+                },
+            });
+            setResult(answer);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    // Fused-SOC error against the recorded SOC, over the samples the server answered
+    let errorStats = null;
+    if (result) {
+        let sumSq = 0, max = 0, count = 0;
+        result.soc.forEach((v, i) => {
+            if (!Number.isFinite(v)) return;
+            const e = v - cycle.soc[i];
+            sumSq += e * e;
+            max = Math.max(max, Math.abs(e));
+            count++;
+        });
+        errorStats = count ? { rmse: Math.sqrt(sumSq / count), max } : null;
+    }
+
+    const voltageMismatch = inspection?.voltage.kind && inspection.voltage.kind !== voltageKind;
+
+    return (
+        <div className="min-h-screen bg-slate-900 p-6 font-sans text-white">
+            <div className="max-w-7xl mx-auto space-y-6">
+                <div className="bg-slate-800 p-6 rounded-xl shadow-2xl border border-slate-700 space-y-4">
+                    <h1 className="text-3xl font-light flex items-center gap-3 text-indigo-400">
+                        <FileSearch size={32} /> Batch Analysis (/simulate)
+                    </h1>
+                    <p className="text-sm text-slate-400">
+                        Sends a whole drive cycle to {API_BASE_URL}/simulate and shows the fused SOC, the coulomb-counted SOC
+                        and the discharge time next to the recorded inputs.
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <select
+                            value={BUNDLED_DRIVE_CYCLES.some(c => c.name === source?.name) ? source.name : ''}
+                            onChange={e => {
+                                const entry = BUNDLED_DRIVE_CYCLES.find(c => c.name === e.target.value);
+                                if (entry) loadSource(entry.name, () => fetchBundledDriveCycle(entry));
+                            }}
+                            disabled={running}
+                            className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50"
+                        >
+                            <option value="">Bundled drive cycle…</option>
+                            {BUNDLED_DRIVE_CYCLES.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+                        </select>
+                        <label className={`flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold cursor-pointer ${running ? 'opacity-50 pointer-events-none' : ''}`}>
+                            <Upload size={14} /> Upload CSV
+                            <input type="file" accept=".csv,text/csv" onChange={handleUpload} className="hidden" />
+                        </label>
+                        {source && <span className="text-slate-300">{source.name}</span>}
+                    </div>
+                    {loadError && <div className="text-xs text-red-300">{loadError}</div>}
+                </div>
+
+                {inspection && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-3">
+                        <div className="text-sm font-medium text-slate-400">Column Mapping</div>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+                            {inspection.columns.map(({ column, index }) => (
+                                <div
+                                    key={column}
+                                    className={`flex items-center gap-1 p-2 rounded-lg ${index === -1 ? 'bg-red-900/60 text-red-200' : 'bg-slate-700 text-slate-200'}`}
+                                >
+                                    {index === -1 ? <AlertTriangle size={14} /> : <CheckCircle size={14} className="text-green-400" />}
+                                    {column} {index === -1 ? '(missing)' : `→ column ${index + 1}`}
+                                </div>
+                            ))}
+                        </div>
+                        <div className="text-xs text-slate-400">
+                            {inspection.samples} samples
+                            {inspection.ignored.length > 0 && ` · ignored columns: ${inspection.ignored.join(', ')}`}
+                            {inspection.missing.length > 0 && ` · expected header: ${DRIVE_CYCLE_COLUMNS.join(',')}`}
+                        </div>
+                        {inspection.badRowCount > 0 && (
+                            <div className="text-xs text-red-300">
+                                {inspection.badRowCount} row{inspection.badRowCount > 1 ? 's have' : ' has'} a different number of fields than the header
+                                (line {inspection.badRows.join(', ')}{inspection.badRowCount > inspection.badRows.length ? ', …' : ''}).
+                            </div>
+                        )}
+                        <div className="flex flex-wrap items-center gap-3 text-xs text-slate-300">
+                            <span>
+                                voltage_V median {inspection.voltage.median == null ? '--' : `${inspection.voltage.median.toFixed(3)} V`}
+                                {' '}({inspection.voltage.kind ? `looks like ${inspection.voltage.kind} voltage` : 'neither clearly cell nor pack voltage'})
+                            </span>
+                            <label className="flex items-center gap-2">
+                                Treat as
+                                <select
+                                    value={voltageKind}
+                                    onChange={e => selectCycle(source.name, source.text, e.target.value)}
+                                    disabled={running}
+                                    className="bg-slate-700 text-white rounded-lg p-1 border border-slate-600 disabled:opacity-50"
+                                >
+                                    {Object.entries(VOLTAGE_KINDS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </label>
+                            <span className="text-slate-500">server.py divides the pack voltage by {SERIES_CELLS} cells</span>
+                        </div>
+                        {voltageMismatch && (
+                            <div className="text-xs text-orange-300">
+                                The values look like {inspection.voltage.kind} voltage but are treated as {voltageKind} voltage: the model would see
+                                {' '}{(voltageKind === 'cell' ? inspection.voltage.median : inspection.voltage.median / SERIES_CELLS).toFixed(3)} V per cell
+                                {voltageKind === 'cell' ? ` (${(inspection.voltage.median * SERIES_CELLS).toFixed(0)} V pack)` : ''}.
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {cycle && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                        <div className="flex flex-wrap items-center gap-3 text-sm">
+                            <label className="flex items-center gap-2 text-slate-300">
+                                Chunk size
+                                <select
+                                    value={chunkSize}
+                                    onChange={e => setChunkSize(Number(e.target.value))}
+                                    disabled={running}
+                                    className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50"
+                                >
+                                    {CHUNK_SIZES.map(size => <option key={size} value={size}>{size} samples</option>)}
+                                </select>
+                            </label>
+                            {running ? (
+                                <button
+                                    onClick={() => abortRef.current?.abort()}
+                                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-500 font-semibold"
+                                >
+                                    <StopCircle size={16} /> Cancel
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={runSimulation}
+                                    className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold"
+                                >
+                                    <PlayCircle size={16} /> Run /simulate
+                                </button>
+                            )}
+                            {running && (
+                                <div className="flex items-center gap-2 text-xs text-slate-400 flex-1 min-w-48">
+                                    <Loader size={14} className="animate-spin" />
+                                    <div className="flex-1 h-2 bg-slate-700 rounded">
+                                        <div className="h-2 bg-indigo-500 rounded" style={{ width: `${100 * progress.done / progress.total}%` }} />
+                                    </div>
+                                    {progress.done}/{progress.total}
+                                </div>
+                            )}
+                        </div>
+                        {error && <div className="text-xs text-red-300">/simulate failed: {error}</div>}
+                        {result && (
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                                <div>
+                                    <div className="text-xs text-slate-400">Discharge Time</div>
+                                    <div className="text-xl font-bold text-white">
+                                        {result.dischargeTime == null ? 'Not reached' : formatSeconds(result.dischargeTime - cycle.startTime)}
+                                    </div>
+                                    <div className="text-xs text-slate-500">
+                                        {result.dischargeTime == null ? `pack lasted the ${formatSeconds(cycle.duration)} cycle` : 'coulomb counting hit 0%'}
+                                    </div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">Final Fused SOC</div>
+                                    <div className="text-xl font-bold text-green-400">{result.soc[cycle.length - 1].toFixed(2)}%</div>
+                                    <div className="text-xs text-slate-500">recorded {cycle.soc[cycle.length - 1].toFixed(2)}%</div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">Fused vs Recorded RMSE</div>
+                                    <div className="text-xl font-bold text-yellow-400">{errorStats ? `${errorStats.rmse.toFixed(2)}%` : '--'}</div>
+                                    <div className="text-xs text-slate-500">max {errorStats ? `${errorStats.max.toFixed(2)}%` : '--'}</div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">Samples</div>
+                                    <div className="text-xl font-bold text-indigo-400">{cycle.length}</div>
+                                    <div className="text-xs text-slate-500">{Math.ceil((cycle.length - 1) / (chunkSize - 1))} request(s) of ≤ {chunkSize}</div>
+                                </div>
+                            </div>
+                        )}
+                        {history && CHARTS.map(chart => (
+                            <div key={chart.title}>
+                                <div className="text-xs text-slate-400">{chart.title} ({chart.unit})</div>
+                                <TimeSeriesChart
+                                    history={history}
+                                    version={historyVersion}
+                                    series={chart.series}
+                                    unit={chart.unit}
+                                    min={chart.min}
+                                    max={chart.max}
+                                    zoom={zoom}
+                                    onZoomChange={setZoom}
+                                    hoverTime={hoverTime}
+                                    onHoverTimeChange={setHoverTime}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default BatchAnalysisPage;
@@ -3,425 +3,1278 @@ import { useState, useEffect, useRef, useMemo } from 'react';
 import { 
     Battery, Zap, Thermometer, Activity, Gauge, 
     AlertTriangle, CheckCircle, PlayCircle, StopCircle, 
-    ChevronUp, ChevronDown, Clock, TrendingUp, TrendingDown, Layers, Power, Loader 
+    ChevronUp, ChevronDown, Clock, TrendingUp, TrendingDown, Layers, Power, Loader,
+    Wifi, WifiOff, Film, Pause, Play, Upload, Route, Grid3X3, RotateCcw, ShieldAlert, PlugZap, Navigation,
+    Library, Download, Trash2, Pencil, GitCompare, Cpu, Keyboard, Gamepad2, Bug, Plus, Network, Truck,
+    SlidersHorizontal, Link2
 } from 'lucide-react';
+import { predictSoc, retryDelay } from './socApi';
+import { NN_MODEL } from './nnModel';
+import {
+    BUNDLED_DRIVE_CYCLES, loadBundledDriveCycle, parseDriveCycleCsv,
+    sampleDriveCycle
+} from './driveCycle';
+import { DEFAULT_CONFIG, createInitialState } from './engine';
+import { DEFAULT_PACK_CONFIG } from './pack';
+import {
+    BMS_LEVELS, validateBmsConfig, formatBmsEvent
+} from './bms';
+import { CHARGERS, chargeEfficiency } from './charging';
+import { DEFAULT_VEHICLE_CONFIG, validateVehicleConfig } from './vehicle';
+import { THERMAL_MODES, DEFAULT_THERMAL_CONFIG, validateThermalConfig, thermalPower } from './thermal';
+import { RANGE_SETTINGS } from './range';
+import {
+    FAULT_TYPES, createFault, formatFault, validateFaultTimeline, parseFaultTimelineJson, faultErrorReport
+} from './faultInjection';
+import { BUILT_IN_SCENARIOS, parseScenarioJson } from './scenarios';
+import {
+    PEDALS, REGEN_ACTIONS, PEDAL_LIMITS, DEFAULT_PEDAL_SETTINGS, applyResponseCurve, firstGamepad, detectGamepadControl,
+    createPedalState, stepPedals, boundKeys, bindingFor, updateBinding, describeKey, describeGamepadControl, loadPedalSettings, savePedalSettings
+} from './pedalInput';
+import { SNAPSHOT_RATES, DEFAULT_SNAPSHOT_HZ, packSnapshot } from './simulation';
+import { MODEL_SOURCES, buildTelemetryCsv, parseTelemetryCsv, telemetryFilename } from './telemetryCsv';
+import {
+    COMPARE_METRICS, saveRun, listRuns, loadRunRows, renameRun, deleteRun, summarizeRun, compareRuns
+} from './runLibrary';
+import { parseDbc } from './dbc';
+import { CAN_LOG_FORMATS, parseCanLog } from './canLog';
+import { DEFAULT_GATEWAY_URL, GATEWAY_TARGETS, createMockGateway, connectGateway } from './canGateway';
+import { createCanPublisher, signalMapping, canLogToDriveCycle } from './canTelemetry';
+import DEFAULT_DBC from './ev_battery.dbc?raw';
+import { downloadText } from './download';
+import TimeSeriesChart from './TimeSeriesChart';
+import { createHistory, appendHistory, setHistoryValue, clearHistory, historyFromColumns } from './timeSeries';
+import {
+    SETUP_PRESETS, DEFAULT_SETUP, DEFAULT_RUN_SECONDS, MAX_RUN_SECONDS, presetSetup, validateBatterySetup,
+    setupEngineConfig, setupPackSummary, setupModified, setupToJson, parseSetupJson, setupToHash, setupFromHash
+} from './vehicleSetup';
 
 // --- CONFIGURATION CONSTANTS (Tuned for 20s Sim) ---
-const BATTERY_CAPACITY_AH = 27; // Amp-hours
-const NOMINAL_VOLTAGE = 400; // Volts (high-level)
-const MAX_DISCHARGE_CURRENT = 300; // Amps (absolute max discharge)
-const MAX_CHARGE_CURRENT = 100; // Amps (max regen/charge)
-const R_INTERNAL = 0.05; // Internal resistance (Ohms)
-const SOC_TO_RANGE_FACTOR = 3.8; // km per % SOC
-const SIMULATION_DURATION = 20; // seconds (REAL TIME)
-const REFERENCE_SOC = 80; // Starting SOC for DOD calculation
-
-// --- UTILITY: Simplified Physics/ML Models (Logic kept same as previous request) ---
-
-const calculateCurrent = (throttle, isBraking, regenBraking, speed, maxDischarge, maxCharge) => {
-    let current = -1; 
-    
-    if (throttle > 0 && !isBraking) {
-        current += -1 * (throttle / 100) * maxDischarge;
-    }
-    
-    if (isBraking) {
-        const speedFactor = Math.min(1, speed / 100); 
-        // Increased regen factor: 1.2
-        const regenFactor = (regenBraking / 100) * 1.2; 
-        
-        let chargeCurrent = speedFactor * regenFactor * maxCharge;
+const SOC_TO_RANGE_FACTOR = 3.8; // km per % SOC (prior for the range estimator until consumption is measured)
+const RANGE_CONFIG = { ...RANGE_SETTINGS, priorKmPerSoc: SOC_TO_RANGE_FACTOR };
+const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50, 100]; // Drive-cycle playback multipliers
+const DRIVE_MODES = { live: 'Live', replay: 'Replay', scenario: 'Scenario', charge: 'Charge' };
+// Where the NN SOC comes from: evaluated in the simulation worker, or POST /predict on server.py
+const NN_BACKENDS = { browser: 'In browser (model_params.json)', server: 'Server (/predict)' };
+const CHARGE_LIMIT_LABELS = { charger: 'charger rating', temperature: 'temperature taper', pack: 'pack charge limit', bms: 'BMS limit', cv: 'constant voltage' };
+
+// The parts of a setup the setup panel edits; the pack, BMS, vehicle and thermal editors hold the rest
+const setupBasics = ({ preset, name, battery, limits, run }) => ({ preset, name, battery, limits, run });
 
-        current += chargeCurrent;
+// Setup shared in the page URL (see vehicleSetup.js), or the default setup
+const loadUrlSetup = () => {
+    try {
+        return { setup: setupFromHash(window.location.hash) ?? DEFAULT_SETUP, error: null };
+    } catch (err) {
+        return { setup: DEFAULT_SETUP, error: `${err.message} Using the default setup.` };
     }
-    
-    return current;
 };
 
-const calculateVoltage = (soc, current, nominalVoltage, rInternal) => {
-    const ocv = nominalVoltage * (0.9 + (soc / 100) * 0.2); 
-    const irDrop = -1 * current * rInternal; 
-    const noise = (Math.random() - 0.5) * 0.1;
-    return ocv + irDrop + noise;
+// h:mm:ss for charge durations
+const formatDuration = (seconds) => {
+    const s = Math.max(0, Math.round(seconds));
+    return `${Math.floor(s / 3600)}:${String(Math.floor(s / 60) % 60).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
 };
 
-const calculateTemperatureChange = (current, temp, ambientTemp, rInternal, coolingRate, physicsDeltaTime) => {
-    const heatGenRate = (current ** 2 * rInternal) * 0.0005; 
-    const coolingFactor = 0.05 + (coolingRate / 100) * 0.3; 
-    const heatDissipationRate = (temp - ambientTemp) * coolingFactor;
-    const netChangeRate = heatGenRate - heatDissipationRate;
-    return netChangeRate * physicsDeltaTime; 
+// Heat-map metrics of the pack panel: label, unit, decimals and the per-cell array in the snapshot
+const PACK_METRICS = {
+    voltage: { label: 'Voltage', unit: 'V', digits: 3 },
+    soc: { label: 'SOC', unit: '%', digits: 1 },
+    temp: { label: 'Temp', unit: '°C', digits: 1 },
 };
+const formatRange = (km) => (km == null ? '--' : Number.isFinite(km) ? km.toFixed(1) : '∞');
+
+// Once a run has emptied the pack, fill in the true remaining time/distance for every logged
+// prediction and return the mean absolute errors for the CSV metadata
+const scorePredictions = (rows, empty) => {
+    if (!empty) return {};
+    let tteError = 0, tteCount = 0, rangeError = 0, rangeCount = 0;
+    rows.forEach(row => {
+        row.tteActual = empty.time - row.simTime;
+        row.rangeActual = empty.distance - row.distance;
+        if (row.tte != null) { tteError += Math.abs(row.tte - row.tteActual); tteCount++; }
+        if (row.range != null && Number.isFinite(row.range)) { rangeError += Math.abs(row.range - row.rangeActual); rangeCount++; }
+    });
+    return {
+        Empty_At_s: empty.time.toFixed(1),
+        Empty_At_km: empty.distance.toFixed(3),
+        TTE_MAE_s: tteCount ? (tteError / tteCount).toFixed(1) : null,
+        Range_MAE_km: rangeCount ? (rangeError / rangeCount).toFixed(3) : null,
+    };
+};
+
+// Session summary written to the CSV metadata of a charging run
+const chargeReport = (session) => ({
+    Charger: session.charger.name,
+    Target_SOC_pct: session.targetSoc,
+    Start_SOC_pct: session.startSoc?.toFixed(2),
+    Charge_Time_s: session.elapsed.toFixed(0),
+    Grid_Energy_kWh: (session.gridWh / 1000).toFixed(4),
+    Pack_Energy_kWh: (session.packWh / 1000).toFixed(4),
+    Stored_Energy_kWh: (session.storedWh / 1000).toFixed(4),
+    Charge_Efficiency_pct: chargeEfficiency(session) == null ? null : (chargeEfficiency(session) * 100).toFixed(2),
+    Battery_Heat_Wh: session.batteryHeatWh.toFixed(2),
+    Charger_Heat_Wh: session.chargerHeatWh.toFixed(2),
+});
+
+// Card colours per BMS level (index into BMS_LEVELS)
+const BMS_LEVEL_STYLES = [
+    'bg-slate-600 text-green-300',
+    'bg-yellow-600 text-white',
+    'bg-orange-600 text-white',
+    'bg-red-500 text-white animate-pulse',
+];
+
+// Blue (lowest cell) to red (highest cell)
+const heatColor = (value, min, max) => `hsl(${240 - 240 * (max > min ? (value - min) / (max - min) : 0.5)}, 70%, 45%)`;
+
+// Line colours of overlaid runs in the library comparison (the first is the baseline)
+const COMPARE_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#38bdf8', '#e879f9'];
+const COMPARE_POINTS = 1000; // Samples per run on the comparison time grid
+
+// --- CHART HISTORY: one column per charted quantity, one sample per logged row (engine time) ---
+const HISTORY_KEYS = [
+    'soc', 'socActual', 'soh', 'current', 'voltage', 'temp', 'cellTempMax', 'surfaceTemp', 'coolantTemp',
+    'socEkf', 'socEkfLow', 'socEkfHigh', 'socNn', 'socNnError', 'range', 'rangeLow', 'rangeHigh',
+];
+const CHART_WINDOWS = [
+    { label: 'Last 30 s', seconds: 30 },
+    { label: 'Last 5 min', seconds: 300 },
+    { label: 'Full run', seconds: null },
+];
+// Series specs are module constants so the charts' decimation memo survives re-renders
+const CHART_SERIES = {
+    soc: [{ key: 'soc', label: 'SOC', color: '#10b981' }],
+    socReplay: [
+        { key: 'soc', label: 'Engine', color: '#10b981' },
+        { key: 'socActual', label: 'Recorded', color: '#e2e8f0', dashed: true },
+    ],
+    soh: [{ key: 'soh', label: 'SOH', color: '#f59e0b' }],
+    current: [{ key: 'current', label: 'Current', color: '#6366f1' }],
+    voltage: [{ key: 'voltage', label: 'Voltage', color: '#6366f1' }],
+    temp: [
+        { key: 'temp', label: 'Pack', color: '#10b981' },
+        { key: 'cellTempMax', label: 'Hottest cell', color: '#ef4444', dashed: true },
+        { key: 'surfaceTemp', label: 'Surface', color: '#f59e0b' },
+        { key: 'coolantTemp', label: 'Coolant', color: '#38bdf8', dashed: true },
+    ],
+    nnError: [{ key: 'socNnError', label: '|Actual - NN|', color: '#ef4444', connectGaps: true }],
+    estimators: [
+        { key: 'socActual', label: 'Actual', color: '#e2e8f0' },
+        { key: 'socEkf', label: 'EKF', color: '#10b981' },
+        { key: 'socNn', label: 'Neural net', color: '#fcd34d', dashed: true, connectGaps: true },
+    ],
+    range: [{ key: 'range', label: 'Range', color: '#10b981' }],
+};
+const CHART_BANDS = {
+    ekf: { lower: 'socEkfLow', upper: 'socEkfHigh', color: '#10b981' },
+    range: { lower: 'rangeLow', upper: 'rangeHigh', color: '#10b981' },
+};
+
+const formatDelta = (value, digits) => (value == null ? '--' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`);
+
+// Dashboard building blocks. They live at module scope so React keeps their state (a card's
+// chart zoom, pan and crosshair) across the dashboard's re-renders.
+
+// `series`: CHART_SERIES entry drawn from `history` (with its `version`) under the value
+const MetricCard = ({ title, value, unit, colorClass, icon: Icon, series, min, max, subtitle, history, version, windowSeconds }) => (
+    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 h-full flex flex-col justify-between">
+        <div>
+            <div className="flex items-center gap-2 text-sm font-medium text-slate-400 mb-1">
+                <Icon size={16} className={`text-${colorClass.split('-')[1]}-400`} />
+                {title}
+            </div>
+            <div className={`text-4xl font-extrabold ${colorClass} leading-tight`}>
+                {value}
+                <span className="text-sm font-semibold text-slate-400 ml-1">{unit}</span>
+            </div>
+            {subtitle && <div className="text-xs text-slate-400 mt-1">{subtitle}</div>}
+        </div>
+        
+        {series && (
+            <TimeSeriesChart history={history} version={version} series={series} unit={unit} min={min} max={max} windowSeconds={windowSeconds} />
+        )}
+    </div>
+);
 
-const calculateSOHDegradation = (soh, soc, temp, current, deltaTime, timeWarp) => {
-    const effectiveTime = deltaTime * timeWarp; 
-    const calendarPenalty = 
-        (soc > 80 ? (soc - 80) * 0.00001 : 0) + 
-        (soc < 20 ? (20 - soc) * 0.00001 : 0);
-    const tempPenalty = temp > 40 ? (temp - 40) * 0.00002 : 0;
-    const currentPenalty = Math.abs(current) * 0.000005;
-    const totalDegradation = (calendarPenalty + tempPenalty + currentPenalty) * effectiveTime;
-    return Math.max(0, soh - totalDegradation); 
+const ControlSlider = ({ label, val, setVal, icon: Icon, disabled, min = 0, max = 100, unit = '%' }) => (
+    <div className={`bg-slate-700 p-4 rounded-xl shadow-md border border-slate-600 transition-opacity ${disabled ? 'opacity-50 pointer-events-none' : ''}`}>
+        <div className="flex justify-between mb-2">
+            <span className="flex items-center gap-2 font-medium text-slate-300">
+                <Icon size={16} className="text-indigo-400" /> {label}
+            </span>
+            <span className="font-bold text-white">{val}{unit}</span>
+        </div>
+        <input 
+            type="range" 
+            min={min} 
+            max={max} 
+            value={val} 
+            onChange={e => setVal(Number(e.target.value))} 
+            className="w-full h-2 bg-slate-500 rounded-lg appearance-none cursor-pointer" 
+        />
+    </div>
+);
+
+const ControlButton = ({ label, icon: Icon, active, onMouseDown, onMouseUp, disabled }) => (
+    <button 
+        onMouseDown={onMouseDown} 
+        onMouseUp={onMouseUp} 
+        onTouchStart={onMouseDown}
+        onTouchEnd={onMouseUp}
+        disabled={disabled}
+        className={`w-full p-4 rounded-xl border shadow-sm transition-all flex items-center justify-center gap-2 text-lg font-bold ${
+            active ? 'bg-red-500 text-white border-red-600 shadow-xl scale-105' : 
+                     'bg-slate-700 text-red-400 border-slate-600 hover:bg-slate-600'
+        } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+    >
+        <Icon size={20} /> {label}
+    </button>
+);
+
+const WarningCard = ({ fault, state }) => {
+    const digits = fault.unit === 'V' ? 3 : 1;
+    const comparator = fault.direction === 'high' ? '>' : '<';
+    const nextLimit = [fault.warning, fault.derate, fault.cutoff][Math.min(state.level, 2)];
+    return (
+        <div className={`p-3 rounded-xl shadow-md transition-colors flex flex-col items-center justify-center text-center ${BMS_LEVEL_STYLES[state.level]}`}>
+            {state.level > 0 ? <AlertTriangle size={24} /> : <CheckCircle size={24} />}
+            <div className="font-bold text-sm mt-1">{fault.label}</div>
+            <div className="text-xs font-semibold uppercase">
+                {state.level > 0 ? BMS_LEVELS[state.level] : 'Nominal'}{state.latched ? ' (latched)' : ''}
+            </div>
+            <div className="text-xs text-slate-200">
+                {state.value == null ? '--' : `${state.value.toFixed(digits)}${fault.unit}`} · {state.level < 3 ? `${BMS_LEVELS[Math.min(state.level, 2) + 1]} ${comparator}${nextLimit}${fault.unit}` : `cutoff ${comparator}${fault.cutoff}${fault.unit}`}
+            </div>
+        </div>
+    );
 };
 
 // =================================================================
 // EVDashboard Component
 // =================================================================
 
-function EVDashboard() {
+// `fleetVehicle` (fleet.js simulatorPreset, or null) puts a fleet vehicle's aged battery, climate
+// and first trip on the simulator; `onCloseFleetVehicle` returns to the nominal battery.
+function EVDashboard({ fleetVehicle = null, onCloseFleetVehicle }) {
+    // --- SETUP (pack layout, current limits and run length; presets, JSON files and share links) ---
+    const [urlSetup] = useState(loadUrlSetup);
+    const [setup, setSetup] = useState(() => setupBasics(urlSetup.setup));
+    const [setupError, setSetupError] = useState(null);
+    const [setupNotice, setSetupNotice] = useState(() => (urlSetup.error ? { text: urlSetup.error, error: true } : null));
+    const runSeconds = setup.run.durationSeconds; // Live-run length; null runs until stopped
+
     // --- SIMULATION MODE & TIMERS ---
     const [isSimulating, setIsSimulating] = useState(false);
-    const [timer, setTimer] = useState(SIMULATION_DURATION);
+    const [timer, setTimer] = useState(runSeconds ?? 0); // s left, or s elapsed in an unlimited run
 
     // --- CONTROLS ---
     const [throttle, setThrottle] = useState(0);
-    const [isBraking, setIsBraking] = useState(false); 
+    const [brake, setBrake] = useState(0); // % pedal travel; the brake button applies 100
+    const isBraking = brake > 0;
     const [regenBraking, setRegenBraking] = useState(50);
-    const [ambientTemp] = useState(25);
+    const [ambientTemp, setAmbientTemp] = useState(25); // °C; also the soak temperature of the next start
     const [grade, setGrade] = useState(0); 
     const [coolingRate, setCoolingRate] = useState(50); 
     const [timeWarp, setTimeWarp] = useState(1); 
+    const [snapshotHz, setSnapshotHz] = useState(DEFAULT_SNAPSHOT_HZ); // UI updates per second from the worker
+    const [droppedSeconds, setDroppedSeconds] = useState(0); // Simulated time skipped because stepping fell behind
+    const [simError, setSimError] = useState(null);
+
+    // --- PEDAL INPUT (keyboard and gamepad; bindings persist in localStorage) ---
+    const [pedalSettings, setPedalSettings] = useState(() => loadPedalSettings());
+    const [pedalError, setPedalError] = useState(null);
+    const [showPedalSettings, setShowPedalSettings] = useState(false);
+    const [bindingCapture, setBindingCapture] = useState(null); // { target: 'throttle' | 'brake' | 'up' | 'down', device: 'key' | 'gamepad' }
+    const [gamepadName, setGamepadName] = useState(null); // Connected pad id
+    const heldKeysRef = useRef(new Set()); // KeyboardEvent.code of bound keys held down
+
+    // --- DRIVE MODE: live controls or drive-cycle replay ---
+    const [driveMode, setDriveMode] = useState('live'); // 'live' | 'replay'
+    const [replayCycle, setReplayCycle] = useState(null);
+    const [replayLoading, setReplayLoading] = useState(false);
+    const [replayError, setReplayError] = useState(null);
+    const [replaySpeed, setReplaySpeed] = useState(10);
+    const [replayPaused, setReplayPaused] = useState(false);
+    const [replayTime, setReplayTime] = useState(0);
+    const [socTruth, setSocTruth] = useState(null); // Recorded soc_percent during replay
+    const isReplay = driveMode === 'replay';
+
+    // --- SCRIPTED SCENARIOS (closed-loop driver follows a speed profile) ---
+    const [customScenarios, setCustomScenarios] = useState([]);
+    const [scenarioId, setScenarioId] = useState(BUILT_IN_SCENARIOS[0].id);
+    const [scenarioError, setScenarioError] = useState(null);
+    const [tracking, setTracking] = useState(null); // { targetSpeed, speedError, rms, maxError }
+    const allScenarios = [...BUILT_IN_SCENARIOS, ...customScenarios];
+    const scenario = allScenarios.find(sc => sc.id === scenarioId) ?? BUILT_IN_SCENARIOS[0];
+    const isScenario = driveMode === 'scenario';
+
+    // --- CHARGING SESSION (CC-CV from a charger preset up to a target SOC) ---
+    const [chargerId, setChargerId] = useState('ac-7');
+    const [chargeStartSoc, setChargeStartSoc] = useState(20);
+    const [chargeTargetSoc, setChargeTargetSoc] = useState(80);
+    const [chargeView, setChargeView] = useState(null); // Latest session snapshot
+    const [timeToTarget, setTimeToTarget] = useState(null); // s, look-ahead estimate
+    const isCharging = driveMode === 'charge';
 
     // --- UI STATE: DISPLAY & HISTORY ---
     const [vehicleSpeed, setVehicleSpeed] = useState(0);
     const [batteryCurrent, setBatteryCurrent] = useState(0);
-    const [batteryVoltage, setBatteryVoltage] = useState(NOMINAL_VOLTAGE);
+    const [batteryVoltage, setBatteryVoltage] = useState(() => createInitialState({ soc: setup.run.startSoc, config: setupEngineConfig(urlSetup.setup) }).voltage);
     const [batteryTemp, setBatteryTemp] = useState(ambientTemp);
-    const [soc, setSoc] = useState(REFERENCE_SOC); 
+    const [soc, setSoc] = useState(setup.run.startSoc); 
     const [soh, setSoh] = useState(100); 
+    const [simTime, setSimTime] = useState(0); // Engine clock of the run, s
     const [dod, setDod] = useState(0); 
     const [cycleLife, setCycleLife] = useState(0); 
 
-    const HISTORY_LENGTH = 50;
-    const [currentHistory, setCurrentHistory] = useState(Array(HISTORY_LENGTH).fill(0));
-    const [socHistory, setSocHistory] = useState(Array(HISTORY_LENGTH).fill(REFERENCE_SOC));
-    const [sohHistory, setSohHistory] = useState(Array(HISTORY_LENGTH).fill(100));
+    // --- FLEET VEHICLE (opened from the fleet page; its battery applies from the next start) ---
+    // Its settings are copied in when it changes, so they stay editable afterwards
+    const [appliedFleetVehicle, setAppliedFleetVehicle] = useState(null);
+    if (fleetVehicle !== appliedFleetVehicle) {
+        setAppliedFleetVehicle(fleetVehicle);
+        if (!isSimulating) {
+            setSoh(fleetVehicle?.soh ?? 100);
+            if (fleetVehicle) {
+                setDriveMode('scenario');
+                setScenarioId(fleetVehicle.scenarioId);
+                setAmbientTemp(fleetVehicle.ambientTemp);
+                setBatteryTemp(fleetVehicle.ambientTemp);
+            }
+        }
+    }
+
+    // Whole-run chart history (appended in place; historyVersion tells the charts to redraw)
+    const [history] = useState(() => createHistory(HISTORY_KEYS));
+    const [historyVersion, setHistoryVersion] = useState(0);
+    const [chartWindow, setChartWindow] = useState(CHART_WINDOWS[0].seconds);
+
+    // --- NN MODEL (in the worker, or server.py /predict) ---
+    const [nnBackend, setNnBackend] = useState('browser'); // key of NN_BACKENDS
+    const [backendStatus, setBackendStatus] = useState('connecting'); // 'connecting' | 'online' | 'offline'
+    const [modelSoc, setModelSoc] = useState(null);
+    const [modelSocError, setModelSocError] = useState(null); // |actual - NN| of the latest answer
+
+    // --- EKF ESTIMATOR (runs on the measured voltage/current every engine step) ---
+    const [modelSource, setModelSource] = useState('nn'); // key of MODEL_SOURCES
+    const [ekfEstimate, setEkfEstimate] = useState(null);
+
+    // --- RANGE / TIME-TO-EMPTY (rolling consumption window) ---
+    const [rangeView, setRangeView] = useState(null); // Latest predictRange output
+    const [emptyAt, setEmptyAt] = useState(null); // { time, distance } when the pack first ran empty
+
+    // --- MULTI-CELL PACK (spread and balancing settings apply from the next start) ---
+    const [packConfig, setPackConfig] = useState(urlSetup.setup.pack);
+    const [packView, setPackView] = useState(() => packSnapshot(createInitialState({ soc: setup.run.startSoc, ambientTemp, config: setupEngineConfig(urlSetup.setup) }).pack));
+    const [packMetric, setPackMetric] = useState('voltage'); // key of PACK_METRICS
+
+    // --- BMS PROTECTION (thresholds apply from the next start) ---
+    const [bmsConfig, setBmsConfig] = useState(urlSetup.setup.bms);
+    const [bmsConfigError, setBmsConfigError] = useState(null);
+    const [showBmsLimits, setShowBmsLimits] = useState(false);
+    const [bmsView, setBmsView] = useState(() => createInitialState().bms);
+
+    // --- VEHICLE MODEL (longitudinal dynamics; parameters apply from the next start) ---
+    const [vehicleConfig, setVehicleConfig] = useState(urlSetup.setup.vehicle); // null = lumped throttle model
+    const [vehicleConfigError, setVehicleConfigError] = useState(null);
+    const [driveView, setDriveView] = useState(null); // { power, torque, traction, friction } of the latest step
 
-    // --- WARNINGS (SAFETY LIMITS) ---
-    const [isOverCurrent, setIsOverCurrent] = useState(false);
-    const [isOverVoltage, setIsOverVoltage] = useState(false);
-    const [isOverTemp, setIsOverTemp] = useState(false);
-    const OVER_CURRENT_LIMIT = 250;
-    const OVER_VOLTAGE_LIMIT = NOMINAL_VOLTAGE * 1.1; 
-    const OVER_TEMP_LIMIT = 50;
+    // --- THERMAL MANAGEMENT (two-node model; parameters apply from the next start, the mode live) ---
+    const [thermalConfig, setThermalConfig] = useState(urlSetup.setup.thermal); // null = coolingRate model
+    const [thermalConfigError, setThermalConfigError] = useState(null);
+    const [thermalMode, setThermalMode] = useState('auto'); // key of THERMAL_MODES
+    const [thermalView, setThermalView] = useState(null); // Engine thermal state of the latest step
+
+    // --- FAULT INJECTION (timeline on the engine clock; edits reach a running simulation) ---
+    const [faultTimeline, setFaultTimeline] = useState([]);
+    const [faultError, setFaultError] = useState(null);
+    const [faultFileError, setFaultFileError] = useState(null); // A rejected JSON file; the timeline stays as it was
+    const [newFaultType, setNewFaultType] = useState('currentOffset'); // key of FAULT_TYPES
+    const [sensorView, setSensorView] = useState(null); // { measured, faults } of the latest step
+
+    // --- CAN OUTPUT (DBC-encoded frames to a gateway while a run is live) ---
+    const [canDatabase, setCanDatabase] = useState(() => parseDbc(DEFAULT_DBC, 'ev_battery.dbc'));
+    const [canDbcError, setCanDbcError] = useState(null);
+    const [canTarget, setCanTarget] = useState('mock'); // key of GATEWAY_TARGETS
+    const [canUrl, setCanUrl] = useState(DEFAULT_GATEWAY_URL);
+    const [canStatus, setCanStatus] = useState(null); // { state, name, logs, message } from the gateway
+    const [canCounts, setCanCounts] = useState({ sent: 0, dropped: 0, logged: 0 });
+    const [canLogFormat, setCanLogFormat] = useState('candump'); // key of CAN_LOG_FORMATS
+    const canPublisherRef = useRef(null);
+    const canGatewayRef = useRef(null); // Transport of the publisher; the mock one outlives it for its log (counts.logged)
+    const canMapping = useMemo(() => signalMapping(canDatabase), [canDatabase]);
+    const canConnected = canStatus?.state === 'connecting' || canStatus?.state === 'open';
 
     // --- SIMULATION MEMORY & LOGGING ---
-    const socRef = useRef(REFERENCE_SOC);
-    const sohRef = useRef(100);
-    const tempRef = useRef(ambientTemp);
-    const currentRef = useRef(0);
-    const speedRef = useRef(0);
-    const chargedAhRef = useRef(0); 
-    const dischargedAhRef = useRef(0); 
+    const workerRef = useRef(null); // simulation.worker.js owns the run and steps it in fixed ENGINE_DT steps
+    const workerHandlerRef = useRef(null);
+    const engineConfigRef = useRef(DEFAULT_CONFIG); // Engine config of the running simulation
+    const seedRef = useRef(1);
     const telemetryDataRef = useRef([]);
-    const animationRef = useRef(null);
     const simStartTimeRef = useRef(null); 
-    const lastTimeRef = useRef(Date.now());
-    const lastApiCallTimeRef = useRef(0);
+    const predictInFlightRef = useRef(false);
+    const apiFailuresRef = useRef(0);
+    const apiRetryAtRef = useRef(0);
+    const runIdRef = useRef(0); // Drops late /predict responses from a previous run
+
+    // --- RUN LIBRARY (IndexedDB) ---
+    const [runs, setRuns] = useState([]); // Run records without rows, newest first
+    const [runLabel, setRunLabel] = useState(''); // Label for the next run; blank picks one from the mode
+    const [autoDownload, setAutoDownload] = useState(false); // Also download the CSV when a run ends
+    const [libraryNotice, setLibraryNotice] = useState(null); // { text, error }
+    const [compareIds, setCompareIds] = useState([]); // In selection order; the first is the baseline
+    const [comparison, setComparison] = useState(null); // compareRuns output
+    const [renaming, setRenaming] = useState(null); // { id, label }
+    const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+    // The comparison as one chart history: a column per metric and run, series coloured by run
+    const comparisonCharts = useMemo(() => {
+        if (!comparison) return null;
+        const columns = {}, series = {};
+        Object.keys(COMPARE_METRICS).forEach(key => {
+            series[key] = comparison.series[key].map((values, i) => {
+                columns[`${key}:${i}`] = values;
+                return { key: `${key}:${i}`, label: comparison.stats[i].label, color: COMPARE_COLORS[i % COMPARE_COLORS.length] };
+            });
+        });
+        return { history: historyFromColumns(comparison.times, columns), series };
+    }, [comparison]);
 
     // =================================================================
-    // START/STOP Logic (Unchanged)
+    // RUN LIBRARY (every finished run is saved to IndexedDB)
     // =================================================================
-    const handleDownloadCSV = (data) => {
-        if (data.length === 0) {
-            alert("Simulation completed, but no data was logged. Please ensure the simulation ran for more than 0.1 seconds.");
+    const refreshRuns = () => listRuns()
+        .then(setRuns)
+        .catch(err => setLibraryNotice({ text: err.message, error: true }));
+
+    useEffect(() => {
+        listRuns()
+            .then(setRuns)
+            .catch(err => setLibraryNotice({ text: err.message, error: true }));
+    }, []);
+
+    const exportRun = (record) => {
+        loadRunRows(record.id)
+            .then(rows => {
+                const filename = downloadRunCsv(rows, { ...record.metadata, Run_Label: record.label }, record.source, record.label);
+                setLibraryNotice({ text: `Exported ${filename}` });
+            })
+            .catch(err => setLibraryNotice({ text: err.message, error: true }));
+    };
+
+    const commitRename = () => {
+        const { id, label } = renaming;
+        setRenaming(null);
+        if (!label.trim()) return;
+        renameRun(id, label.trim())
+            .then(refreshRuns)
+            .catch(err => setLibraryNotice({ text: err.message, error: true }));
+    };
+
+    // First click arms the delete, the second one removes the run
+    const handleDeleteRun = (id) => {
+        if (pendingDeleteId !== id) {
+            setPendingDeleteId(id);
             return;
         }
+        setPendingDeleteId(null);
+        setCompareIds(ids => ids.filter(other => other !== id));
+        deleteRun(id)
+            .then(refreshRuns)
+            .catch(err => setLibraryNotice({ text: err.message, error: true }));
+    };
 
-        const headers = ["Time_s", "Voltage_V", "Current_A", "Temperature_C", "Speed_kmh", "SOC_Actual_pct", "SOC_Model_pct", "SOC_Error_pct", "SOH_Actual_pct", "SOH_Model_pct", "SOH_Error_pct"];
-        
-        const csvRows = data.map(row => 
-            [
-                row.time.toFixed(3), row.voltage.toFixed(4), row.current.toFixed(2), 
-                row.temp.toFixed(2), row.speed.toFixed(1), 
-                row.socActual.toFixed(4), row.socModel.toFixed(4), row.socError.toFixed(4), 
-                row.sohActual.toFixed(4), row.sohModel.toFixed(4), row.sohError.toFixed(4)
-            ].join(',')
+    const toggleCompare = (id) => setCompareIds(ids => (ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id]));
+
+    const handleCompare = () => {
+        Promise.all(compareIds.map(id => loadRunRows(id).then(rows => ({ record: runs.find(r => r.id === id), rows }))))
+            .then(loaded => setComparison(compareRuns(loaded, COMPARE_POINTS)))
+            .catch(err => setLibraryNotice({ text: err.message, error: true }));
+    };
+
+    // Imports CSVs written by this dashboard (their '#' metadata restores label, mode and model source)
+    const handleRunImport = async (e) => {
+        const files = [...(e.target.files ?? [])];
+        e.target.value = '';
+        let imported = 0;
+        for (const file of files) {
+            try {
+                const { metadata, rows } = parseTelemetryCsv(await file.text(), file.name);
+                const started = Date.parse(metadata.Started);
+                await saveRun({
+                    label: metadata.Run_Label ?? file.name.replace(/\.csv$/i, ''),
+                    createdAt: Number.isFinite(started) ? started : file.lastModified,
+                    mode: metadata.Mode ?? 'imported',
+                    source: Object.keys(MODEL_SOURCES).find(key => MODEL_SOURCES[key] === metadata.Model_Source) ?? 'nn',
+                    metadata, settings: null, imported: true,
+                    summary: summarizeRun(rows), rows,
+                });
+                imported++;
+            } catch (err) {
+                setLibraryNotice({ text: err.message, error: true });
+            }
+        }
+        if (imported) {
+            setLibraryNotice({ text: `Imported ${imported} run${imported > 1 ? 's' : ''}.` });
+            refreshRuns();
+        }
+    };
+
+    const downloadRunCsv = (rows, metadata, source, label) => {
+        const filename = telemetryFilename(label);
+        downloadText(buildTelemetryCsv(rows, metadata, source), filename, 'text/csv;charset=utf-8;');
+        return filename;
+    };
+
+    // =================================================================
+    // NN SOC PREDICTION (one request in flight, exponential backoff when offline)
+    // =================================================================
+    const requestModelSoc = (row, now, historyIndex) => {
+        if (predictInFlightRef.current || now < apiRetryAtRef.current) return;
+        predictInFlightRef.current = true;
+        const runId = runIdRef.current;
+
+        predictSoc({ current: row.current, voltage: row.voltage, temperature: row.temp, time: row.time })
+            .then((nnSoc) => {
+                apiFailuresRef.current = 0;
+                setBackendStatus('online');
+                if (runId !== runIdRef.current) return;
+
+                // Patch the logged sample the prediction was made for
+                row.socNn = nnSoc;
+                setHistoryValue(history, 'socNn', historyIndex, nnSoc);
+                setHistoryValue(history, 'socNnError', historyIndex, Math.abs(row.socActual - nnSoc));
+                setHistoryVersion(v => v + 1);
+                setModelSoc(nnSoc);
+                setModelSocError(Math.abs(row.socActual - nnSoc));
+            })
+            .catch(() => {
+                apiFailuresRef.current += 1;
+                apiRetryAtRef.current = Date.now() + retryDelay(apiFailuresRef.current);
+                setBackendStatus('offline');
+            })
+            .finally(() => {
+                predictInFlightRef.current = false;
+            });
+    };
+
+    // =================================================================
+    // DRIVE-CYCLE REPLAY
+    // =================================================================
+    const selectReplayCycle = async (loadCycle) => {
+        setReplayLoading(true);
+        setReplayError(null);
+        try {
+            const cycle = await loadCycle();
+            setReplayCycle(cycle);
+            setReplayTime(0);
+        } catch (err) {
+            setReplayError(err.message);
+        } finally {
+            setReplayLoading(false);
+        }
+    };
+
+    const handleReplayFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) selectReplayCycle(async () => parseDriveCycleCsv(await file.text(), file.name));
+    };
+
+    const handleCanLogFile = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (file) selectReplayCycle(async () => canLogToDriveCycle(parseCanLog(await file.text(), file.name), canDatabase, file.name));
+    };
+
+    const handleBundledCycle = (name) => {
+        const entry = BUNDLED_DRIVE_CYCLES.find(c => c.name === name);
+        if (entry) selectReplayCycle(() => loadBundledDriveCycle(entry));
+    };
+
+    // Jumping in the cycle re-anchors the coulomb-counted estimate to the recorded SOC
+    const seekReplay = (t) => {
+        if (!replayCycle) return;
+        workerRef.current.postMessage({ type: 'seek', time: t });
+        setReplayTime(t);
+        setSoc(sampleDriveCycle(replayCycle, t).soc);
+    };
+
+    // =================================================================
+    // PEDAL INPUT
+    // =================================================================
+    const pressBrakeButton = () => {
+        setBrake(100);
+        setThrottle(0);
+    };
+
+    // `field` of the throttle or brake pedal: rampUp, rampDown, deadZone or exponent
+    const setPedalValue = (pedal, field, value) => {
+        setPedalSettings(ps => ({ ...ps, [pedal]: { ...ps[pedal], [field]: value } }));
+    };
+
+    const clearBinding = (target, device) => {
+        setPedalSettings(ps => updateBinding(ps, target, device === 'key' ? { keys: [] } : { gamepad: null }));
+    };
+
+    const pedalBindingRow = (target, label) => {
+        const binding = bindingFor(pedalSettings, target);
+        const capturing = (device) => bindingCapture?.target === target && bindingCapture.device === device;
+        const captureButton = (device, text) => (
+            <button
+                onClick={() => setBindingCapture(capturing(device) ? null : { target, device })}
+                className={`px-2 py-0.5 rounded ${capturing(device) ? 'bg-indigo-600 animate-pulse' : 'bg-slate-600 hover:bg-slate-500'}`}
+            >
+                {capturing(device) ? (device === 'key' ? 'Press a key...' : 'Press a control...') : text}
+            </button>
+        );
+        return (
+            <div key={target} className="grid grid-cols-[4rem_1fr] gap-x-2 gap-y-1 items-center text-xs">
+                <span className="font-medium">{label}</span>
+                <div className="flex flex-wrap items-center gap-1">
+                    <Keyboard size={12} className="text-slate-400"/>
+                    <span className="text-white">{binding.keys.map(describeKey).join(' / ') || 'none'}</span>
+                    {captureButton('key', 'Add')}
+                    <button onClick={() => clearBinding(target, 'key')} className="px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500">Clear</button>
+                </div>
+                <span></span>
+                <div className="flex flex-wrap items-center gap-1">
+                    <Gamepad2 size={12} className="text-slate-400"/>
+                    <span className="text-white">{describeGamepadControl(binding.gamepad)}</span>
+                    {captureButton('gamepad', 'Bind')}
+                    <button onClick={() => clearBinding(target, 'gamepad')} className="px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500">Clear</button>
+                </div>
+            </div>
         );
+    };
 
-        const csvContent = [headers.join(','), ...csvRows].join('\n');
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement("a");
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        link.setAttribute("href", url);
-        link.setAttribute("download", `Battery_Model_Output_EV_Simulation_Data_${timestamp}.csv`);
-        link.style.visibility = 'hidden';
-        
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    // =================================================================
+    // SCENARIOS
+    // =================================================================
+    const handleScenarioSelect = (id) => {
+        if (id === 'manual') {
+            setDriveMode('live');
+            return;
+        }
+        setScenarioId(id);
+        setDriveMode('scenario');
+    };
 
-        alert(`✅ Simulation Data CSV downloaded!\n\nFilename: Battery_Model_Output_EV_Simulation_Data_${timestamp}.csv`);
+    const handleScenarioFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseScenarioJson(await file.text());
+            setCustomScenarios(prev => [...prev.filter(sc => sc.id !== imported.id), imported]);
+            setScenarioId(imported.id);
+            setDriveMode('scenario');
+            setScenarioError(null);
+        } catch (err) {
+            setScenarioError(`${file.name}: ${err.message}`);
+        }
     };
 
     const startSimulation = () => {
+        if ((isReplay && !replayCycle) || configInvalid || faultError) return;
+        const startSoc = isReplay ? replayCycle.soc[0] : isCharging ? chargeStartSoc : setup.run.startSoc;
+
         telemetryDataRef.current = [];
+        runIdRef.current += 1;
+        apiRetryAtRef.current = 0;
+        clearHistory(history);
+        setHistoryVersion(v => v + 1);
+        setModelSoc(null);
+        setModelSocError(null);
         setIsSimulating(true);
-        setTimer(SIMULATION_DURATION);
+        setSimError(null);
+        setTimer(runSeconds ?? 0);
         simStartTimeRef.current = Date.now();
-        
-        socRef.current = REFERENCE_SOC;
-        sohRef.current = 100;
-        tempRef.current = ambientTemp;
-        currentRef.current = 0;
-        speedRef.current = 0;
-        chargedAhRef.current = 0;
-        dischargedAhRef.current = 0;
-        setSoc(REFERENCE_SOC);
-        setSoh(100);
-        setBatteryTemp(ambientTemp);
-        setVehicleSpeed(0);
-        setDod(0);
-        setCycleLife(0);
-        
-        setIsOverCurrent(false);
-        setIsOverVoltage(false);
-        setIsOverTemp(false);
-        setCurrentHistory(Array(HISTORY_LENGTH).fill(0));
-        setSocHistory(Array(HISTORY_LENGTH).fill(REFERENCE_SOC));
-        setSohHistory(Array(HISTORY_LENGTH).fill(100));
+        setReplayTime(0);
+        setReplayPaused(false);
+        setTracking(null);
+        setTimeToTarget(null);
+        setEmptyAt(null);
+        setRangeView(null);
+        setSensorView(null);
+        setDroppedSeconds(0);
+        setSoc(startSoc);
+
+        // The worker builds the run; its first snapshot fills the views
+        seedRef.current = Date.now() | 0;
+        const config = setupEngineConfig(currentSetup());
+        engineConfigRef.current = fleetVehicle ? { ...config, battery: fleetVehicle.battery } : config;
+        workerRef.current.postMessage({
+            type: 'start',
+            options: {
+                mode: driveMode, config: engineConfigRef.current, seed: seedRef.current, startSoc, startSoh: fleetVehicle?.soh ?? 100, ambientTemp,
+                ekfBattery: fleetVehicle?.nominalBattery ?? config.battery,
+                inputs: { throttle, brake, regenBraking, grade, coolingRate, thermalMode, faults: faultTimeline },
+                cycle: isReplay ? replayCycle : null,
+                scenario: isScenario ? scenario : null,
+                charger: isCharging ? CHARGERS.find(c => c.id === chargerId) : null,
+                targetSoc: isCharging ? chargeTargetSoc : null,
+                rangeSettings: RANGE_CONFIG,
+                nn: nnBackend === 'browser' ? NN_MODEL : null,
+            },
+            speed: isReplay ? replaySpeed : timeWarp,
+            paused: false,
+            snapshotHz,
+        });
     };
 
+    // The worker answers with a final 'finished' message, which writes the CSV
     const stopSimulation = () => {
         if (!isSimulating) return; 
-        
+        workerRef.current.postMessage({ type: 'stop' });
+    };
+
+    // =================================================================
+    // CAN OUTPUT
+    // =================================================================
+    const disconnectCan = () => {
+        const publisher = canPublisherRef.current;
+        canPublisherRef.current = null;
+        publisher?.stop();
+    };
+
+    const connectCan = () => {
+        disconnectCan();
+        let publisher = null;
+        // A failed connection reports an error, then closes: keep the error on screen
+        const onStatus = (status) => {
+            setCanStatus(prev => (status.state === 'closed' && prev?.state === 'error' ? prev : status));
+            if (status.state === 'closed' && canPublisherRef.current === publisher) {
+                canPublisherRef.current = null;
+                publisher.stop();
+            }
+        };
+        const transport = canTarget === 'mock' ? createMockGateway({ onStatus }) : connectGateway(canUrl, { onStatus });
+        publisher = createCanPublisher({ database: canDatabase, transport });
+        canPublisherRef.current = publisher;
+        canGatewayRef.current = transport;
+        setCanCounts({ sent: 0, dropped: 0, logged: 0 });
+    };
+
+    const handleDbcFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setCanDatabase(parseDbc(await file.text(), file.name));
+            setCanDbcError(null);
+        } catch (err) {
+            setCanDbcError(err.message);
+        }
+    };
+
+    const downloadCanLog = () => {
+        const ext = canLogFormat === 'asc' ? 'asc' : 'log';
+        downloadText(canGatewayRef.current.log(canLogFormat), `can_telemetry.${ext}`);
+    };
+
+    // The mock gateway's frames decoded with the current DBC, as a replay drive cycle
+    const replayMockCanLog = () => {
+        const { frames } = canGatewayRef.current;
+        setDriveMode('replay');
+        selectReplayCycle(async () => canLogToDriveCycle(frames, canDatabase, 'Mock gateway CAN log'));
+    };
+
+    // =================================================================
+    // SNAPSHOTS FROM THE SIMULATION WORKER
+    // =================================================================
+    const applySnapshot = ({ view, rows, dropped }) => {
+        const sim = view.state;
+        const estimate = view.ekf;
+        const rangeEstimate = view.range;
+
+        // --- LOG the rows sampled since the last snapshot (charts on the engine clock) ---
+        // Rows carry the worker's NN SOC; with the server backend /predict gets the newest row instead
+        let historyIndex = -1;
+        rows.forEach(row => {
+            telemetryDataRef.current.push(row);
+            historyIndex = appendHistory(history, row.simTime, {
+                soc: row.socCoulomb, socActual: row.socActual, soh: row.sohActual,
+                current: row.current, voltage: row.voltage, temp: row.temp, cellTempMax: row.cells?.maxTemp,
+                surfaceTemp: row.surfaceTemp, coolantTemp: row.coolantTemp,
+                socEkf: row.socEkf, socEkfLow: row.socEkf - 2 * row.socEkfStd, socEkfHigh: row.socEkf + 2 * row.socEkfStd,
+                range: row.range, rangeLow: row.rangeLow, rangeHigh: row.rangeHigh,
+                socNn: row.socNn, socNnError: row.socNn == null ? null : Math.abs(row.socActual - row.socNn),
+            });
+        });
+        if (rows.length) {
+            const last = rows[rows.length - 1];
+            setHistoryVersion(v => v + 1);
+            if (nnBackend === 'server') {
+                requestModelSoc(last, Date.now(), historyIndex);
+            } else {
+                setModelSoc(last.socNn);
+                setModelSocError(Math.abs(last.socActual - last.socNn));
+            }
+        }
+
+        if (!isReplay) setVehicleSpeed(sim.speed);
+        setDriveView(sim.drive && !isReplay && !isCharging ? { power: sim.motorPower, torque: sim.drive.torque, traction: sim.tractionForce, friction: sim.frictionBrakeForce } : null);
+        setBatteryCurrent(sim.current);
+        setBatteryVoltage(sim.voltage);
+        setBatteryTemp(sim.temp);
+        setThermalView(sim.thermal);
+        setSensorView({ measured: sim.measured, faults: view.faults });
+        setSoc(sim.soc);
+        setSoh(sim.soh);
+        setDod(sim.dod);
+        setCycleLife(sim.cycleLife);
+        setSimTime(sim.time);
+        setDroppedSeconds(dropped);
+
+        setEkfEstimate(estimate);
+        setPackView(view.pack);
+        setRangeView(rangeEstimate);
+        if (view.empty) setEmptyAt(view.empty);
+        if (isReplay) {
+            setReplayTime(view.cycleTime);
+            setSocTruth(view.socTruth);
+        }
+        if (view.tracking) {
+            // Mirror the driver's pedal inputs on the controls
+            setThrottle(Math.round(view.tracking.inputs.throttle));
+            setBrake(view.tracking.inputs.brake);
+            setGrade(Math.round(view.tracking.inputs.grade));
+            setTracking(view.tracking);
+        }
+
+        // BMS state (limits are already applied inside the engine)
+        setBmsView(sim.bms);
+
+        const publisher = canPublisherRef.current;
+        if (publisher) {
+            publisher.update(view, engineConfigRef.current);
+            const gateway = canGatewayRef.current;
+            setCanCounts({ sent: publisher.sent, dropped: gateway.dropped ?? 0, logged: gateway.frames?.length ?? 0 });
+        }
+        if (view.session) {
+            setChargeView(view.session);
+            if (view.timeToTarget != null) setTimeToTarget(view.timeToTarget);
+        }
+    };
+
+    const finishSimulation = (message) => {
+        applySnapshot(message);
+        canPublisherRef.current?.update(null); // The BMS goes quiet with the run
+        const { view, reason } = message;
+
         setIsSimulating(false);
         setTimer(0);
         setThrottle(0);
-        setIsBraking(false);
+        setBrake(0);
         setVehicleSpeed(0);
+        setDriveView(null);
 
-        handleDownloadCSV(telemetryDataRef.current); 
-        setSoc(socRef.current);
+        const rows = telemetryDataRef.current;
+        setSoc(view.state.soc);
+        if (rows.length === 0) {
+            setLibraryNotice({ text: 'The run ended before any data was logged, so nothing was saved.', error: true });
+            return;
+        }
+
+        const started = simStartTimeRef.current;
+        const label = runLabel.trim() || `${DRIVE_MODES[driveMode]}: ${
+            isScenario ? scenario.name :
+            isReplay ? replayCycle.name :
+            isCharging ? view.session.charger.name :
+            `regen ${regenBraking}%, ${timeWarp}x`
+        } (${new Date(started).toLocaleString()})`;
+        const predictionScore = scorePredictions(rows, view.empty);
+        const metadata = {
+            Run_Label: label,
+            Mode: driveMode,
+            Scenario: isScenario ? scenario.name : null,
+            Tracking_RMS_kmh: isScenario ? (view.tracking?.rms ?? 0).toFixed(3) : null,
+            ...(isCharging ? chargeReport(view.session) : {}),
+            Drive_Cycle: isReplay ? replayCycle.name : null,
+            Time_Warp: isReplay ? null : timeWarp,
+            Model_Source: MODEL_SOURCES[modelSource],
+            NN_Inference: NN_BACKENDS[nnBackend],
+            Seed: seedRef.current,
+            Stop_Reason: reason,
+            Dropped_Sim_Time_s: message.dropped > 0 ? message.dropped.toFixed(2) : null,
+            BMS_Event: view.state.bms?.events.map(event => formatBmsEvent(event, engineConfigRef.current.bms)),
+            Setup: `${setup.name}${setupChanged ? ' (modified)' : ''}`,
+            Battery: fleetVehicle
+                ? `fleet vehicle ${fleetVehicle.id} at ${fleetVehicle.soh.toFixed(1)}% SOH`
+                : `${setup.battery.series}S${setup.battery.parallel}P, ${setup.battery.cellCapacityAh} Ah cells, resistance ${setup.battery.resistance}%`,
+            Current_Limits_A: `discharge ${setup.limits.maxDischargeCurrent}, charge ${setup.limits.maxChargeCurrent}`,
+            Cell_Spread: packConfig
+                ? `capacity ${packConfig.capacitySpread}%, resistance ${packConfig.resistanceSpread}%, SOC ${packConfig.socSpread}% (1 sigma)`
+                : null,
+            Balancing: packConfig?.balancing.enabled
+                ? `start ${(packConfig.balancing.startDelta * 1000).toFixed(0)} mV, stop ${(packConfig.balancing.stopDelta * 1000).toFixed(0)} mV`
+                : 'off',
+            Vehicle: vehicleConfig
+                ? `${vehicleConfig.massKg} kg, Cd ${vehicleConfig.dragCoefficient}, A ${vehicleConfig.frontalAreaM2} m2, Crr ${vehicleConfig.rollingResistance}, `
+                    + `${vehicleConfig.motor.maxPowerKw} kW / ${vehicleConfig.motor.maxTorqueNm} Nm, regen ${vehicleConfig.motor.maxRegenPowerKw} kW`
+                : 'lumped throttle model',
+            Thermal: thermalConfig
+                ? `two-node, ${THERMAL_MODES[thermalMode]}, heater ${thermalConfig.heater.maxPowerW} W, chiller ${thermalConfig.chiller.maxCoolingW} W`
+                : `cooling rate ${coolingRate}%`,
+            Ambient_C: ambientTemp,
+            Fault: faultTimeline.map(formatFault),
+            Fault_SOC_Error: faultErrorReport(rows),
+            ...predictionScore,
+            Started: new Date(started).toISOString(),
+        };
+
+        // Controls as they were at the end of the run, for telling runs apart in the library
+        const settings = {
+            regenBraking, coolingRate, ambientTemp, timeWarp, snapshotHz, modelSource, nnBackend, seed: seedRef.current,
+            replaySpeed: isReplay ? replaySpeed : null, driveCycle: isReplay ? replayCycle.name : null,
+            scenarioId: isScenario ? scenarioId : null,
+            chargerId: isCharging ? chargerId : null, chargeTargetSoc: isCharging ? chargeTargetSoc : null,
+            setup, packConfig, bmsConfig, vehicleConfig, thermalConfig, thermalMode, faultTimeline,
+        };
+        const download = () => downloadRunCsv(rows, metadata, modelSource, label);
+        if (autoDownload) download();
+        saveRun({ label, createdAt: started, mode: driveMode, source: modelSource, metadata, settings, summary: summarizeRun(rows), rows })
+            .then(() => {
+                setLibraryNotice({ text: `Saved "${label}" (${rows.length} samples) to the run library.` });
+                refreshRuns();
+            })
+            .catch(err => {
+                // Never lose a run: fall back to the CSV download
+                const filename = autoDownload ? null : download();
+                setLibraryNotice({ text: `${err.message}${filename ? ` Downloaded ${filename} instead.` : ''}`, error: true });
+            });
     };
 
+    // The handler is refreshed every render so it sees the current mode and settings
+    useEffect(() => {
+        workerHandlerRef.current = (message) => {
+            if (message.type === 'snapshot') applySnapshot(message);
+            else if (message.type === 'finished') finishSimulation(message);
+            else if (message.type === 'error') {
+                setSimError(message.message);
+                setIsSimulating(false);
+            }
+        };
+    });
+
+    useEffect(() => {
+        const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => workerHandlerRef.current?.(e.data);
+        worker.onerror = (e) => {
+            setSimError(e.message || 'Simulation worker failed.');
+            setIsSimulating(false);
+        };
+        workerRef.current = worker;
+        return () => worker.terminate();
+    }, []);
+
+    useEffect(() => () => canPublisherRef.current?.stop(), []);
+
+    // Control changes go to the worker as commands; the run keeps stepping in between
+    useEffect(() => {
+        workerRef.current?.postMessage({ type: 'inputs', inputs: { throttle, brake, regenBraking, grade, coolingRate, ambientTemp, thermalMode } });
+    }, [throttle, brake, regenBraking, grade, coolingRate, ambientTemp, thermalMode]);
+    // An invalid timeline is kept for editing but never sent; the run keeps the last valid one
+    useEffect(() => {
+        if (!faultError) workerRef.current?.postMessage({ type: 'inputs', inputs: { faults: faultTimeline } });
+    }, [faultTimeline, faultError]);
+
+    useEffect(() => {
+        try {
+            savePedalSettings(pedalSettings);
+            setPedalError(null);
+        } catch (err) {
+            setPedalError(err.message);
+        }
+    }, [pedalSettings]);
+
+    // Pads only appear in getGamepads() after their first button press
+    useEffect(() => {
+        const onConnect = (e) => setGamepadName(e.gamepad.id);
+        const onDisconnect = () => setGamepadName(firstGamepad(navigator.getGamepads?.())?.id ?? null);
+        window.addEventListener('gamepadconnected', onConnect);
+        window.addEventListener('gamepaddisconnected', onDisconnect);
+        return () => {
+            window.removeEventListener('gamepadconnected', onConnect);
+            window.removeEventListener('gamepaddisconnected', onDisconnect);
+        };
+    }, []);
+
+    // Held bound keys (or the next key while rebinding); typing in form fields is left alone
+    useEffect(() => {
+        const keys = heldKeysRef.current;
+        const bound = boundKeys(pedalSettings);
+        const editing = (target) => target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+        const onKeyDown = (e) => {
+            if (bindingCapture?.device === 'key') {
+                e.preventDefault();
+                const { target } = bindingCapture;
+                if (e.code !== 'Escape') setPedalSettings(ps => updateBinding(ps, target, { keys: [...bindingFor(ps, target).keys, e.code] }));
+                setBindingCapture(null);
+                return;
+            }
+            if (!pedalSettings.enabled || !bound.has(e.code) || editing(e.target)) return;
+            e.preventDefault(); // Space and the arrows would scroll the page
+            keys.add(e.code);
+        };
+        const onKeyUp = (e) => keys.delete(e.code);
+        const onBlur = () => keys.clear();
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+        window.addEventListener('blur', onBlur);
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('keyup', onKeyUp);
+            window.removeEventListener('blur', onBlur);
+            keys.clear();
+        };
+    }, [pedalSettings, bindingCapture]);
+
+    // Polls keys and gamepad every frame while driving live. Pedal values are written to the
+    // controls only while they move or are pressed, so the mouse controls work when they rest
+    const pedalsDriving = pedalSettings.enabled && isSimulating && driveMode === 'live';
+    const capturingPad = bindingCapture?.device === 'gamepad';
+    useEffect(() => {
+        if (!pedalsDriving && !capturingPad) return;
+        let frame;
+        let last = null;
+        let state = createPedalState();
+        let baselineAxes = null;
+        const poll = (now) => {
+            const dt = last == null ? 0 : Math.min(0.1, (now - last) / 1000);
+            last = now;
+            const gamepad = firstGamepad(navigator.getGamepads?.());
+            setGamepadName(gamepad ? gamepad.id : null);
+
+            if (capturingPad) {
+                baselineAxes ??= gamepad ? [...gamepad.axes] : null;
+                const control = detectGamepadControl(gamepad, baselineAxes);
+                if (control) {
+                    setPedalSettings(ps => updateBinding(ps, bindingCapture.target, { gamepad: control }));
+                    setBindingCapture(null);
+                    return;
+                }
+            } else {
+                const out = stepPedals(state, { keys: heldKeysRef.current, gamepad }, pedalSettings, dt);
+                if (out.throttle > 0 || out.throttle !== state.throttle) setThrottle(Math.round(out.throttle));
+                if (out.brake > 0 || out.brake !== state.brake) setBrake(Math.round(out.brake));
+                if (out.regenDelta) setRegenBraking(r => Math.max(0, Math.min(100, r + out.regenDelta)));
+                state = out.state;
+            }
+            frame = requestAnimationFrame(poll);
+        };
+        frame = requestAnimationFrame(poll);
+        return () => cancelAnimationFrame(frame);
+    }, [pedalsDriving, capturingPad, pedalSettings, bindingCapture]);
+
     useEffect(() => {
-        if (!isSimulating) return;
+        workerRef.current?.postMessage({ type: 'speed', speed: isReplay ? replaySpeed : timeWarp, paused: isReplay && replayPaused });
+    }, [isReplay, replaySpeed, replayPaused, timeWarp]);
+
+    useEffect(() => {
+        workerRef.current?.postMessage({ type: 'snapshotRate', hz: snapshotHz });
+    }, [snapshotHz]);
+
+    useEffect(() => {
+        // Replays and scenarios run to the end of their profile instead of the set run length
+        if (!isSimulating || driveMode !== 'live') return;
         const timerId = setInterval(() => {
             const elapsedTime = (Date.now() - simStartTimeRef.current) / 1000;
-            const remainingTime = Math.max(0, SIMULATION_DURATION - elapsedTime);
+            if (runSeconds == null) {
+                setTimer(elapsedTime); // Unlimited: runs until stopped
+                return;
+            }
+            const remainingTime = Math.max(0, runSeconds - elapsedTime);
             setTimer(remainingTime);
             if (remainingTime <= 0) {
                 setTimeout(stopSimulation, 50); 
             }
         }, 100); 
         return () => clearInterval(timerId);
-    }, [isSimulating]);
+    }, [isSimulating, driveMode, runSeconds]);
     
-    useEffect(() => {
-        if (isBraking) {
-            setThrottle(0);
-        }
-    }, [isBraking]);
 
-    // =================================================================
-    // MAIN SIMULATION LOOP (Unchanged)
-    // =================================================================
-    useEffect(() => {
-        const loop = () => {
-            const now = Date.now();
-            const deltaTime = (now - lastTimeRef.current) / 1000;
-            lastTimeRef.current = now;
+    // History the metric card charts draw from
+    const chartProps = { history, version: historyVersion, windowSeconds: chartWindow };
 
-            const physicsDeltaTime = deltaTime * timeWarp;
+    // Plain render helper (not a component) so the number inputs keep focus across re-renders
+    const packSetting = (label, value, onChange, { step = 1, min = 0, max = 100 } = {}) => (
+        <label className="flex items-center justify-between gap-2 text-xs text-slate-400">
+            {label}
+            <input
+                type="number"
+                value={value}
+                step={step}
+                min={min}
+                max={max}
+                onChange={e => Number.isFinite(e.target.valueAsNumber) && onChange(e.target.valueAsNumber)}
+                disabled={isSimulating}
+                className="w-16 bg-slate-700 text-white rounded p-1 text-right border border-slate-600 disabled:opacity-50"
+            />
+        </label>
+    );
+    // Fault settings stay editable during a run; `blank` maps an empty field to null (open end)
+    const faultSetting = (label, value, onChange, { step = 1, blank = false } = {}) => (
+        <label key={label} className="flex items-center gap-1">
+            {label}
+            <input
+                type="number"
+                value={value ?? ''}
+                step={step}
+                placeholder={blank ? 'end' : undefined}
+                onChange={e => (blank && e.target.value === '' ? onChange(null) : Number.isFinite(e.target.valueAsNumber) && onChange(e.target.valueAsNumber))}
+                className="w-16 bg-slate-700 text-white rounded p-1 text-right border border-slate-600"
+            />
+        </label>
+    );
+    // Settings changes preview the pack that the next start will build
+    const changePackConfig = (next) => {
+        setPackConfig(next);
+        setPackView(packSnapshot(createInitialState({ soc: setup.run.startSoc, ambientTemp, config: setupEngineConfig({ ...currentSetup(), pack: next }) }).pack));
+    };
+    // BMS thresholds are validated on every edit; an invalid set blocks the next start
+    const updateBmsFault = (id, patch) => {
+        const next = { ...bmsConfig, faults: { ...bmsConfig.faults, [id]: { ...bmsConfig.faults[id], ...patch } } };
+        setBmsConfig(next);
+        try {
+            validateBmsConfig(next);
+            setBmsConfigError(null);
+        } catch (err) {
+            setBmsConfigError(err.message);
+        }
+    };
 
-            if (isSimulating) {
-                
-                // 1. CURRENT CALCULATION
-                let currentForPhysics = calculateCurrent(
-                    throttle, isBraking, regenBraking, speedRef.current, 
-                    MAX_DISCHARGE_CURRENT, MAX_CHARGE_CURRENT
-                );
-                const gradeEffect = grade * 0.1; 
-                currentForPhysics -= gradeEffect * 10;
-                currentRef.current = currentRef.current + (currentForPhysics - currentRef.current) * 0.1;
-
-                // 2. SOC, DOD, CYCLE LIFE
-                const currentAh = currentRef.current * (physicsDeltaTime / 3600);
-                socRef.current = Math.max(0, Math.min(100, socRef.current + currentAh / BATTERY_CAPACITY_AH * 100));
-                const newDod = Math.abs(socRef.current - REFERENCE_SOC);
-                
-                if (currentRef.current > 0) {
-                    chargedAhRef.current += currentAh;
-                } else {
-                    dischargedAhRef.current += Math.abs(currentAh);
-                }
-                const totalAhCycled = (chargedAhRef.current + dischargedAhRef.current) / 2;
-                const newCycleLife = totalAhCycled / BATTERY_CAPACITY_AH;
-                
-                // 3. VOLTAGE, TEMP, SOH
-                const simulatedVoltage = calculateVoltage(socRef.current, currentRef.current, NOMINAL_VOLTAGE, R_INTERNAL);
-                const tempChange = calculateTemperatureChange(currentRef.current, tempRef.current, ambientTemp, R_INTERNAL, coolingRate, physicsDeltaTime);
-                tempRef.current = Math.max(ambientTemp, tempRef.current + tempChange);
-                sohRef.current = calculateSOHDegradation(sohRef.current, socRef.current, tempRef.current, currentRef.current, deltaTime, timeWarp); 
-
-                // 4. VEHICLE SPEED/MOVEMENT PHYSICS
-                const maxSpeed = 160; 
-                let targetSpeed;
-                
-                if (throttle > 0 && !isBraking) {
-                    targetSpeed = throttle / 100 * maxSpeed;
-                } else if (isBraking) {
-                    targetSpeed = Math.max(0, speedRef.current * (1 - 0.2 * physicsDeltaTime)); 
-                } else {
-                    targetSpeed = Math.max(0, speedRef.current * (1 - 0.05 * physicsDeltaTime)); 
-                }
-                speedRef.current = speedRef.current + (targetSpeed - speedRef.current) * 0.08 * physicsDeltaTime;
-                speedRef.current = Math.max(0, speedRef.current - gradeEffect * 0.5 * physicsDeltaTime);
-                setVehicleSpeed(speedRef.current);
-
-                // 5. UI STATE UPDATES & DATA LOGGING (at fixed rate)
-                if (now - lastApiCallTimeRef.current > 100) { 
-                    lastApiCallTimeRef.current = now;
-
-                    // Simulated Model Data (Kept for CSV export consistency)
-                    const socNoise = (Math.random() * 0.2 - 0.1); 
-                    const sohNoise = (Math.random() * 0.05 - 0.025); 
-                    const simulatedSocModel = Math.max(0, Math.min(100, socRef.current + socNoise));
-                    const simulatedSohModel = Math.max(0, Math.min(100, sohRef.current + sohNoise));
-                    const calculatedSocError = Math.abs(socRef.current - simulatedSocModel);
-                    const calculatedSohError = Math.abs(sohRef.current - simulatedSohModel);
-                    const elapsedTime = (now - simStartTimeRef.current) / 1000;
-                    
-                    // --- LOG CURRENT STATE ---
-                    telemetryDataRef.current.push({
-                        time: elapsedTime, voltage: simulatedVoltage, current: currentRef.current, 
-                        temp: tempRef.current, speed: speedRef.current, socActual: socRef.current, 
-                        sohActual: sohRef.current, socModel: simulatedSocModel, sohModel: simulatedSohModel, 
-                        socError: calculatedSocError, sohError: calculatedSohError
-                    });
-                    // --- END LOGGING ---
-
-                    setBatteryCurrent(currentRef.current);
-                    setBatteryVoltage(simulatedVoltage);
-                    setBatteryTemp(tempRef.current);
-                    setSoc(socRef.current);
-                    setSoh(sohRef.current);
-                    setDod(newDod);
-                    setCycleLife(newCycleLife);
-                    
-                    setCurrentHistory(p => [...p.slice(1), currentRef.current]);
-                    setSocHistory(p => [...p.slice(1), socRef.current]);
-                    setSohHistory(p => [...p.slice(1), sohRef.current]);
-
-                    // 6. WARNING CHECKS
-                    setIsOverCurrent(Math.abs(currentRef.current) > OVER_CURRENT_LIMIT);
-                    setIsOverVoltage(simulatedVoltage > OVER_VOLTAGE_LIMIT);
-                    setIsOverTemp(tempRef.current > OVER_TEMP_LIMIT);
-
-                    if (tempRef.current > OVER_TEMP_LIMIT && coolingRate < 100) {
-                        setCoolingRate(p => Math.min(100, p + 5));
-                    }
-                }
-                
-                if (socRef.current <= 0.1) {
-                    stopSimulation();
-                    socRef.current = 0;
-                    setSoc(0);
-                }
-            }
+    const handleBmsReset = () => {
+        if (isSimulating) workerRef.current.postMessage({ type: 'resetBms' });
+    };
 
-            animationRef.current = requestAnimationFrame(loop);
-        };
-        
-        lastTimeRef.current = Date.now();
-        animationRef.current = requestAnimationFrame(loop);
-        return () => cancelAnimationFrame(animationRef.current);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [isSimulating, ambientTemp, coolingRate, grade, regenBraking, throttle, isBraking, timeWarp]);
-
-    // --- CHART COMPONENT (Refined Style and Consistency) ---
-    const LineChart = ({ data, color, min, max, unit }) => {
-        const autoMin = min !== undefined ? min : Math.floor(Math.min(...data));
-        const autoMax = max !== undefined ? max : Math.ceil(Math.max(...data));
-        const width = 250, height = 100; // Increased size for consistency
-        const getPath = (dataset) => {
-            if (!dataset.length) return '';
-            return 'M ' + dataset.map((v, i) => {
-                const x = (i / (dataset.length - 1)) * width;
-                const y = height - ((v - autoMin) / (autoMax - autoMin || 1)) * height;
-                return `${x},${y}`;
-            }).join(' L ');
-        };
-        return (
-            <div className="relative h-28 w-full mt-2">
-                <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-full overflow-visible" preserveAspectRatio="none">
-                    <path d={getPath(data)} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
-                </svg>
-                <div className="flex justify-between text-xs text-slate-500 mt-1">
-                    <span>{autoMin.toFixed(0)}{unit}</span>
-                    <span>{autoMax.toFixed(0)}{unit}</span>
-                </div>
-            </div>
-        );
+    // Vehicle parameters are validated on every edit; an invalid set blocks the next start
+    const changeVehicleConfig = (next) => {
+        setVehicleConfig(next);
+        try {
+            if (next) validateVehicleConfig(next);
+            setVehicleConfigError(null);
+        } catch (err) {
+            setVehicleConfigError(err.message);
+        }
     };
+    const updateVehicle = (patch) => changeVehicleConfig({ ...vehicleConfig, ...patch });
+    const updateMotor = (patch) => changeVehicleConfig({ ...vehicleConfig, motor: { ...vehicleConfig.motor, ...patch } });
 
-    // --- NEW METRIC CARD COMPONENT for Consistency ---
-    const MetricCard = ({ title, value, unit, colorClass, icon: Icon, data, min, max }) => (
-        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 h-full flex flex-col justify-between">
-            <div>
-                <div className="flex items-center gap-2 text-sm font-medium text-slate-400 mb-1">
-                    <Icon size={16} className={`text-${colorClass.split('-')[1]}-400`} />
-                    {title}
-                </div>
-                <div className={`text-4xl font-extrabold ${colorClass} leading-tight`}>
-                    {value}
-                    <span className="text-sm font-semibold text-slate-400 ml-1">{unit}</span>
-                </div>
-            </div>
-            
-            {(data && data.length > 0) && (
-                <LineChart data={data} color={`#${colorClass.includes('green') ? '10b981' : colorClass.includes('indigo') ? '6366f1' : colorClass.includes('yellow') ? 'f59e0b' : 'ef4444'}`} min={min} max={max} unit={unit} />
-            )}
-        </div>
-    );
+    // Thermal parameters likewise; between runs the pack soaks at the ambient temperature
+    const changeThermalConfig = (next) => {
+        setThermalConfig(next);
+        try {
+            if (next) validateThermalConfig(next);
+            setThermalConfigError(null);
+        } catch (err) {
+            setThermalConfigError(err.message);
+        }
+    };
+    const updateThermalController = (patch) => changeThermalConfig({ ...thermalConfig, controller: { ...thermalConfig.controller, ...patch } });
+    // Fault timeline edits are validated like the configs above; an invalid one blocks the next start
+    const changeFaultTimeline = (next, series = setup.battery.series) => {
+        setFaultTimeline(next);
+        try {
+            validateFaultTimeline(next, series);
+            setFaultError(null);
+        } catch (err) {
+            setFaultError(err.message);
+        }
+    };
+    const updateFault = (index, patch) => changeFaultTimeline(faultTimeline.map((fault, i) => (i === index ? { ...fault, ...patch } : fault)));
+    // While running, a new fault starts now and ending one ends it now; otherwise they span the run
+    const injectFault = () => changeFaultTimeline([...faultTimeline, createFault(newFaultType, isSimulating ? Math.round(simTime * 10) / 10 : 0)]);
+    const endFault = (index) => updateFault(index, { end: Math.max(faultTimeline[index].start + 0.1, Math.round(simTime * 10) / 10) });
+    const handleFaultFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            changeFaultTimeline(parseFaultTimelineJson(await file.text(), setup.battery.series));
+            setFaultFileError(null);
+        } catch (err) {
+            setFaultFileError(`${file.name}: ${err.message}`);
+        }
+    };
+    const saveFaultTimeline = () => downloadText(JSON.stringify({ faults: faultTimeline }, null, 2), 'fault_timeline.json', 'application/json');
+    const changeAmbientTemp = (value) => {
+        setAmbientTemp(value);
+        if (!isSimulating) setBatteryTemp(value);
+    };
 
-    const ControlSlider = ({ label, val, setVal, icon: Icon, disabled, min = 0, max = 100, unit = '%' }) => (
-        <div className={`bg-slate-700 p-4 rounded-xl shadow-md border border-slate-600 transition-opacity ${disabled ? 'opacity-50 pointer-events-none' : ''}`}>
-            <div className="flex justify-between mb-2">
-                <span className="flex items-center gap-2 font-medium text-slate-300">
-                    <Icon size={16} className="text-indigo-400" /> {label}
-                </span>
-                <span className="font-bold text-white">{val}{unit}</span>
-            </div>
-            <input 
-                type="range" 
-                min={min} 
-                max={max} 
-                value={val} 
-                onChange={e => setVal(Number(e.target.value))} 
-                className="w-full h-2 bg-slate-500 rounded-lg appearance-none cursor-pointer" 
-            />
-        </div>
-    );
+    const updateBalancing = (patch) => changePackConfig({ ...packConfig, balancing: { ...packConfig.balancing, ...patch } });
 
-    const ControlButton = ({ label, icon: Icon, active, onMouseDown, onMouseUp, disabled }) => (
-        <button 
-            onMouseDown={onMouseDown} 
-            onMouseUp={onMouseUp} 
-            onTouchStart={onMouseDown}
-            onTouchEnd={onMouseUp}
-            disabled={disabled}
-            className={`w-full p-4 rounded-xl border shadow-sm transition-all flex items-center justify-center gap-2 text-lg font-bold ${
-                active ? 'bg-red-500 text-white border-red-600 shadow-xl scale-105' : 
-                         'bg-slate-700 text-red-400 border-slate-600 hover:bg-slate-600'
-            } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
-        >
-            <Icon size={20} /> {label}
-        </button>
+    // The whole setup as the editors hold it
+    const currentSetup = () => ({ ...setup, pack: packConfig, bms: bmsConfig, vehicle: vehicleConfig, thermal: thermalConfig });
+    // Standby views show the pack the next start will build
+    const previewSetup = (next) => {
+        const preview = createInitialState({ soc: next.run.startSoc, ambientTemp, config: setupEngineConfig(next) });
+        setPackView(packSnapshot(preview.pack));
+        setBatteryVoltage(preview.voltage);
+        setSoc(next.run.startSoc);
+    };
+    // Setup edits are validated like the configs above; an invalid one blocks the next start
+    const changeSetup = (next) => {
+        setSetup(next);
+        try {
+            validateBatterySetup(next);
+            setSetupError(null);
+            previewSetup({ ...currentSetup(), ...next });
+            changeFaultTimeline(faultTimeline, next.battery.series);
+        } catch (err) {
+            setSetupError(err.message);
+        }
+    };
+    const updateSetup = (section, patch) => changeSetup({ ...setup, [section]: { ...setup[section], ...patch } });
+    // Presets, setup files and shared links replace every part of the setup
+    const applySetup = (next) => {
+        setSetup(setupBasics(next));
+        setSetupError(null);
+        setPackConfig(next.pack);
+        setBmsConfig(next.bms);
+        setBmsConfigError(null);
+        setVehicleConfig(next.vehicle);
+        setVehicleConfigError(null);
+        setThermalConfig(next.thermal);
+        setThermalConfigError(null);
+        changeFaultTimeline(faultTimeline, next.battery.series);
+        previewSetup(next);
+    };
+    const selectPreset = (id) => {
+        applySetup(presetSetup(id));
+        setSetupNotice(null);
+    };
+    const handleSetupFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            applySetup(parseSetupJson(await file.text()));
+            setSetupNotice({ text: `Loaded ${file.name}.` });
+        } catch (err) {
+            setSetupNotice({ text: `${file.name}: ${err.message}`, error: true });
+        }
+    };
+    const saveSetup = () => downloadText(setupToJson(currentSetup()), `setup_${setup.preset}.json`, 'application/json');
+    // The link replaces the address bar's hash and goes to the clipboard when the browser allows it
+    const shareSetup = () => {
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}${setupToHash(currentSetup())}`;
+        window.history.replaceState(null, '', url);
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('No clipboard access.'));
+        copied.then(
+            () => setSetupNotice({ text: 'Link copied: it opens this setup and run length.' }),
+            () => setSetupNotice({ text: 'Link is in the address bar: copy it from there.' }),
+        );
+    };
+    const setupChanged = useMemo(
+        () => setupModified({ ...setup, pack: packConfig, bms: bmsConfig, vehicle: vehicleConfig, thermal: thermalConfig }),
+        [setup, packConfig, bmsConfig, vehicleConfig, thermalConfig],
     );
+    const setupSummary = setupError ? null : setupPackSummary(setup);
+    const configInvalid = setupError != null || bmsConfigError != null || vehicleConfigError != null || thermalConfigError != null;
 
-    const WarningCard = ({ label, isTriggered, limit, unit }) => (
-        <div className={`p-3 rounded-xl shadow-md transition-colors flex flex-col items-center justify-center text-center ${
-            isTriggered ? 'bg-red-500 text-white animate-pulse' : 'bg-slate-600 text-green-300'
-        }`}>
-            {isTriggered ? <AlertTriangle size={24} /> : <CheckCircle size={24} />}
-            <div className="font-bold text-sm mt-1">{label}</div>
-            <div className="text-xs text-slate-200">{isTriggered ? `Limit: >${limit}${unit}` : 'Nominal'}</div>
-        </div>
-    );
-    
     // --- Determine SOC Color ---
     const getSocColor = (soc) => {
         if (soc >= 80) return 'text-green-400';
@@ -441,6 +1294,23 @@ function EVDashboard() {
         <div className="min-h-screen bg-slate-900 p-6 font-sans text-white">
             <div className="max-w-7xl mx-auto space-y-6">
                 
+                {fleetVehicle && (
+                    <div className="flex flex-wrap items-center justify-between gap-3 bg-indigo-950 px-4 py-3 rounded-xl border border-indigo-700 text-sm">
+                        <span className="flex items-center gap-2 text-indigo-200">
+                            <Truck size={16} />
+                            Fleet vehicle <span className="font-bold text-white">{fleetVehicle.id}</span>: {fleetVehicle.description},
+                            SOH {fleetVehicle.soh.toFixed(1)}% ({fleetVehicle.battery.cell.capacityAh.toFixed(1)} Ah cells). The battery applies from the next start.
+                        </span>
+                        <button
+                            onClick={onCloseFleetVehicle}
+                            disabled={isSimulating}
+                            className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs font-semibold disabled:opacity-50"
+                        >
+                            Back to the nominal battery
+                        </button>
+                    </div>
+                )}
+
                 {/* Header & Status (Minimalist Dark Header) */}
                 <div className="flex flex-col md:flex-row justify-between items-center bg-slate-800 p-6 rounded-xl shadow-2xl border border-slate-700">
                     <div>
@@ -451,17 +1321,69 @@ function EVDashboard() {
                         <div className="flex items-center gap-4 mt-2 text-sm text-slate-400">
                             <span className={`flex items-center gap-1 px-3 py-1 rounded-full font-semibold ${isSimulating ? 'bg-yellow-800 text-yellow-300' : 'bg-green-800 text-green-300'}`}>
                                 <Loader size={14}/> 
-                                {isSimulating ? `RUNNING: ${timer.toFixed(1)}s LEFT` : "STANDBY"}
+                                {!isSimulating ? "STANDBY" :
+                                    isReplay ? `${replayPaused ? 'PAUSED' : 'REPLAY'}: ${replayTime.toFixed(0)}s / ${replayCycle.duration.toFixed(0)}s` :
+                                    isScenario ? `SCENARIO: ${simTime.toFixed(0)}s / ${scenario.duration.toFixed(0)}s` :
+                                    isCharging ? `CHARGING (${chargeView?.phase.toUpperCase()}): ${soc.toFixed(1)}% -> ${chargeTargetSoc}%` :
+                                    runSeconds == null ? `RUNNING: ${timer.toFixed(1)}s (UNLIMITED)` : `RUNNING: ${timer.toFixed(1)}s LEFT`}
                             </span>
-                            <span className="font-bold">PHYSICS WARP: {timeWarp}x</span>
+                            <span className="font-bold">{isReplay ? `PLAYBACK: ${replaySpeed}x` : `PHYSICS WARP: ${timeWarp}x`}</span>
+                            {droppedSeconds > 0 && (
+                                <span className="text-orange-300" title="Simulated time skipped because stepping fell behind real time">
+                                    BEHIND: {droppedSeconds.toFixed(1)}s skipped
+                                </span>
+                            )}
+                            {simError && <span className="text-red-300">SIMULATION ERROR: {simError}</span>}
+                            {nnBackend === 'browser' ? (
+                                <span className="flex items-center gap-1 px-3 py-1 rounded-full font-semibold bg-green-800 text-green-300">
+                                    <Cpu size={14}/> NN MODEL: IN BROWSER
+                                </span>
+                            ) : (
+                                <span className={`flex items-center gap-1 px-3 py-1 rounded-full font-semibold ${
+                                    backendStatus === 'online' ? 'bg-green-800 text-green-300' :
+                                    backendStatus === 'offline' ? 'bg-red-800 text-red-300' : 'bg-slate-700 text-slate-300'
+                                }`}>
+                                    {backendStatus === 'offline' ? <WifiOff size={14}/> : <Wifi size={14}/>}
+                                    {backendStatus === 'online' ? 'NN MODEL ONLINE' : backendStatus === 'offline' ? 'NN MODEL OFFLINE' : 'NN MODEL: WAITING'}
+                                </span>
+                            )}
                         </div>
                     </div>
                     
                     {/* Controls */}
-                    <div className="flex gap-3 mt-4 md:mt-0">
+                    <div className="flex flex-wrap items-center gap-3 mt-4 md:mt-0">
+                        <div className="flex flex-col gap-1">
+                            <div className="flex items-center gap-2">
+                                <Route size={18} className="text-indigo-400"/>
+                                <select
+                                    value={isScenario ? scenario.id : 'manual'}
+                                    onChange={e => handleScenarioSelect(e.target.value)}
+                                    disabled={isSimulating}
+                                    title={isScenario ? scenario.description : 'Drive with the vehicle controls'}
+                                    className="bg-slate-700 text-white rounded-lg p-2 text-sm border border-slate-600 disabled:opacity-50"
+                                >
+                                    <option value="manual">{isReplay ? 'Drive-cycle replay' : isCharging ? 'Charging session' : 'Manual driving'}</option>
+                                    <optgroup label="Built-in scenarios">
+                                        {BUILT_IN_SCENARIOS.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                                    </optgroup>
+                                    {customScenarios.length > 0 && (
+                                        <optgroup label="Imported scenarios">
+                                            {customScenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                                        </optgroup>
+                                    )}
+                                </select>
+                                <label className={`flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-700 border border-slate-600 text-sm text-slate-200 ${
+                                    isSimulating ? 'opacity-50 pointer-events-none' : 'cursor-pointer hover:bg-slate-600'
+                                }`}>
+                                    <Upload size={14}/> JSON
+                                    <input type="file" accept=".json,application/json" className="hidden" onChange={handleScenarioFile} />
+                                </label>
+                            </div>
+                            {scenarioError && <div className="text-xs text-red-300 max-w-xs">{scenarioError}</div>}
+                        </div>
                         {!isSimulating ? (
-                            <button onClick={startSimulation} className="flex items-center gap-2 bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-xl font-bold transition-all shadow-lg">
-                                <PlayCircle size={20}/> Start Simulation
+                            <button onClick={startSimulation} disabled={(isReplay && !replayCycle) || configInvalid || faultError != null} className="flex items-center gap-2 bg-green-500 hover:bg-green-600 text-white px-6 py-3 rounded-xl font-bold transition-all shadow-lg disabled:opacity-50 disabled:cursor-not-allowed">
+                                <PlayCircle size={20}/> {isReplay ? 'Start Replay' : isCharging ? 'Start Charging' : 'Start Simulation'}
                             </button>
                         ) : (
                             <button onClick={stopSimulation} className="flex items-center gap-2 bg-red-500 hover:bg-red-600 text-white px-6 py-3 rounded-xl font-bold transition-all shadow-lg">
@@ -476,31 +1398,242 @@ function EVDashboard() {
                     
                     {/* Column 1: Controls (3/12) - Dark background for control panel */}
                     <div className="lg:col-span-3 space-y-4">
+                        <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Film size={20} className="text-indigo-400"/> Drive Mode</div>
+                        <div className="bg-slate-700 p-4 rounded-xl shadow-md border border-slate-600 space-y-3">
+                            <div className="grid grid-cols-4 gap-2">
+                                {Object.entries(DRIVE_MODES).map(([mode, label]) => (
+                                    <button
+                                        key={mode}
+                                        onClick={() => setDriveMode(mode)}
+                                        disabled={isSimulating}
+                                        className={`py-2 rounded-lg font-semibold text-sm transition-colors disabled:cursor-not-allowed ${
+                                            driveMode === mode ? 'bg-indigo-500 text-white' : 'bg-slate-600 text-slate-300 hover:bg-slate-500'
+                                        }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            {isScenario && (
+                                <div className="text-xs text-slate-300">
+                                    {scenario.name}: {scenario.description} ({scenario.duration.toFixed(0)}s).
+                                    The driver model sets throttle, brake and grade; regen and cooling stay manual.
+                                </div>
+                            )}
+
+                            {isCharging && (
+                                <>
+                                    <select
+                                        value={chargerId}
+                                        onChange={e => setChargerId(e.target.value)}
+                                        disabled={isSimulating}
+                                        className="w-full bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                                    >
+                                        <optgroup label="AC">
+                                            {CHARGERS.filter(c => c.type === 'AC').map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                        </optgroup>
+                                        <optgroup label="DC">
+                                            {CHARGERS.filter(c => c.type === 'DC').map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                                        </optgroup>
+                                    </select>
+                                    <div className="grid grid-cols-2 gap-2">
+                                        <label className="text-xs text-slate-300">
+                                            Start SOC (%)
+                                            <input
+                                                type="number" min={0} max={100} value={chargeStartSoc}
+                                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setChargeStartSoc(Math.max(0, Math.min(100, e.target.valueAsNumber)))}
+                                                disabled={isSimulating}
+                                                className="w-full mt-1 bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                                            />
+                                        </label>
+                                        <label className="text-xs text-slate-300">
+                                            Target SOC (%)
+                                            <input
+                                                type="number" min={1} max={100} value={chargeTargetSoc}
+                                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setChargeTargetSoc(Math.max(1, Math.min(100, e.target.valueAsNumber)))}
+                                                disabled={isSimulating}
+                                                className="w-full mt-1 bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                                            />
+                                        </label>
+                                    </div>
+                                    <div className="text-xs text-slate-300">
+                                        Constant current up to {CHARGERS.find(c => c.id === chargerId).maxCurrent} A from the charger, but never above the pack's{' '}
+                                        {setup.limits.maxChargeCRate} C{setupSummary && ` (${(setup.limits.maxChargeCRate * setupSummary.capacityAh).toFixed(0)} A)`} between 20 and 40 °C
+                                        or its {setup.limits.maxChargeCurrent} A charge limit; both set in Setup. The cell temperature and the BMS taper it further,
+                                        then constant voltage holds the cell maximum. Use time warp to shorten long sessions; cooling stays manual.
+                                    </div>
+                                </>
+                            )}
+
+                            {isReplay && (
+                                <>
+                                    <select
+                                        value={replayCycle && BUNDLED_DRIVE_CYCLES.some(c => c.name === replayCycle.name) ? replayCycle.name : ''}
+                                        onChange={e => handleBundledCycle(e.target.value)}
+                                        disabled={isSimulating || replayLoading}
+                                        className="w-full bg-slate-600 text-white rounded-lg p-2 text-sm"
+                                    >
+                                        <option value="" disabled>Bundled drive cycle...</option>
+                                        {BUNDLED_DRIVE_CYCLES.map(c => <option key={c.name} value={c.name}>{c.name}</option>)}
+                                    </select>
+                                    <label className={`flex items-center justify-center gap-2 w-full py-2 rounded-lg bg-slate-600 text-sm text-slate-200 ${
+                                        isSimulating || replayLoading ? 'opacity-50 pointer-events-none' : 'cursor-pointer hover:bg-slate-500'
+                                    }`}>
+                                        <Upload size={14}/> Load CSV file
+                                        <input type="file" accept=".csv,text/csv" className="hidden" onChange={handleReplayFile} />
+                                    </label>
+                                    <label className={`flex items-center justify-center gap-2 w-full py-2 rounded-lg bg-slate-600 text-sm text-slate-200 ${
+                                        isSimulating || replayLoading ? 'opacity-50 pointer-events-none' : 'cursor-pointer hover:bg-slate-500'
+                                    }`}>
+                                        <Network size={14}/> Load CAN log (candump / ASC)
+                                        <input type="file" accept=".log,.asc,.txt" className="hidden" onChange={handleCanLogFile} />
+                                    </label>
+
+                                    {replayLoading && <div className="text-xs text-slate-300">Loading drive cycle...</div>}
+                                    {replayError && <div className="text-xs text-red-300">{replayError}</div>}
+                                    {replayCycle && (
+                                        <div className="text-xs text-slate-300">
+                                            {replayCycle.name}: {replayCycle.length} samples, {replayCycle.duration.toFixed(0)}s,
+                                            start SOC {replayCycle.soc[0].toFixed(1)}%
+                                        </div>
+                                    )}
+
+                                    <div className="flex items-center gap-2">
+                                        <button
+                                            onClick={() => setReplayPaused(p => !p)}
+                                            disabled={!isSimulating}
+                                            className="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 text-sm font-semibold disabled:opacity-50"
+                                        >
+                                            {replayPaused ? <Play size={14}/> : <Pause size={14}/>} {replayPaused ? 'Resume' : 'Pause'}
+                                        </button>
+                                        <select
+                                            value={replaySpeed}
+                                            onChange={e => setReplaySpeed(Number(e.target.value))}
+                                            className="flex-1 bg-slate-600 text-white rounded-lg p-2 text-sm"
+                                        >
+                                            {REPLAY_SPEEDS.map(v => <option key={v} value={v}>{v}x speed</option>)}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <input
+                                            type="range"
+                                            min={0}
+                                            max={replayCycle ? replayCycle.duration : 0}
+                                            step={0.1}
+                                            value={replayTime}
+                                            onChange={e => seekReplay(Number(e.target.value))}
+                                            disabled={!isSimulating}
+                                            className="w-full h-2 bg-slate-500 rounded-lg appearance-none cursor-pointer disabled:opacity-50"
+                                        />
+                                        <div className="flex justify-between text-xs text-slate-400 mt-1">
+                                            <span>{replayTime.toFixed(1)}s</span>
+                                            <span>{replayCycle ? replayCycle.duration.toFixed(0) : 0}s</span>
+                                        </div>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+
+                        <hr className="my-4 border-slate-700"/>
                         <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Gauge size={20} className="text-indigo-400"/> Vehicle Controls</div>
                         <ControlSlider 
                             label="Throttle (Acceleration)" 
                             val={throttle} 
                             setVal={setThrottle} 
                             icon={TrendingUp} 
-                            disabled={!isSimulating || isBraking} 
+                            disabled={!isSimulating || isBraking || isReplay || isScenario || isCharging} 
                         />
                         <ControlButton 
                             label="Brake Pedal" 
                             icon={TrendingDown} 
                             active={isBraking} 
-                            onMouseDown={() => setIsBraking(true)} 
-                            onMouseUp={() => setIsBraking(false)} 
-                            onTouchStart={() => setIsBraking(true)} 
-                            onTouchEnd={() => setIsBraking(false)} 
-                            disabled={!isSimulating}
+                            onMouseDown={pressBrakeButton} 
+                            onMouseUp={() => setBrake(0)} 
+                            disabled={!isSimulating || isReplay || isScenario || isCharging}
                         />
                         <ControlSlider 
                             label="Regen Braking Level" 
                             val={regenBraking} 
                             setVal={setRegenBraking} 
                             icon={Zap} 
-                            disabled={!isSimulating} 
+                            disabled={!isSimulating || isReplay || isCharging} 
                         />
+                        <div className="bg-slate-700 p-4 rounded-xl shadow-md border border-slate-600 space-y-2 text-sm text-slate-300">
+                            <div className="flex items-center justify-between">
+                                <label className="flex items-center gap-2 font-medium">
+                                    <input
+                                        type="checkbox"
+                                        checked={pedalSettings.enabled}
+                                        onChange={e => setPedalSettings(ps => ({ ...ps, enabled: e.target.checked }))}
+                                    />
+                                    <Gamepad2 size={16} className="text-indigo-400"/> Keyboard / Gamepad Pedals
+                                </label>
+                                <button
+                                    onClick={() => setShowPedalSettings(v => !v)}
+                                    className="px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-xs"
+                                >
+                                    {showPedalSettings ? 'Hide' : 'Bindings'}
+                                </button>
+                            </div>
+                            <div className="text-xs text-slate-400">
+                                {Object.entries({ ...PEDALS, ...REGEN_ACTIONS }).map(([target, label]) => (
+                                    `${label} ${bindingFor(pedalSettings, target).keys.map(describeKey).join('/') || '-'}`
+                                )).join(' · ')}
+                                <div>Gamepad: {gamepadName ?? 'none (press a button on the pad to connect it)'}</div>
+                                {pedalSettings.enabled && driveMode === 'live' && isSimulating && isBraking && throttle > 0 && (
+                                    <div className="text-yellow-300">Throttle and brake overlap: {throttle}% / {brake}%</div>
+                                )}
+                            </div>
+                            {pedalError && <div className="text-xs text-red-300">{pedalError}</div>}
+                            {showPedalSettings && (
+                                <div className="space-y-3 border-t border-slate-600 pt-2">
+                                    {Object.entries({ ...PEDALS, ...REGEN_ACTIONS }).map(([target, label]) => pedalBindingRow(target, label))}
+                                    <label className="flex items-center justify-between text-xs">
+                                        <span>Regen step per press</span>
+                                        <input
+                                            type="number" min={1} max={50}
+                                            value={pedalSettings.regen.step}
+                                            onChange={e => setPedalSettings(ps => ({ ...ps, regen: { ...ps.regen, step: Math.max(1, Math.min(50, Number(e.target.value) || 1)) } }))}
+                                            className="w-16 bg-slate-600 text-white rounded p-1 text-right"
+                                        />
+                                    </label>
+                                    {Object.entries(PEDALS).map(([pedal, label]) => {
+                                        const cfg = pedalSettings[pedal];
+                                        const curve = Array.from({ length: 21 }, (_, i) => `${i * 3},${60 - 60 * applyResponseCurve(i / 20, cfg)}`).join(' ');
+                                        return (
+                                            <div key={pedal} className="border-t border-slate-600 pt-2 flex gap-3">
+                                                <div className="flex-1 space-y-1">
+                                                    <div className="text-xs font-medium">{label} response</div>
+                                                    {Object.entries(PEDAL_LIMITS).map(([field, limits]) => (
+                                                        <label key={field} className="flex items-center gap-2 text-xs">
+                                                            <span className="w-20">{{ rampUp: 'Ramp up', rampDown: 'Ramp down', deadZone: 'Dead zone', exponent: 'Exponent' }[field]}</span>
+                                                            <input
+                                                                type="range" min={limits.min} max={limits.max} step={limits.step}
+                                                                value={cfg[field]}
+                                                                onChange={e => setPedalValue(pedal, field, Number(e.target.value))}
+                                                                className="flex-1 h-1 bg-slate-500 rounded-lg appearance-none cursor-pointer"
+                                                            />
+                                                            <span className="w-16 text-right text-white">{cfg[field]}{limits.unit}</span>
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                                <svg viewBox="-2 -2 64 64" className="w-16 h-16 bg-slate-800 rounded" aria-label={`${label} response curve`}>
+                                                    <line x1={0} y1={60} x2={60} y2={0} stroke="#475569" strokeDasharray="2 2" />
+                                                    <polyline points={curve} fill="none" stroke="#818cf8" strokeWidth={2} />
+                                                </svg>
+                                            </div>
+                                        );
+                                    })}
+                                    <button
+                                        onClick={() => setPedalSettings(DEFAULT_PEDAL_SETTINGS)}
+                                        className="flex items-center gap-1 px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-xs"
+                                    >
+                                        <RotateCcw size={12}/> Reset to defaults
+                                    </button>
+                                </div>
+                            )}
+                        </div>
                         
                         <hr className="my-4 border-slate-700"/>
                         <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Layers size={20} className="text-indigo-400"/> Environment Settings</div>
@@ -510,15 +1643,25 @@ function EVDashboard() {
                             setVal={setGrade} 
                             icon={grade > 0 ? ChevronUp : ChevronDown} 
                             min={-10} max={10} unit="°"
-                            disabled={!isSimulating} 
+                            disabled={!isSimulating || isReplay || isScenario || isCharging} 
                         />
-                        <ControlSlider 
-                            label="Active Cooling Rate" 
-                            val={coolingRate} 
-                            setVal={setCoolingRate} 
-                            icon={Thermometer} 
-                            disabled={!isSimulating} 
+                        <ControlSlider
+                            label="Ambient Temperature"
+                            val={ambientTemp}
+                            setVal={changeAmbientTemp}
+                            icon={Thermometer}
+                            min={-20} max={50} unit="°C"
+                            disabled={isReplay}
                         />
+                        {!thermalConfig && (
+                            <ControlSlider 
+                                label="Active Cooling Rate" 
+                                val={coolingRate} 
+                                setVal={setCoolingRate} 
+                                icon={Thermometer} 
+                                disabled={!isSimulating || isReplay} 
+                            />
+                        )}
                          <ControlSlider 
                             label="Time Warp (Speed)" 
                             val={timeWarp} 
@@ -527,6 +1670,330 @@ function EVDashboard() {
                             min={1} max={100} unit="x"
                             disabled={isSimulating} 
                         />
+                        <div className="flex items-center justify-between text-sm text-slate-300">
+                            <span>UI Update Rate</span>
+                            <select
+                                value={snapshotHz}
+                                onChange={e => setSnapshotHz(Number(e.target.value))}
+                                className="bg-slate-600 text-white rounded-lg p-2 text-sm"
+                            >
+                                {SNAPSHOT_RATES.map(hz => <option key={hz} value={hz}>{hz} Hz</option>)}
+                            </select>
+                        </div>
+                        <div className="flex items-center justify-between text-sm text-slate-300">
+                            <span>Chart Window</span>
+                            <select
+                                value={chartWindow ?? 'full'}
+                                onChange={e => setChartWindow(e.target.value === 'full' ? null : Number(e.target.value))}
+                                className="bg-slate-600 text-white rounded-lg p-2 text-sm"
+                            >
+                                {CHART_WINDOWS.map(w => <option key={w.label} value={w.seconds ?? 'full'}>{w.label}</option>)}
+                            </select>
+                        </div>
+
+                        <hr className="my-4 border-slate-700"/>
+                        <div className="flex items-center justify-between">
+                            <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><SlidersHorizontal size={20} className="text-indigo-400"/> Setup</div>
+                            <div className="flex items-center gap-1">
+                                <label className={`flex items-center gap-1 px-2 py-1 rounded bg-slate-600 text-xs ${isSimulating ? 'opacity-50' : 'cursor-pointer hover:bg-slate-500'}`}>
+                                    <Upload size={12}/> JSON
+                                    <input type="file" accept=".json,application/json" className="hidden" onChange={handleSetupFile} disabled={isSimulating} />
+                                </label>
+                                <button onClick={saveSetup} disabled={configInvalid} className="flex items-center gap-1 px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-xs disabled:opacity-50">
+                                    <Download size={12}/> JSON
+                                </button>
+                                <button onClick={shareSetup} disabled={configInvalid} className="flex items-center gap-1 px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-xs disabled:opacity-50">
+                                    <Link2 size={12}/> Link
+                                </button>
+                            </div>
+                        </div>
+                        <select
+                            value={setup.preset}
+                            onChange={e => selectPreset(e.target.value)}
+                            disabled={isSimulating}
+                            className="w-full bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                        >
+                            {SETUP_PRESETS.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        <div className="text-xs text-slate-400">
+                            {SETUP_PRESETS.find(p => p.id === setup.preset).description}
+                            {setupChanged && <span className="text-amber-300"> Modified from the preset.</span>}
+                        </div>
+                        <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+                            {packSetting('Cells in series', setup.battery.series, v => updateSetup('battery', { series: v }), { min: 1, max: 400 })}
+                            {packSetting('Cells in parallel', setup.battery.parallel, v => updateSetup('battery', { parallel: v }), { min: 1, max: 50 })}
+                            {packSetting('Cell capacity (Ah)', setup.battery.cellCapacityAh, v => updateSetup('battery', { cellCapacityAh: v }), { step: 0.5, max: 1000 })}
+                            {packSetting('Cell resistance (%)', setup.battery.resistance, v => updateSetup('battery', { resistance: v }), { step: 5, min: 10, max: 1000 })}
+                            {packSetting('Max discharge (A)', setup.limits.maxDischargeCurrent, v => updateSetup('limits', { maxDischargeCurrent: v }), { step: 10, max: 5000 })}
+                            {packSetting('Max charge (A)', setup.limits.maxChargeCurrent, v => updateSetup('limits', { maxChargeCurrent: v }), { step: 10, max: 5000 })}
+                            {packSetting('Charge C-rate', setup.limits.maxChargeCRate, v => updateSetup('limits', { maxChargeCRate: v }), { step: 0.1, max: 10 })}
+                            {packSetting('Start SOC (%)', setup.run.startSoc, v => updateSetup('run', { startSoc: v }), { min: 1, max: 100 })}
+                            {packSetting('Lumped top speed (km/h)', setup.limits.maxSpeed, v => updateSetup('limits', { maxSpeed: v }), { step: 5, max: 500 })}
+                        </div>
+                        <div className="flex items-center justify-between gap-2">
+                            <label className="flex items-center gap-1 text-xs text-slate-400">
+                                <input
+                                    type="checkbox"
+                                    checked={runSeconds == null}
+                                    onChange={e => updateSetup('run', { durationSeconds: e.target.checked ? null : DEFAULT_RUN_SECONDS })}
+                                    disabled={isSimulating}
+                                />
+                                Unlimited live run
+                            </label>
+                            {runSeconds != null && packSetting('Run length (s)', runSeconds, v => updateSetup('run', { durationSeconds: v }), { min: 1, max: MAX_RUN_SECONDS })}
+                        </div>
+                        {setupSummary && (
+                            <div className="text-xs text-slate-400">
+                                Pack: <span className="text-white">{setupSummary.voltage.toFixed(0)} V</span> nominal,{' '}
+                                <span className="text-white">{setupSummary.capacityAh.toFixed(0)} Ah</span>,{' '}
+                                <span className="text-white">{setupSummary.energyKwh.toFixed(1)} kWh</span>. Cell chemistry stays that of the reference pack,
+                                which the NN estimator was trained on.
+                            </div>
+                        )}
+                        {setupError && <div className="text-xs text-red-300">{setupError}</div>}
+                        {setupNotice && <div className={`text-xs ${setupNotice.error ? 'text-red-300' : 'text-green-300'}`}>{setupNotice.text}</div>}
+
+                        <hr className="my-4 border-slate-700"/>
+                        <div className="flex items-center justify-between">
+                            <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Gauge size={20} className="text-indigo-400"/> Vehicle Model</div>
+                            <label className="flex items-center gap-1 text-xs text-slate-400">
+                                <input
+                                    type="checkbox"
+                                    checked={vehicleConfig != null}
+                                    onChange={e => changeVehicleConfig(e.target.checked ? presetSetup(setup.preset).vehicle ?? DEFAULT_VEHICLE_CONFIG : null)}
+                                    disabled={isSimulating}
+                                />
+                                Physics model
+                            </label>
+                        </div>
+                        {vehicleConfig ? (
+                            <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+                                {packSetting('Mass (kg)', vehicleConfig.massKg, v => updateVehicle({ massKg: v }), { step: 10, min: 100, max: 40000 })}
+                                {packSetting('Drag coefficient', vehicleConfig.dragCoefficient, v => updateVehicle({ dragCoefficient: v }), { step: 0.01, max: 2 })}
+                                {packSetting('Frontal area (m²)', vehicleConfig.frontalAreaM2, v => updateVehicle({ frontalAreaM2: v }), { step: 0.1, max: 15 })}
+                                {packSetting('Rolling resistance', vehicleConfig.rollingResistance, v => updateVehicle({ rollingResistance: v }), { step: 0.001, max: 0.1 })}
+                                {packSetting('Motor torque (Nm)', vehicleConfig.motor.maxTorqueNm, v => updateMotor({ maxTorqueNm: v }), { step: 10, max: 5000 })}
+                                {packSetting('Motor power (kW)', vehicleConfig.motor.maxPowerKw, v => updateMotor({ maxPowerKw: v }), { step: 5, max: 1000 })}
+                                {packSetting('Regen power (kW)', vehicleConfig.motor.maxRegenPowerKw, v => updateMotor({ maxRegenPowerKw: v }), { step: 5, max: 1000 })}
+                                {packSetting('Aux load (W)', vehicleConfig.auxPowerW, v => updateVehicle({ auxPowerW: v }), { step: 50, max: 10000 })}
+                            </div>
+                        ) : (
+                            <div className="text-xs text-slate-400">Lumped model: speed lags toward throttle x {setup.limits.maxSpeed} km/h and current is proportional to the throttle.</div>
+                        )}
+                        {vehicleConfigError && <div className="text-xs text-red-300">{vehicleConfigError}</div>}
+
+                        <hr className="my-4 border-slate-700"/>
+                        <div className="flex items-center justify-between">
+                            <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Thermometer size={20} className="text-indigo-400"/> Thermal Management</div>
+                            <label className="flex items-center gap-1 text-xs text-slate-400">
+                                <input
+                                    type="checkbox"
+                                    checked={thermalConfig != null}
+                                    onChange={e => changeThermalConfig(e.target.checked ? presetSetup(setup.preset).thermal ?? DEFAULT_THERMAL_CONFIG : null)}
+                                    disabled={isSimulating}
+                                />
+                                Two-node model
+                            </label>
+                        </div>
+                        {thermalConfig ? (
+                            <>
+                                <div className="flex items-center justify-between text-sm text-slate-300">
+                                    <span>Controller</span>
+                                    <select
+                                        value={thermalMode}
+                                        onChange={e => setThermalMode(e.target.value)}
+                                        disabled={isReplay}
+                                        className="bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                                    >
+                                        {Object.entries(THERMAL_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </div>
+                                {thermalView && (
+                                    <div className="grid grid-cols-3 gap-2 text-xs text-slate-400">
+                                        <div>Core <span className="text-white">{batteryTemp.toFixed(1)}°C</span></div>
+                                        <div>Surface <span className="text-white">{thermalView.surface.toFixed(1)}°C</span></div>
+                                        <div>Coolant <span className="text-white">{thermalView.coolant.toFixed(1)}°C</span></div>
+                                        <div className={thermalView.heating ? 'text-amber-300' : ''}>Heater {thermalView.heaterW.toFixed(0)} W</div>
+                                        <div className={thermalView.chilling ? 'text-sky-300' : ''}>Chiller {thermalView.chillerW.toFixed(0)} W</div>
+                                        <div className={thermalView.pumping ? 'text-green-300' : ''}>Pump {thermalView.pumpW.toFixed(0)} W</div>
+                                        <div className="col-span-3">Drawn from the pack: <span className="text-white">{thermalPower(thermalView).toFixed(0)} W</span></div>
+                                    </div>
+                                )}
+                                <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+                                    {packSetting('Heater (W)', thermalConfig.heater.maxPowerW, v => changeThermalConfig({ ...thermalConfig, heater: { ...thermalConfig.heater, maxPowerW: v } }), { step: 100, max: 20000 })}
+                                    {packSetting('Chiller (W)', thermalConfig.chiller.maxCoolingW, v => changeThermalConfig({ ...thermalConfig, chiller: { ...thermalConfig.chiller, maxCoolingW: v } }), { step: 100, max: 20000 })}
+                                    {packSetting('Heat on (°C)', thermalConfig.controller.heatOn, v => updateThermalController({ heatOn: v }), { min: -40, max: 60 })}
+                                    {packSetting('Heat off (°C)', thermalConfig.controller.heatOff, v => updateThermalController({ heatOff: v }), { min: -40, max: 60 })}
+                                    {packSetting('Pump on (°C)', thermalConfig.controller.pumpOn, v => updateThermalController({ pumpOn: v }), { min: -40, max: 60 })}
+                                    {packSetting('Pump off (°C)', thermalConfig.controller.pumpOff, v => updateThermalController({ pumpOff: v }), { min: -40, max: 60 })}
+                                    {packSetting('Chill on (°C)', thermalConfig.controller.chillOn, v => updateThermalController({ chillOn: v }), { min: -40, max: 80 })}
+                                    {packSetting('Chill off (°C)', thermalConfig.controller.chillOff, v => updateThermalController({ chillOff: v }), { min: -40, max: 80 })}
+                                    {packSetting('Full chill (°C)', thermalConfig.controller.chillFull, v => updateThermalController({ chillFull: v }), { min: -40, max: 80 })}
+                                    {packSetting('Core-surface (K/W)', thermalConfig.coreToSurface, v => changeThermalConfig({ ...thermalConfig, coreToSurface: v }), { step: 0.0005, max: 1 })}
+                                </div>
+                            </>
+                        ) : (
+                            <div className="text-xs text-slate-400">Cooling-rate model: the pack cools toward ambient at the Active Cooling Rate, with no heater or chiller load.</div>
+                        )}
+                        {thermalConfigError && <div className="text-xs text-red-300">{thermalConfigError}</div>}
+
+                        <hr className="my-4 border-slate-700"/>
+                        <div className="flex items-center justify-between">
+                            <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Bug size={20} className="text-indigo-400"/> Fault Injection</div>
+                            <div className="flex items-center gap-1">
+                                <label className="cursor-pointer flex items-center gap-1 px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-xs">
+                                    <Upload size={12}/> JSON
+                                    <input type="file" accept=".json,application/json" className="hidden" onChange={handleFaultFile} />
+                                </label>
+                                <button
+                                    onClick={saveFaultTimeline}
+                                    disabled={faultTimeline.length === 0}
+                                    className="flex items-center gap-1 px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-xs disabled:opacity-50"
+                                >
+                                    <Download size={12}/> Save
+                                </button>
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={newFaultType}
+                                onChange={e => setNewFaultType(e.target.value)}
+                                className="flex-1 bg-slate-600 text-white rounded-lg p-2 text-sm"
+                            >
+                                {Object.entries(FAULT_TYPES).map(([key, type]) => <option key={key} value={key}>{type.label}</option>)}
+                            </select>
+                            <button onClick={injectFault} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-red-700 hover:bg-red-600 text-xs font-semibold">
+                                <Plus size={14}/> {isSimulating ? 'Inject now' : 'Add'}
+                            </button>
+                        </div>
+                        {faultTimeline.length === 0 ? (
+                            <div className="text-xs text-slate-400">No faults: the BMS, the estimators and the log see the physics (plus ±0.05 V voltage noise). Faults run on the engine clock; a blank end lasts until the run stops.</div>
+                        ) : (
+                            <div className="space-y-2">
+                                {faultTimeline.map((fault, i) => {
+                                    const type = FAULT_TYPES[fault.type];
+                                    const active = isSimulating && fault.start <= simTime && (fault.end == null || simTime < fault.end);
+                                    return (
+                                        <div key={i} className={`p-2 rounded-lg border text-xs ${active ? 'border-red-500 bg-red-950/40' : 'border-slate-600 bg-slate-700/40'}`}>
+                                            <div className="flex items-center justify-between gap-2">
+                                                <span className={`font-semibold ${active ? 'text-red-300' : 'text-slate-200'}`}>
+                                                    {type.label}{active && ' · active'}
+                                                </span>
+                                                <div className="flex items-center gap-2">
+                                                    {active && fault.end == null && (
+                                                        <button onClick={() => endFault(i)} className="px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500">End now</button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => changeFaultTimeline(faultTimeline.filter((_, j) => j !== i))}
+                                                        title="Remove fault"
+                                                        className="text-slate-400 hover:text-red-400"
+                                                    >
+                                                        <Trash2 size={14}/>
+                                                    </button>
+                                                </div>
+                                            </div>
+                                            <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-slate-400">
+                                                {faultSetting('From (s)', fault.start, v => updateFault(i, { start: v }))}
+                                                {faultSetting('to (s)', fault.end, v => updateFault(i, { end: v }), { blank: true })}
+                                                {Object.entries(type.params).map(([key, param]) => faultSetting(
+                                                    `${param.label} (${param.unit})`, fault.params[key],
+                                                    v => updateFault(i, { params: { ...fault.params, [key]: v } }),
+                                                    { step: param.integer ? 1 : 0.1 }
+                                                ))}
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        )}
+                        {sensorView?.faults.length > 0 && (
+                            <div className="grid grid-cols-3 gap-2 text-xs text-slate-400">
+                                <div>Current <span className="text-white">{sensorView.measured.current.toFixed(1)}</span> / {batteryCurrent.toFixed(1)} A</div>
+                                <div>Voltage <span className="text-white">{sensorView.measured.voltage.toFixed(1)}</span> / {batteryVoltage.toFixed(1)} V</div>
+                                <div>Temp <span className="text-white">{sensorView.measured.temp.toFixed(1)}</span> / {batteryTemp.toFixed(1)}°C</div>
+                                <div className="col-span-3">Measured / true. The charts and the CSV log the measured signals; the CSV also has the true ones and the active faults.</div>
+                            </div>
+                        )}
+                        {faultError && <div className="text-xs text-red-300">{faultError}</div>}
+                        {faultFileError && <div className="text-xs text-red-300">{faultFileError}</div>}
+
+                        <hr className="my-4 border-slate-700"/>
+                        <div className="flex items-center justify-between">
+                            <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><Network size={20} className="text-indigo-400"/> CAN Output</div>
+                            <label className={`flex items-center gap-1 px-2 py-1 rounded bg-slate-600 text-xs ${canConnected ? 'opacity-50 pointer-events-none' : 'cursor-pointer hover:bg-slate-500'}`}>
+                                <Upload size={12}/> DBC
+                                <input type="file" accept=".dbc" className="hidden" onChange={handleDbcFile} />
+                            </label>
+                        </div>
+                        <div className="text-xs text-slate-400">
+                            <span className="text-slate-200">{canDatabase.name}</span>: {canDatabase.messages.length} messages, {canMapping.mapped.length} signals filled
+                            {canMapping.unmapped.length > 0 && <> · sent as 0: {canMapping.unmapped.join(', ')}</>}
+                        </div>
+                        {canDbcError && <div className="text-xs text-red-300">{canDbcError}</div>}
+                        <div className="flex items-center gap-2">
+                            <select
+                                value={canTarget}
+                                onChange={e => setCanTarget(e.target.value)}
+                                disabled={canConnected}
+                                className="flex-1 bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                            >
+                                {Object.entries(GATEWAY_TARGETS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                            <button
+                                onClick={canConnected ? disconnectCan : connectCan}
+                                className={`flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-semibold ${canConnected ? 'bg-slate-600 hover:bg-slate-500' : 'bg-indigo-600 hover:bg-indigo-500'}`}
+                            >
+                                {canConnected ? <WifiOff size={14}/> : <Wifi size={14}/>} {canConnected ? 'Disconnect' : 'Connect'}
+                            </button>
+                        </div>
+                        {canTarget === 'websocket' && (
+                            <input
+                                type="text"
+                                value={canUrl}
+                                onChange={e => setCanUrl(e.target.value)}
+                                disabled={canConnected}
+                                className="w-full bg-slate-600 text-white rounded-lg p-2 text-sm disabled:opacity-50"
+                            />
+                        )}
+                        {canStatus && (
+                            <div className={`text-xs ${canStatus.state === 'error' ? 'text-red-300' : 'text-slate-400'}`}>
+                                {canStatus.state === 'open' ? `Connected to ${canStatus.name}${canStatus.logs?.length ? `, logging to ${canStatus.logs.join(' and ')}` : ''}` :
+                                    canStatus.state === 'connecting' ? 'Connecting...' :
+                                    canStatus.state === 'error' ? canStatus.message : 'Disconnected'}
+                                {canCounts.sent > 0 && ` · ${canCounts.sent} frames sent`}
+                                {canCounts.dropped > 0 && ` · ${canCounts.dropped} batches dropped`}
+                            </div>
+                        )}
+                        {!canStatus && (
+                            <div className="text-xs text-slate-400">
+                                Frames go out on their DBC cycle times while a run is live. For logs on disk, start the gateway with
+                                <span className="font-mono text-slate-300"> npm run can-gateway</span>; the mock gateway keeps them in the browser.
+                            </div>
+                        )}
+                        {canCounts.logged > 0 && (
+                            <div className="flex items-center gap-2">
+                                <select
+                                    value={canLogFormat}
+                                    onChange={e => setCanLogFormat(e.target.value)}
+                                    className="flex-1 bg-slate-600 text-white rounded-lg p-2 text-sm"
+                                >
+                                    {Object.entries(CAN_LOG_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                                <button
+                                    onClick={downloadCanLog}
+                                    className="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 text-xs font-semibold disabled:opacity-50"
+                                >
+                                    <Download size={14}/> Log
+                                </button>
+                                <button
+                                    onClick={replayMockCanLog}
+                                    disabled={isSimulating}
+                                    className="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 text-xs font-semibold disabled:opacity-50"
+                                >
+                                    <Film size={14}/> Replay
+                                </button>
+                            </div>
+                        )}
                     </div>
 
                     {/* Column 2: Dashboard Metrics & Graphs (6/12) */}
@@ -539,93 +2006,676 @@ function EVDashboard() {
                                 {vehicleSpeed.toFixed(0)}
                             </div>
                             <div className="text-xl text-slate-400">km/h</div>
+                            {driveView && (
+                                <div className="flex justify-center gap-6 mt-2 text-sm text-slate-300">
+                                    <span>Motor: <b className={driveView.power < 0 ? 'text-green-400' : 'text-white'}>{(driveView.power / 1000).toFixed(1)}</b> kW</span>
+                                    <span>Torque: <b className="text-white">{driveView.torque.toFixed(0)}</b> Nm</span>
+                                    <span>Friction brake: <b className="text-white">{(driveView.friction / 1000).toFixed(2)}</b> kN</span>
+                                </div>
+                            )}
+                            {isScenario && tracking && (
+                                <div className="flex justify-center gap-6 mt-2 text-sm text-slate-300">
+                                    <span>Target: <b className="text-white">{tracking.targetSpeed.toFixed(1)}</b> km/h</span>
+                                    <span>Error: <b className={Math.abs(tracking.speedError) > 5 ? 'text-red-400' : 'text-green-400'}>{tracking.speedError.toFixed(1)}</b> km/h</span>
+                                    <span>RMS: <b className="text-white">{tracking.rms.toFixed(2)}</b> · Max: <b className="text-white">{tracking.maxError.toFixed(1)}</b></span>
+                                </div>
+                            )}
                         </div>
 
+                        {/* Range & time-to-empty prediction (rolling consumption window, ±1σ bands) */}
+                        {!isCharging && (
+                            <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700">
+                                <div className="flex items-center justify-between gap-2 mb-3">
+                                    <div className="flex items-center gap-2 text-sm font-medium text-slate-400">
+                                        <Navigation size={16} className="text-indigo-400" />
+                                        Range & Time to Empty
+                                    </div>
+                                    {emptyAt && (
+                                        <span className="px-2 py-1 rounded text-xs font-semibold bg-red-800 text-red-200">
+                                            EMPTY at {emptyAt.time.toFixed(0)}s · {emptyAt.distance.toFixed(2)} km
+                                        </span>
+                                    )}
+                                </div>
+                                <div className="grid grid-cols-4 gap-4 text-center">
+                                    <div>
+                                        <div className="text-xs text-slate-400">Predicted Range</div>
+                                        <div className="text-xl font-bold text-green-400">{formatRange(rangeView?.range)} km</div>
+                                        <div className="text-xs text-slate-500">{rangeView?.range != null ? `${formatRange(rangeView.rangeLow)} - ${formatRange(rangeView.rangeHigh)} km` : 'needs movement'}</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Time to Empty</div>
+                                        <div className="text-xl font-bold text-white">{rangeView?.timeToEmpty != null ? formatDuration(rangeView.timeToEmpty) : '--'}</div>
+                                        <div className="text-xs text-slate-500">
+                                            {rangeView?.timeToEmpty != null
+                                                ? `${formatDuration(rangeView.timeToEmptyLow)} - ${Number.isFinite(rangeView.timeToEmptyHigh) ? formatDuration(rangeView.timeToEmptyHigh) : '∞'}`
+                                                : 'no net discharge'}
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Consumption</div>
+                                        <div className="text-xl font-bold text-indigo-400">{rangeView?.consumption != null ? rangeView.consumption.toFixed(0) : '--'} Wh/km</div>
+                                        <div className="text-xs text-slate-500">{rangeView?.power != null ? `${(rangeView.power / 1000).toFixed(1)} kW avg` : '--'}</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Usable Energy</div>
+                                        <div className="text-xl font-bold text-yellow-400">{rangeView ? (rangeView.remainingWh / 1000).toFixed(2) : '--'} kWh</div>
+                                        <div className="text-xs text-slate-500">at SOH {soh.toFixed(1)}%</div>
+                                    </div>
+                                </div>
+                                <TimeSeriesChart
+                                    history={history}
+                                    version={historyVersion}
+                                    series={CHART_SERIES.range}
+                                    band={CHART_BANDS.range}
+                                    min={0}
+                                    unit="km"
+                                    windowSeconds={chartWindow}
+                                />
+                            </div>
+                        )}
+
                         {/* Core Metrics Grid with Graphs (Consistent Sizing for Professional Look) */}
                         <div className="grid grid-cols-3 gap-6 h-96">
                             
                             {/* SOC with Graph */}
                             <MetricCard
+                                {...chartProps}
                                 title="State of Charge (SOC)"
                                 value={soc.toFixed(1)}
                                 unit="%"
                                 colorClass={getSocColor(soc)}
                                 icon={Battery}
-                                data={socHistory}
+                                series={isReplay ? CHART_SERIES.socReplay : CHART_SERIES.soc}
+                                subtitle={isReplay && isSimulating ? `Recorded: ${socTruth.toFixed(1)}% (dashed)` : undefined}
                                 min={0} max={100}
                             />
 
                             {/* SOH with Graph */}
                             <MetricCard
+                                {...chartProps}
                                 title="State of Health (SOH)"
                                 value={soh.toFixed(2)}
                                 unit="%"
                                 colorClass="text-yellow-400"
                                 icon={Layers}
-                                data={sohHistory}
+                                series={CHART_SERIES.soh}
                                 min={95} max={100}
                             />
 
                             {/* Current with Graph */}
                             <MetricCard
+                                {...chartProps}
                                 title="Current Flow (Real-Time)"
                                 value={batteryCurrent.toFixed(1)}
                                 unit="A"
                                 colorClass={getCurrentColor(batteryCurrent)}
                                 icon={Power}
-                                data={currentHistory}
-                                min={-MAX_DISCHARGE_CURRENT} max={MAX_CHARGE_CURRENT}
+                                series={CHART_SERIES.current}
+                                min={-setup.limits.maxDischargeCurrent} max={setup.limits.maxChargeCurrent}
                             />
                         </div>
 
-                        {/* Voltage and Temp (No Graphs, Consistent Sizing) */}
+                        {/* Voltage and Temp */}
                         <div className="grid grid-cols-2 gap-6">
                             {/* Voltage */}
                             <MetricCard
+                                {...chartProps}
                                 title="Battery Voltage"
                                 value={batteryVoltage.toFixed(2)}
                                 unit="V"
                                 colorClass="text-indigo-400"
                                 icon={Zap}
+                                series={CHART_SERIES.voltage}
                             />
                             
                             {/* Temperature */}
                             <MetricCard
+                                {...chartProps}
                                 title="Battery Temperature"
                                 value={batteryTemp.toFixed(1)}
                                 unit="°C"
-                                colorClass={batteryTemp > OVER_TEMP_LIMIT ? 'text-red-400' : 'text-green-400'}
+                                colorClass={batteryTemp > bmsConfig.faults.overTemp.warning ? 'text-red-400' : 'text-green-400'}
                                 icon={Thermometer}
+                                series={CHART_SERIES.temp}
                             />
                         </div>
+
+                        {/* NN Model SOC vs Coulomb-Counted SOC */}
+                        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700">
+                            <div className="flex items-center justify-between gap-2 mb-3">
+                                <div className="flex items-center gap-2 text-sm font-medium text-slate-400">
+                                    <Activity size={16} className="text-indigo-400" />
+                                    Neural-Net SOC vs Coulomb Counting
+                                </div>
+                                <label className="flex items-center gap-2 text-xs text-slate-400">
+                                    Inference
+                                    <select
+                                        value={nnBackend}
+                                        onChange={e => setNnBackend(e.target.value)}
+                                        disabled={isSimulating}
+                                        className="bg-slate-700 text-white rounded-lg p-1 text-xs border border-slate-600 disabled:opacity-50"
+                                    >
+                                        {Object.entries(NN_BACKENDS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </label>
+                            </div>
+                            <div className="grid grid-cols-3 gap-4 text-center">
+                                <div>
+                                    <div className="text-xs text-slate-400">Coulomb Counted</div>
+                                    <div className="text-2xl font-bold text-indigo-400">{soc.toFixed(2)}%</div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">Neural Net</div>
+                                    <div className="text-2xl font-bold text-green-400">
+                                        {modelSoc == null ? '--' : `${modelSoc.toFixed(2)}%`}
+                                    </div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">Abs. Error</div>
+                                    <div className="text-2xl font-bold text-red-400">
+                                        {modelSoc == null ? '--' : `${modelSocError.toFixed(2)}%`}
+                                    </div>
+                                </div>
+                            </div>
+                            {nnBackend === 'server' && backendStatus === 'offline' && (
+                                <div className="text-xs text-red-300 mt-3">
+                                    Backend unreachable - retrying with backoff. NN columns are left blank in the CSV until it recovers.
+                                </div>
+                            )}
+                            <TimeSeriesChart
+                                history={history}
+                                version={historyVersion}
+                                series={CHART_SERIES.nnError}
+                                min={0}
+                                unit="%"
+                                windowSeconds={chartWindow}
+                                emptyText="Waiting for /predict"
+                            />
+                        </div>
+
+                        {/* SOC Estimators: truth vs EKF (±2σ band) vs NN */}
+                        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700">
+                            <div className="flex items-center justify-between gap-2 mb-3">
+                                <div className="flex items-center gap-2 text-sm font-medium text-slate-400">
+                                    <TrendingUp size={16} className="text-indigo-400" />
+                                    SOC Estimators
+                                </div>
+                                <label className="flex items-center gap-2 text-xs text-slate-400">
+                                    CSV model columns
+                                    <select
+                                        value={modelSource}
+                                        onChange={e => setModelSource(e.target.value)}
+                                        disabled={isSimulating}
+                                        className="bg-slate-700 text-white rounded-lg p-1 text-xs border border-slate-600 disabled:opacity-50"
+                                    >
+                                        {Object.entries(MODEL_SOURCES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </label>
+                            </div>
+                            <div className="grid grid-cols-4 gap-4 text-center">
+                                <div>
+                                    <div className="text-xs text-slate-400">{isReplay ? 'Recorded SOC' : 'True SOC'}</div>
+                                    <div className="text-xl font-bold text-slate-100">{(isReplay && isSimulating ? socTruth : soc).toFixed(2)}%</div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">EKF SOC (±2σ)</div>
+                                    <div className="text-xl font-bold text-green-400">
+                                        {ekfEstimate ? `${ekfEstimate.soc.toFixed(2)} ± ${(2 * ekfEstimate.socStd).toFixed(2)}` : '--'}
+                                    </div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">EKF SOH / Capacity</div>
+                                    <div className="text-xl font-bold text-yellow-400">
+                                        {ekfEstimate ? `${ekfEstimate.soh.toFixed(1)}% · ${ekfEstimate.capacityAh.toFixed(2)}Ah` : '--'}
+                                    </div>
+                                </div>
+                                <div>
+                                    <div className="text-xs text-slate-400">NN SOC</div>
+                                    <div className="text-xl font-bold text-amber-300">{modelSoc == null ? '--' : `${modelSoc.toFixed(2)}%`}</div>
+                                </div>
+                            </div>
+                            <TimeSeriesChart
+                                history={history}
+                                version={historyVersion}
+                                series={CHART_SERIES.estimators}
+                                band={CHART_BANDS.ekf}
+                                unit="%"
+                                height={180}
+                                windowSeconds={chartWindow}
+                            />
+                            <div className="flex gap-4 text-xs text-slate-400 mt-1">
+                                <span><span className="text-slate-200">━</span> {isReplay ? 'Recorded' : 'True'}</span>
+                                <span><span className="text-green-400">━</span> EKF ±2σ</span>
+                                <span><span className="text-amber-300">╍</span> Neural net</span>
+                            </div>
+                        </div>
+
+                        {/* Charging session report */}
+                        {isCharging && chargeView && (
+                            <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700">
+                                <div className="flex items-center justify-between gap-2 mb-3">
+                                    <div className="flex items-center gap-2 text-sm font-medium text-slate-400">
+                                        <PlugZap size={16} className="text-indigo-400" />
+                                        Charging Session · {chargeView.charger.name}
+                                    </div>
+                                    <span className={`px-2 py-1 rounded text-xs font-semibold ${chargeView.phase === 'done' ? 'bg-green-800 text-green-300' : chargeView.phase === 'stopped' ? 'bg-red-800 text-red-200' : 'bg-indigo-800 text-indigo-200'}`}>
+                                        {chargeView.phase === 'cc' ? 'CONSTANT CURRENT' : chargeView.phase === 'cv' ? 'CONSTANT VOLTAGE' : chargeView.phase === 'stopped' ? 'STOPPED' : 'COMPLETE'}
+                                    </span>
+                                </div>
+                                <div className="grid grid-cols-4 gap-4 text-center">
+                                    <div>
+                                        <div className="text-xs text-slate-400">Charge Power</div>
+                                        <div className="text-xl font-bold text-green-400">{(chargeView.command * batteryVoltage / 1000).toFixed(1)} kW</div>
+                                        <div className="text-xs text-slate-500">{chargeView.limitedBy ? `limited by ${CHARGE_LIMIT_LABELS[chargeView.limitedBy]}` : '--'}</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Elapsed / To Target</div>
+                                        <div className="text-xl font-bold text-white">{formatDuration(chargeView.elapsed)}</div>
+                                        <div className="text-xs text-slate-500">{chargeView.phase === 'stopped' ? 'cells too cold or hot to charge' : timeToTarget == null ? 'estimating...' : `${formatDuration(timeToTarget)} left`}</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Energy (grid / stored)</div>
+                                        <div className="text-xl font-bold text-indigo-400">{(chargeView.gridWh / 1000).toFixed(2)} kWh</div>
+                                        <div className="text-xs text-slate-500">{(chargeView.storedWh / 1000).toFixed(2)} kWh stored</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Efficiency</div>
+                                        <div className="text-xl font-bold text-yellow-400">
+                                            {chargeEfficiency(chargeView) == null ? '--' : `${(chargeEfficiency(chargeView) * 100).toFixed(1)}%`}
+                                        </div>
+                                        <div className="text-xs text-slate-500">grid to cells</div>
+                                    </div>
+                                </div>
+                                <div className="grid grid-cols-4 gap-4 text-center mt-3 pt-3 border-t border-slate-700">
+                                    <div>
+                                        <div className="text-xs text-slate-400">Cell Heat</div>
+                                        <div className="text-lg font-bold text-red-400">{chargeView.batteryHeatWh.toFixed(1)} Wh</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Charger Loss</div>
+                                        <div className="text-lg font-bold text-red-300">{chargeView.chargerHeatWh.toFixed(1)} Wh</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">Peak Pack Temp</div>
+                                        <div className="text-lg font-bold text-yellow-400">{Number.isFinite(chargeView.peakTemp) ? `${chargeView.peakTemp.toFixed(1)}°C` : '--'}</div>
+                                    </div>
+                                    <div>
+                                        <div className="text-xs text-slate-400">SOH Used</div>
+                                        <div className="text-lg font-bold text-yellow-300">{(chargeView.startSoh - soh).toFixed(4)}%</div>
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Multi-cell pack: per-cell heat map, spread and passive balancing */}
+                        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700">
+                            <div className="flex items-center justify-between gap-2 mb-3">
+                                <div className="flex items-center gap-2 text-sm font-medium text-slate-400">
+                                    <Grid3X3 size={16} className="text-indigo-400" />
+                                    Battery Pack{packView ? ` (${packView.stats.cells}S)` : ''}
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    {packView && Object.entries(PACK_METRICS).map(([key, metric]) => (
+                                        <button
+                                            key={key}
+                                            onClick={() => setPackMetric(key)}
+                                            className={`px-2 py-1 rounded text-xs font-semibold ${packMetric === key ? 'bg-indigo-500 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+                                        >
+                                            {metric.label}
+                                        </button>
+                                    ))}
+                                    <label className="flex items-center gap-1 text-xs text-slate-400">
+                                        <input
+                                            type="checkbox"
+                                            checked={packConfig != null}
+                                            onChange={e => changePackConfig(e.target.checked ? presetSetup(setup.preset).pack ?? DEFAULT_PACK_CONFIG : null)}
+                                            disabled={isSimulating}
+                                        />
+                                        Per-cell model
+                                    </label>
+                                </div>
+                            </div>
+
+                            {packView ? (() => {
+                                const metric = PACK_METRICS[packMetric];
+                                const values = packView[packMetric];
+                                let lo = Infinity, hi = -Infinity;
+                                values.forEach(v => { lo = Math.min(lo, v); hi = Math.max(hi, v); });
+                                const { stats } = packView;
+                                return (
+                                    <>
+                                        <div className="grid grid-cols-5 gap-3 text-center mb-3">
+                                            <div>
+                                                <div className="text-xs text-slate-400">Min Cell</div>
+                                                <div className="text-lg font-bold text-indigo-400">{stats.minVoltage.toFixed(3)} V</div>
+                                                <div className="text-xs text-slate-500">#{stats.minVoltageCell + 1}</div>
+                                            </div>
+                                            <div>
+                                                <div className="text-xs text-slate-400">Max Cell</div>
+                                                <div className="text-lg font-bold text-indigo-400">{stats.maxVoltage.toFixed(3)} V</div>
+                                                <div className="text-xs text-slate-500">#{stats.maxVoltageCell + 1}</div>
+                                            </div>
+                                            <div>
+                                                <div className="text-xs text-slate-400">Delta-V</div>
+                                                <div className={`text-lg font-bold ${stats.deltaVoltage > 0.05 ? 'text-red-400' : 'text-green-400'}`}>{(stats.deltaVoltage * 1000).toFixed(0)} mV</div>
+                                                <div className="text-xs text-slate-500">SOC {stats.minSoc.toFixed(1)}-{stats.maxSoc.toFixed(1)}%</div>
+                                            </div>
+                                            <div>
+                                                <div className="text-xs text-slate-400">Hottest Cell</div>
+                                                <div className="text-lg font-bold text-yellow-400">{stats.maxTemp.toFixed(1)}°C</div>
+                                                <div className="text-xs text-slate-500">min {stats.minTemp.toFixed(1)}°C</div>
+                                            </div>
+                                            <div>
+                                                <div className="text-xs text-slate-400">Bleeding</div>
+                                                <div className="text-lg font-bold text-amber-300">{stats.bleedingCount}</div>
+                                                <div className="text-xs text-slate-500">{(stats.bleedAh * 1000).toFixed(0)} mAh burnt</div>
+                                            </div>
+                                        </div>
+                                        <div className="grid grid-cols-12 gap-1">
+                                            {Array.from(values, (v, i) => (
+                                                <div
+                                                    key={i}
+                                                    title={`Cell ${i + 1}: ${packView.voltage[i].toFixed(3)} V · ${packView.soc[i].toFixed(1)}% · ${packView.temp[i].toFixed(1)}°C${packView.bleeding[i] ? ' · bleeding' : ''}`}
+                                                    className={`h-5 rounded-sm ${packView.bleeding[i] ? 'ring-2 ring-amber-300' : ''}`}
+                                                    style={{ backgroundColor: heatColor(v, lo, hi) }}
+                                                />
+                                            ))}
+                                        </div>
+                                        <div className="flex justify-between text-xs text-slate-400 mt-1">
+                                            <span><span className="text-blue-400">■</span> {lo.toFixed(metric.digits)}{metric.unit}</span>
+                                            <span><span className="text-amber-300">□</span> bleeding</span>
+                                            <span><span className="text-red-400">■</span> {hi.toFixed(metric.digits)}{metric.unit}</span>
+                                        </div>
+                                    </>
+                                );
+                            })() : (
+                                <div className="text-xs text-slate-400">Lumped single-cell model. Enable the per-cell model to see imbalance and balancing.</div>
+                            )}
+
+                            {packConfig && (
+                                <div className="grid grid-cols-2 gap-x-6 gap-y-2 mt-4 pt-3 border-t border-slate-700">
+                                    {packSetting('Capacity spread (1σ %)', packConfig.capacitySpread, v => changePackConfig({ ...packConfig, capacitySpread: v }), { step: 0.5, max: 20 })}
+                                    {packSetting('Resistance spread (1σ %)', packConfig.resistanceSpread, v => changePackConfig({ ...packConfig, resistanceSpread: v }), { step: 0.5, max: 50 })}
+                                    {packSetting('Initial SOC spread (1σ %)', packConfig.socSpread, v => changePackConfig({ ...packConfig, socSpread: v }), { step: 0.5, max: 20 })}
+                                    <label className="flex items-center justify-between gap-2 text-xs text-slate-400">
+                                        Passive balancing
+                                        <input
+                                            type="checkbox"
+                                            checked={packConfig.balancing.enabled}
+                                            onChange={e => updateBalancing({ enabled: e.target.checked })}
+                                            disabled={isSimulating}
+                                        />
+                                    </label>
+                                    {packSetting('Bleed start (mV above min)', Math.round(packConfig.balancing.startDelta * 1000), v => updateBalancing({ startDelta: v / 1000 }), { max: 500 })}
+                                    {packSetting('Bleed stop (mV above min)', Math.round(packConfig.balancing.stopDelta * 1000), v => updateBalancing({ stopDelta: v / 1000 }), { max: 500 })}
+                                    {packSetting('Max pack current (A)', packConfig.balancing.maxPackCurrent, v => updateBalancing({ maxPackCurrent: v }), { max: setup.limits.maxDischargeCurrent })}
+                                    {packSetting('Bleed resistor (Ω)', packConfig.balancing.bleedResistance, v => updateBalancing({ bleedResistance: Math.max(1, v) }), { min: 1, max: 1000 })}
+                                </div>
+                            )}
+                        </div>
                     </div>
                     
-                    {/* Column 3: Warnings (3/12) */}
+                    {/* Column 3: BMS protection (3/12) */}
                     <div className="lg:col-span-3 space-y-4">
-                        <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><AlertTriangle size={20} className="text-red-400"/> Safety Warnings</div>
-                        <div className="grid grid-cols-1 gap-4">
-                            <WarningCard 
-                                label="Over-Current" 
-                                isTriggered={isOverCurrent} 
-                                limit={OVER_CURRENT_LIMIT} 
-                                unit="A" 
-                            />
-                            <WarningCard 
-                                label="Over-Voltage" 
-                                isTriggered={isOverVoltage} 
-                                limit={OVER_VOLTAGE_LIMIT.toFixed(0)} 
-                                unit="V" 
-                            />
-                            <WarningCard 
-                                label="Over-Temperature" 
-                                isTriggered={isOverTemp} 
-                                limit={OVER_TEMP_LIMIT} 
-                                unit="°C" 
-                            />
+                        <div className="flex items-center justify-between">
+                            <div className="text-xl font-medium text-slate-300 flex items-center gap-2"><AlertTriangle size={20} className="text-red-400"/> BMS Protection</div>
+                            <button
+                                onClick={handleBmsReset}
+                                disabled={!isSimulating || !bmsView || !Object.values(bmsView.faults).some(f => f.latched)}
+                                className="flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-sm font-semibold disabled:opacity-50"
+                                title="Clear latched cutoffs whose condition has cleared"
+                            >
+                                <RotateCcw size={14}/> Reset
+                            </button>
+                        </div>
+                        {bmsView && (
+                            <div className="grid grid-cols-2 gap-2 text-center text-xs text-slate-400">
+                                <div className="bg-slate-800 rounded-lg p-2 border border-slate-700">
+                                    Discharge limit
+                                    <div className={`text-lg font-bold ${bmsView.limits.discharge < 1 ? 'text-orange-400' : 'text-white'}`}>
+                                        {(bmsView.limits.discharge * setup.limits.maxDischargeCurrent).toFixed(0)} A
+                                    </div>
+                                </div>
+                                <div className="bg-slate-800 rounded-lg p-2 border border-slate-700">
+                                    Regen/charge limit
+                                    <div className={`text-lg font-bold ${bmsView.limits.charge < 1 ? 'text-orange-400' : 'text-white'}`}>
+                                        {(bmsView.limits.charge * setup.limits.maxChargeCurrent).toFixed(0)} A
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+                        <div className="grid grid-cols-2 gap-2">
+                            {bmsView && Object.entries(bmsConfig.faults).map(([id, fault]) => (
+                                <WarningCard key={id} fault={fault} state={bmsView.faults[id]} />
+                            ))}
+                        </div>
+
+                        <div className="bg-slate-800 p-3 rounded-xl border border-slate-700">
+                            <div className="flex items-center gap-2 text-sm font-medium text-slate-400 mb-2">
+                                <ShieldAlert size={16} className="text-indigo-400" /> Fault / Event Log
+                            </div>
+                            <div className="max-h-48 overflow-y-auto space-y-1 text-xs font-mono">
+                                {bmsView && bmsView.events.length > 0 ? (
+                                    [...bmsView.events].reverse().map((event, i) => (
+                                        <div key={bmsView.events.length - i} className={event.to.startsWith('cutoff') ? 'text-red-300' : event.to.startsWith('normal') ? 'text-green-300' : 'text-yellow-200'}>
+                                            {formatBmsEvent(event, bmsConfig)}
+                                        </div>
+                                    ))
+                                ) : (
+                                    <div className="text-slate-500">No events.</div>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="bg-slate-800 p-3 rounded-xl border border-slate-700">
+                            <button onClick={() => setShowBmsLimits(v => !v)} className="flex items-center gap-2 text-sm font-medium text-slate-400 w-full">
+                                {showBmsLimits ? <ChevronUp size={16}/> : <ChevronDown size={16}/>} Protection thresholds
+                            </button>
+                            {showBmsLimits && (
+                                <table className="w-full mt-2 text-xs text-slate-300">
+                                    <thead>
+                                        <tr className="text-slate-500">
+                                            <th className="font-normal">Warn</th>
+                                            <th className="font-normal">Derate</th>
+                                            <th className="font-normal">Cutoff</th>
+                                            <th className="font-normal">Hyst.</th>
+                                            <th className="font-normal">Deb. s</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {Object.entries(bmsConfig.faults).flatMap(([id, fault]) => [
+                                            <tr key={`${id}-label`}>
+                                                <td colSpan={5} className="pt-2 text-slate-400">{fault.label} ({fault.unit})</td>
+                                            </tr>,
+                                            <tr key={id}>
+                                                {['warning', 'derate', 'cutoff', 'hysteresis', 'debounce'].map(key => (
+                                                    <td key={key}>
+                                                        <input
+                                                            type="number"
+                                                            value={Number.isFinite(fault[key]) ? fault[key] : ''}
+                                                            step={fault.unit === 'V' ? 0.01 : 0.5}
+                                                            onChange={e => updateBmsFault(id, { [key]: e.target.valueAsNumber })}
+                                                            disabled={isSimulating}
+                                                            className="w-full bg-slate-700 text-white rounded p-1 text-right border border-slate-600 disabled:opacity-50"
+                                                        />
+                                                    </td>
+                                                ))}
+                                            </tr>,
+                                        ])}
+                                    </tbody>
+                                </table>
+                            )}
+                            {bmsConfigError && <div className="text-xs text-red-300 mt-2">{bmsConfigError}</div>}
                         </div>
                     </div>
                 </div>
 
+                {/* Run Library: saved runs, import/export and overlay comparison */}
+                <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-3">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                        <div className="flex items-center gap-2 text-sm font-medium text-slate-400">
+                            <Library size={16} className="text-indigo-400" /> Run Library ({runs.length})
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-sm">
+                            <input
+                                type="text"
+                                value={runLabel}
+                                onChange={e => setRunLabel(e.target.value)}
+                                placeholder="Label for the next run"
+                                className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 w-56"
+                            />
+                            <label className="flex items-center gap-1 text-slate-300">
+                                <input type="checkbox" checked={autoDownload} onChange={e => setAutoDownload(e.target.checked)} />
+                                Also download CSV
+                            </label>
+                            <label className="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold cursor-pointer">
+                                <Upload size={14}/> Import CSV
+                                <input type="file" accept=".csv,text/csv" multiple onChange={handleRunImport} className="hidden" />
+                            </label>
+                            <button
+                                onClick={handleCompare}
+                                disabled={compareIds.length < 2}
+                                className="flex items-center gap-1 px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold disabled:opacity-50"
+                            >
+                                <GitCompare size={14}/> Compare ({compareIds.length})
+                            </button>
+                        </div>
+                    </div>
+                    {libraryNotice && (
+                        <div className={`text-xs ${libraryNotice.error ? 'text-red-300' : 'text-green-300'}`}>{libraryNotice.text}</div>
+                    )}
+
+                    {runs.length === 0 ? (
+                        <div className="text-xs text-slate-400">Finished runs are saved here automatically.</div>
+                    ) : (
+                        <div className="max-h-64 overflow-y-auto">
+                            <table className="w-full text-xs text-slate-300">
+                                <thead className="text-slate-400 sticky top-0 bg-slate-800">
+                                    <tr>
+                                        <th></th>
+                                        <th className="text-left">Label</th>
+                                        <th className="text-left">Mode</th>
+                                        <th className="text-right">Samples</th>
+                                        <th className="text-right">Duration</th>
+                                        <th className="text-right">SOC</th>
+                                        <th className="text-right">Energy out</th>
+                                        <th className="text-right">Peak temp</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {runs.map(record => {
+                                        const order = compareIds.indexOf(record.id);
+                                        const summary = record.summary;
+                                        return (
+                                            <tr key={record.id} className="border-t border-slate-700">
+                                                <td className="py-1">
+                                                    <input type="checkbox" checked={order !== -1} onChange={() => toggleCompare(record.id)} />
+                                                </td>
+                                                <td className="py-1">
+                                                    {renaming?.id === record.id ? (
+                                                        <input
+                                                            type="text"
+                                                            autoFocus
+                                                            value={renaming.label}
+                                                            onChange={e => setRenaming({ id: record.id, label: e.target.value })}
+                                                            onBlur={commitRename}
+                                                            onKeyDown={e => {
+                                                                if (e.key === 'Enter') commitRename();
+                                                                if (e.key === 'Escape') setRenaming(null);
+                                                            }}
+                                                            className="w-full bg-slate-700 text-white rounded p-1 border border-slate-600"
+                                                        />
+                                                    ) : (
+                                                        <span style={order !== -1 ? { color: COMPARE_COLORS[order % COMPARE_COLORS.length] } : undefined}>
+                                                            {record.label}{order === 0 && compareIds.length > 1 ? ' (baseline)' : ''}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                                <td>{DRIVE_MODES[record.mode] ?? record.mode}</td>
+                                                <td className="text-right">{record.samples}</td>
+                                                <td className="text-right">{summary ? formatDuration(summary.duration) : '--'}</td>
+                                                <td className="text-right">{summary ? `${summary.startSoc.toFixed(1)} -> ${summary.endSoc.toFixed(1)}%` : '--'}</td>
+                                                <td className="text-right">{summary ? `${summary.energyWh.toFixed(1)} Wh` : '--'}</td>
+                                                <td className="text-right">{summary ? `${summary.peakTemp.toFixed(1)}°C` : '--'}</td>
+                                                <td className="py-1">
+                                                    <div className="flex justify-end gap-1">
+                                                        <button onClick={() => setRenaming({ id: record.id, label: record.label })} title="Rename" className="p-1 rounded hover:bg-slate-600">
+                                                            <Pencil size={12}/>
+                                                        </button>
+                                                        <button onClick={() => exportRun(record)} title="Download CSV" className="p-1 rounded hover:bg-slate-600">
+                                                            <Download size={12}/>
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleDeleteRun(record.id)}
+                                                            onBlur={() => setPendingDeleteId(null)}
+                                                            title={pendingDeleteId === record.id ? 'Click again to delete' : 'Delete'}
+                                                            className={`flex items-center gap-1 p-1 rounded ${pendingDeleteId === record.id ? 'bg-red-600 text-white' : 'hover:bg-slate-600'}`}
+                                                        >
+                                                            <Trash2 size={12}/>{pendingDeleteId === record.id && 'Delete?'}
+                                                        </button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {comparison && (
+                        <div className="space-y-3 border-t border-slate-700 pt-3">
+                            <div className="flex items-center justify-between text-xs text-slate-400">
+                                <span>Overlay on a common time axis, 0 - {comparison.times[comparison.times.length - 1].toFixed(0)} s (engine time from each run's start)</span>
+                                <button onClick={() => setComparison(null)} className="px-2 py-1 rounded bg-slate-600 hover:bg-slate-500 text-slate-200">Close</button>
+                            </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                                {Object.entries(COMPARE_METRICS).map(([key, metric]) => (
+                                    <div key={key}>
+                                        <div className="text-xs text-slate-400">{metric.label} ({metric.unit})</div>
+                                        <TimeSeriesChart
+                                            history={comparisonCharts.history}
+                                            version={0}
+                                            series={comparisonCharts.series[key]}
+                                            unit={metric.unit}
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                            <table className="w-full text-xs text-slate-300">
+                                <thead className="text-slate-400">
+                                    <tr>
+                                        <th className="text-left">Run</th>
+                                        <th className="text-right">End SOC</th>
+                                        <th className="text-right">Δ End SOC</th>
+                                        <th className="text-right">Energy out</th>
+                                        <th className="text-right">Δ Energy</th>
+                                        <th className="text-right">Peak temp</th>
+                                        <th className="text-right">Δ Peak temp</th>
+                                        <th className="text-right">Mean current</th>
+                                        <th className="text-right">SOC diff RMS / max</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {comparison.stats.map((stat, i) => (
+                                        <tr key={stat.id} className="border-t border-slate-700">
+                                            <td className="py-1" style={{ color: COMPARE_COLORS[i % COMPARE_COLORS.length] }}>{stat.label}{i === 0 ? ' (baseline)' : ''}</td>
+                                            <td className="text-right">{stat.endSoc.toFixed(2)}%</td>
+                                            <td className="text-right">{i === 0 ? '--' : `${formatDelta(stat.deltaEndSoc, 2)}%`}</td>
+                                            <td className="text-right">{stat.energyWh.toFixed(1)} Wh</td>
+                                            <td className="text-right">{i === 0 ? '--' : `${formatDelta(stat.deltaEnergyWh, 1)} Wh`}</td>
+                                            <td className="text-right">{stat.peakTemp.toFixed(1)}°C</td>
+                                            <td className="text-right">{i === 0 ? '--' : `${formatDelta(stat.deltaPeakTemp, 1)}°C`}</td>
+                                            <td className="text-right">{stat.meanCurrent.toFixed(1)} A</td>
+                                            <td className="text-right">{i === 0 || stat.socRmsDiff == null ? '--' : `${stat.socRmsDiff.toFixed(2)} / ${stat.socMaxDiff.toFixed(2)}%`}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,219 @@
+// EvaluationPage.jsx - SOC estimator accuracy over the bundled drive cycles (evaluation.js)
+import { useState } from 'react';
+import { ClipboardCheck, PlayCircle, Download, Loader } from 'lucide-react';
+import { BUNDLED_DRIVE_CYCLES, loadBundledDriveCycle } from './driveCycle';
+import { simulateCycle } from './socApi';
+import { ESTIMATORS, COULOMB_ANCHORS, evaluateCycles, buildEvaluationHtml, formatMetric } from './evaluation';
+import { downloadText } from './download';
+
+const FUSION_SOURCES = { local: 'Computed in browser', server: 'server.py /simulate' };
+
+// RMSE / MAE / max cells of one estimator's stats
+const MetricCells = ({ stats }) => (
+    <>
+        <td className="py-1 text-right">{formatMetric(stats.rmse)}</td>
+        <td className="py-1 text-right">{formatMetric(stats.mae)}</td>
+        <td className="py-1 text-right">{formatMetric(stats.maxError)}</td>
+    </>
+);
+
+const EstimatorHeader = ({ first }) => (
+    <>
+        <tr>
+            <th className="text-left">{first}</th>
+            {Object.values(ESTIMATORS).map(label => <th key={label} colSpan={3} className="text-center">{label}</th>)}
+            <th className="text-right">Samples</th>
+        </tr>
+        <tr className="text-slate-500">
+            <th></th>
+            {Object.keys(ESTIMATORS).map(key => ['RMSE', 'MAE', 'Max'].map(m => <th key={key + m} className="text-right">{m}</th>))}
+            <th></th>
+        </tr>
+    </>
+);
+
+// Error by recorded-SOC band or temperature band (`field`: 'bySoc' | 'byTemp')
+const BreakdownTable = ({ estimators, field, title }) => (
+    <table className="w-full text-xs text-slate-300">
+        <thead className="text-slate-400"><EstimatorHeader first={title} /></thead>
+        <tbody>
+            {estimators.nn[field].map((band, i) => (
+                <tr key={band.band} className="border-t border-slate-700">
+                    <td className="py-1">{band.band}</td>
+                    {Object.keys(ESTIMATORS).map(key => <MetricCells key={key} stats={estimators[key][field][i]} />)}
+                    <td className="py-1 text-right">{band.count}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+function EvaluationPage() {
+    const [fusionSource, setFusionSource] = useState('local'); // key of FUSION_SOURCES
+    const [anchor, setAnchor] = useState('nn'); // key of COULOMB_ANCHORS
+    const [running, setRunning] = useState(false);
+    const [progress, setProgress] = useState(null); // Status line while running
+    const [error, setError] = useState(null);
+    const [report, setReport] = useState(null); // evaluateCycles output
+
+    const runEvaluation = async () => {
+        setRunning(true);
+        setError(null);
+        try {
+            const cycles = [];
+            for (const entry of BUNDLED_DRIVE_CYCLES) {
+                setProgress(`Loading ${entry.name} (${cycles.length + 1}/${BUNDLED_DRIVE_CYCLES.length})`);
+                cycles.push(await loadBundledDriveCycle(entry));
+            }
+            setReport(await evaluateCycles(cycles, {
+                simulate: fusionSource === 'server' ? simulateCycle : null,
+                anchor,
+                onProgress: (done, total, name) => setProgress(`Evaluated ${name} (${done}/${total})`),
+            }));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setRunning(false);
+            setProgress(null);
+        }
+    };
+
+    const worstSweepRmse = report ? Math.max(...report.weightSweep.map(w => w.rmse)) : 0;
+
+    const exportReport = (format) => {
+        const stamp = report.createdAt.replace(/[:.]/g, '-');
+        if (format === 'json') downloadText(JSON.stringify(report, null, 2), `SOC_Estimator_Evaluation_${stamp}.json`, 'application/json');
+        else downloadText(buildEvaluationHtml(report), `SOC_Estimator_Evaluation_${stamp}.html`, 'text/html;charset=utf-8;');
+    };
+
+    return (
+        <div className="min-h-screen bg-slate-900 p-6 font-sans text-white">
+            <div className="max-w-7xl mx-auto space-y-6">
+                <div className="bg-slate-800 p-6 rounded-xl shadow-2xl border border-slate-700 space-y-4">
+                    <h1 className="text-3xl font-light flex items-center gap-3 text-indigo-400">
+                        <ClipboardCheck size={32} /> SOC Estimator Evaluation
+                    </h1>
+                    <p className="text-sm text-slate-400">
+                        Runs the neural net, coulomb counting and their fusion over the {BUNDLED_DRIVE_CYCLES.length} labelled
+                        drive cycles in CSV_Output and scores each against the recorded SOC (errors in SOC percentage points).
+                    </p>
+                    <div className="flex flex-wrap items-center gap-4 text-sm">
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Fusion
+                            <select
+                                value={fusionSource}
+                                onChange={e => {
+                                    setFusionSource(e.target.value);
+                                    if (e.target.value === 'server') setAnchor('nn');
+                                }}
+                                disabled={running}
+                                className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50"
+                            >
+                                {Object.entries(FUSION_SOURCES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Coulomb counting starts from
+                            <select
+                                value={anchor}
+                                onChange={e => setAnchor(e.target.value)}
+                                disabled={running || fusionSource === 'server'}
+                                className="bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50"
+                            >
+                                {Object.entries(COULOMB_ANCHORS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </label>
+                        <button
+                            onClick={runEvaluation}
+                            disabled={running}
+                            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold disabled:opacity-50"
+                        >
+                            {running ? <Loader size={16} className="animate-spin" /> : <PlayCircle size={16} />} Run Evaluation
+                        </button>
+                        {report && (
+                            <>
+                                <button onClick={() => exportReport('json')} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold">
+                                    <Download size={14} /> JSON
+                                </button>
+                                <button onClick={() => exportReport('html')} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold">
+                                    <Download size={14} /> HTML report
+                                </button>
+                            </>
+                        )}
+                    </div>
+                    {progress && <div className="text-xs text-slate-400">{progress}</div>}
+                    {error && <div className="text-xs text-red-300">{error}</div>}
+                </div>
+
+                {report && (
+                    <>
+                        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                            <div className="text-sm font-medium text-slate-400">
+                                All files · fusion {FUSION_SOURCES[report.fusionSource]} · coulomb counting from {COULOMB_ANCHORS[report.anchor]}
+                            </div>
+                            <div className="grid grid-cols-3 gap-4 text-center">
+                                {Object.entries(ESTIMATORS).map(([key, label]) => (
+                                    <div key={key}>
+                                        <div className="text-xs text-slate-400">{label}</div>
+                                        <div className="text-2xl font-bold text-indigo-400">{formatMetric(report.overall[key].rmse, 2)}%</div>
+                                        <div className="text-xs text-slate-500">
+                                            RMSE · MAE {formatMetric(report.overall[key].mae, 2)}% · max {formatMetric(report.overall[key].maxError, 2)}%
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            <BreakdownTable estimators={report.overall} field="bySoc" title="Recorded SOC" />
+                            <BreakdownTable estimators={report.overall} field="byTemp" title="Temperature" />
+                        </div>
+
+                        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-2">
+                            <div className="text-sm font-medium text-slate-400">
+                                Fusion weight sweep: lowest RMSE at ML weight {report.bestWeight.toFixed(2)} (server.py uses {report.mlWeight})
+                            </div>
+                            <div className="flex items-end gap-1 h-32">
+                                {report.weightSweep.map(w => (
+                                    <div
+                                        key={w.weight}
+                                        title={`weight ${w.weight.toFixed(2)}: RMSE ${formatMetric(w.rmse)}%, MAE ${formatMetric(w.mae)}%`}
+                                        className={`flex-1 rounded-t ${w.weight === report.bestWeight ? 'bg-green-500' : w.weight === report.mlWeight ? 'bg-yellow-500' : 'bg-indigo-600'}`}
+                                        style={{ height: `${Math.max(2, 100 * w.rmse / (worstSweepRmse || 1))}%` }}
+                                    />
+                                ))}
+                            </div>
+                            <div className="flex justify-between text-xs text-slate-500">
+                                <span>ML weight 0 (coulomb only)</span>
+                                <span>RMSE per weight; green = best, yellow = current</span>
+                                <span>1 (NN only)</span>
+                            </div>
+                        </div>
+
+                        <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 overflow-x-auto">
+                            <div className="text-sm font-medium text-slate-400 mb-2">Per file</div>
+                            <table className="w-full text-xs text-slate-300">
+                                <thead className="text-slate-400"><EstimatorHeader first="File (mean temp)" /></thead>
+                                <tbody>
+                                    {report.files.map(file => (
+                                        <tr key={file.name} className="border-t border-slate-700">
+                                            <td className="py-1">
+                                                {file.name} ({file.temperature.toFixed(0)} °C)
+                                                {file.serverMaxDiff != null && (
+                                                    <span className="text-slate-500" title="Largest difference between /simulate and the browser's fusion">
+                                                        {' '}Δ {file.serverMaxDiff.toExponential(1)}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            {Object.keys(ESTIMATORS).map(key => <MetricCells key={key} stats={file.estimators[key]} />)}
+                                            <td className="py-1 text-right">{file.samples}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default EvaluationPage;
@@ -0,0 +1,423 @@
+// FleetPage.jsx - Fleet mode: age hundreds of virtual vehicles side by side and compare them
+//
+// The fleet is drawn from a spread of capacities, start SOHs, climates and usage patterns (or
+// imported as JSON); fleet.js ages every vehicle in fleet workers. The table, distributions and
+// drill-down fill in as vehicles finish, and any vehicle can be opened in the simulator.
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { Truck, PlayCircle, StopCircle, Loader, Download, Upload, ChevronUp, ChevronDown } from 'lucide-react';
+import {
+    DEFAULT_FLEET_SPREAD, MAX_FLEET_SIZE, FLEET_COLUMNS, createFleet, parseFleetJson, runFleet, buildFleetCsv, histogram,
+    simulatorPreset
+} from './fleet';
+import { USAGE_PATTERNS, CLIMATES } from './fleetYear';
+import { historyFromColumns } from './timeSeries';
+import { downloadText } from './download';
+import TimeSeriesChart from './TimeSeriesChart';
+
+const MAX_WORKERS = Math.max(1, navigator.hardwareConcurrency || 2);
+const DEFAULT_WORKERS = Math.max(1, Math.min(8, MAX_WORKERS - 1)); // Leave a core for the page
+
+const createFleetWorker = () => new Worker(new URL('./fleet.worker.js', import.meta.url), { type: 'module' });
+
+const PATTERN_NAMES = Object.fromEntries(USAGE_PATTERNS.map(p => [p.id, p.name]));
+const HISTOGRAMS = [
+    { key: 'soh', label: 'SOH', unit: '%', digits: 1, color: 'bg-yellow-500' },
+    { key: 'endSoc', label: 'End SOC', unit: '%', digits: 1, color: 'bg-green-500' },
+    { key: 'faultEvents', label: 'BMS faults', unit: '', digits: 0, color: 'bg-red-500' },
+];
+const CHARTS = [
+    { title: 'SOH', unit: '%', series: [{ key: 'soh', label: 'SOH', color: '#facc15' }] },
+    { title: 'Lowest SOC of the Day', unit: '%', min: 0, max: 100, series: [{ key: 'minSoc', label: 'Min SOC', color: '#10b981' }] },
+    { title: 'BMS Faults (cumulative)', unit: '', series: [{ key: 'faultEvents', label: 'Faults', color: '#ef4444' }] },
+];
+
+// Sortable table columns: the vehicle's settings, then its results
+const SETTING_COLUMNS = {
+    id: { label: 'Vehicle', text: v => v.id },
+    capacity: { label: 'Capacity', unit: '%', text: v => v.capacity.toFixed(1) },
+    startSoh: { label: 'Start SOH', unit: '%', text: v => v.startSoh.toFixed(1) },
+    climate: { label: 'Climate', text: v => v.climate },
+    pattern: { label: 'Usage', text: v => PATTERN_NAMES[v.pattern] },
+};
+
+// Chart axis in days, labelled in days or years
+const formatDays = (days, span) => (span > 730 ? `${(days / 365).toFixed(1)} y` : `${Math.round(days)} d`);
+
+const pointsHistory = (points) => historyFromColumns(
+    points.map(p => p.day),
+    Object.fromEntries(['soh', 'minSoc', 'faultEvents'].map(key => [key, points.map(p => p[key])])),
+);
+
+function Histogram({ values, label, unit, digits, color }) {
+    const bins = histogram(values, 10);
+    const most = Math.max(1, ...bins.map(b => b.count));
+    return (
+        <div>
+            <div className="text-xs text-slate-400 mb-1">{label}{unit && ` (${unit})`}</div>
+            <div className="flex items-end gap-1 h-24">
+                {bins.map((bin, i) => (
+                    <div key={i} className="flex-1 flex flex-col items-center justify-end h-full" title={`${bin.from.toFixed(digits)} - ${bin.to.toFixed(digits)}: ${bin.count} vehicles`}>
+                        <div className={`w-full rounded-t ${color}`} style={{ height: `${100 * bin.count / most}%` }} />
+                    </div>
+                ))}
+            </div>
+            {bins.length > 0 && (
+                <div className="flex justify-between text-[10px] text-slate-500">
+                    <span>{bins[0].from.toFixed(digits)}</span>
+                    <span>{bins[bins.length - 1].to.toFixed(digits)}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function FleetPage({ onOpenVehicle }) {
+    const [spread, setSpread] = useState(DEFAULT_FLEET_SPREAD);
+    const [imported, setImported] = useState(null); // { name, vehicles } of a loaded fleet file
+    const [importError, setImportError] = useState(null);
+    const [years, setYears] = useState(1);
+    const [workers, setWorkers] = useState(DEFAULT_WORKERS);
+    const [progress, setProgress] = useState(null); // { done, total } while running
+    const [ran, setRan] = useState(null); // { vehicles, years } the results belong to
+    const [results, setResults] = useState([]); // { result, error } by vehicle, filled as they arrive
+    const [sort, setSort] = useState({ key: 'id', descending: false });
+    const [selected, setSelected] = useState(null); // Index into ran.vehicles
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+    const running = progress != null;
+
+    // Leaving the page stops the workers
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    // The fleet to run, or the reason the spread cannot make one
+    const fleet = useMemo(() => {
+        if (imported) return { vehicles: imported.vehicles, error: null };
+        try {
+            return { vehicles: createFleet(spread), error: null };
+        } catch (err) {
+            return { vehicles: [], error: err.message };
+        }
+    }, [spread, imported]);
+
+    const updateRange = (key, field, value) => setSpread(s => ({ ...s, [key]: { ...s[key], [field]: value } }));
+    const updateWeight = (key, id, value) => setSpread(s => ({ ...s, [key]: { ...s[key], [id]: value } }));
+
+    const handleFleetFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setImported({ name: file.name, vehicles: parseFleetJson(await file.text()) });
+            setImportError(null);
+        } catch (err) {
+            setImportError(`${file.name}: ${err.message}`);
+        }
+    };
+    const exportFleet = () => downloadText(JSON.stringify({ vehicles: fleet.vehicles }, null, 2), `fleet_${fleet.vehicles.length}.json`, 'application/json');
+
+    const startFleet = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        const vehicles = fleet.vehicles;
+        setError(null);
+        setSelected(null);
+        setRan({ vehicles, years });
+        setResults(new Array(vehicles.length).fill(null));
+        setProgress({ done: 0, total: vehicles.length });
+        try {
+            await runFleet(vehicles, {
+                years, createWorker: createFleetWorker, workers, signal: controller.signal,
+                onResult: ({ id, result, error: vehicleError, done, total }) => {
+                    setResults(prev => prev.map((r, i) => (i === id ? { result, error: vehicleError } : r)));
+                    setProgress({ done, total });
+                },
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const changeSort = (key) => setSort(s => ({ key, descending: s.key === key ? !s.descending : false }));
+
+    // Vehicle indices in table order; vehicles still running sort last
+    const order = useMemo(() => {
+        if (!ran) return [];
+        const value = (i) => (FLEET_COLUMNS[sort.key] ? results[i]?.result?.[sort.key] : ran.vehicles[i][sort.key]);
+        return ran.vehicles.map((_, i) => i).sort((a, b) => {
+            const va = value(a), vb = value(b);
+            if (va == null || vb == null) return (va == null) - (vb == null);
+            const diff = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+            return sort.descending ? -diff : diff;
+        });
+    }, [ran, results, sort]);
+
+    const finished = results.filter(r => r?.result).map(r => r.result);
+    const failed = results.filter(r => r?.error).length;
+    const mean = (key) => finished.reduce((sum, r) => sum + r[key], 0) / finished.length;
+    const exportCsv = () => downloadText(buildFleetCsv(ran.vehicles, results, ran.years), `fleet_${ran.vehicles.length}_${ran.years}y.csv`, 'text/csv;charset=utf-8;');
+
+    const vehicle = selected != null ? ran.vehicles[selected] : null;
+    const vehicleResult = selected != null ? results[selected]?.result : null;
+    const vehicleHistory = useMemo(() => (vehicleResult ? pointsHistory(vehicleResult.points) : null), [vehicleResult]);
+    const inputClass = 'bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50';
+    const numberInput = (value, onChange, props) => (
+        <input
+            type="number" value={Number.isNaN(value) ? '' : value}
+            onChange={e => onChange(e.target.valueAsNumber)}
+            disabled={running || imported != null}
+            className={`w-20 text-right ${inputClass}`}
+            {...props}
+        />
+    );
+    const sortHeader = (key, column, align) => (
+        <th key={key} onClick={() => changeSort(key)} className={`px-2 py-1 font-normal cursor-pointer select-none hover:text-slate-200 ${align} ${sort.key === key ? 'text-indigo-300' : ''}`}>
+            {column.label}{column.unit && ` (${column.unit})`}
+            {sort.key === key && (sort.descending ? <ChevronDown size={12} className="inline" /> : <ChevronUp size={12} className="inline" />)}
+        </th>
+    );
+
+    return (
+        <div className="min-h-screen bg-slate-900 p-6 font-sans text-white">
+            <div className="max-w-7xl mx-auto space-y-6">
+                <div className="bg-slate-800 p-6 rounded-xl shadow-2xl border border-slate-700 space-y-4">
+                    <h1 className="text-3xl font-light flex items-center gap-3 text-indigo-400">
+                        <Truck size={32} /> Fleet Simulation
+                    </h1>
+                    <p className="text-sm text-slate-400">
+                        Ages a fleet of virtual vehicles, each with its own battery capacity, starting SOH, climate and daily usage
+                        pattern, through the long-term aging model. Vehicles run in parallel workers; click a row to see one vehicle&apos;s
+                        history and open it in the simulator with its aged battery.
+                    </p>
+
+                    <div className="flex flex-wrap items-center gap-3 text-sm text-slate-300">
+                        <label className="flex items-center gap-2">
+                            Vehicles
+                            {numberInput(spread.size, v => setSpread(s => ({ ...s, size: v })), { min: 1, max: MAX_FLEET_SIZE, step: 1 })}
+                        </label>
+                        <label className="flex items-center gap-2">
+                            Seed
+                            {numberInput(spread.seed, v => setSpread(s => ({ ...s, seed: v })), { step: 1 })}
+                        </label>
+                        {[['capacity', 'Capacity (%)'], ['startSoh', 'Start SOH (%)']].map(([key, label]) => (
+                            <span key={key} className="flex items-center gap-1">
+                                {label}
+                                {numberInput(spread[key].min, v => updateRange(key, 'min', v), { step: 1 })}
+                                to
+                                {numberInput(spread[key].max, v => updateRange(key, 'max', v), { step: 1 })}
+                            </span>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-sm text-slate-300">
+                        <span className="text-xs text-slate-400">Climate weights</span>
+                        {Object.entries(CLIMATES).map(([id, climate]) => (
+                            <label key={id} className="flex items-center gap-1" title={climate.name}>
+                                {id}
+                                {numberInput(spread.climates[id] ?? 0, v => updateWeight('climates', id, v), { min: 0, step: 1 })}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 text-sm text-slate-300">
+                        <span className="text-xs text-slate-400">Usage weights</span>
+                        {USAGE_PATTERNS.map(p => (
+                            <label key={p.id} className="flex items-center gap-1" title={p.description}>
+                                {p.name}
+                                {numberInput(spread.patterns[p.id] ?? 0, v => updateWeight('patterns', p.id, v), { min: 0, step: 1 })}
+                            </label>
+                        ))}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <label className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold cursor-pointer">
+                            <Upload size={16} /> Load fleet
+                            <input type="file" accept=".json,application/json" onChange={handleFleetFile} disabled={running} className="hidden" />
+                        </label>
+                        {imported && (
+                            <span className="flex items-center gap-2 text-xs text-slate-300">
+                                {imported.name} ({imported.vehicles.length} vehicles)
+                                <button onClick={() => setImported(null)} disabled={running} className="text-indigo-300 hover:text-indigo-200 disabled:opacity-50">
+                                    Use the random fleet
+                                </button>
+                            </span>
+                        )}
+                        {fleet.vehicles.length > 0 && (
+                            <button onClick={exportFleet} className="flex items-center gap-2 px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold">
+                                <Download size={16} /> Fleet JSON
+                            </button>
+                        )}
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Years
+                            <input
+                                type="number" min={0.1} max={20} step={0.5} value={years}
+                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setYears(Math.min(20, Math.max(0.1, e.target.valueAsNumber)))}
+                                disabled={running}
+                                className={`w-20 text-right ${inputClass}`}
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Workers
+                            <input
+                                type="number" min={1} max={MAX_WORKERS} step={1} value={workers}
+                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setWorkers(Math.min(MAX_WORKERS, Math.max(1, Math.round(e.target.valueAsNumber))))}
+                                disabled={running}
+                                className={`w-16 text-right ${inputClass}`}
+                            />
+                        </label>
+                        {running ? (
+                            <button
+                                onClick={() => abortRef.current?.abort()}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-500 font-semibold"
+                            >
+                                <StopCircle size={16} /> Cancel
+                            </button>
+                        ) : (
+                            <button
+                                onClick={startFleet}
+                                disabled={fleet.error != null}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold disabled:opacity-50"
+                            >
+                                <PlayCircle size={16} /> Simulate {fleet.vehicles.length} {fleet.vehicles.length === 1 ? 'vehicle' : 'vehicles'}
+                            </button>
+                        )}
+                        {finished.length > 0 && !running && (
+                            <button onClick={exportCsv} className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold">
+                                <Download size={16} /> CSV
+                            </button>
+                        )}
+                    </div>
+                    {fleet.error && <div className="text-xs text-red-300">{fleet.error}</div>}
+                    {importError && <div className="text-xs text-red-300">{importError}</div>}
+                    {running && (
+                        <div className="flex items-center gap-2 text-xs text-slate-400">
+                            <Loader size={14} className="animate-spin" />
+                            <div className="flex-1 h-2 bg-slate-700 rounded">
+                                <div className="h-2 bg-indigo-500 rounded" style={{ width: `${100 * progress.done / progress.total}%` }} />
+                            </div>
+                            {progress.done}/{progress.total} vehicles
+                        </div>
+                    )}
+                    {error && <div className="text-xs text-red-300">{error}</div>}
+                </div>
+
+                {finished.length > 0 && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-center">
+                            <div>
+                                <div className="text-xs text-slate-400">Vehicles Simulated</div>
+                                <div className="text-xl font-bold text-white">{finished.length}/{ran.vehicles.length}</div>
+                                {failed > 0 && <div className="text-xs text-red-300">{failed} failed</div>}
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">Mean SOH</div>
+                                <div className="text-xl font-bold text-yellow-400">{mean('soh').toFixed(2)}%</div>
+                                <div className="text-xs text-slate-500">lowest {Math.min(...finished.map(r => r.soh)).toFixed(2)}%</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">Below 80% SOH</div>
+                                <div className="text-xl font-bold text-white">{finished.filter(r => r.soh < 80).length}</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">BMS Faults</div>
+                                <div className="text-xl font-bold text-red-400">{finished.reduce((sum, r) => sum + r.faultEvents, 0)}</div>
+                                <div className="text-xs text-slate-500">{finished.filter(r => r.faultEvents > 0).length} vehicles</div>
+                            </div>
+                            <div>
+                                <div className="text-xs text-slate-400">Stranded Vehicles</div>
+                                <div className={`text-xl font-bold ${finished.some(r => r.strandedDays) ? 'text-red-400' : 'text-green-400'}`}>
+                                    {finished.filter(r => r.strandedDays > 0).length}
+                                </div>
+                                <div className="text-xs text-slate-500">a trip ran the pack empty</div>
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                            {HISTOGRAMS.map(h => <Histogram key={h.key} values={finished.map(r => r[h.key])} label={h.label} unit={h.unit} digits={h.digits} color={h.color} />)}
+                        </div>
+                    </div>
+                )}
+
+                {vehicle && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                        <div className="flex flex-wrap items-center justify-between gap-3">
+                            <div>
+                                <div className="text-lg font-semibold text-indigo-300">{vehicle.id}</div>
+                                <div className="text-xs text-slate-400">
+                                    {PATTERN_NAMES[vehicle.pattern]} · {CLIMATES[vehicle.climate].name} · {vehicle.capacity}% capacity · start SOH {vehicle.startSoh}%
+                                </div>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                {vehicleResult && onOpenVehicle && (
+                                    <button
+                                        onClick={() => onOpenVehicle(simulatorPreset(vehicle, vehicleResult))}
+                                        className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 text-sm font-semibold"
+                                    >
+                                        <PlayCircle size={16} /> Open in simulator
+                                    </button>
+                                )}
+                                <button onClick={() => setSelected(null)} className="px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 text-sm font-semibold">
+                                    Close
+                                </button>
+                            </div>
+                        </div>
+                        {results[selected]?.error && <div className="text-xs text-red-300">{results[selected].error}</div>}
+                        {!results[selected] && <div className="text-xs text-slate-400">Still simulating…</div>}
+                        {vehicleHistory && CHARTS.map(chart => (
+                            <div key={`${vehicle.id}-${chart.title}`}>
+                                <div className="text-xs text-slate-400">{chart.title}{chart.unit && ` (${chart.unit})`}</div>
+                                <TimeSeriesChart
+                                    history={vehicleHistory}
+                                    version={0}
+                                    series={chart.series}
+                                    unit={chart.unit}
+                                    min={chart.min}
+                                    max={chart.max}
+                                    formatTime={formatDays}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {ran && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700">
+                        <div className="overflow-x-auto max-h-[32rem]">
+                            <table className="w-full text-xs">
+                                <thead className="sticky top-0 bg-slate-800">
+                                    <tr className="text-slate-400">
+                                        {Object.entries(SETTING_COLUMNS).map(([key, column]) => sortHeader(key, column, key === 'capacity' || key === 'startSoh' ? 'text-right' : 'text-left'))}
+                                        {Object.entries(FLEET_COLUMNS).map(([key, column]) => sortHeader(key, column, 'text-right'))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {order.map(i => {
+                                        const v = ran.vehicles[i];
+                                        const { result, error: vehicleError } = results[i] ?? {};
+                                        return (
+                                            <tr
+                                                key={v.id}
+                                                onClick={() => setSelected(i)}
+                                                className={`border-t border-slate-700 cursor-pointer hover:bg-slate-700 ${selected === i ? 'bg-slate-700 text-indigo-200' : 'text-slate-200'}`}
+                                            >
+                                                {Object.entries(SETTING_COLUMNS).map(([key, column]) => (
+                                                    <td key={key} className={`px-2 py-1 ${key === 'capacity' || key === 'startSoh' ? 'text-right font-mono' : ''}`}>{column.text(v)}</td>
+                                                ))}
+                                                {vehicleError ? (
+                                                    <td colSpan={Object.keys(FLEET_COLUMNS).length} className="px-2 py-1 text-red-300">{vehicleError}</td>
+                                                ) : Object.entries(FLEET_COLUMNS).map(([key, column]) => (
+                                                    <td key={key} className="text-right px-2 py-1 font-mono">{result ? result[key].toFixed(column.digits) : '…'}</td>
+                                                ))}
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default FleetPage;
@@ -0,0 +1,347 @@
+// SweepPage.jsx - Design-of-experiments runner: sweep 1-3 parameters over a fixed input profile, results as heat maps
+//
+// Every combination runs headlessly in sweep workers (sweep.js); heat maps and the table fill in
+// as runs finish. Rows are the first parameter, columns the second, and a third gets one heat
+// map per value.
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { FlaskConical, PlayCircle, StopCircle, Loader, Download, Plus, Trash2 } from 'lucide-react';
+import {
+    SWEEP_PARAMETERS, SWEEP_METRICS, SWEEP_PROFILES, THERMAL_MODELS, DEFAULT_SWEEP, MAX_SWEEP_AXES,
+    axisValues, validateSweep, expandSweep, runSweep, buildSweepCsv
+} from './sweep';
+import { downloadText } from './download';
+
+const MAX_WORKERS = Math.max(1, navigator.hardwareConcurrency || 2);
+const DEFAULT_WORKERS = Math.max(1, Math.min(8, MAX_WORKERS - 1)); // Leave a core for the page
+
+const createSweepWorker = () => new Worker(new URL('./sweep.worker.js', import.meta.url), { type: 'module' });
+
+const formatMetric = (value, metric) => (value == null ? '--' : value.toFixed(metric.digits));
+const formatValue = (parameter, value) => `${value} ${SWEEP_PARAMETERS[parameter].unit}`;
+
+// Red (worst) through yellow to green (best) over the finished points' range
+const heatColor = (value, range, metric) => {
+    if (value == null) return '#334155';
+    const span = range.max - range.min;
+    const t = span > 0 ? (value - range.min) / span : 0.5;
+    const good = metric.better === 'high' ? t : 1 - t;
+    return `hsl(${(good * 120).toFixed(0)}, 70%, 35%)`;
+};
+
+function HeatMap({ sweep, results, metricKey, range, fixed }) {
+    const metric = SWEEP_METRICS[metricKey];
+    const [rowAxis, colAxis, panelAxis] = sweep.axes;
+    const rows = axisValues(rowAxis);
+    const cols = colAxis ? axisValues(colAxis) : [null];
+    const panels = panelAxis ? axisValues(panelAxis).length : 1;
+    // Result of a cell: expandSweep runs the first axis slowest
+    const cellResult = (i, j) => results[(i * cols.length + j) * panels + (fixed ?? 0)];
+
+    return (
+        <table className="text-xs border-separate border-spacing-1">
+            <thead>
+                <tr>
+                    <th className="text-slate-400 font-normal text-right pr-2">
+                        {SWEEP_PARAMETERS[rowAxis.parameter].label}{colAxis && ` \\ ${SWEEP_PARAMETERS[colAxis.parameter].label}`}
+                    </th>
+                    {cols.map((col, j) => (
+                        <th key={j} className="text-slate-300 font-semibold px-1">{col == null ? metric.label : formatValue(colAxis.parameter, col)}</th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {rows.map((row, i) => (
+                    <tr key={i}>
+                        <th className="text-slate-300 font-semibold text-right pr-2 whitespace-nowrap">{formatValue(rowAxis.parameter, row)}</th>
+                        {cols.map((col, j) => {
+                            const result = cellResult(i, j);
+                            const value = result?.metrics?.[metricKey];
+                            return (
+                                <td
+                                    key={j}
+                                    title={result?.error ?? result?.metrics?.reason}
+                                    className={`min-w-16 px-2 py-2 rounded text-center font-mono ${result?.error ? 'text-red-300' : 'text-white'}`}
+                                    style={{ background: result?.error ? '#450a0a' : heatColor(value, range, metric) }}
+                                >
+                                    {!result ? '…' : result.error ? 'error' : formatMetric(value, metric)}
+                                </td>
+                            );
+                        })}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+function SweepPage() {
+    const [sweep, setSweep] = useState(DEFAULT_SWEEP);
+    const [workers, setWorkers] = useState(DEFAULT_WORKERS);
+    const [progress, setProgress] = useState(null); // { done, total } while running
+    const [ran, setRan] = useState(null); // The sweep the results belong to
+    const [results, setResults] = useState([]); // runSweep results by point, filled as they arrive
+    const [metricKey, setMetricKey] = useState('finalSoc'); // key of SWEEP_METRICS
+    const [error, setError] = useState(null);
+    const abortRef = useRef(null);
+    const running = progress != null;
+
+    // Leaving the page stops the workers
+    useEffect(() => () => abortRef.current?.abort(), []);
+
+    // Run count, or the reason the sweep cannot run
+    const check = useMemo(() => {
+        try {
+            return { points: validateSweep(sweep), error: null };
+        } catch (err) {
+            return { points: 0, error: err.message };
+        }
+    }, [sweep]);
+
+    const updateAxis = (index, changes) => setSweep(s => ({ ...s, axes: s.axes.map((axis, i) => (i === index ? { ...axis, ...changes } : axis)) }));
+    const changeAxisParameter = (index, parameter) => updateAxis(index, { parameter, ...SWEEP_PARAMETERS[parameter].range });
+    const addAxis = () => setSweep(s => {
+        const parameter = Object.keys(SWEEP_PARAMETERS).find(key => !s.axes.some(axis => axis.parameter === key) && key !== 'coolingRate');
+        return { ...s, axes: [...s.axes, { parameter, ...SWEEP_PARAMETERS[parameter].range }] };
+    });
+
+    const startSweep = async () => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setError(null);
+        setRan(sweep);
+        setResults(new Array(check.points).fill(null));
+        setProgress({ done: 0, total: check.points });
+        try {
+            await runSweep(sweep, {
+                createWorker: createSweepWorker, workers, signal: controller.signal,
+                onResult: ({ id, point, metrics, error: pointError, done, total }) => {
+                    setResults(prev => prev.map((r, i) => (i === id ? { ...point, metrics, error: pointError } : r)));
+                    setProgress({ done, total });
+                },
+            });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            abortRef.current = null;
+            setProgress(null);
+        }
+    };
+
+    const complete = results.filter(r => r?.metrics);
+    const exportName = ran && `sweep_${ran.profileId}_${ran.axes.map(axis => axis.parameter).join('_')}`;
+    const exportCsv = () => downloadText(buildSweepCsv(ran, results.filter(Boolean)), `${exportName}.csv`, 'text/csv;charset=utf-8;');
+    const exportJson = () => downloadText(JSON.stringify({ sweep: ran, results: results.filter(Boolean) }, null, 2), `${exportName}.json`, 'application/json');
+
+    const metric = SWEEP_METRICS[metricKey];
+    const values = complete.map(r => r.metrics[metricKey]).filter(v => v != null);
+    const range = { min: Math.min(...values), max: Math.max(...values) };
+    const best = values.length ? complete.find(r => r.metrics[metricKey] === (metric.better === 'high' ? range.max : range.min)) : null;
+    const panels = ran?.axes[2] ? axisValues(ran.axes[2]).map((value, k) => ({ key: k, value })) : [{ key: null }];
+    const profile = SWEEP_PROFILES.find(p => p.id === sweep.profileId);
+    const inputClass = 'bg-slate-700 text-white rounded-lg p-2 border border-slate-600 disabled:opacity-50';
+
+    return (
+        <div className="min-h-screen bg-slate-900 p-6 font-sans text-white">
+            <div className="max-w-7xl mx-auto space-y-6">
+                <div className="bg-slate-800 p-6 rounded-xl shadow-2xl border border-slate-700 space-y-4">
+                    <h1 className="text-3xl font-light flex items-center gap-3 text-indigo-400">
+                        <FlaskConical size={32} /> Parameter Sweep
+                    </h1>
+                    <p className="text-sm text-slate-400">
+                        Runs every combination of up to three parameters over one input profile, headlessly and in parallel, and
+                        compares the runs on heat maps. Parameters that are not swept keep the simulator defaults (50 % regen and
+                        cooling, level road, 25 °C, nominal cells).
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Profile
+                            <select value={sweep.profileId} onChange={e => setSweep(s => ({ ...s, profileId: e.target.value }))} disabled={running} className={inputClass}>
+                                {SWEEP_PROFILES.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Thermal model
+                            <select value={sweep.thermalModel} onChange={e => setSweep(s => ({ ...s, thermalModel: e.target.value }))} disabled={running} className={inputClass}>
+                                {Object.entries(THERMAL_MODELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Start SOC (%)
+                            <input
+                                type="number" min={1} max={100} step={1} value={sweep.startSoc}
+                                onChange={e => setSweep(s => ({ ...s, startSoc: e.target.valueAsNumber }))}
+                                disabled={running}
+                                className={`w-20 text-right ${inputClass}`}
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-slate-300">
+                            Workers
+                            <input
+                                type="number" min={1} max={MAX_WORKERS} step={1} value={workers}
+                                onChange={e => Number.isFinite(e.target.valueAsNumber) && setWorkers(Math.min(MAX_WORKERS, Math.max(1, Math.round(e.target.valueAsNumber))))}
+                                disabled={running}
+                                className={`w-16 text-right ${inputClass}`}
+                            />
+                        </label>
+                    </div>
+                    <div className="text-xs text-slate-400">{profile?.description}</div>
+
+                    <div className="space-y-2">
+                        {sweep.axes.map((axis, i) => {
+                            const parameter = SWEEP_PARAMETERS[axis.parameter];
+                            return (
+                                <div key={i} className="flex flex-wrap items-center gap-2 text-sm text-slate-300">
+                                    <span className="w-20 text-xs text-slate-400">{['Rows', 'Columns', 'Panels'][i]}</span>
+                                    <select value={axis.parameter} onChange={e => changeAxisParameter(i, e.target.value)} disabled={running} className={`w-52 ${inputClass}`}>
+                                        {Object.entries(SWEEP_PARAMETERS).map(([key, p]) => (
+                                            <option key={key} value={key} disabled={key !== axis.parameter && sweep.axes.some(a => a.parameter === key)}>{p.label}</option>
+                                        ))}
+                                    </select>
+                                    {['from', 'to', 'step'].map(field => (
+                                        <label key={field} className="flex items-center gap-1">
+                                            {field}
+                                            <input
+                                                type="number" step="any" min={field === 'step' ? 0 : parameter.min} max={field === 'step' ? undefined : parameter.max}
+                                                value={Number.isNaN(axis[field]) ? '' : axis[field]}
+                                                onChange={e => updateAxis(i, { [field]: e.target.valueAsNumber })}
+                                                disabled={running}
+                                                className={`w-20 text-right ${inputClass}`}
+                                            />
+                                        </label>
+                                    ))}
+                                    <span className="text-xs text-slate-400">{parameter.unit}</span>
+                                    {sweep.axes.length > 1 && (
+                                        <button
+                                            onClick={() => setSweep(s => ({ ...s, axes: s.axes.filter((_, j) => j !== i) }))}
+                                            disabled={running}
+                                            title="Remove parameter"
+                                            className="text-slate-400 hover:text-red-400 disabled:opacity-50"
+                                        >
+                                            <Trash2 size={16} />
+                                        </button>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        {sweep.axes.length < MAX_SWEEP_AXES && (
+                            <button
+                                onClick={addAxis}
+                                disabled={running}
+                                className="flex items-center gap-1 px-3 py-1 rounded-lg bg-slate-600 hover:bg-slate-500 text-xs font-semibold disabled:opacity-50"
+                            >
+                                <Plus size={14} /> Parameter
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3 text-sm">
+                        {running ? (
+                            <button
+                                onClick={() => abortRef.current?.abort()}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-red-600 hover:bg-red-500 font-semibold"
+                            >
+                                <StopCircle size={16} /> Cancel
+                            </button>
+                        ) : (
+                            <button
+                                onClick={startSweep}
+                                disabled={check.error != null}
+                                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 font-semibold disabled:opacity-50"
+                            >
+                                <PlayCircle size={16} /> Run {check.points || ''} {check.points === 1 ? 'run' : 'runs'}
+                            </button>
+                        )}
+                        {complete.length > 0 && !running && (
+                            <>
+                                <button onClick={exportCsv} className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold">
+                                    <Download size={16} /> CSV
+                                </button>
+                                <button onClick={exportJson} className="flex items-center gap-2 px-4 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold">
+                                    <Download size={16} /> JSON
+                                </button>
+                            </>
+                        )}
+                    </div>
+                    {check.error && <div className="text-xs text-red-300">{check.error}</div>}
+                    {running && (
+                        <div className="flex items-center gap-2 text-xs text-slate-400">
+                            <Loader size={14} className="animate-spin" />
+                            <div className="flex-1 h-2 bg-slate-700 rounded">
+                                <div className="h-2 bg-indigo-500 rounded" style={{ width: `${100 * progress.done / progress.total}%` }} />
+                            </div>
+                            {progress.done}/{progress.total} runs
+                        </div>
+                    )}
+                    {error && <div className="text-xs text-red-300">{error}</div>}
+                </div>
+
+                {ran && (
+                    <div className="bg-slate-800 p-4 rounded-xl shadow-lg border border-slate-700 space-y-4">
+                        <div className="flex flex-wrap items-center gap-3 text-sm">
+                            <label className="flex items-center gap-2 text-slate-300">
+                                Metric
+                                <select value={metricKey} onChange={e => setMetricKey(e.target.value)} className={inputClass}>
+                                    {Object.entries(SWEEP_METRICS).map(([key, m]) => <option key={key} value={key}>{m.label} ({m.unit})</option>)}
+                                </select>
+                            </label>
+                            {values.length > 0 && (
+                                <span className="text-xs text-slate-400">
+                                    {formatMetric(range.min, metric)} - {formatMetric(range.max, metric)} {metric.unit}
+                                    {best && <> · best at {ran.axes.map(axis => formatValue(axis.parameter, best.values[axis.parameter])).join(', ')}</>}
+                                </span>
+                            )}
+                        </div>
+                        <div className="flex flex-wrap gap-6">
+                            {panels.map(panel => (
+                                <div key={panel.key ?? 'all'} className="overflow-x-auto">
+                                    {panel.key != null && (
+                                        <div className="text-xs text-slate-400 mb-1">
+                                            {SWEEP_PARAMETERS[ran.axes[2].parameter].label} = {formatValue(ran.axes[2].parameter, panel.value)}
+                                        </div>
+                                    )}
+                                    <HeatMap sweep={ran} results={results} metricKey={metricKey} range={range} fixed={panel.key} />
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="overflow-x-auto max-h-96">
+                            <table className="w-full text-xs">
+                                <thead className="sticky top-0 bg-slate-800">
+                                    <tr className="text-slate-400">
+                                        {ran.axes.map(axis => (
+                                            <th key={axis.parameter} className="text-right px-2 py-1 font-normal">{SWEEP_PARAMETERS[axis.parameter].label} ({SWEEP_PARAMETERS[axis.parameter].unit})</th>
+                                        ))}
+                                        {Object.entries(SWEEP_METRICS).map(([key, m]) => (
+                                            <th key={key} className={`text-right px-2 py-1 font-normal ${key === metricKey ? 'text-indigo-300' : ''}`}>{m.label} ({m.unit})</th>
+                                        ))}
+                                        <th className="text-left px-2 py-1 font-normal">End</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {expandSweep(ran.axes).map((point, id) => {
+                                        const result = results[id];
+                                        return (
+                                            <tr key={id} className="border-t border-slate-700 text-slate-200">
+                                                {ran.axes.map(axis => <td key={axis.parameter} className="text-right px-2 py-1 font-mono">{point.values[axis.parameter]}</td>)}
+                                                {Object.entries(SWEEP_METRICS).map(([key, m]) => (
+                                                    <td key={key} className={`text-right px-2 py-1 font-mono ${key === metricKey ? 'text-indigo-300' : ''}`}>
+                                                        {result?.metrics ? formatMetric(result.metrics[key], m) : ''}
+                                                    </td>
+                                                ))}
+                                                <td className={`px-2 py-1 ${result?.error ? 'text-red-300' : 'text-slate-400'}`}>
+                                                    {!result ? 'pending' : result.error ?? result.metrics.reason}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SweepPage;
@@ -0,0 +1,253 @@
+// TimeSeriesChart.jsx - Time-series chart over a full run history (timeSeries.js store)
+//
+// Draws a time axis, decimates to about two points per pixel column, zooms with the mouse wheel,
+// pans by dragging and shows a crosshair with every series' value at the hovered time.
+// Double-click (or "Reset zoom") returns to following the selected window. Charts given the same
+// `zoom`/`onZoomChange` and `hoverTime`/`onHoverTimeChange` pan, zoom and hover together.
+import { useState, useEffect, useMemo, useRef, useId } from 'react';
+import { indexAtTime, decimate, decimateBand } from './timeSeries';
+
+const PAD = { left: 44, right: 10, top: 8, bottom: 20 };
+const ZOOM_STEP = 1.25;
+const MIN_SPAN = 0.5; // s
+
+// Seconds as "42.5s", "3:07" or "1:02:07"
+const formatClock = (seconds, span) => {
+    if (span < 60) return `${seconds.toFixed(span < 5 ? 1 : 0)}s`;
+    const s = Math.round(seconds);
+    const mm = String(Math.floor(s / 60) % 60);
+    const ss = String(s % 60).padStart(2, '0');
+    return s >= 3600 ? `${Math.floor(s / 3600)}:${mm.padStart(2, '0')}:${ss}` : `${mm}:${ss}`;
+};
+
+// Round tick positions (1/2/5 x 10^n) covering [min, max]
+const niceTicks = (min, max, count) => {
+    const raw = (max - min) / Math.max(1, count);
+    const power = 10 ** Math.floor(Math.log10(raw || 1));
+    const step = [1, 2, 5, 10].map(m => m * power).find(s => s >= raw) ?? 10 * power;
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(v);
+    return ticks;
+};
+
+const formatValue = (v) => (Math.abs(v) >= 100 ? v.toFixed(1) : Math.abs(v) >= 1 ? v.toFixed(2) : v.toFixed(3));
+
+/**
+ * `history`/`version`: the store and its change counter. `series`: [{ key, label, color, dashed,
+ * connectGaps }] (connectGaps bridges NaN samples, for sparse series). `band`: { lower, upper,
+ * color } keys of a shaded range. `windowSeconds`: follow the last N seconds (null = whole run).
+ * `min`/`max` fix the value axis; otherwise it fits the visible data. `zoom` ({ start, end } s or
+ * null) and `hoverTime` make the view and crosshair controlled, for linking charts.
+ * `formatTime(t, span)` labels the time axis (default: t as seconds of a clock).
+ */
+export default function TimeSeriesChart({
+    history, version, series, band, unit = '', min, max, height = 140, windowSeconds = null, emptyText = 'No data yet',
+    zoom: linkedZoom, onZoomChange, hoverTime, onHoverTimeChange, formatTime = formatClock,
+}) {
+    const containerRef = useRef(null);
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const viewRef = useRef(null);
+    const clipId = useId();
+    const [width, setWidth] = useState(300);
+    const [ownZoom, setOwnZoom] = useState(null); // { start, end } s; null follows the window
+    const [ownHoverT, setOwnHoverT] = useState(null);
+    const zoom = linkedZoom !== undefined ? linkedZoom : ownZoom;
+    const setZoom = onZoomChange ?? setOwnZoom;
+    const hoverT = hoverTime !== undefined ? hoverTime : ownHoverT;
+    const setHoverT = onHoverTimeChange ?? setOwnHoverT;
+
+    useEffect(() => {
+        const observer = new ResizeObserver(([entry]) => setWidth(Math.max(120, entry.contentRect.width)));
+        observer.observe(containerRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    const { time, length, columns } = history;
+    const firstT = length ? time[0] : 0;
+    const lastT = length ? time[length - 1] : 0;
+    const follow = windowSeconds == null
+        ? { start: firstT, end: lastT }
+        : { start: Math.max(firstT, lastT - windowSeconds), end: lastT };
+    const view = zoom ?? follow;
+    const span = Math.max(MIN_SPAN, view.end - view.start);
+    const plotWidth = width - PAD.left - PAD.right;
+    const plotHeight = height - PAD.top - PAD.bottom;
+
+    // Decimated visible points; recomputed when data, view or size change
+    const drawn = useMemo(() => {
+        const { time, length, columns } = history;
+        const start = Math.max(0, indexAtTime(time, length, view.start) - 1);
+        const end = Math.min(length, indexAtTime(time, length, view.end + 1e-9) + 1);
+        const buckets = Math.max(10, Math.floor(plotWidth));
+        return {
+            lines: series.map(s => decimate(time, columns[s.key], start, end, buckets)),
+            band: band ? decimateBand(time, columns[band.lower], columns[band.upper], start, end, buckets) : null,
+        };
+    // The store is appended to in place, so `version` is what changes when it does
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [history, version, view.start, view.end, plotWidth, series, band]);
+
+    // Value axis over what is visible
+    let lo = min, hi = max;
+    if (lo === undefined || hi === undefined) {
+        let dataMin = Infinity, dataMax = -Infinity;
+        const scan = (values) => values.forEach(v => {
+            if (Number.isFinite(v)) { dataMin = Math.min(dataMin, v); dataMax = Math.max(dataMax, v); }
+        });
+        drawn.lines.forEach(line => scan(line.v));
+        if (drawn.band) { scan(drawn.band.lo); scan(drawn.band.hi); }
+        if (!Number.isFinite(dataMin)) { dataMin = 0; dataMax = 1; }
+        const margin = (dataMax - dataMin) * 0.05 || Math.abs(dataMax) * 0.05 || 1;
+        if (lo === undefined) lo = dataMin - margin;
+        if (hi === undefined) hi = dataMax + margin;
+    }
+    const toX = (t) => PAD.left + (t - view.start) / span * plotWidth;
+    const toY = (v) => PAD.top + (1 - (v - lo) / (hi - lo || 1)) * plotHeight;
+
+    const linePath = (t, v, connectGaps) => {
+        let path = '', penDown = false;
+        for (let i = 0; i < t.length; i++) {
+            if (!Number.isFinite(v[i])) {
+                if (!connectGaps) penDown = false;
+                continue;
+            }
+            path += `${penDown ? 'L' : 'M'}${toX(t[i]).toFixed(1)},${toY(v[i]).toFixed(1)}`;
+            penDown = true;
+        }
+        return path;
+    };
+    const bandPath = ({ t, lo: lower, hi: upper }) => {
+        const idx = t.map((_, i) => i).filter(i => Number.isFinite(lower[i]) && Number.isFinite(upper[i]));
+        if (idx.length < 2) return '';
+        const top = idx.map(i => `${toX(t[i]).toFixed(1)},${toY(upper[i]).toFixed(1)}`);
+        const bottom = idx.map(i => `${toX(t[i]).toFixed(1)},${toY(lower[i]).toFixed(1)}`).reverse();
+        return `M${top.join('L')}L${bottom.join('L')}Z`;
+    };
+
+    // --- Interaction: wheel zoom (native listener so the page does not scroll), drag pan, crosshair ---
+    useEffect(() => {
+        viewRef.current = { view, span, plotWidth, firstT, lastT, setZoom };
+    });
+
+    useEffect(() => {
+        const svg = svgRef.current;
+        const onWheel = (e) => {
+            const { view: current, span: currentSpan, plotWidth: w, firstT: t0, lastT: t1, setZoom } = viewRef.current;
+            if (t1 <= t0) return;
+            e.preventDefault();
+            const rect = svg.getBoundingClientRect();
+            const pivot = current.start + (e.clientX - rect.left - PAD.left) / w * currentSpan;
+            const factor = e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+            const nextSpan = Math.min(t1 - t0, Math.max(MIN_SPAN, currentSpan * factor));
+            if (nextSpan >= t1 - t0) {
+                setZoom(null);
+                return;
+            }
+            const start = Math.max(t0, Math.min(t1 - nextSpan, pivot - (pivot - current.start) * nextSpan / currentSpan));
+            setZoom({ start, end: start + nextSpan });
+        };
+        svg.addEventListener('wheel', onWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', onWheel);
+    }, []);
+
+    const timeAt = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return view.start + (e.clientX - rect.left - PAD.left) / plotWidth * span;
+    };
+
+    const handleMouseMove = (e) => {
+        const drag = dragRef.current;
+        if (drag) {
+            const shift = -(e.clientX - drag.x) / plotWidth * (drag.view.end - drag.view.start);
+            const start = Math.max(firstT, Math.min(lastT - (drag.view.end - drag.view.start), drag.view.start + shift));
+            setZoom({ start, end: start + (drag.view.end - drag.view.start) });
+        }
+        setHoverT(timeAt(e));
+    };
+
+    // Crosshair readout: each series' raw sample nearest the hovered time
+    let readout = null;
+    if (hoverT != null && length && hoverT >= view.start && hoverT <= view.end) {
+        let i = Math.min(length - 1, indexAtTime(time, length, hoverT));
+        if (i > 0 && hoverT - time[i - 1] < time[i] - hoverT) i--;
+        readout = {
+            x: toX(time[i]),
+            t: time[i],
+            values: series.map(s => ({ ...s, value: columns[s.key][i] })),
+        };
+    }
+
+    const xTicks = niceTicks(view.start, view.start + span, Math.max(2, Math.floor(plotWidth / 70)));
+    const yTicks = niceTicks(lo, hi, Math.max(2, Math.floor(plotHeight / 30)));
+
+    return (
+        <div ref={containerRef} className="relative w-full mt-2 select-none">
+            <svg
+                ref={svgRef}
+                width={width}
+                height={height}
+                className="block cursor-crosshair"
+                onMouseDown={e => { dragRef.current = { x: e.clientX, view: { start: view.start, end: view.start + span } }; }}
+                onMouseMove={handleMouseMove}
+                onMouseUp={() => { dragRef.current = null; }}
+                onMouseLeave={() => { dragRef.current = null; setHoverT(null); }}
+                onDoubleClick={() => setZoom(null)}
+            >
+                <defs>
+                    <clipPath id={clipId}>
+                        <rect x={PAD.left} y={PAD.top} width={plotWidth} height={plotHeight} />
+                    </clipPath>
+                </defs>
+                {yTicks.map(v => (
+                    <g key={`y${v}`}>
+                        <line x1={PAD.left} x2={PAD.left + plotWidth} y1={toY(v)} y2={toY(v)} stroke="#334155" strokeWidth="1" />
+                        <text x={PAD.left - 4} y={toY(v) + 3} textAnchor="end" fontSize="10" fill="#64748b">{formatValue(v)}</text>
+                    </g>
+                ))}
+                {xTicks.map(t => (
+                    <text key={`x${t}`} x={toX(t)} y={height - 6} textAnchor="middle" fontSize="10" fill="#64748b">{formatTime(t, span)}</text>
+                ))}
+                <text x={PAD.left - 4} y={PAD.top + plotHeight + 14} textAnchor="end" fontSize="10" fill="#64748b">{unit}</text>
+                <g clipPath={`url(#${clipId})`}>
+                    {drawn.band && <path d={bandPath(drawn.band)} fill={band.color} fillOpacity="0.25" stroke="none" />}
+                    {drawn.lines.map((line, i) => (
+                        <path
+                            key={series[i].key}
+                            d={linePath(line.t, line.v, series[i].connectGaps)}
+                            fill="none"
+                            stroke={series[i].color}
+                            strokeWidth={i === 0 ? 2 : 1.5}
+                            strokeDasharray={series[i].dashed ? '4 3' : undefined}
+                        />
+                    ))}
+                </g>
+                {readout && <line x1={readout.x} x2={readout.x} y1={PAD.top} y2={PAD.top + plotHeight} stroke="#94a3b8" strokeDasharray="2 2" />}
+                {!length && (
+                    <text x={PAD.left + plotWidth / 2} y={PAD.top + plotHeight / 2} textAnchor="middle" fontSize="11" fill="#64748b">{emptyText}</text>
+                )}
+            </svg>
+            {readout && (
+                <div
+                    className="absolute top-1 pointer-events-none bg-slate-900/90 border border-slate-600 rounded px-2 py-1 text-xs text-slate-200 whitespace-nowrap"
+                    style={readout.x > width / 2 ? { right: width - readout.x + 6 } : { left: readout.x + 6 }}
+                >
+                    <div className="text-slate-400">{formatTime(readout.t, span)}</div>
+                    {readout.values.map(s => (
+                        <div key={s.key}>
+                            <span style={{ color: s.color }}>{s.dashed ? '╍' : '━'}</span> {s.label}: {Number.isFinite(s.value) ? `${formatValue(s.value)}${unit}` : '--'}
+                        </div>
+                    ))}
+                </div>
+            )}
+            {zoom && (
+                <button
+                    onClick={() => setZoom(null)}
+                    className="absolute top-1 right-1 px-2 py-0.5 rounded bg-slate-600 hover:bg-slate-500 text-xs text-slate-200"
+                >
+                    Reset zoom
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,185 @@
+// aging.js - Semi-empirical calendar + cycle aging with streaming rainflow counting of the SOC history
+//
+// Calendar fade grows with the square root of time, scaled by an SOC factor and an Arrhenius
+// temperature factor; varying conditions are handled with the equivalent-time method (the time
+// that would have produced today's loss at today's rate). Cycle fade is charged per rainflow
+// cycle of the SOC trace: depth^dodExponent times an Arrhenius factor at the temperature when
+// the cycle closes. Resistance growth is proportional to each kind of fade.
+
+export const GAS_CONSTANT = 8.314; // J/(mol·K)
+export const SECONDS_PER_YEAR = 365 * 24 * 3600;
+export const DOD_BINS = 10; // Cycle histogram bins of 10 % SOC depth
+
+export const DEFAULT_AGING_CONFIG = {
+    referenceTemp: 25, // °C at which the fade rates below apply
+    calendar: {
+        fadePerSqrtYear: 2, // % capacity lost after one year at the reference temperature and 50 % SOC
+        activationEnergy: 50000, // J/mol
+        // Storage SOC raises the calendar rate (linear between breakpoints)
+        soc: { socs: [0, 25, 50, 75, 100], factors: [0.5, 0.7, 1, 1.5, 2.2] },
+        resistanceRatio: 1.5, // % resistance growth per % calendar fade
+    },
+    cycle: {
+        fadePerFullCycle: 0.006, // % capacity per 100 % DOD cycle at the reference temperature (20 % after ~3300)
+        dodExponent: 1.3, // >1: shallow cycles do less damage per Ah than deep ones
+        activationEnergy: 30000, // J/mol
+        resistanceRatio: 2.5, // % resistance growth per % cycle fade
+    },
+    hysteresis: 0.5, // % SOC a reversal must exceed to count (filters regen ripple and noise)
+};
+
+/** Checks an aging config (see DEFAULT_AGING_CONFIG). Throws with a readable message. */
+export const validateAgingConfig = (config) => {
+    const { calendar, cycle } = config;
+    if (!Number.isFinite(config.referenceTemp)) throw new Error('Aging: reference temperature must be a number.');
+    for (const [name, value] of [
+        ['calendar fade', calendar.fadePerSqrtYear], ['calendar activation energy', calendar.activationEnergy],
+        ['calendar resistance ratio', calendar.resistanceRatio], ['cycle fade', cycle.fadePerFullCycle],
+        ['cycle activation energy', cycle.activationEnergy], ['cycle resistance ratio', cycle.resistanceRatio],
+        ['hysteresis', config.hysteresis],
+    ]) {
+        if (!(Number.isFinite(value) && value >= 0)) throw new Error(`Aging: ${name} cannot be negative.`);
+    }
+    if (!(cycle.dodExponent > 0)) throw new Error('Aging: DOD exponent must be positive.');
+    const { socs, factors } = calendar.soc;
+    if (socs.length < 2 || socs.length !== factors.length || socs.some((s, i) => i > 0 && s <= socs[i - 1]) || factors.some(f => !(f >= 0))) {
+        throw new Error('Aging: calendar SOC factors need increasing SOCs and one non-negative factor each.');
+    }
+    return config;
+};
+
+/** exp(Ea/R · (1/Tref − 1/T)): 1 at the reference temperature, above 1 when hotter. */
+export const arrheniusFactor = (temp, referenceTemp, activationEnergy) => (
+    Math.exp(activationEnergy / GAS_CONSTANT * (1 / (referenceTemp + 273.15) - 1 / (temp + 273.15)))
+);
+
+const socFactor = ({ socs, factors }, soc) => {
+    if (soc <= socs[0]) return factors[0];
+    const last = socs.length - 1;
+    if (soc >= socs[last]) return factors[last];
+    let i = 0;
+    while (socs[i + 1] < soc) i++;
+    return factors[i] + (factors[i + 1] - factors[i]) * (soc - socs[i]) / (socs[i + 1] - socs[i]);
+};
+
+/** Calendar fade rate k (% per √s) at `soc` and `temp`: loss = k·√t under constant conditions. */
+export const calendarRate = (config, soc, temp) => (
+    config.calendar.fadePerSqrtYear / Math.sqrt(SECONDS_PER_YEAR)
+    * socFactor(config.calendar.soc, soc)
+    * arrheniusFactor(temp, config.referenceTemp, config.calendar.activationEnergy)
+);
+
+/** Capacity fade (%) of one rainflow cycle of `depth` % SOC, counted `count` times (1 or 0.5) at `temp`. */
+export const cycleFade = (config, depth, count, temp) => (
+    count * config.cycle.fadePerFullCycle * (depth / 100) ** config.cycle.dodExponent
+    * arrheniusFactor(temp, config.referenceTemp, config.cycle.activationEnergy)
+);
+
+/**
+ * Fresh aging state starting at `soh` % (anything below 100 is carried as prior, unattributed
+ * fade) and the present `soc`. `reversals` is the rainflow residue: turning points whose
+ * cycles have not closed yet, oldest first, starting with the first sample.
+ */
+export const createAgingState = ({ soh = 100, soc = 50 } = {}) => ({
+    priorLoss: 100 - soh, // %
+    calendarLoss: 0, // %
+    cycleLoss: 0, // %
+    equivalentCycles: 0, // Σ count · depth / 100 over the counted cycles
+    histogram: new Array(DOD_BINS).fill(0), // Counted cycles by depth bin
+    reversals: [soc],
+    extreme: soc, // Furthest SOC since the last reversal (the next one, once confirmed)
+    direction: 0, // +1 rising, -1 falling, 0 before the first move past the hysteresis
+});
+
+/** Remaining capacity (%) of an aging state. */
+export const agingSoh = (aging) => Math.max(0, 100 - aging.priorLoss - aging.calendarLoss - aging.cycleLoss);
+
+/** Resistance growth (%) over the fresh cell. */
+export const resistanceGrowth = (aging, config) => (
+    aging.calendarLoss * config.calendar.resistanceRatio + aging.cycleLoss * config.cycle.resistanceRatio
+);
+
+// Adds counted cycles of `depth` % to the state (mutates the copy made by agingStep)
+const countCycle = (next, config, depth, count, temp) => {
+    next.cycleLoss += cycleFade(config, depth, count, temp);
+    next.equivalentCycles += count * depth / 100;
+    next.histogram[Math.min(DOD_BINS - 1, Math.floor(depth / (100 / DOD_BINS)))] += count;
+};
+
+// ASTM E1049 rainflow on the residue after a new reversal: closed ranges are full cycles,
+// a range that starts at the first sample is a half cycle
+const countClosedCycles = (next, config, temp) => {
+    const r = next.reversals;
+    while (r.length >= 3) {
+        const n = r.length;
+        const x = Math.abs(r[n - 1] - r[n - 2]);
+        const y = Math.abs(r[n - 2] - r[n - 3]);
+        if (x < y) break;
+        if (n === 3) {
+            countCycle(next, config, y, 0.5, temp);
+            r.shift();
+        } else {
+            countCycle(next, config, y, 1, temp);
+            r.splice(n - 3, 2);
+        }
+    }
+};
+
+/**
+ * Ages the state by dt seconds spent at `soc` % and `temp` °C (the SOC at the end of the
+ * interval). Returns a new state; the residue array is only copied when a reversal is found.
+ */
+export const agingStep = (aging, { soc, temp }, dt, config) => {
+    const k = calendarRate(config, soc, temp);
+    const calendarLoss = k > 0 ? k * Math.sqrt((aging.calendarLoss / k) ** 2 + dt) : aging.calendarLoss;
+    const next = { ...aging, calendarLoss };
+
+    const h = config.hysteresis;
+    if (aging.direction === 0) {
+        const moved = soc - aging.reversals[0];
+        if (Math.abs(moved) >= h) {
+            next.direction = Math.sign(moved);
+            next.extreme = soc;
+        }
+    } else if ((soc - aging.extreme) * aging.direction > 0) {
+        next.extreme = soc;
+    } else if (Math.abs(soc - aging.extreme) >= h) {
+        next.reversals = [...aging.reversals, aging.extreme];
+        next.histogram = [...aging.histogram];
+        next.direction = -aging.direction;
+        next.extreme = soc;
+        countClosedCycles(next, config, temp);
+    }
+    return next;
+};
+
+/** Equivalent full cycles: the counted ones plus the open residue as half cycles. */
+export const equivalentFullCycles = (aging) => {
+    let open = 0;
+    const r = aging.reversals;
+    for (let i = 1; i < r.length; i++) open += Math.abs(r[i] - r[i - 1]);
+    if (aging.direction !== 0) open += Math.abs(aging.extreme - r[r.length - 1]);
+    return aging.equivalentCycles + open / 200;
+};
+
+/**
+ * Battery parameters aged to `soh` % capacity with every resistance table scaled by
+ * `resistanceGrowthPct` (see batteryModel.js). The RC capacitances shrink by the same factor, so
+ * the branches keep their time constants and only their voltage grows.
+ */
+export const agedBattery = (battery, soh, resistanceGrowthPct) => {
+    const scale = 1 + resistanceGrowthPct / 100;
+    const scaleTable = (table, factor) => table.map(row => row.map(v => v * factor));
+    const aged = {
+        ...battery,
+        cell: { ...battery.cell, capacityAh: battery.cell.capacityAh * soh / 100 },
+        r0: scaleTable(battery.r0, scale),
+        r1: scaleTable(battery.r1, scale),
+        c1: scaleTable(battery.c1, 1 / scale),
+    };
+    if (battery.r2) {
+        aged.r2 = scaleTable(battery.r2, scale);
+        aged.c2 = scaleTable(battery.c2, 1 / scale);
+    }
+    return aged;
+};
@@ -0,0 +1,18 @@
+// aging.test.js - Aged battery parameters
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_BATTERY_PARAMS } from './batteryModel';
+import { agedBattery } from './aging';
+
+describe('agedBattery', () => {
+    it('fades the capacity and grows every resistance, keeping the RC time constants', () => {
+        const aged = agedBattery(DEFAULT_BATTERY_PARAMS, 85, 40);
+        expect(aged.cell.capacityAh).toBeCloseTo(DEFAULT_BATTERY_PARAMS.cell.capacityAh * 0.85, 12);
+        for (const [r, c] of [['r0'], ['r1', 'c1'], ['r2', 'c2']]) {
+            DEFAULT_BATTERY_PARAMS[r].forEach((row, i) => row.forEach((value, j) => {
+                expect(aged[r][i][j]).toBeCloseTo(value * 1.4, 12);
+                if (c) expect(aged[r][i][j] * aged[c][i][j]).toBeCloseTo(value * DEFAULT_BATTERY_PARAMS[c][i][j], 9);
+            }));
+        }
+        expect(aged.ocv).toBe(DEFAULT_BATTERY_PARAMS.ocv);
+    });
+});
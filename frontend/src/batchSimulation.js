@@ -0,0 +1,70 @@
+// batchSimulation.js - Sends a drive cycle to server.py's /simulate in chunks and stitches the answers
+//
+// Every chunk after the first repeats the previous chunk's last sample and continues coulomb
+// counting from its physics SOC (`start_soc`), so the stitched series equals one big request
+// while each request stays small enough to show progress and be cancelled.
+import { simulateCycle } from './socApi';
+
+export const CHUNK_SIZES = [500, 1000, 2000, 5000, 10000]; // Samples per request
+export const DEFAULT_CHUNK_SIZE = 2000;
+
+/**
+ * Simulates `cycle` (parseDriveCycleCsv output). `onChunk({ done, total, from, to, soc, physics })`
+ * is called after each answer, with samples [from, to) of `soc`/`physics` newly filled. Resolves to
+ * `{ soc, physics, dischargeTime }`: Float64Arrays (NaN where the server sent nothing; 0 after a
+ * dead pack) and the time the pack ran dead, or null when it lasted the whole cycle.
+ * Rejects with a readable message on a length mismatch or an empty server answer.
+ */
+export const simulateInChunks = async (cycle, { chunkSize = DEFAULT_CHUNK_SIZE, signal, onChunk = () => {}, simulate = simulateCycle } = {}) => {
+    if (chunkSize < 2) throw new Error('Chunk size must be at least 2 samples.');
+    const n = cycle.length;
+    const soc = new Float64Array(n).fill(NaN);
+    const physics = new Float64Array(n).fill(NaN);
+    let startSoc = null;
+    let from = 0;
+
+    while (from < n) {
+        const start = from === 0 ? 0 : from - 1; // Overlap one sample with the previous chunk
+        const end = Math.min(n, start + chunkSize);
+        const slice = (values) => values.subarray(start, end);
+        let answer;
+        try {
+            answer = await simulate({
+                current: slice(cycle.current), voltage: slice(cycle.packVoltage),
+                temperature: slice(cycle.temperature), time: slice(cycle.time), startSoc,
+            }, { signal });
+        } catch (err) {
+            if (signal?.aborted) throw new Error('Cancelled.');
+            throw new Error(`Samples ${start + 1}-${end}: ${err.message}`);
+        }
+
+        const expected = end - start;
+        const { soc: fused, physicsSoc } = answer;
+        if (fused.length > expected || (physicsSoc && physicsSoc.length !== fused.length)) {
+            throw new Error(`Samples ${start + 1}-${end}: /simulate returned ${fused.length} SOC points for ${expected} inputs.`);
+        }
+        const dead = physicsSoc ? physicsSoc[physicsSoc.length - 1] <= 0 : fused.length < expected;
+        if (fused.length < expected && !dead) {
+            throw new Error(`Samples ${start + 1}-${end}: /simulate returned ${fused.length} SOC points for ${expected} inputs.`);
+        }
+        if (!physicsSoc && !dead && end < n) {
+            throw new Error(`This server.py does not return physics_soc, so the cycle cannot be split; use chunks of at least ${n} samples or update the server.`);
+        }
+
+        // The overlapping first point repeats the previous chunk's last one
+        for (let k = start === 0 ? 0 : 1; k < fused.length; k++) {
+            soc[start + k] = fused[k];
+            physics[start + k] = physicsSoc ? physicsSoc[k] : NaN;
+        }
+        if (dead) {
+            soc.fill(0, start + fused.length);
+            physics.fill(0, start + fused.length);
+            onChunk({ done: n, total: n, from, to: n, soc, physics });
+            return { soc, physics, dischargeTime: answer.dischargeTime };
+        }
+        onChunk({ done: end, total: n, from, to: end, soc, physics });
+        startSoc = physicsSoc ? physicsSoc[physicsSoc.length - 1] : null;
+        from = end;
+    }
+    return { soc, physics, dischargeTime: null };
+};
@@ -0,0 +1,153 @@
+// batteryModel.js - Thevenin equivalent-circuit cell model (R0 + 1 or 2 RC branches) scaled to a pack
+import DEFAULT_PARAMS_JSON from './battery_params.json' with { type: 'json' };
+
+const TABLE_KEYS = ['ocv', 'r0', 'r1', 'c1'];
+const OPTIONAL_TABLE_KEYS = ['r2', 'c2']; // Second RC branch (2RC model) when both are present
+
+/**
+ * Validates a battery parameter file (see battery_params.json) and returns a normalised copy.
+ * Tables are [temperature row][SOC column] and must match the breakpoint vectors.
+ */
+export const parseBatteryParams = (raw) => {
+    const fail = (msg) => { throw new Error(`Battery parameters: ${msg}`); };
+    if (!raw || typeof raw !== 'object') fail('expected a JSON object.');
+
+    const series = Number(raw.layout?.series);
+    const parallel = Number(raw.layout?.parallel);
+    if (!Number.isInteger(series) || series < 1) fail('layout.series must be a positive integer.');
+    if (!Number.isInteger(parallel) || parallel < 1) fail('layout.parallel must be a positive integer.');
+
+    const cell = raw.cell ?? {};
+    for (const key of ['capacityAh', 'nominalVoltage', 'minVoltage', 'maxVoltage']) {
+        if (!(Number(cell[key]) > 0)) fail(`cell.${key} must be a positive number.`);
+    }
+
+    const checkAxis = (name) => {
+        const axis = raw[name];
+        if (!Array.isArray(axis) || axis.length < 2 || !axis.every(Number.isFinite)) {
+            fail(`${name} needs at least two numbers.`);
+        }
+        for (let i = 1; i < axis.length; i++) {
+            if (axis[i] <= axis[i - 1]) fail(`${name} must be strictly increasing.`);
+        }
+        return axis;
+    };
+    const socBreakpoints = checkAxis('socBreakpoints');
+    const tempBreakpoints = checkAxis('tempBreakpoints');
+
+    const checkTable = (key) => {
+        const table = raw[key];
+        if (!Array.isArray(table) || table.length !== tempBreakpoints.length ||
+            !table.every(row => Array.isArray(row) && row.length === socBreakpoints.length && row.every(Number.isFinite))) {
+            fail(`${key} must be a ${tempBreakpoints.length}x${socBreakpoints.length} numeric table.`);
+        }
+        return table;
+    };
+
+    const tables = {};
+    TABLE_KEYS.forEach(key => { tables[key] = checkTable(key); });
+    const hasSecondRc = OPTIONAL_TABLE_KEYS.every(key => raw[key] !== undefined);
+    if (hasSecondRc) OPTIONAL_TABLE_KEYS.forEach(key => { tables[key] = checkTable(key); });
+
+    return {
+        name: raw.name ?? 'Custom battery',
+        description: raw.description ?? '',
+        layout: { series, parallel },
+        cell: {
+            capacityAh: Number(cell.capacityAh),
+            nominalVoltage: Number(cell.nominalVoltage),
+            minVoltage: Number(cell.minVoltage),
+            maxVoltage: Number(cell.maxVoltage),
+        },
+        socBreakpoints,
+        tempBreakpoints,
+        rcBranches: hasSecondRc ? 2 : 1,
+        ...tables,
+    };
+};
+
+export const DEFAULT_BATTERY_PARAMS = parseBatteryParams(DEFAULT_PARAMS_JSON);
+
+// --- PACK SCALING ---
+export const packCapacityAh = (params) => params.cell.capacityAh * params.layout.parallel;
+export const packNominalVoltage = (params) => params.cell.nominalVoltage * params.layout.series;
+export const packMaxVoltage = (params) => params.cell.maxVoltage * params.layout.series;
+export const packMinVoltage = (params) => params.cell.minVoltage * params.layout.series;
+
+// =================================================================
+// TABLE LOOKUP (bilinear, clamped at the table edges)
+// =================================================================
+const locate = (axis, x) => {
+    if (x <= axis[0]) return [0, 0];
+    const last = axis.length - 1;
+    if (x >= axis[last]) return [last - 1, 1];
+    let i = 0;
+    while (axis[i + 1] < x) i++;
+    return [i, (x - axis[i]) / (axis[i + 1] - axis[i])];
+};
+
+const interpolate = (table, [j, fs], [i, ft]) => {
+    const a = table[i], b = table[Math.min(i + 1, table.length - 1)];
+    const j2 = Math.min(j + 1, a.length - 1);
+    const lower = a[j] + (a[j2] - a[j]) * fs;
+    const upper = b[j] + (b[j2] - b[j]) * fs;
+    return lower + (upper - lower) * ft;
+};
+
+export const lookupTable = (params, table, soc, temp) =>
+    interpolate(table, locate(params.socBreakpoints, soc), locate(params.tempBreakpoints, temp));
+
+/** Cell-level circuit parameters at the given SOC (%) and temperature (°C). */
+export const cellParameters = (params, soc, temp) => {
+    // Breakpoints are located once and shared by every table (hot path: once per cell per step)
+    const socAt = locate(params.socBreakpoints, soc);
+    const tempAt = locate(params.tempBreakpoints, temp);
+    const at = (key) => interpolate(params[key], socAt, tempAt);
+    const cell = { ocv: at('ocv'), r0: at('r0'), r1: at('r1'), c1: at('c1') };
+    if (params.rcBranches === 2) {
+        cell.r2 = at('r2');
+        cell.c2 = at('c2');
+    }
+    return cell;
+};
+
+/** dOCV/dSOC (V per %) by central difference - the measurement Jacobian for estimators. */
+export const ocvSlope = (params, soc, temp, h = 0.5) =>
+    (lookupTable(params, params.ocv, Math.min(100, soc + h), temp) -
+     lookupTable(params, params.ocv, Math.max(0, soc - h), temp)) /
+    (Math.min(100, soc + h) - Math.max(0, soc - h));
+
+// =================================================================
+// CIRCUIT DYNAMICS (cell level; current negative = discharge)
+// =================================================================
+
+/**
+ * Advances the RC branch voltages by dt with the exact zero-order-hold solution
+ * V' = V·e^(-dt/τ) + I·R·(1 - e^(-dt/τ)).
+ */
+export const stepRcVoltages = (vrc, cell, cellCurrent, dt) => {
+    const branch = (v, r, c) => {
+        const decay = Math.exp(-dt / (r * c));
+        return v * decay + cellCurrent * r * (1 - decay);
+    };
+    const next = [branch(vrc[0] ?? 0, cell.r1, cell.c1)];
+    if (cell.r2 !== undefined) next.push(branch(vrc[1] ?? 0, cell.r2, cell.c2));
+    return next;
+};
+
+export const cellTerminalVoltage = (cell, cellCurrent, vrc) =>
+    cell.ocv + cellCurrent * cell.r0 + vrc.reduce((sum, v) => sum + v, 0);
+
+/** Total steady-state pack resistance (Ω) - used for I²R heat generation. */
+export const packResistance = (params, cell) =>
+    (cell.r0 + cell.r1 + (cell.r2 ?? 0)) * params.layout.series / params.layout.parallel;
+
+/** Inverse OCV lookup: SOC (%) whose open-circuit voltage equals `cellVoltage` (bisection). */
+export const socFromOcv = (params, cellVoltage, temp) => {
+    let lo = 0, hi = 100;
+    for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (lookupTable(params, params.ocv, mid, temp) < cellVoltage) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+};
@@ -0,0 +1,165 @@
+// bms.js - Battery management protection: per-fault warning/derate/cutoff state machine
+//
+// Every fault watches one measured signal. A level is entered once the signal has been past
+// its threshold for `debounce` seconds and left once it is back past threshold - hysteresis
+// for the same time. Cutoff latches until `resetBms` is called with the condition cleared.
+// The BMS output is a pair of current limits that the engine applies to the demanded current.
+// Derating follows the live signal without debounce: cell voltage sags with the very current
+// being limited, so a delayed derate would let a hard acceleration run straight into cutoff.
+
+export const BMS_LEVELS = ['normal', 'warning', 'derate', 'cutoff'];
+
+// `signal` names a key of the measurement passed to bmsStep; `direction` is which way is bad;
+// `limits` is the current direction a derate/cutoff restricts ('discharge', 'charge' or 'both').
+export const DEFAULT_BMS_CONFIG = {
+    derateFloor: 0.2, // Fraction of the rated current left just before cutoff
+    faults: {
+        overCurrent: {
+            label: 'Over-Current', unit: 'A', signal: 'absCurrent', direction: 'high', limits: 'both',
+            warning: 250, derate: 280, cutoff: 320, hysteresis: 10, debounce: 0.5,
+        },
+        overVoltage: {
+            label: 'Cell Over-Voltage', unit: 'V', signal: 'maxCellVoltage', direction: 'high', limits: 'charge',
+            warning: 4.22, derate: 4.25, cutoff: 4.3, hysteresis: 0.02, debounce: 1,
+        },
+        underVoltage: {
+            label: 'Cell Under-Voltage', unit: 'V', signal: 'minCellVoltage', direction: 'low', limits: 'discharge',
+            warning: 3.0, derate: 2.8, cutoff: 2.5, hysteresis: 0.05, debounce: 1,
+        },
+        overTemp: {
+            label: 'Over-Temperature', unit: '°C', signal: 'maxTemp', direction: 'high', limits: 'both',
+            warning: 45, derate: 50, cutoff: 60, hysteresis: 2, debounce: 2,
+        },
+        underTemp: {
+            label: 'Under-Temperature', unit: '°C', signal: 'minTemp', direction: 'low', limits: 'charge',
+            warning: 5, derate: 0, cutoff: -20, hysteresis: 2, debounce: 2,
+        },
+        lowSoc: {
+            label: 'Low SOC', unit: '%', signal: 'soc', direction: 'low', limits: 'discharge',
+            warning: 15, derate: 8, cutoff: 2, hysteresis: 1, debounce: 1,
+        },
+    },
+};
+
+/**
+ * Checks a BMS config (see DEFAULT_BMS_CONFIG): thresholds must be ordered
+ * warning -> derate -> cutoff in the fault's bad direction. Throws with a readable message.
+ */
+export const validateBmsConfig = (config) => {
+    for (const [id, fault] of Object.entries(config.faults)) {
+        const values = [fault.warning, fault.derate, fault.cutoff, fault.hysteresis, fault.debounce];
+        if (!values.every(Number.isFinite)) throw new Error(`BMS ${id}: thresholds must be numbers.`);
+        const sign = fault.direction === 'high' ? 1 : -1;
+        if (!(sign * (fault.derate - fault.warning) > 0 && sign * (fault.cutoff - fault.derate) > 0)) {
+            throw new Error(`BMS ${id}: expected warning ${sign > 0 ? '<' : '>'} derate ${sign > 0 ? '<' : '>'} cutoff.`);
+        }
+        if (fault.hysteresis < 0 || fault.debounce < 0) throw new Error(`BMS ${id}: hysteresis and debounce cannot be negative.`);
+    }
+    return config;
+};
+
+export const createBmsState = (config = DEFAULT_BMS_CONFIG) => ({
+    faults: Object.fromEntries(Object.keys(config.faults).map(id => [id, { level: 0, pendingLevel: 0, pendingTime: 0, latched: false, value: null }])),
+    limits: { discharge: 1, charge: 1 }, // Fractions of the rated currents
+    events: [], // { time, fault, from, to, value }
+});
+
+// Highest level whose threshold the signal is past. Levels at or below the current one are
+// held until the signal recovers by the hysteresis band.
+const rawLevel = (fault, value, level) => {
+    const sign = fault.direction === 'high' ? 1 : -1;
+    const thresholds = [fault.warning, fault.derate, fault.cutoff];
+    let raw = 0;
+    thresholds.forEach((threshold, i) => {
+        const target = i + 1 <= level ? threshold - sign * fault.hysteresis : threshold;
+        if (sign * (value - target) >= 0) raw = i + 1;
+    });
+    return raw;
+};
+
+// Current fraction allowed by one fault: linear from 1 at the derate threshold down to
+// derateFloor at cutoff, 0 once cut off
+const faultLimit = (fault, level, value, derateFloor) => {
+    if (level === 3) return 0;
+    if (!Number.isFinite(value)) return 1;
+    const progress = Math.max(0, Math.min(1, (value - fault.derate) / (fault.cutoff - fault.derate)));
+    return 1 - progress * (1 - derateFloor);
+};
+
+/**
+ * One BMS update. `measurement` carries the signals named by the faults (absCurrent,
+ * maxCellVoltage, minCellVoltage, maxTemp, minTemp, soc); `time` stamps logged events.
+ */
+export const bmsStep = (bms, measurement, dt, time, config = DEFAULT_BMS_CONFIG) => {
+    const faults = {};
+    const events = [];
+    let discharge = 1, charge = 1;
+
+    for (const [id, fault] of Object.entries(config.faults)) {
+        const prev = bms.faults[id];
+        const value = measurement[fault.signal];
+        let { level, pendingLevel, pendingTime, latched } = prev;
+
+        if (Number.isFinite(value)) {
+            const raw = latched ? Math.max(3, rawLevel(fault, value, level)) : rawLevel(fault, value, level);
+            if (raw === level) {
+                pendingLevel = level;
+                pendingTime = 0;
+            } else {
+                pendingTime = raw === pendingLevel ? pendingTime + dt : dt;
+                pendingLevel = raw;
+                if (pendingTime >= fault.debounce) {
+                    events.push({ time, fault: id, from: BMS_LEVELS[level], to: BMS_LEVELS[raw], value });
+                    level = raw;
+                    latched = latched || level === 3;
+                    pendingTime = 0;
+                }
+            }
+        }
+
+        faults[id] = { level, pendingLevel, pendingTime, latched, value: Number.isFinite(value) ? value : null };
+        const limit = faultLimit(fault, level, value, config.derateFloor);
+        if (fault.limits !== 'charge') discharge = Math.min(discharge, limit);
+        if (fault.limits !== 'discharge') charge = Math.min(charge, limit);
+    }
+
+    return {
+        faults,
+        limits: { discharge, charge },
+        events: events.length ? [...bms.events, ...events] : bms.events,
+    };
+};
+
+/**
+ * Operator reset: clears latched cutoffs whose signal is back inside the cutoff threshold
+ * (minus hysteresis). Faults still past it stay latched. The reset is logged.
+ */
+export const resetBms = (bms, time, config = DEFAULT_BMS_CONFIG) => {
+    const faults = { ...bms.faults };
+    const events = [];
+    for (const [id, fault] of Object.entries(config.faults)) {
+        const state = faults[id];
+        if (!state.latched) continue;
+        const level = state.value == null ? 0 : rawLevel(fault, state.value, 2);
+        if (level === 3) continue;
+        faults[id] = { ...state, level, pendingLevel: level, pendingTime: 0, latched: false };
+        events.push({ time, fault: id, from: 'cutoff', to: `${BMS_LEVELS[level]} (reset)`, value: state.value });
+    }
+    return { ...bms, faults, events: events.length ? [...bms.events, ...events] : bms.events };
+};
+
+// Cutoffs that leave no usable charge; the others stop the current only until the operator resets them
+const EMPTY_CUTOFFS = ['lowSoc', 'underVoltage'];
+
+/** Whether a low-SOC or under-voltage cutoff is active, i.e. the pack is empty rather than protected. */
+export const bmsPackEmpty = (bms) => EMPTY_CUTOFFS.some(id => bms.faults[id]?.level === 3);
+
+/** Worst level over all faults (index into BMS_LEVELS). */
+export const bmsWorstLevel = (bms) => Math.max(0, ...Object.values(bms.faults).map(f => f.level));
+
+/** One-line description of a logged event, e.g. "12.4s Over-Temperature: warning -> derate (50.3 °C)". */
+export const formatBmsEvent = (event, config = DEFAULT_BMS_CONFIG) => {
+    const fault = config.faults[event.fault];
+    const value = event.value == null ? '' : ` (${event.value.toFixed(fault.unit === 'V' ? 3 : 1)} ${fault.unit})`;
+    return `${event.time.toFixed(1)}s ${fault.label}: ${event.from} -> ${event.to}${value}`;
+};
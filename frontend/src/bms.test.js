@@ -0,0 +1,104 @@
+// bms.test.js - BMS fault levels: debounce, hysteresis, derating, latched cutoffs and the operator reset
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_BMS_CONFIG, validateBmsConfig, createBmsState, bmsStep, resetBms, bmsWorstLevel, bmsPackEmpty, formatBmsEvent
+} from './bms';
+
+const NOMINAL = { absCurrent: 50, maxCellVoltage: 3.9, minCellVoltage: 3.8, maxTemp: 30, minTemp: 25, soc: 60 };
+
+// Holds `changes` over the nominal measurement for `seconds` in 0.5 s steps
+const hold = (bms, changes, seconds, startTime = 0) => {
+    for (let t = 0; t < seconds; t += 0.5) bms = bmsStep(bms, { ...NOMINAL, ...changes }, 0.5, startTime + t + 0.5);
+    return bms;
+};
+
+describe('validateBmsConfig', () => {
+    it('accepts the defaults and rejects thresholds out of order', () => {
+        expect(validateBmsConfig(DEFAULT_BMS_CONFIG)).toBe(DEFAULT_BMS_CONFIG);
+        const faults = DEFAULT_BMS_CONFIG.faults;
+        const withFault = (id, changes) => ({ ...DEFAULT_BMS_CONFIG, faults: { ...faults, [id]: { ...faults[id], ...changes } } });
+        expect(() => validateBmsConfig(withFault('overTemp', { derate: 40 }))).toThrow('BMS overTemp: expected warning < derate < cutoff.');
+        expect(() => validateBmsConfig(withFault('lowSoc', { cutoff: 10 }))).toThrow('BMS lowSoc: expected warning > derate > cutoff.');
+        expect(() => validateBmsConfig(withFault('overCurrent', { debounce: -1 }))).toThrow('BMS overCurrent: hysteresis and debounce cannot be negative.');
+        expect(() => validateBmsConfig(withFault('overCurrent', { warning: '250' }))).toThrow('BMS overCurrent: thresholds must be numbers.');
+    });
+});
+
+describe('bmsStep', () => {
+    it('enters a level only after the debounce time', () => {
+        let bms = hold(createBmsState(), { maxTemp: 47 }, 1.5);
+        expect(bms.faults.overTemp).toMatchObject({ level: 0, pendingLevel: 1, pendingTime: 1.5 });
+        bms = hold(bms, { maxTemp: 47 }, 0.5, 1.5);
+        expect(bms.faults.overTemp.level).toBe(1);
+        expect(bms.events).toEqual([{ time: 2, fault: 'overTemp', from: 'normal', to: 'warning', value: 47 }]);
+    });
+
+    it('leaves a level only once the signal is back past the hysteresis band', () => {
+        let bms = hold(createBmsState(), { maxTemp: 47 }, 2);
+        bms = hold(bms, { maxTemp: 44 }, 10, 2);
+        expect(bms.faults.overTemp.level).toBe(1);
+        bms = hold(bms, { maxTemp: 42.5 }, 2, 12);
+        expect(bms.faults.overTemp.level).toBe(0);
+        expect(bms.events.at(-1)).toMatchObject({ fault: 'overTemp', from: 'warning', to: 'normal' });
+    });
+
+    it('derates linearly from the derate threshold to the floor at cutoff, without debounce', () => {
+        const bms = bmsStep(createBmsState(), { ...NOMINAL, maxTemp: 55 }, 0.5, 0.5);
+        expect(bms.faults.overTemp.level).toBe(0);
+        expect(bms.limits.discharge).toBeCloseTo(1 - 0.5 * (1 - DEFAULT_BMS_CONFIG.derateFloor), 12);
+        expect(bms.limits.charge).toBe(bms.limits.discharge);
+
+        // Low SOC only restricts the discharge side
+        const low = bmsStep(createBmsState(), { ...NOMINAL, soc: 5 }, 0.5, 0.5);
+        expect(low.limits.charge).toBe(1);
+        expect(low.limits.discharge).toBeCloseTo(1 - 0.5 * (1 - DEFAULT_BMS_CONFIG.derateFloor), 12);
+    });
+
+    it('latches a cutoff after the signal recovers', () => {
+        let bms = hold(createBmsState(), { maxTemp: 61 }, 2);
+        expect(bms.faults.overTemp).toMatchObject({ level: 3, latched: true });
+        expect(bms.limits).toEqual({ discharge: 0, charge: 0 });
+        expect(bmsWorstLevel(bms)).toBe(3);
+        bms = hold(bms, {}, 30, 2);
+        expect(bms.faults.overTemp.level).toBe(3);
+        expect(bms.limits).toEqual({ discharge: 0, charge: 0 });
+    });
+
+    it('keeps working through a missing signal, without derating on it', () => {
+        const bms = bmsStep(createBmsState(), { ...NOMINAL, maxTemp: NaN }, 0.5, 0.5);
+        expect(bms.faults.overTemp).toMatchObject({ level: 0, value: null });
+        expect(bms.limits).toEqual({ discharge: 1, charge: 1 });
+    });
+});
+
+describe('resetBms', () => {
+    it('clears a latched cutoff only once its signal is back inside the cutoff threshold', () => {
+        const tripped = hold(createBmsState(), { maxTemp: 61 }, 2);
+        const stillHot = resetBms(tripped, 3);
+        expect(stillHot.faults.overTemp.latched).toBe(true);
+        expect(stillHot.events).toBe(tripped.events);
+
+        const cooled = hold(tripped, {}, 1, 2);
+        const reset = resetBms(cooled, 4);
+        expect(reset.faults.overTemp).toMatchObject({ level: 0, latched: false, pendingTime: 0 });
+        expect(reset.events.at(-1)).toEqual({ time: 4, fault: 'overTemp', from: 'cutoff', to: 'normal (reset)', value: 30 });
+        expect(bmsStep(reset, NOMINAL, 0.5, 4.5).limits).toEqual({ discharge: 1, charge: 1 });
+    });
+});
+
+describe('bmsPackEmpty', () => {
+    it('counts low-SOC and under-voltage cutoffs as empty, other cutoffs as protection', () => {
+        expect(bmsPackEmpty(hold(createBmsState(), { soc: 1 }, 1))).toBe(true);
+        expect(bmsPackEmpty(hold(createBmsState(), { minCellVoltage: 2.4 }, 1))).toBe(true);
+        const hot = hold(createBmsState(), { maxTemp: 61 }, 2);
+        expect(hot.limits.discharge).toBe(0);
+        expect(bmsPackEmpty(hot)).toBe(false);
+    });
+});
+
+describe('formatBmsEvent', () => {
+    it('describes an event with the value in the fault unit', () => {
+        expect(formatBmsEvent({ time: 12.44, fault: 'overTemp', from: 'warning', to: 'derate', value: 50.26 })).toBe('12.4s Over-Temperature: warning -> derate (50.3 °C)');
+        expect(formatBmsEvent({ time: 3, fault: 'underVoltage', from: 'normal', to: 'warning', value: 2.9991 })).toBe('3.0s Cell Under-Voltage: normal -> warning (2.999 V)');
+    });
+});
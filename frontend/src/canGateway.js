@@ -0,0 +1,93 @@
+// canGateway.js - Wire protocol between the CAN publisher and a gateway, plus the two gateway transports
+//
+// The publisher sends JSON text messages { type: 'frames', frames: [{ time, id, extended, data }] }
+// with data as a hex string; a gateway answers once with { type: 'hello', name, logs }. The real
+// gateway is scripts/can-gateway.mjs behind a WebSocket; the mock gateway runs in-process,
+// goes through the same encoding and keeps the frames so they can be saved as a log.
+import { buildCanLog } from './canLog.js'; // .js: scripts/can-gateway.mjs loads this module in plain Node
+
+export const DEFAULT_GATEWAY_URL = 'ws://localhost:8765';
+export const GATEWAY_TARGETS = { websocket: 'WebSocket gateway', mock: 'Mock gateway (in-browser)' };
+export const MOCK_GATEWAY_MAX_FRAMES = 200000; // Oldest frames are dropped past this
+
+const toHex = (data) => Array.from(data, b => b.toString(16).padStart(2, '0')).join('');
+
+/** JSON text of a batch of frames. */
+export const encodeFrameBatch = (frames) => JSON.stringify({
+    type: 'frames',
+    frames: frames.map(frame => ({ time: frame.time, id: frame.id, extended: frame.extended, data: toHex(frame.data) })),
+});
+
+/**
+ * Frames of a publisher message (data as byte arrays). Throws with a readable message when the
+ * text is not a well-formed frame batch.
+ */
+export const decodeFrameBatch = (text) => {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        throw new Error('Gateway message is not JSON.');
+    }
+    if (message?.type !== 'frames' || !Array.isArray(message.frames)) throw new Error('Expected a { type: "frames", frames: [...] } message.');
+    return message.frames.map((frame, i) => {
+        const valid = Number.isFinite(frame?.time) && Number.isInteger(frame.id) && frame.id >= 0
+            && frame.id <= (frame.extended ? 0x1FFFFFFF : 0x7FF) && /^([0-9a-fA-F]{2}){0,8}$/.test(frame.data ?? '');
+        if (!valid) throw new Error(`Frame ${i + 1} needs a time, an identifier in range and 0-8 hex bytes.`);
+        return { time: frame.time, id: frame.id, extended: !!frame.extended, data: (frame.data.match(/../g) ?? []).map(b => parseInt(b, 16)) };
+    });
+};
+
+/**
+ * In-process gateway with the transport interface ({ send(text), close() }). It decodes every
+ * batch like the real gateway and keeps the frames; `log(format)` renders them (see canLog.js).
+ */
+export const createMockGateway = ({ onStatus = () => {}, maxFrames = MOCK_GATEWAY_MAX_FRAMES } = {}) => {
+    let frames = [];
+    let closed = false;
+    const gateway = {
+        get frames() { return frames; },
+        send: (text) => {
+            for (const frame of decodeFrameBatch(text)) frames.push(frame);
+            if (frames.length > maxFrames * 1.1) frames = frames.slice(frames.length - maxFrames);
+        },
+        close: () => {
+            closed = true;
+            onStatus({ state: 'closed' });
+        },
+        clear: () => { frames = []; },
+        log: (format) => buildCanLog(frames, format),
+    };
+    setTimeout(() => closed || onStatus({ state: 'open', name: 'mock gateway', logs: [] }), 0);
+    return gateway;
+};
+
+/**
+ * WebSocket transport to scripts/can-gateway.mjs. Batches sent before the socket opens, or
+ * while it is backed up, are dropped (like frames on a bus nobody listens to) and counted.
+ * `onStatus` gets { state: 'connecting' | 'open' | 'closed' | 'error', name, logs, message }.
+ */
+export const connectGateway = (url, { onStatus = () => {}, maxBufferedBytes = 1 << 20 } = {}) => {
+    const socket = new WebSocket(url);
+    let dropped = 0;
+    onStatus({ state: 'connecting' });
+    socket.onmessage = (e) => {
+        try {
+            const message = JSON.parse(e.data);
+            if (message.type === 'hello') onStatus({ state: 'open', name: message.name, logs: message.logs ?? [] });
+            else if (message.type === 'error') onStatus({ state: 'error', message: message.message });
+        } catch {
+            onStatus({ state: 'error', message: 'Unreadable message from the gateway.' });
+        }
+    };
+    socket.onerror = () => onStatus({ state: 'error', message: `Cannot reach the gateway at ${url}.` });
+    socket.onclose = () => onStatus({ state: 'closed' });
+    return {
+        get dropped() { return dropped; },
+        send: (text) => {
+            if (socket.readyState === WebSocket.OPEN && socket.bufferedAmount < maxBufferedBytes) socket.send(text);
+            else dropped++;
+        },
+        close: () => socket.close(),
+    };
+};
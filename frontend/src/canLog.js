@@ -0,0 +1,90 @@
+// canLog.js - CAN frame logs: candump (-L) and Vector ASC text, writing and reading back
+//
+// A frame is { time (s), id, extended, data (byte array) }. candump lines carry absolute Unix
+// times; ASC lines are relative to the trigger block start, which goes in its header. Used by
+// the dashboard (mock gateway, CAN log playback) and by scripts/can-gateway.mjs.
+
+export const CAN_LOG_FORMATS = { candump: 'candump -L (.log)', asc: 'Vector ASC (.asc)' };
+
+const hex = (value, width) => value.toString(16).toUpperCase().padStart(width, '0');
+const idText = (frame) => hex(frame.id, frame.extended ? 8 : 3);
+
+/** One candump -L line: "(1700000000.123456) can0 123#0102030405060708". */
+export const formatCandumpLine = (frame, channel = 'can0') => (
+    `(${frame.time.toFixed(6)}) ${channel} ${idText(frame)}#${Array.from(frame.data, b => hex(b, 2)).join('')}`
+);
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// "Mon Oct 19 09:41:07.250 am 2026" (local time, as CANalyzer writes it)
+const ascDate = (date) => {
+    const hours = date.getHours() % 12 || 12;
+    const clock = `${String(hours).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}:${String(date.getSeconds()).padStart(2, '0')}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+    return `${DAYS[date.getDay()]} ${MONTHS[date.getMonth()]} ${String(date.getDate()).padStart(2, '0')} ${clock} ${date.getHours() < 12 ? 'am' : 'pm'} ${date.getFullYear()}`;
+};
+
+/** ASC header lines for a log whose timestamps count from `startTime` (Unix seconds). */
+export const formatAscHeader = (startTime) => {
+    const date = ascDate(new Date(startTime * 1000));
+    return [`date ${date}`, 'base hex  timestamps absolute', 'internal events logged', `Begin Triggerblock ${date}`];
+};
+export const ASC_FOOTER = 'End TriggerBlock';
+
+/** One ASC line: "   1.250000 1  123             Rx   d 8 01 02 03 04 05 06 07 08". */
+export const formatAscLine = (frame, startTime, channel = 1) => {
+    const id = `${hex(frame.id, 1)}${frame.extended ? 'x' : ''}`;
+    const bytes = Array.from(frame.data, b => hex(b, 2)).join(' ');
+    return `${(frame.time - startTime).toFixed(6).padStart(11)} ${channel}  ${id.padEnd(15)} Rx   d ${frame.data.length}${bytes ? ` ${bytes}` : ''}`;
+};
+
+/** Whole log text of `frames` in a CAN_LOG_FORMATS format (an ASC log starts at the first frame). */
+export const buildCanLog = (frames, format = 'candump') => {
+    if (format === 'candump') return frames.map(frame => formatCandumpLine(frame)).join('\n');
+    const startTime = frames.length ? frames[0].time : Date.now() / 1000;
+    return [...formatAscHeader(startTime), ...frames.map(frame => formatAscLine(frame, startTime)), ASC_FOOTER].join('\n');
+};
+
+const CANDUMP_LINE = /^\((\d+(?:\.\d+)?)\)\s+\S+\s+([0-9A-Fa-f]{1,8})#([0-9A-Fa-f]*)\s*$/;
+const ASC_LINE = /^(\d+(?:\.\d+)?)\s+\d+\s+([0-9A-Fa-f]+)(x?)\s+(?:Rx|Tx)\s+d\s+(\d+)((?:\s+[0-9A-Fa-f]{2})*)/;
+
+// Unix time of an ASC "date" header (local time); 0 when it cannot be read
+const ascStartTime = (text) => {
+    const match = text.match(/^date\s+\w+\s+(\w+)\s+(\d+)\s+(\d+):(\d+):(\d+(?:\.\d+)?)\s*(am|pm)?\s+(\d{4})/m);
+    if (!match) return 0;
+    const [, month, day, h, m, s, half, year] = match;
+    let hours = Number(h) % (half ? 12 : 24);
+    if (half === 'pm') hours += 12;
+    return new Date(Number(year), MONTHS.indexOf(month), Number(day), hours, Number(m), 0).getTime() / 1000 + Number(s);
+};
+
+/**
+ * Frames of a candump -L or ASC log (the format is detected from the content), in file order.
+ * ASC times become absolute through the header date. Throws with a readable message.
+ */
+export const parseCanLog = (text, name = 'can.log') => {
+    const isAsc = /^\s*(date |base |Begin Triggerblock)/m.test(text);
+    const startTime = isAsc ? ascStartTime(text) : 0;
+    const decimal = isAsc && /^base\s+dec/m.test(text);
+    const frames = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line) return;
+        if (isAsc) {
+            const match = line.match(ASC_LINE);
+            if (!match) return; // Header, events and error frames
+            const data = match[5].trim() ? match[5].trim().split(/\s+/).map(b => parseInt(b, 16)) : [];
+            if (data.length !== Number(match[4])) throw new Error(`${name} line ${i + 1}: DLC ${match[4]} but ${data.length} data bytes.`);
+            frames.push({ time: startTime + Number(match[1]), id: parseInt(match[2], decimal ? 10 : 16), extended: match[3] === 'x', data });
+        } else {
+            const match = line.match(CANDUMP_LINE);
+            if (!match) throw new Error(`${name} line ${i + 1}: not a candump -L frame ("(time) can0 123#data").`);
+            if (match[3].length % 2 || match[3].length > 16) throw new Error(`${name} line ${i + 1}: payload must be 0 to 8 whole bytes.`);
+            frames.push({
+                time: Number(match[1]), id: parseInt(match[2], 16), extended: match[2].length > 3,
+                data: (match[3].match(/../g) ?? []).map(b => parseInt(b, 16)),
+            });
+        }
+    });
+    if (!frames.length) throw new Error(`${name}: no CAN frames found.`);
+    return frames;
+};
@@ -0,0 +1,165 @@
+// canTelemetry.js - Simulator state on CAN: DBC signal mapping, the real-time frame publisher and CAN log playback
+//
+// DBC signals are matched to TELEMETRY_SIGNALS by name (case-insensitive); signals with other
+// names are sent as 0. The publisher keeps the latest worker snapshot and sends every message
+// on its own cycle time (GenMsgCycleTime) through a gateway transport (see canGateway.js), so
+// frame timing does not depend on the snapshot rate. Voltage, current and temperature are the
+// measured signals, so injected sensor faults show on the bus like on a real BMS.
+import { encodeMessage, decodeMessage, findMessage } from './dbc';
+import { encodeFrameBatch } from './canGateway';
+import { bmsWorstLevel } from './bms';
+import { thermalPower } from './thermal';
+import { FAULT_TYPES } from './faultInjection';
+import { createDriveCycle } from './driveCycle';
+
+export const PUBLISH_TICK_MS = 10; // Scheduler resolution; faster message cycles are sent every tick
+
+// Bit i of a flag word is the i-th key of `keys`
+const flagWord = (keys, isSet) => keys.reduce((word, key, i) => (isSet(key) ? word + 2 ** i : word), 0);
+
+// `read(snapshot, config)` takes a worker snapshot (see snapshotRun) and the engine config.
+// Cell extremes come from the pack model, or the lumped cell when there is none
+export const TELEMETRY_SIGNALS = {
+    PackVoltage: { unit: 'V', description: 'Measured pack voltage', read: ({ state }) => state.measured.voltage },
+    PackCurrent: { unit: 'A', description: 'Measured pack current (negative = discharge)', read: ({ state }) => state.measured.current },
+    PackTemp: { unit: '°C', description: 'Measured pack temperature', read: ({ state }) => state.measured.temp },
+    SOC: { unit: '%', description: 'State of charge (simulation truth)', read: ({ state }) => state.soc },
+    SOC_EKF: { unit: '%', description: 'EKF state-of-charge estimate', read: ({ ekf }) => ekf.soc },
+    SOH: { unit: '%', description: 'State of health', read: ({ state }) => state.soh },
+    CellVoltageMax: {
+        unit: 'V', description: 'Highest cell voltage',
+        read: ({ state, pack }, config) => (pack ? pack.stats.maxVoltage : state.measured.voltage / config.battery.layout.series),
+    },
+    CellVoltageMin: {
+        unit: 'V', description: 'Lowest cell voltage',
+        read: ({ state, pack }, config) => (pack ? pack.stats.minVoltage : state.measured.voltage / config.battery.layout.series),
+    },
+    CellTempMax: { unit: '°C', description: 'Hottest cell', read: ({ state, pack }) => (pack ? pack.stats.maxTemp : state.measured.temp) },
+    CellTempMin: { unit: '°C', description: 'Coldest cell', read: ({ state, pack }) => (pack ? pack.stats.minTemp : state.measured.temp) },
+    CoolantTemp: { unit: '°C', description: 'Coolant loop (two-node thermal model)', read: ({ state, ambientTemp }) => state.thermal?.coolant ?? ambientTemp },
+    AmbientTemp: { unit: '°C', description: 'Ambient air', read: ({ ambientTemp }) => ambientTemp },
+    ThermalPower: { unit: 'W', description: 'Heater, chiller and pump draw', read: ({ state }) => (state.thermal ? thermalPower(state.thermal) : 0) },
+    Speed: { unit: 'km/h', description: 'Vehicle speed', read: ({ state }) => state.speed },
+    DischargeLimit: {
+        unit: 'A', description: 'BMS discharge current limit',
+        read: ({ state }, config) => config.maxDischargeCurrent * (state.bms ? state.bms.limits.discharge : 1),
+    },
+    ChargeLimit: {
+        unit: 'A', description: 'BMS charge current limit',
+        read: ({ state }, config) => config.maxChargeCurrent * (state.bms ? state.bms.limits.charge : 1),
+    },
+    BMSLevel: { unit: '', description: 'Worst BMS level (0 normal - 3 cutoff)', read: ({ state }) => (state.bms ? bmsWorstLevel(state.bms) : 0) },
+    FaultFlags: {
+        unit: '', description: 'Bit per BMS fault at warning or worse, in BMS config order',
+        read: ({ state }, config) => (state.bms ? flagWord(Object.keys(config.bms.faults), id => state.bms.faults[id].level > 0) : 0),
+    },
+    InjectedFaults: {
+        unit: '', description: 'Bit per active injected fault type, in FAULT_TYPES order',
+        read: ({ faults }) => flagWord(Object.keys(FAULT_TYPES), type => faults?.includes(type)),
+    },
+};
+
+const SOURCES = new Map(Object.keys(TELEMETRY_SIGNALS).map(key => [key.toLowerCase(), key]));
+
+/** TELEMETRY_SIGNALS key a DBC signal name maps to, or null. */
+export const signalSource = (name) => SOURCES.get(name.toLowerCase()) ?? null;
+
+/** Every TELEMETRY_SIGNALS value of a snapshot, by key. */
+export const telemetryValues = (snapshot, config) => Object.fromEntries(
+    Object.entries(TELEMETRY_SIGNALS).map(([key, signal]) => [key, signal.read(snapshot, config)])
+);
+
+/** Which of a database's signals the publisher fills: { mapped: ['Message.Signal', ...], unmapped: [...] }. */
+export const signalMapping = (database) => {
+    const mapped = [], unmapped = [];
+    for (const message of database.messages) {
+        for (const signal of message.signals) (signalSource(signal.name) ? mapped : unmapped).push(`${message.name}.${signal.name}`);
+    }
+    return { mapped, unmapped };
+};
+
+/**
+ * Real-time publisher of `database` through `transport` ({ send(text), close() }). `update`
+ * hands it the latest snapshot; each message is sent when its cycle time is due, stamped with
+ * `now()` (Unix seconds). Nothing is sent before the first update; `update(null)` stops sending
+ * until the next one (the run ended).
+ */
+export const createCanPublisher = ({ database, transport, now = () => Date.now() / 1000, tickMs = PUBLISH_TICK_MS }) => {
+    const schedule = database.messages.map(message => ({
+        message, sources: message.signals.map(s => signalSource(s.name)), cycle: message.cycleTime / 1000, due: 0,
+    }));
+    let values = null;
+    let sent = 0;
+
+    const tick = () => {
+        if (!values) return;
+        const time = now();
+        const frames = [];
+        for (const entry of schedule) {
+            if (time < entry.due) continue;
+            // Keep the cycle phase; after a stall, restart it instead of bursting the backlog
+            entry.due = time - entry.due > entry.cycle ? time + entry.cycle : entry.due + entry.cycle;
+            const { message, sources } = entry;
+            const named = Object.fromEntries(message.signals.map((s, i) => [s.name, sources[i] ? values[sources[i]] : 0]));
+            frames.push({ time, id: message.id, extended: message.extended, data: encodeMessage(message, named) });
+        }
+        if (frames.length) {
+            transport.send(encodeFrameBatch(frames));
+            sent += frames.length;
+        }
+    };
+    const timer = setInterval(tick, tickMs);
+
+    return {
+        get sent() { return sent; },
+        update: (snapshot, config) => { values = snapshot ? telemetryValues(snapshot, config) : null; },
+        stop: () => {
+            clearInterval(timer);
+            transport.close();
+        },
+    };
+};
+
+// Drive-cycle columns a CAN log needs, and the signals that can supply each (first found wins)
+const PLAYBACK_COLUMNS = {
+    packVoltage: ['PackVoltage'],
+    current: ['PackCurrent'],
+    temperature: ['PackTemp', 'CellTempMax'],
+    soc: ['SOC'],
+};
+
+/**
+ * Decodes a CAN log (see parseCanLog) with `database` into a drive cycle for replay. Every frame
+ * carrying one of the PLAYBACK_COLUMNS signals adds a sample holding the latest value of each,
+ * from the moment all have been seen. Throws with a readable message when signals are missing.
+ */
+export const canLogToDriveCycle = (frames, database, name = 'CAN log') => {
+    const latest = {};
+    const columns = { time: [], packVoltage: [], current: [], temperature: [], soc: [] };
+    const sorted = [...frames].sort((a, b) => a.time - b.time);
+    for (const frame of sorted) {
+        const message = findMessage(database, frame.id, frame.extended);
+        if (!message) continue;
+        const decoded = decodeMessage(message, frame.data);
+        let relevant = false;
+        for (const [signalName, value] of Object.entries(decoded)) {
+            const source = signalSource(signalName);
+            if (source && Object.values(PLAYBACK_COLUMNS).some(list => list.includes(source))) {
+                latest[source] = value;
+                relevant = true;
+            }
+        }
+        const sample = Object.fromEntries(Object.entries(PLAYBACK_COLUMNS).map(([column, list]) => [column, latest[list.find(s => s in latest)]]));
+        if (!relevant || Object.values(sample).some(v => v === undefined)) continue;
+        // Frames with the same timestamp update one sample
+        const n = columns.time.length;
+        if (n && columns.time[n - 1] === frame.time) Object.keys(sample).forEach(column => columns[column].pop());
+        else columns.time.push(frame.time);
+        Object.entries(sample).forEach(([column, value]) => columns[column].push(value));
+    }
+
+    const missing = Object.values(PLAYBACK_COLUMNS).filter(list => !list.some(s => s in latest)).map(list => list.join('/'));
+    if (missing.length) throw new Error(`${name}: no ${missing.join(', ')} signal in the log (decoded with ${database.name}).`);
+    if (columns.time.length < 2) throw new Error(`${name}: needs at least two samples with every signal.`);
+    return createDriveCycle(name, Object.fromEntries(Object.entries(columns).map(([column, list]) => [column, Float64Array.from(list)])));
+};
@@ -0,0 +1,155 @@
+// charging.js - Charging session: charger presets, CC-CV controller with temperature taper, energy accounting
+//
+// The charger drives the engine with a forced (positive) pack current. Constant current is the
+// smallest of the charger's power/current rating, the temperature-dependent C-rate limit of the
+// cells (config.maxChargeCRate) and the pack's charge limit (config.maxChargeCurrent, derated by the
+// BMS); once the highest cell reaches the CV voltage the current is trimmed to hold it. Cells too
+// cold or hot to take any current stop the session.
+import { DEFAULT_CONFIG, createInitialState, step } from './engine';
+import { packCapacityAh, cellParameters, packResistance } from './batteryModel';
+
+// `efficiency` is grid-to-DC (on-board charger for AC, power cabinet for DC)
+export const CHARGERS = [
+    { id: 'ac-2', name: 'AC Level 1 (2.3 kW)', type: 'AC', powerKw: 2.3, maxCurrent: 16, efficiency: 0.86 },
+    { id: 'ac-7', name: 'AC Level 2 (7.4 kW)', type: 'AC', powerKw: 7.4, maxCurrent: 32, efficiency: 0.9 },
+    { id: 'ac-11', name: 'AC 3-phase (11 kW)', type: 'AC', powerKw: 11, maxCurrent: 32, efficiency: 0.91 },
+    { id: 'dc-50', name: 'DC CCS (50 kW)', type: 'DC', powerKw: 50, maxCurrent: 125, efficiency: 0.94 },
+    { id: 'dc-150', name: 'DC CCS (150 kW)', type: 'DC', powerKw: 150, maxCurrent: 350, efficiency: 0.95 },
+    { id: 'dc-350', name: 'DC HPC (350 kW)', type: 'DC', powerKw: 350, maxCurrent: 500, efficiency: 0.95 },
+];
+
+export const CHARGE_SETTINGS = {
+    // Fraction of config.maxChargeCRate allowed versus the hottest (or coldest) cell temperature, linearly interpolated
+    derateByTemp: [[-10, 0], [0, 0.05], [10, 0.25], [20, 1], [40, 1], [45, 0.5], [50, 0.15], [55, 0]],
+    cvMargin: 0, // V below cell.maxVoltage for the constant-voltage phase
+    terminationCRate: 0.05, // CV ends when the current falls below C/20
+    cvGain: 0.5, // Fraction of the voltage error corrected per step
+};
+
+const interpolateTable = (table, x) => {
+    if (x <= table[0][0]) return table[0][1];
+    for (let i = 1; i < table.length; i++) {
+        if (x <= table[i][0]) {
+            const [x0, y0] = table[i - 1], [x1, y1] = table[i];
+            return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+        }
+    }
+    return table[table.length - 1][1];
+};
+
+/** Temperature-limited charge current (A) for the pack of `config` (see DEFAULT_CONFIG). */
+export const temperatureCurrentLimit = (config, minTemp, maxTemp, settings = CHARGE_SETTINGS) =>
+    Math.min(interpolateTable(settings.derateByTemp, minTemp), interpolateTable(settings.derateByTemp, maxTemp))
+        * config.maxChargeCRate * packCapacityAh(config.battery);
+
+export const createChargeSession = ({ charger, targetSoc, startSoc = null, startSoh = null }) => ({
+    charger,
+    targetSoc,
+    startSoc, // %, for the session report
+    startSoh, // %, SOH lost to this charge = startSoh - current SOH
+    phase: 'cc', // 'cc' | 'cv' | 'done' | 'stopped' (cell temperature out of the charging range)
+    command: 0, // A, last current request
+    limitedBy: null, // 'charger' | 'temperature' | 'pack' | 'bms' | 'cv'
+    elapsed: 0, // s
+    gridWh: 0, // energy drawn from the grid
+    packWh: 0, // energy into the pack terminals
+    storedWh: 0, // energy stored as open-circuit potential (terminal energy minus I²R loss)
+    batteryHeatWh: 0, // I²R loss in the cells
+    chargerHeatWh: 0, // conversion loss in the charger
+    peakTemp: -Infinity, // °C, pack temperature
+});
+
+// Cell-level signals for the controller: pack model extremes when present, pack average otherwise
+const cellSignals = (sim, battery) => {
+    const { series } = battery.layout;
+    if (!sim.pack) return { maxVoltage: sim.voltage / series, minTemp: sim.temp, maxTemp: sim.temp };
+    let maxVoltage = -Infinity, minTemp = Infinity, maxTemp = -Infinity;
+    for (let i = 0; i < sim.pack.voltage.length; i++) {
+        maxVoltage = Math.max(maxVoltage, sim.pack.voltage[i]);
+        minTemp = Math.min(minTemp, sim.pack.temp[i]);
+        maxTemp = Math.max(maxTemp, sim.pack.temp[i]);
+    }
+    return { maxVoltage, minTemp, maxTemp };
+};
+
+/**
+ * Next charge current (A) from the latest engine state. Returns the updated session; the
+ * current to force into the engine is `session.command`.
+ */
+export const chargeCommand = (session, sim, config = DEFAULT_CONFIG, settings = CHARGE_SETTINGS) => {
+    const { battery } = config;
+    if (session.phase === 'done') return { ...session, command: 0, limitedBy: null };
+    if (session.phase === 'stopped') return { ...session, command: 0 };
+
+    const signals = cellSignals(sim, battery);
+    const chargerLimit = Math.min(session.charger.maxCurrent, session.charger.powerKw * 1000 * session.charger.efficiency / Math.max(sim.voltage, 1));
+    const tempLimit = temperatureCurrentLimit(config, signals.minTemp, signals.maxTemp, settings);
+    // Nothing here warms or cools a parked pack on its own schedule, so holding 0 A would never end
+    if (tempLimit <= 0) return { ...session, phase: 'stopped', command: 0, limitedBy: 'temperature' };
+    const packLimit = config.maxChargeCurrent * (sim.bms ? sim.bms.limits.charge : 1);
+    let command = Math.min(chargerLimit, tempLimit, packLimit);
+    let limitedBy = command === chargerLimit ? 'charger' : command === tempLimit ? 'temperature' : sim.bms?.limits.charge < 1 ? 'bms' : 'pack';
+
+    // CV: trim the current so the highest cell sits at the CV voltage (R0 gives the instant response)
+    const cvVoltage = battery.cell.maxVoltage - settings.cvMargin;
+    let phase = session.phase;
+    if (phase === 'cc' && signals.maxVoltage >= cvVoltage) phase = 'cv';
+    if (phase === 'cv') {
+        const r0Group = cellParameters(battery, sim.soc, sim.temp).r0 / battery.layout.parallel;
+        const cvCurrent = Math.max(0, session.command + settings.cvGain * (cvVoltage - signals.maxVoltage) / r0Group);
+        if (cvCurrent < command) {
+            command = cvCurrent;
+            limitedBy = 'cv';
+        }
+    }
+
+    const done = sim.soc >= session.targetSoc ||
+        (phase === 'cv' && command < settings.terminationCRate * packCapacityAh(battery));
+    return done
+        ? { ...session, phase: 'done', command: 0, limitedBy: null }
+        : { ...session, phase, command, limitedBy };
+};
+
+/** Adds one engine step (`sim` is the state after the step) to the session's energy totals. */
+export const recordCharge = (session, sim, dt, config = DEFAULT_CONFIG) => {
+    const { battery } = config;
+    const cell = cellParameters(battery, sim.soc, sim.temp);
+    const terminalW = sim.voltage * sim.current;
+    const lossW = sim.current ** 2 * packResistance(battery, cell);
+    const gridW = terminalW > 0 ? terminalW / session.charger.efficiency : 0;
+    const hours = dt / 3600;
+    return {
+        ...session,
+        elapsed: session.elapsed + dt,
+        gridWh: session.gridWh + gridW * hours,
+        packWh: session.packWh + terminalW * hours,
+        storedWh: session.storedWh + (terminalW - lossW) * hours,
+        batteryHeatWh: session.batteryHeatWh + lossW * hours,
+        chargerHeatWh: session.chargerHeatWh + (gridW - Math.max(terminalW, 0)) * hours,
+        peakTemp: Math.max(session.peakTemp, sim.temp),
+    };
+};
+
+/** Grid-to-stored charge efficiency (0-1) of the session so far. */
+export const chargeEfficiency = (session) => (session.gridWh > 0 ? session.storedWh / session.gridWh : null);
+
+/**
+ * Remaining time (s) to the session's target, from a coarse look-ahead run of a lumped
+ * copy of the engine (no per-cell model, 5 s steps). Returns null past `horizon`, or when the
+ * session stops on temperature first.
+ */
+export const predictTimeToTarget = (session, sim, inputs, config = DEFAULT_CONFIG, { dt = 5, horizon = 12 * 3600 } = {}) => {
+    const lumped = { ...config, pack: null };
+    let state = {
+        ...createInitialState({ soc: sim.soc, soh: sim.soh, ambientTemp: sim.temp, config: lumped }),
+        vrc: sim.vrc, temp: sim.temp, thermal: sim.thermal, current: sim.current, voltage: sim.voltage, bms: sim.bms,
+    };
+    let ahead = { ...session };
+    for (let t = 0; t < horizon; t += dt) {
+        ahead = chargeCommand(ahead, state, lumped);
+        if (ahead.phase === 'stopped') return null;
+        if (ahead.phase === 'done') return t;
+        state = step(state, { ...inputs, current: ahead.command }, dt, lumped);
+    }
+    return null;
+};
@@ -0,0 +1,108 @@
+// charging.test.js - CC-CV controller: current limits, the CV switch, termination and temperature stops
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CONFIG, createInitialState, step } from './engine';
+import { packCapacityAh } from './batteryModel';
+import { DEFAULT_BMS_CONFIG } from './bms';
+import { CHARGERS, CHARGE_SETTINGS, temperatureCurrentLimit, createChargeSession, chargeCommand, predictTimeToTarget } from './charging';
+
+// Lumped pack: the controller reads the pack voltage / series as the highest cell
+const LUMPED = { ...DEFAULT_CONFIG, pack: null };
+const { series } = LUMPED.battery.layout;
+const charger = (id) => CHARGERS.find(c => c.id === id);
+const parked = ({ soc = 50, temp = 25, cellVoltage = 3.8, chargeLimit = 1 } = {}) => {
+    const sim = createInitialState({ soc, ambientTemp: temp, config: LUMPED });
+    return { ...sim, voltage: cellVoltage * series, bms: { ...sim.bms, limits: { discharge: 1, charge: chargeLimit } } };
+};
+
+describe('temperatureCurrentLimit', () => {
+    it('allows the full C-rate from 20 to 40 °C and nothing past -10 or 55 °C', () => {
+        const full = LUMPED.maxChargeCRate * packCapacityAh(LUMPED.battery);
+        expect(temperatureCurrentLimit(LUMPED, 20, 40)).toBe(full);
+        expect(temperatureCurrentLimit(LUMPED, 5, 25)).toBeCloseTo(0.15 * full, 12);
+        expect(temperatureCurrentLimit(LUMPED, 25, 47.5)).toBeCloseTo(0.325 * full, 12);
+        expect(temperatureCurrentLimit(LUMPED, -10, 25)).toBe(0);
+        expect(temperatureCurrentLimit(LUMPED, 25, 55)).toBe(0);
+    });
+});
+
+describe('chargeCommand', () => {
+    it('takes the smallest of the charger, temperature and pack limits in CC', () => {
+        const ac = chargeCommand(createChargeSession({ charger: charger('ac-7'), targetSoc: 80 }), parked(), LUMPED);
+        expect(ac).toMatchObject({ phase: 'cc', limitedBy: 'charger' });
+        expect(ac.command).toBeCloseTo(7400 * 0.9 / (3.8 * series), 9);
+
+        const dc = chargeCommand(createChargeSession({ charger: charger('dc-150'), targetSoc: 80 }), parked(), LUMPED);
+        expect(dc).toMatchObject({ phase: 'cc', command: 54, limitedBy: 'temperature' });
+
+        const pack = chargeCommand(createChargeSession({ charger: charger('dc-150'), targetSoc: 80 }), parked(), { ...LUMPED, maxChargeCurrent: 40 });
+        expect(pack).toMatchObject({ command: 40, limitedBy: 'pack' });
+    });
+
+    it('blames the BMS only while it derates the pack limit', () => {
+        const session = createChargeSession({ charger: charger('dc-150'), targetSoc: 80 });
+        const config = { ...LUMPED, maxChargeCurrent: 40 };
+        expect(chargeCommand(session, parked({ chargeLimit: 1 }), config)).toMatchObject({ command: 40, limitedBy: 'pack' });
+        expect(chargeCommand(session, parked({ chargeLimit: 0.5 }), config)).toMatchObject({ command: 20, limitedBy: 'bms' });
+    });
+
+    it('switches to CV at the cell maximum and trims the current to hold it', () => {
+        const session = { ...createChargeSession({ charger: charger('dc-50'), targetSoc: 100 }), command: 54 };
+        const atMax = chargeCommand(session, parked({ soc: 90, cellVoltage: 4.2 }), LUMPED);
+        expect(atMax).toMatchObject({ phase: 'cv', command: 54, limitedBy: 'temperature' });
+
+        const over = chargeCommand(atMax, parked({ soc: 90, cellVoltage: 4.25 }), LUMPED);
+        expect(over.phase).toBe('cv');
+        expect(over.limitedBy).toBe('cv');
+        expect(over.command).toBeLessThan(54);
+
+        // CV stays on once entered, even when the voltage dips below the maximum again
+        expect(chargeCommand(over, parked({ soc: 90, cellVoltage: 4.1 }), LUMPED).phase).toBe('cv');
+    });
+
+    it('ends at the target SOC, or in CV below C/20', () => {
+        const session = createChargeSession({ charger: charger('dc-50'), targetSoc: 80 });
+        expect(chargeCommand(session, parked({ soc: 80 }), LUMPED)).toMatchObject({ phase: 'done', command: 0, limitedBy: null });
+
+        const taper = CHARGE_SETTINGS.terminationCRate * packCapacityAh(LUMPED.battery);
+        const cv = { ...createChargeSession({ charger: charger('dc-50'), targetSoc: 100 }), phase: 'cv', command: taper };
+        expect(chargeCommand(cv, parked({ soc: 97, cellVoltage: 4.2 }), LUMPED).phase).toBe('cv');
+        expect(chargeCommand(cv, parked({ soc: 97, cellVoltage: 4.21 }), LUMPED).phase).toBe('done');
+    });
+
+    it('stops the session when the cells are too cold or hot to take any current', () => {
+        const session = createChargeSession({ charger: charger('ac-7'), targetSoc: 80 });
+        for (const temp of [-15, 56]) {
+            const stopped = chargeCommand(session, parked({ temp }), LUMPED);
+            expect(stopped).toMatchObject({ phase: 'stopped', command: 0, limitedBy: 'temperature' });
+            // A stopped session stays stopped when the pack comes back into range
+            expect(chargeCommand(stopped, parked(), LUMPED)).toMatchObject({ phase: 'stopped', command: 0 });
+        }
+    });
+
+    it('runs a full session through CC and CV to the C/20 taper', () => {
+        let session = createChargeSession({ charger: charger('ac-11'), targetSoc: 100 });
+        let sim = createInitialState({ soc: 80, ambientTemp: 25, config: LUMPED });
+        const phases = new Set();
+        let peakCell = 0;
+        for (let t = 0; t < 4 * 3600 && session.phase !== 'done'; t++) {
+            session = chargeCommand(session, sim, LUMPED);
+            phases.add(session.phase);
+            sim = step(sim, { current: session.command }, 1, LUMPED);
+            peakCell = Math.max(peakCell, sim.voltage / series);
+        }
+        expect([...phases]).toEqual(['cc', 'cv', 'done']);
+        expect(sim.soc).toBeGreaterThan(95);
+        // One 1 s step of overshoot at the switch, well clear of the BMS over-voltage derate
+        expect(peakCell).toBeLessThan(DEFAULT_BMS_CONFIG.faults.overVoltage.derate);
+    });
+});
+
+describe('predictTimeToTarget', () => {
+    it('estimates a normal session and gives null for one that stops on temperature', () => {
+        const session = createChargeSession({ charger: charger('ac-7'), targetSoc: 60 });
+        const time = predictTimeToTarget(session, parked(), {}, LUMPED);
+        expect(time).toBeGreaterThan(0);
+        expect(time).toBeLessThan(3 * 3600);
+        expect(predictTimeToTarget(session, parked({ temp: 56 }), {}, LUMPED)).toBeNull();
+    });
+});
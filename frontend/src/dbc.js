@@ -0,0 +1,127 @@
+// dbc.js - CAN database (DBC) reading plus signal encoding into and decoding out of frame payloads
+//
+// Supports the parts of the format a telemetry publisher needs: messages (BO_), plain signals
+// (SG_, Intel and Motorola byte order, signed or unsigned, factor/offset, min/max) and the
+// GenMsgCycleTime attribute. Multiplexed signals and signals over 52 bits are rejected.
+
+export const DEFAULT_CYCLE_TIME_MS = 100; // Without a GenMsgCycleTime attribute
+const EXTENDED_ID_FLAG = 0x80000000; // DBC marks 29-bit identifiers with bit 31
+const MAX_SIGNAL_BITS = 52; // Raw values stay exact in a double
+
+const MESSAGE_PATTERN = /^BO_\s+(\d+)\s+(\w+)\s*:\s*(\d+)\s+(\w+)/;
+const SIGNAL_PATTERN = /^SG_\s+(\w+)\s*(M|m\d+)?\s*:\s*(\d+)\|(\d+)@([01])([+-])\s*\(\s*([^,\s]+)\s*,\s*([^)\s]+)\s*\)\s*\[\s*([^|\s]+)\s*\|\s*([^\]\s]+)\s*\]\s*"([^"]*)"/;
+const CYCLE_TIME_PATTERN = /^BA_\s+"GenMsgCycleTime"\s+BO_\s+(\d+)\s+(\d+)\s*;/;
+const CYCLE_TIME_DEFAULT_PATTERN = /^BA_DEF_DEF_\s+"GenMsgCycleTime"\s+(\d+)\s*;/;
+
+// Payload bit positions of a signal, most significant bit first. Intel (little endian) counts
+// up from the start bit (the LSB); Motorola (big endian) starts at the MSB and runs through
+// the DBC's sawtooth numbering (bit 7 of a byte is followed by bit 0 of the next)
+const signalBits = (start, length, littleEndian) => {
+    const bits = new Array(length);
+    if (littleEndian) {
+        for (let k = 0; k < length; k++) bits[length - 1 - k] = start + k;
+    } else {
+        let pos = start;
+        for (let k = 0; k < length; k++) {
+            bits[k] = pos;
+            pos = pos % 8 === 0 ? pos + 15 : pos - 1;
+        }
+    }
+    return bits;
+};
+
+/**
+ * Reads DBC text. Returns { messages: [{ id, extended, name, dlc, cycleTime (ms), signals:
+ * [{ name, unit, factor, offset, min, max, signed, littleEndian, start, length, bits }] }] }.
+ * Throws with a readable message (and the line number) on anything it cannot encode.
+ */
+export const parseDbc = (text, name = 'database.dbc') => {
+    const messages = [];
+    const cycleTimes = new Map();
+    let defaultCycleTime = DEFAULT_CYCLE_TIME_MS;
+    let message = null;
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        const where = `${name} line ${i + 1}`;
+        if (line.startsWith('BO_ ')) {
+            const match = line.match(MESSAGE_PATTERN);
+            if (!match) throw new Error(`${where}: cannot read the message definition.`);
+            const rawId = Number(match[1]);
+            const dlc = Number(match[3]);
+            if (dlc > 8) throw new Error(`${where}: ${match[2]} has ${dlc} bytes; only classic CAN (up to 8) is supported.`);
+            message = {
+                id: rawId >= EXTENDED_ID_FLAG ? rawId - EXTENDED_ID_FLAG : rawId,
+                extended: rawId >= EXTENDED_ID_FLAG || rawId > 0x7FF,
+                dbcId: rawId,
+                name: match[2], dlc, cycleTime: null, signals: [],
+            };
+            messages.push(message);
+        } else if (line.startsWith('SG_ ')) {
+            const match = line.match(SIGNAL_PATTERN);
+            if (!match) throw new Error(`${where}: cannot read the signal definition.`);
+            if (!message) throw new Error(`${where}: signal ${match[1]} comes before any message.`);
+            if (match[2]) throw new Error(`${where}: ${match[1]} is multiplexed, which is not supported.`);
+            const [start, length] = [Number(match[3]), Number(match[4])];
+            const [factor, offset, min, max] = [match[7], match[8], match[9], match[10]].map(Number);
+            if (!(length >= 1 && length <= MAX_SIGNAL_BITS)) throw new Error(`${where}: ${match[1]} must be 1 to ${MAX_SIGNAL_BITS} bits long.`);
+            if (![factor, offset, min, max].every(Number.isFinite) || factor === 0) throw new Error(`${where}: ${match[1]} needs a non-zero factor and numeric offset/range.`);
+            const littleEndian = match[5] === '1';
+            const bits = signalBits(start, length, littleEndian);
+            if (bits.some(bit => bit < 0 || bit >= message.dlc * 8)) throw new Error(`${where}: ${match[1]} does not fit in the ${message.dlc}-byte ${message.name}.`);
+            message.signals.push({
+                name: match[1], unit: match[11], factor, offset, min, max,
+                signed: match[6] === '-', littleEndian, start, length, bits,
+            });
+        } else if (line.startsWith('BA_ ')) {
+            const match = line.match(CYCLE_TIME_PATTERN);
+            if (match) cycleTimes.set(Number(match[1]), Number(match[2]));
+        } else if (line.startsWith('BA_DEF_DEF_ ')) {
+            const match = line.match(CYCLE_TIME_DEFAULT_PATTERN);
+            if (match) defaultCycleTime = Number(match[1]);
+        }
+    });
+
+    if (!messages.length) throw new Error(`${name}: no messages (BO_) found.`);
+    for (const m of messages) m.cycleTime = cycleTimes.get(m.dbcId) || defaultCycleTime;
+    return { name, messages };
+};
+
+/** Raw integer of a physical value: scaled, rounded, clamped to the DBC range and to the bits. */
+export const encodeSignal = (signal, value) => {
+    let phys = Number.isFinite(value) ? value : 0;
+    if (signal.max > signal.min) phys = Math.max(signal.min, Math.min(signal.max, phys));
+    const lowest = signal.signed ? -(2 ** (signal.length - 1)) : 0;
+    const highest = signal.signed ? 2 ** (signal.length - 1) - 1 : 2 ** signal.length - 1;
+    return Math.max(lowest, Math.min(highest, Math.round((phys - signal.offset) / signal.factor)));
+};
+
+/** Payload (Uint8Array of the message's dlc) with every signal set from `values` by name (missing ones 0). */
+export const encodeMessage = (message, values) => {
+    const data = new Uint8Array(message.dlc);
+    for (const signal of message.signals) {
+        let raw = encodeSignal(signal, values[signal.name]);
+        if (raw < 0) raw += 2 ** signal.length; // Two's complement
+        const { bits } = signal;
+        for (let k = bits.length - 1; k >= 0; k--) {
+            if (raw % 2) data[bits[k] >> 3] |= 1 << (bits[k] & 7);
+            raw = Math.floor(raw / 2);
+        }
+    }
+    return data;
+};
+
+/** Physical values of a message's signals read from `data` (bytes beyond the payload read as 0). */
+export const decodeMessage = (message, data) => {
+    const values = {};
+    for (const signal of message.signals) {
+        let raw = 0;
+        for (const bit of signal.bits) raw = raw * 2 + (((data[bit >> 3] ?? 0) >> (bit & 7)) & 1);
+        if (signal.signed && raw >= 2 ** (signal.length - 1)) raw -= 2 ** signal.length;
+        values[signal.name] = raw * signal.factor + signal.offset;
+    }
+    return values;
+};
+
+/** The database's message for a frame identifier, or undefined. */
+export const findMessage = (database, id, extended) => database.messages.find(m => m.id === id && m.extended === extended);
@@ -0,0 +1,74 @@
+// dbc.test.js - DBC parsing and the signal encode/decode round trip
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { parseDbc, encodeSignal, encodeMessage, decodeMessage, findMessage } from './dbc';
+
+const database = parseDbc(readFileSync(new URL('./ev_battery.dbc', import.meta.url), 'utf8'), 'ev_battery.dbc');
+const message = (name) => database.messages.find(m => m.name === name);
+const bytes = (data) => [...data];
+
+describe('parseDbc', () => {
+    it('reads the messages, identifiers and cycle times of ev_battery.dbc', () => {
+        expect(database.messages.map(m => [m.name, m.id, m.extended, m.dlc, m.cycleTime])).toEqual([
+            ['BMS_PackStatus', 256, false, 8, 100],
+            ['BMS_CellStatus', 257, false, 8, 100],
+            ['BMS_Limits', 258, false, 8, 200],
+            ['BMS_Thermal', 259, false, 8, 1000],
+            ['VCU_Status', 0x18FF50E5, true, 8, 100],
+        ]);
+        expect(message('BMS_PackStatus').signals[1]).toMatchObject({
+            name: 'PackCurrent', unit: 'A', factor: 0.1, offset: 0, min: -1000, max: 1000, signed: true, littleEndian: true, start: 16, length: 16,
+        });
+        expect(findMessage(database, 0x18FF50E5, true).name).toBe('VCU_Status');
+        expect(findMessage(database, 0x18FF50E5, false)).toBeUndefined();
+    });
+
+    it('rejects what it cannot encode, naming the line', () => {
+        expect(() => parseDbc('VERSION ""', 'empty.dbc')).toThrow('empty.dbc: no messages (BO_) found.');
+        expect(() => parseDbc('BO_ 1 Big: 64 X', 'fd.dbc')).toThrow('fd.dbc line 1: Big has 64 bytes; only classic CAN (up to 8) is supported.');
+        expect(() => parseDbc('BO_ 1 M: 8 X\n SG_ Mux M : 0|8@1+ (1,0) [0|255] "" X', 'mux.dbc')).toThrow('mux.dbc line 2: Mux is multiplexed, which is not supported.');
+        expect(() => parseDbc('BO_ 1 M: 2 X\n SG_ Wide : 8|16@1+ (1,0) [0|65535] "" X', 'fit.dbc')).toThrow('fit.dbc line 2: Wide does not fit in the 2-byte M.');
+        expect(() => parseDbc('SG_ Lost : 0|8@1+ (1,0) [0|255] "" X', 'order.dbc')).toThrow('order.dbc line 1: signal Lost comes before any message.');
+    });
+});
+
+describe('encodeMessage / decodeMessage', () => {
+    it('lays out Intel signals LSB first, negative values in two\'s complement', () => {
+        const data = encodeMessage(message('BMS_PackStatus'), { PackVoltage: 361.9, PackCurrent: -12.3, SOC: 64.25, SOH: 97.5 });
+        expect(bytes(data)).toEqual([0x23, 0x0E, 0x85, 0xFF, 0x19, 0x19, 0xC3, 0x00]);
+    });
+
+    it('lays out Motorola signals MSB first', () => {
+        expect(bytes(encodeMessage(message('VCU_Status'), { Speed: 123.45 }))).toEqual([0x30, 0x39, 0, 0, 0, 0, 0, 0]);
+        const nibble = parseDbc('BO_ 1 M: 2 X\n SG_ Hi : 3|4@0+ (1,0) [0|15] "" X\n SG_ Lo : 7|4@0+ (1,0) [0|15] "" X').messages[0];
+        expect(bytes(encodeMessage(nibble, { Hi: 0xA, Lo: 0x5 }))).toEqual([0x5A, 0]);
+    });
+
+    it('round-trips every signal of ev_battery.dbc to within half a step', () => {
+        for (const m of database.messages) {
+            for (const fraction of [0, 0.37, 0.5, 1]) {
+                const values = Object.fromEntries(m.signals.map(s => [s.name, s.min + fraction * (s.max - s.min)]));
+                const decoded = decodeMessage(m, encodeMessage(m, values));
+                for (const s of m.signals) {
+                    expect(Math.abs(decoded[s.name] - values[s.name]), `${m.name}.${s.name}`).toBeLessThanOrEqual(s.factor / 2 + 1e-9);
+                }
+            }
+        }
+    });
+
+    it('clamps values to the DBC range and the signal width, and encodes missing ones as 0', () => {
+        const limits = message('BMS_Limits');
+        expect(decodeMessage(limits, encodeMessage(limits, { DischargeLimit: 5000, ChargeLimit: -3, BMSLevel: 7 }))).toMatchObject({
+            DischargeLimit: 2000, ChargeLimit: 0, BMSLevel: 3, FaultFlags: 0,
+        });
+        const wide = parseDbc('BO_ 1 M: 1 X\n SG_ S : 0|4@1+ (1,0) [0|0] "" X').messages[0].signals[0];
+        expect(encodeSignal(wide, 99)).toBe(15);
+        expect(encodeSignal(wide, NaN)).toBe(0);
+    });
+
+    it('reads bytes missing from a short frame as 0', () => {
+        const decoded = decodeMessage(message('BMS_PackStatus'), [0x23, 0x0E]);
+        expect(decoded.PackVoltage).toBeCloseTo(361.9, 9);
+        expect(decoded).toMatchObject({ PackCurrent: 0, SOC: 0, SOH: 0 });
+    });
+});
@@ -0,0 +1,16 @@
+// download.js - Saving generated text (CSV, JSON, HTML reports) as a file download
+
+/** Offers `text` as a download named `filename`. */
+export const downloadText = (text, filename, type = 'text/plain;charset=utf-8;') => {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,170 @@
+// driveCycle.js - Loading and sampling of recorded drive cycles (CSV_Output/DriveData_*.csv)
+
+// Drive-cycle CSVs log CELL voltage; the dashboard and server.py work with PACK voltage
+export const SERIES_CELLS = 96;
+
+export const DRIVE_CYCLE_COLUMNS = ['time', 'current_A', 'temperature_C', 'voltage_V', 'soc_percent'];
+
+// What the voltage_V column holds; the bundled cycles log cell voltage
+export const VOLTAGE_KINDS = { cell: 'Cell voltage (x SERIES_CELLS)', pack: 'Pack voltage (as is)' };
+const CELL_VOLTAGE_MAX = 10; // V; a typical value above this cannot be a single cell
+const PACK_VOLTAGE_MIN = 50; // V; below this it cannot be the pack
+
+// Bundled cycles from the repo's CSV_Output folder, fetched on demand
+const bundledCycleUrls = import.meta.glob('../../CSV_Output/DriveData_*.csv', {
+    query: '?url',
+    import: 'default',
+});
+
+export const BUNDLED_DRIVE_CYCLES = Object.keys(bundledCycleUrls)
+    .sort()
+    .map(path => ({ name: path.split('/').pop(), load: bundledCycleUrls[path] }));
+
+/**
+ * Checks a drive-cycle CSV without parsing it fully, for showing the column mapping before use.
+ * Returns `{ header, columns: [{ column, index }] (index -1 = missing), missing, ignored, samples,
+ * badRows (line numbers with a different field count, first 10), badRowCount, voltage: { median,
+ * kind } }` where `kind` is the VOLTAGE_KINDS key the values look like, or null when unclear.
+ */
+export const inspectDriveCycleCsv = (text) => {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const header = lines.length ? lines[0].split(',').map(h => h.trim()) : [];
+    const columns = DRIVE_CYCLE_COLUMNS.map(column => ({ column, index: header.indexOf(column) }));
+    const badRows = [];
+    let badRowCount = 0;
+    const voltages = [];
+    const voltageIndex = header.indexOf('voltage_V');
+    lines.slice(1).forEach((line, i) => {
+        const cells = line.split(',');
+        if (cells.length !== header.length) {
+            badRowCount++;
+            if (badRows.length < 10) badRows.push(i + 2);
+        }
+        const v = Number(cells[voltageIndex]);
+        if (voltageIndex !== -1 && Number.isFinite(v)) voltages.push(Math.abs(v));
+    });
+    voltages.sort((a, b) => a - b);
+    const median = voltages.length ? voltages[voltages.length >> 1] : null;
+    return {
+        header,
+        columns,
+        missing: columns.filter(c => c.index === -1).map(c => c.column),
+        ignored: header.filter(h => !DRIVE_CYCLE_COLUMNS.includes(h)),
+        samples: Math.max(0, lines.length - 1),
+        badRows, badRowCount,
+        voltage: {
+            median,
+            kind: median == null ? null : median < CELL_VOLTAGE_MAX ? 'cell' : median > PACK_VOLTAGE_MIN ? 'pack' : null,
+        },
+    };
+};
+
+/**
+ * Parses a drive-cycle CSV (`time,current_A,temperature_C,voltage_V,soc_percent`).
+ * Throws with a readable message when columns are missing or rows are malformed.
+ * Returns column arrays (`voltage` per cell) plus pack voltage; `voltageKind` (VOLTAGE_KINDS)
+ * says whether voltage_V is a cell voltage to multiply by SERIES_CELLS or already the pack's.
+ */
+export const parseDriveCycleCsv = (text, name = 'drive_cycle.csv', { voltageKind = 'cell' } = {}) => {
+    if (!(voltageKind in VOLTAGE_KINDS)) throw new Error(`${name}: unknown voltage kind "${voltageKind}".`);
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 3) {
+        throw new Error(`${name}: expected a header and at least two samples.`);
+    }
+
+    const header = lines[0].split(',').map(h => h.trim());
+    const index = {};
+    for (const column of DRIVE_CYCLE_COLUMNS) {
+        index[column] = header.indexOf(column);
+        if (index[column] === -1) {
+            throw new Error(`${name}: missing column "${column}" (expected ${DRIVE_CYCLE_COLUMNS.join(',')}).`);
+        }
+    }
+
+    const n = lines.length - 1;
+    const time = new Float64Array(n);
+    const current = new Float64Array(n);
+    const temperature = new Float64Array(n);
+    const voltage = new Float64Array(n);
+    const soc = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+        const cells = lines[i + 1].split(',');
+        time[i] = Number(cells[index.time]);
+        current[i] = Number(cells[index.current_A]);
+        temperature[i] = Number(cells[index.temperature_C]);
+        voltage[i] = Number(cells[index.voltage_V]);
+        soc[i] = Number(cells[index.soc_percent]);
+
+        if (![time[i], current[i], temperature[i], voltage[i], soc[i]].every(Number.isFinite)) {
+            throw new Error(`${name}: non-numeric value on line ${i + 2}.`);
+        }
+        if (i > 0 && time[i] < time[i - 1]) {
+            throw new Error(`${name}: time goes backwards on line ${i + 2}.`);
+        }
+    }
+
+    return createDriveCycle(name, {
+        time, current, temperature, soc,
+        voltage: voltageKind === 'pack' ? voltage.map(v => v / SERIES_CELLS) : voltage,
+        packVoltage: voltageKind === 'pack' ? voltage : voltage.map(v => v * SERIES_CELLS),
+    });
+};
+
+/**
+ * Drive cycle from column arrays (Float64Arrays, time ascending, at least two samples) - what
+ * parseDriveCycleCsv returns, for cycles that come from elsewhere (e.g. a decoded CAN log).
+ * The cell `voltage` defaults to the pack voltage over SERIES_CELLS.
+ */
+export const createDriveCycle = (name, {
+    time, current, temperature, packVoltage, soc, voltage = packVoltage.map(v => v / SERIES_CELLS)
+}) => {
+    const n = time.length;
+    return {
+        name,
+        length: n,
+        startTime: time[0],
+        duration: time[n - 1] - time[0],
+        time, current, temperature, soc, voltage, packVoltage,
+    };
+};
+
+/** CSV text of a bundled cycle. */
+export const fetchBundledDriveCycle = async (entry) => {
+    const url = await entry.load();
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${entry.name}: HTTP ${response.status}`);
+    return response.text();
+};
+
+export const loadBundledDriveCycle = async (entry) => parseDriveCycleCsv(await fetchBundledDriveCycle(entry), entry.name);
+
+// Index of the last sample with time <= t (binary search)
+const findSegment = (time, t) => {
+    let lo = 0, hi = time.length - 1;
+    if (t <= time[0]) return 0;
+    if (t >= time[hi]) return hi;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (time[mid] <= t) lo = mid; else hi = mid;
+    }
+    return lo;
+};
+
+const lerp = (arr, i, f) => (i + 1 < arr.length ? arr[i] + (arr[i + 1] - arr[i]) * f : arr[i]);
+
+/**
+ * Linearly interpolated sample at cycle time t (seconds from the first sample).
+ */
+export const sampleDriveCycle = (cycle, t) => {
+    const abs = cycle.startTime + Math.max(0, Math.min(cycle.duration, t));
+    const i = findSegment(cycle.time, abs);
+    const span = i + 1 < cycle.length ? cycle.time[i + 1] - cycle.time[i] : 0;
+    const f = span > 0 ? (abs - cycle.time[i]) / span : 0;
+    return {
+        current: lerp(cycle.current, i, f),
+        temperature: lerp(cycle.temperature, i, f),
+        packVoltage: lerp(cycle.packVoltage, i, f),
+        soc: lerp(cycle.soc, i, f),
+    };
+};
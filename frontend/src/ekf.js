@@ -0,0 +1,139 @@
+// ekf.js - Extended Kalman filter for joint SOC / capacity (SOH) estimation
+//
+// State x = [SOC (%), V_RC1 (V), V_RC2 (V), capacity (Ah)] on the same equivalent-circuit
+// tables as the physics engine. Inputs are the MEASURED pack current and voltage, so the
+// filter works on both simulated and recorded (drive-cycle) data.
+import {
+    DEFAULT_BATTERY_PARAMS, packCapacityAh, cellParameters, ocvSlope, socFromOcv
+} from './batteryModel';
+
+export const EKF_TUNING = {
+    initialSocStd: 5, // % - covers an OCV-based start guess taken under load
+    initialRcStd: 0.02, // V
+    initialCapacityStd: 0.05, // fraction of nominal capacity
+    socProcessStd: 0.002, // % per sqrt(s)
+    rcProcessStd: 0.0005, // V per sqrt(s)
+    capacityProcessStd: 0.00002, // fraction of nominal per sqrt(s), lets capacity fade be tracked
+    voltageStd: 0.03, // V per cell - sensor noise plus model mismatch
+};
+
+const N = 4;
+const zeros = () => Array.from({ length: N }, () => new Array(N).fill(0));
+const diag = (values) => {
+    const m = zeros();
+    values.forEach((v, i) => { m[i][i] = v; });
+    return m;
+};
+
+/**
+ * New filter. When `soc` is omitted the start SOC is taken from the OCV table at the first
+ * measured cell voltage (`voltage`, pack volts), which is what a BMS would do on wake-up.
+ */
+export const createEkf = ({
+    soc, voltage, temperature = 25, capacityAh, params = DEFAULT_BATTERY_PARAMS, tuning = EKF_TUNING
+} = {}) => {
+    const nominalAh = packCapacityAh(params);
+    const startSoc = soc ?? (voltage != null ? socFromOcv(params, voltage / params.layout.series, temperature) : 50);
+    const startAh = capacityAh ?? nominalAh;
+    return {
+        x: [startSoc, 0, 0, startAh],
+        P: diag([
+            tuning.initialSocStd ** 2,
+            tuning.initialRcStd ** 2,
+            tuning.initialRcStd ** 2,
+            (tuning.initialCapacityStd * nominalAh) ** 2,
+        ]),
+        nominalAh,
+        innovation: 0,
+    };
+};
+
+/**
+ * One predict + update cycle. `measurement` is `{ current, voltage, temperature }` in pack
+ * units (A, V, °C; negative current = discharge). Returns a new filter state.
+ */
+export const ekfStep = (ekf, { current, voltage, temperature }, dt, params = DEFAULT_BATTERY_PARAMS, tuning = EKF_TUNING) => {
+    const { series, parallel } = params.layout;
+    const iCell = current / parallel;
+    const [soc, v1, v2, capAh] = ekf.x;
+    const cell = cellParameters(params, soc, temperature);
+
+    // --- PREDICT ---
+    const a1 = Math.exp(-dt / (cell.r1 * cell.c1));
+    const a2 = cell.r2 !== undefined ? Math.exp(-dt / (cell.r2 * cell.c2)) : 0;
+    const socGain = dt / 3600 * 100; // % per (A / Ah)
+    const xPred = [
+        Math.max(0, Math.min(100, soc + current * socGain / capAh)),
+        v1 * a1 + iCell * cell.r1 * (1 - a1),
+        cell.r2 !== undefined ? v2 * a2 + iCell * cell.r2 * (1 - a2) : 0,
+        capAh,
+    ];
+
+    // F = df/dx; only SOC depends on capacity
+    const F = diag([1, a1, a2, 1]);
+    F[0][3] = -current * socGain / (capAh * capAh);
+
+    const Q = diag([
+        tuning.socProcessStd ** 2 * dt,
+        tuning.rcProcessStd ** 2 * dt,
+        tuning.rcProcessStd ** 2 * dt,
+        (tuning.capacityProcessStd * ekf.nominalAh) ** 2 * dt,
+    ]);
+
+    // P = F P F' + Q
+    const FP = zeros();
+    for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) {
+        let sum = 0;
+        for (let k = 0; k < N; k++) sum += F[i][k] * ekf.P[k][j];
+        FP[i][j] = sum;
+    }
+    const PPred = zeros();
+    for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) {
+        let sum = Q[i][j];
+        for (let k = 0; k < N; k++) sum += FP[i][k] * F[j][k];
+        PPred[i][j] = sum;
+    }
+
+    // --- UPDATE on measured cell voltage ---
+    const predCell = cellParameters(params, xPred[0], temperature);
+    const vPred = predCell.ocv + iCell * predCell.r0 + xPred[1] + xPred[2];
+    const H = [ocvSlope(params, xPred[0], temperature), 1, cell.r2 !== undefined ? 1 : 0, 0];
+    const innovation = voltage / series - vPred;
+
+    const PHt = PPred.map(row => row.reduce((sum, p, k) => sum + p * H[k], 0));
+    const S = H.reduce((sum, h, k) => sum + h * PHt[k], 0) + tuning.voltageStd ** 2;
+    const K = PHt.map(v => v / S);
+
+    const x = xPred.map((v, i) => v + K[i] * innovation);
+    x[0] = Math.max(0, Math.min(100, x[0]));
+    x[3] = Math.max(0.2 * ekf.nominalAh, Math.min(1.2 * ekf.nominalAh, x[3]));
+
+    // Joseph-free form, symmetrised: P = P - K H P
+    const P = zeros();
+    for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) {
+        P[i][j] = PPred[i][j] - K[i] * PHt[j];
+    }
+    for (let i = 0; i < N; i++) for (let j = i + 1; j < N; j++) {
+        const avg = (P[i][j] + P[j][i]) / 2;
+        P[i][j] = avg;
+        P[j][i] = avg;
+    }
+
+    return { ...ekf, x, P, innovation };
+};
+
+/** Estimated SOC/capacity/SOH with one-sigma uncertainties and the full covariance. */
+export const ekfOutputs = (ekf) => {
+    const [soc, , , capacityAh] = ekf.x;
+    const capacityStd = Math.sqrt(Math.max(0, ekf.P[3][3]));
+    return {
+        soc,
+        socStd: Math.sqrt(Math.max(0, ekf.P[0][0])),
+        capacityAh,
+        capacityStd,
+        soh: capacityAh / ekf.nominalAh * 100,
+        sohStd: capacityStd / ekf.nominalAh * 100,
+        innovation: ekf.innovation,
+        covariance: ekf.P,
+    };
+};
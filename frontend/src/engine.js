@@ -0,0 +1,379 @@
+// engine.js - Headless EV battery/vehicle physics engine (no React, no wall clock)
+//
+// All physics runs in fixed steps: `step(state, inputs, dt)` returns a new state and never
+// mutates its input, so runs are reproducible for a given seed and input sequence.
+import {
+    DEFAULT_BATTERY_PARAMS, packCapacityAh, packNominalVoltage,
+    cellParameters, stepRcVoltages, cellTerminalVoltage, packResistance
+} from './batteryModel';
+import { DEFAULT_PACK_CONFIG, createPack, stepPack, packStats, offsetPackSoc } from './pack';
+import { DEFAULT_BMS_CONFIG, createBmsState, bmsStep } from './bms';
+import { DEFAULT_VEHICLE_CONFIG, createDriveState, vehicleStep } from './vehicle';
+import {
+    DEFAULT_THERMAL_CONFIG, capacityFactor, createThermalState, thermalControl, thermalPower, thermalStep, thermalCoreStep
+} from './thermal';
+import { DEFAULT_AGING_CONFIG, createAgingState, agingStep, agingSoh, equivalentFullCycles } from './aging';
+import { activeFaults, measureSignals, cellFaultMap } from './faultInjection';
+
+// --- CONFIGURATION CONSTANTS ---
+export const BATTERY_CAPACITY_AH = packCapacityAh(DEFAULT_BATTERY_PARAMS); // Amp-hours (cell Ah x parallel)
+export const NOMINAL_VOLTAGE = packNominalVoltage(DEFAULT_BATTERY_PARAMS); // Volts (cell nominal x series)
+export const MAX_DISCHARGE_CURRENT = 300; // Amps (absolute max discharge)
+export const MAX_CHARGE_CURRENT = 100; // Amps (max regen/charge)
+export const MAX_CHARGE_C_RATE = 2; // Charger C-rate the cells accept between 20 and 40 °C (see charging.js)
+export const REFERENCE_SOC = 80; // Starting SOC for DOD calculation
+export const MAX_SPEED_KMH = 160; // Speed at full throttle (lumped throttle model only)
+export const PACK_HEAT_CAPACITY = 60000; // J/K (lumped thermal mass of the cells)
+export const ENGINE_DT = 1 / 60; // Fixed physics step (s), one 60 Hz frame at 1x warp
+export const GRADE_CURRENT_PER_DEGREE = 1; // A of extra discharge per degree of climb (lumped throttle model only)
+
+export const DEFAULT_CONFIG = {
+    battery: DEFAULT_BATTERY_PARAMS, // Equivalent-circuit tables and series/parallel layout
+    maxDischargeCurrent: MAX_DISCHARGE_CURRENT,
+    maxChargeCurrent: MAX_CHARGE_CURRENT,
+    maxChargeCRate: MAX_CHARGE_C_RATE,
+    referenceSoc: REFERENCE_SOC,
+    maxSpeed: MAX_SPEED_KMH,
+    pack: DEFAULT_PACK_CONFIG, // Per-cell spread and balancing; null for a single lumped cell
+    bms: DEFAULT_BMS_CONFIG, // Protection thresholds; null runs without current limiting
+    vehicle: DEFAULT_VEHICLE_CONFIG, // Longitudinal dynamics (see vehicle.js); null for the lumped throttle-to-current model
+    thermal: DEFAULT_THERMAL_CONFIG, // Two-node model with coolant loop (see thermal.js); null for the coolingRate model
+    aging: DEFAULT_AGING_CONFIG, // Calendar + rainflow cycle aging (see aging.js); null for the linear SOH penalties
+};
+
+export const DEFAULT_INPUTS = {
+    throttle: 0, // %
+    isBraking: false,
+    brake: null, // % pedal travel; null follows isBraking (0 or 100) and drops the throttle while braking
+    regenBraking: 50, // %
+    grade: 0, // degrees
+    coolingRate: 50, // % (coolingRate thermal model only)
+    ambientTemp: 25, // °C
+    thermalMode: 'auto', // THERMAL_MODES key (two-node thermal model only)
+    faults: [], // Injected fault timeline on the engine clock (see faultInjection.js)
+};
+
+// =================================================================
+// SEEDABLE RNG (mulberry32) - state is a plain 32-bit integer so it can live in engine state
+// =================================================================
+export const nextRandom = (rngState) => {
+    const s = (rngState + 0x6D2B79F5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return [((t ^ (t >>> 14)) >>> 0) / 4294967296, s];
+};
+
+export const createRng = (seed = 1) => {
+    let rngState = seed | 0;
+    return () => {
+        const [value, next] = nextRandom(rngState);
+        rngState = next;
+        return value;
+    };
+};
+
+// =================================================================
+// PHYSICS MODELS
+// =================================================================
+
+// Throttle and brake travel (%) from the inputs. An analog `brake` lets both pedals overlap;
+// without one, `isBraking` is a full brake application that overrides the throttle
+export const pedalLevels = (inputs) => {
+    if (inputs.brake == null) {
+        return { throttle: inputs.isBraking ? 0 : inputs.throttle, brake: inputs.isBraking ? 100 : 0 };
+    }
+    return { throttle: inputs.throttle, brake: Math.max(0, Math.min(100, inputs.brake)) };
+};
+
+// `brake` is pedal travel in %; regen scales with it, and overlapping throttle still draws current
+export const calculateCurrent = (throttle, brake, regenBraking, speed, maxDischarge, maxCharge) => {
+    let current = -1;
+
+    if (throttle > 0) {
+        current += -1 * (throttle / 100) * maxDischarge;
+    }
+
+    if (brake > 0) {
+        const speedFactor = Math.min(1, speed / 100);
+        // Increased regen factor: 1.2
+        const regenFactor = (regenBraking / 100) * 1.2 * (brake / 100);
+
+        let chargeCurrent = speedFactor * regenFactor * maxCharge;
+
+        current += chargeCurrent;
+    }
+
+    return current;
+};
+
+// Pack terminal voltage from the cell circuit: series x (OCV + I·R0 + RC branches) + sensor noise.
+// `random` is a uniform [0, 1) source; pass a seeded RNG for reproducible noise
+export const calculateVoltage = (cell, cellCurrent, vrc, series, random = Math.random) => {
+    const noise = (random() - 0.5) * 0.1;
+    return cellTerminalVoltage(cell, cellCurrent, vrc) * series + noise;
+};
+
+// `rInternal` is the pack's total resistance, so I²R is the real Joule heat in watts
+export const calculateTemperatureChange = (current, temp, ambientTemp, rInternal, coolingRate, physicsDeltaTime, heatCapacity = PACK_HEAT_CAPACITY) => {
+    const heatGenRate = (current ** 2 * rInternal) / heatCapacity;
+    const coolingFactor = 0.05 + (coolingRate / 100) * 0.3;
+    const heatDissipationRate = (temp - ambientTemp) * coolingFactor;
+    const netChangeRate = heatGenRate - heatDissipationRate;
+    return netChangeRate * physicsDeltaTime;
+};
+
+export const calculateSOHDegradation = (soh, soc, temp, current, deltaTime, timeWarp) => {
+    const effectiveTime = deltaTime * timeWarp;
+    const calendarPenalty =
+        (soc > 80 ? (soc - 80) * 0.00001 : 0) +
+        (soc < 20 ? (20 - soc) * 0.00001 : 0);
+    const tempPenalty = temp > 40 ? (temp - 40) * 0.00002 : 0;
+    const currentPenalty = Math.abs(current) * 0.000005;
+    const totalDegradation = (calendarPenalty + tempPenalty + currentPenalty) * effectiveTime;
+    return Math.max(0, soh - totalDegradation);
+};
+
+// First-order lag toward a throttle-proportional target speed, with coast/brake decay and grade drag.
+// Any brake travel wins over the throttle; the decay grows from coasting to full braking
+export const calculateSpeed = (speed, throttle, brake, grade, maxSpeed, dt) => {
+    let targetSpeed;
+
+    if (brake > 0) {
+        targetSpeed = Math.max(0, speed * (1 - (0.05 + 0.15 * brake / 100) * dt));
+    } else if (throttle > 0) {
+        targetSpeed = throttle / 100 * maxSpeed;
+    } else {
+        targetSpeed = Math.max(0, speed * (1 - 0.05 * dt));
+    }
+    const nextSpeed = speed + (targetSpeed - speed) * 0.08 * dt;
+    return Math.max(0, nextSpeed - grade * 0.1 * 0.5 * dt);
+};
+
+// =================================================================
+// ENGINE API
+// =================================================================
+
+export const createInitialState = ({
+    soc = REFERENCE_SOC, soh = 100, ambientTemp = DEFAULT_INPUTS.ambientTemp, seed = 1, config = DEFAULT_CONFIG
+} = {}) => {
+    // The cell spread gets its own generator so it does not shift the voltage-noise sequence
+    const pack = config.pack
+        ? createPack({
+            battery: config.battery, soc, temp: ambientTemp, random: createRng(seed ^ 0x5EED),
+            config: config.pack, heatCapacity: config.thermal ? config.thermal.coreHeatCapacity : PACK_HEAT_CAPACITY,
+        })
+        : null;
+    const stats = pack ? packStats(pack) : null;
+    const voltage = stats ? stats.voltageSum : cellParameters(config.battery, soc, ambientTemp).ocv * config.battery.layout.series;
+    return {
+        time: 0, // s of simulated time
+        soc: stats ? stats.meanSoc : soc, // % (coulomb counted, the physics truth; mean cell SOC with a pack)
+        soh, // %
+        temp: ambientTemp, // °C (core; mean cell temperature with a pack)
+        thermal: config.thermal ? createThermalState(ambientTemp) : null, // Surface/coolant nodes and actuators (see thermal.js)
+        current: 0, // A (negative = discharge)
+        voltage, // V (pack terminal, at rest)
+        measured: { current: 0, voltage, temp: ambientTemp }, // Sensor readings after injected faults
+        vrc: [0, 0], // V (cell-level RC branch voltages)
+        speed: 0, // km/h
+        distance: 0, // km travelled
+        drive: config.vehicle ? createDriveState() : null, // Motor torque state of the vehicle model
+        motorPower: 0, // W electrical into the motor (negative = regen), 0 without the vehicle model
+        tractionForce: 0, // N at the wheels
+        frictionBrakeForce: 0, // N
+        chargedAh: 0,
+        dischargedAh: 0,
+        dod: 0, // % from referenceSoc
+        cycleLife: 0, // equivalent full cycles
+        aging: config.aging ? createAgingState({ soh, soc: stats ? stats.meanSoc : soc }) : null, // Fade split and rainflow residue (see aging.js)
+        pack, // Per-cell state (see pack.js) or null
+        bms: config.bms ? createBmsState(config.bms) : null, // Fault levels, current limits and event log (see bms.js)
+        rngState: seed | 0,
+    };
+};
+
+/** Moves the state to a new pack SOC, shifting every cell by the same amount. */
+export const withSoc = (state, soc) => ({
+    ...state,
+    soc,
+    pack: state.pack ? offsetPackSoc(state.pack, soc - state.soc) : null,
+});
+
+/**
+ * Advances the engine by one fixed step of `dt` seconds.
+ * `inputs` carries driver/environment controls (see DEFAULT_INPUTS). Measured signals can be
+ * forced with `inputs.current`, `inputs.voltage` and `inputs.temperature` (drive-cycle replay);
+ * the SOC/SOH bookkeeping then runs on the forced values. The BMS limits the demanded current
+ * from its previous-step state; a forced current is only monitored, never limited, and already
+ * includes whatever the heater, chiller and pump drew.
+ * Faults of `inputs.faults` active at the step's start time change the cell physics and the
+ * `measured` signals; the BMS and the estimators only see the measured ones.
+ */
+export const step = (state, inputs, dt, config = DEFAULT_CONFIG) => {
+    const u = { ...DEFAULT_INPUTS, ...inputs };
+    const { battery } = config;
+    const capacityAh = packCapacityAh(battery);
+    const forced = (value) => typeof value === 'number' && Number.isFinite(value);
+    const pedals = pedalLevels(u);
+    const faults = u.faults?.length ? activeFaults(u.faults, state.time) : [];
+    const cellFaults = faults.length ? cellFaultMap(faults) : null;
+
+    // 1. CURRENT (first-order response to the demanded current: the vehicle's electrical power
+    // over the pack voltage, or the lumped throttle/regen demand, plus the thermal system's
+    // draw). The BMS limits the demand from its previous-step state
+    const thermalIn = state.thermal ?? (config.thermal ? createThermalState(state.temp) : null);
+    const thermalW = thermalIn ? thermalPower(thermalIn) : 0;
+    const dischargeLimit = config.maxDischargeCurrent * (state.bms ? state.bms.limits.discharge : 1);
+    const chargeLimit = config.maxChargeCurrent * (state.bms ? state.bms.limits.charge : 1);
+    let current;
+    let drive = null;
+    if (forced(u.current)) {
+        current = u.current;
+    } else if (config.vehicle) {
+        const auxPowerW = config.vehicle.auxPowerW + thermalW;
+        drive = vehicleStep(state.drive ?? createDriveState(), state.speed, {
+            throttle: pedals.throttle, brake: pedals.brake, regenLevel: u.regenBraking, grade: u.grade,
+            powerLimits: {
+                discharge: Math.max(0, dischargeLimit * state.voltage - auxPowerW),
+                charge: Math.max(0, chargeLimit * state.voltage + auxPowerW),
+            },
+        }, dt, config.vehicle);
+        const demand = Math.max(-dischargeLimit, Math.min(chargeLimit, -(drive.electricalPower + auxPowerW) / state.voltage));
+        current = state.current + (demand - state.current) * 0.1;
+    } else {
+        let demand = calculateCurrent(
+            pedals.throttle, pedals.brake, u.regenBraking, state.speed,
+            config.maxDischargeCurrent, config.maxChargeCurrent
+        );
+        demand -= u.grade * GRADE_CURRENT_PER_DEGREE + thermalW / state.voltage;
+        if (state.bms) demand = Math.max(-dischargeLimit, Math.min(chargeLimit, demand));
+        current = state.current + (demand - state.current) * 0.1;
+    }
+
+    // 2. SOC, DOD, CYCLE LIFE (per cell when the pack is modelled; the pack SOC is their mean).
+    // With the thermal model the capacity available to the SOC follows the core temperature.
+    // A lumped internal short drains its cell group's share of the pack, unseen by the sensor
+    const currentAh = current * (dt / 3600);
+    const ambientTemp = forced(u.temperature) ? u.temperature : u.ambientTemp;
+    const pack = state.pack
+        ? stepPack(state.pack, battery, current, dt, {
+            ambientTemp, coolingRate: u.coolingRate, thermal: config.thermal, surfaceTemp: thermalIn?.surface, cellFaults,
+        })
+        : null;
+    const stats = pack ? packStats(pack) : null;
+    const availableAh = capacityAh * (config.thermal ? capacityFactor(config.thermal, state.temp) : 1);
+    const { series } = battery.layout;
+    let leakAh = 0;
+    let resistanceFactor = 1;
+    if (cellFaults && !stats) {
+        for (const fault of Object.values(cellFaults)) {
+            leakAh += state.voltage / series / fault.shortResistance / series * (dt / 3600);
+            resistanceFactor += (fault.resistanceFactor - 1) / series;
+        }
+    }
+    const soc = stats ? stats.meanSoc : Math.max(0, Math.min(100, state.soc + (currentAh - leakAh) / availableAh * 100));
+    const chargedAh = state.chargedAh + (current > 0 ? currentAh : 0);
+    const dischargedAh = state.dischargedAh + (current > 0 ? 0 : Math.abs(currentAh));
+
+    // 3. VOLTAGE (equivalent circuit), TEMP, SOH. A resistance jump keeps the RC time constants
+    const tableCell = cellParameters(battery, soc, state.temp);
+    const cell = resistanceFactor === 1 ? tableCell : {
+        ...tableCell,
+        r0: tableCell.r0 * resistanceFactor, r1: tableCell.r1 * resistanceFactor, c1: tableCell.c1 / resistanceFactor,
+        ...(tableCell.r2 !== undefined && { r2: tableCell.r2 * resistanceFactor, c2: tableCell.c2 / resistanceFactor }),
+    };
+    const cellCurrent = current / battery.layout.parallel;
+    const vrc = stepRcVoltages(state.vrc, cell, cellCurrent, dt);
+    let rngState = state.rngState;
+    let voltage;
+    if (forced(u.voltage)) {
+        voltage = u.voltage;
+    } else {
+        let noise01;
+        [noise01, rngState] = nextRandom(rngState);
+        voltage = stats
+            ? stats.voltageSum + (noise01 - 0.5) * 0.1
+            : calculateVoltage(cell, cellCurrent, vrc, series, () => noise01);
+    }
+
+    const rPack = packResistance(battery, cell);
+    let temp;
+    let thermal = thermalIn;
+    if (forced(u.temperature)) {
+        temp = u.temperature;
+    } else if (config.thermal) {
+        // Cores (lumped or per cell) -> surface -> coolant loop / ambient; the controller acts on the hottest core
+        const core = stats ? { temp: stats.meanTemp, toSurface: pack.heatToSurface }
+            : thermalCoreStep(state.temp, thermalIn.surface, current ** 2 * rPack, dt, config.thermal);
+        temp = core.temp;
+        const control = thermalControl(thermalIn, stats ? stats.maxTemp : temp, u.thermalMode, config.thermal);
+        thermal = thermalStep(thermalIn, { coreHeatW: core.toSurface, ambientTemp: u.ambientTemp, control }, dt, config.thermal);
+    } else {
+        temp = stats ? stats.meanTemp : Math.max(u.ambientTemp, state.temp + calculateTemperatureChange(current, state.temp, u.ambientTemp, rPack, u.coolingRate, dt));
+    }
+    // With the aging model SOH and cycle count come from the calendar fade and the rainflow-counted
+    // SOC cycles; otherwise from the linear penalties and the Ah throughput
+    const aging = config.aging
+        ? agingStep(state.aging ?? createAgingState({ soh: state.soh, soc: state.soc }), { soc, temp }, dt, config.aging)
+        : null;
+    const soh = aging ? agingSoh(aging) : calculateSOHDegradation(state.soh, soc, temp, current, dt, 1);
+    const cycleLife = aging ? equivalentFullCycles(aging) : (chargedAh + dischargedAh) / 2 / capacityAh;
+
+    // 4. SENSORS and BMS (cell-level signals from the pack model, or the pack average when
+    // lumped). Voltage faults shift every cell reading; a faulty temperature sensor replaces them
+    const truth = { current, voltage, temp };
+    const random = () => {
+        let value;
+        [value, rngState] = nextRandom(rngState);
+        return value;
+    };
+    const measured = faults.length ? measureSignals(state.measured ?? truth, truth, faults, random, dt) : truth;
+    const cellShift = (measured.voltage - voltage) / series;
+    const tempReading = measured.temp === temp ? null : measured.temp;
+    const bms = state.bms
+        ? bmsStep(state.bms, {
+            absCurrent: Math.abs(measured.current),
+            maxCellVoltage: (stats ? stats.maxVoltage : voltage / series) + cellShift,
+            minCellVoltage: (stats ? stats.minVoltage : voltage / series) + cellShift,
+            maxTemp: tempReading ?? (stats && !forced(u.temperature) ? stats.maxTemp : temp),
+            minTemp: tempReading ?? (stats && !forced(u.temperature) ? stats.minTemp : temp),
+            soc,
+        }, dt, state.time + dt, config.bms)
+        : null;
+
+    // 5. VEHICLE SPEED (no speed trace when signals are forced)
+    const speed = drive ? drive.speed
+        : forced(u.current) ? state.speed
+            : calculateSpeed(state.speed, pedals.throttle, pedals.brake, u.grade, config.maxSpeed, dt);
+
+    return {
+        time: state.time + dt,
+        soc, soh, temp, thermal, current, voltage, measured, vrc, speed,
+        distance: state.distance + (state.speed + speed) / 2 * dt / 3600,
+        chargedAh, dischargedAh,
+        drive: drive ? drive.drive : state.drive,
+        motorPower: drive ? drive.electricalPower : 0,
+        tractionForce: drive ? drive.tractionForce : 0,
+        frictionBrakeForce: drive ? drive.frictionBrakeForce : 0,
+        dod: Math.abs(soc - config.referenceSoc),
+        cycleLife,
+        aging,
+        pack,
+        bms,
+        rngState,
+    };
+};
+
+/**
+ * Batch run: applies `inputs[i]` for step i and returns the state after every step.
+ * Options: `dt` (default ENGINE_DT), `initialState` or the createInitialState options, `config`.
+ */
+export const run = (inputs, { dt = ENGINE_DT, initialState, config = DEFAULT_CONFIG, ...initOptions } = {}) => {
+    let state = initialState ?? createInitialState({ config, ...initOptions });
+    const states = new Array(inputs.length);
+    for (let i = 0; i < inputs.length; i++) {
+        state = step(state, inputs[i], dt, config);
+        states[i] = state;
+    }
+    return states;
+};
@@ -0,0 +1,198 @@
+// engine.test.js - Pins the engine's physics functions and the reproducibility of seeded runs
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_BATTERY_PARAMS, cellParameters, cellTerminalVoltage } from './batteryModel';
+import {
+    DEFAULT_CONFIG, ENGINE_DT, PACK_HEAT_CAPACITY, nextRandom, createRng, pedalLevels,
+    calculateCurrent, calculateVoltage, calculateTemperatureChange, calculateSOHDegradation, calculateSpeed,
+    createInitialState, step, run
+} from './engine';
+
+// Single lumped cell and thermal mass, linear SOH penalties, no BMS limiting and the throttle-to-current model: the original physics
+const LUMPED_CONFIG = { ...DEFAULT_CONFIG, pack: null, bms: null, vehicle: null, thermal: null, aging: null };
+
+describe('seeded RNG', () => {
+    it('gives the same sequence for the same seed', () => {
+        const a = createRng(42), b = createRng(42);
+        const first = Array.from({ length: 100 }, a);
+        expect(Array.from({ length: 100 }, b)).toEqual(first);
+        expect(first.every(v => v >= 0 && v < 1)).toBe(true);
+    });
+
+    it('gives different sequences for different seeds', () => {
+        expect(createRng(1)()).not.toBe(createRng(2)());
+    });
+
+    it('steps a plain integer state without side effects', () => {
+        const [value, state] = nextRandom(7);
+        expect(nextRandom(7)).toEqual([value, state]);
+        expect(createRng(7)()).toBe(value);
+        expect(Number.isInteger(state)).toBe(true);
+    });
+});
+
+describe('pedalLevels', () => {
+    it('treats isBraking as a full brake that drops the throttle', () => {
+        expect(pedalLevels({ throttle: 60, isBraking: true, brake: null })).toEqual({ throttle: 0, brake: 100 });
+        expect(pedalLevels({ throttle: 60, isBraking: false, brake: null })).toEqual({ throttle: 60, brake: 0 });
+    });
+
+    it('lets an analog brake overlap the throttle, clamped to 0-100 %', () => {
+        expect(pedalLevels({ throttle: 30, brake: 140 })).toEqual({ throttle: 30, brake: 100 });
+        expect(pedalLevels({ throttle: 30, brake: -5 })).toEqual({ throttle: 30, brake: 0 });
+    });
+});
+
+describe('calculateCurrent', () => {
+    it('draws the 1 A idle load with no pedal', () => {
+        expect(calculateCurrent(0, 0, 50, 80, 300, 100)).toBe(-1);
+    });
+
+    it('scales discharge with throttle', () => {
+        expect(calculateCurrent(50, 0, 50, 80, 300, 100)).toBe(-151);
+        expect(calculateCurrent(100, 0, 50, 80, 300, 100)).toBe(-301);
+    });
+
+    it('scales regen with brake travel, regen level and speed up to 100 km/h', () => {
+        expect(calculateCurrent(0, 100, 50, 100, 300, 100)).toBeCloseTo(59, 12);
+        expect(calculateCurrent(0, 100, 50, 150, 300, 100)).toBeCloseTo(59, 12);
+        expect(calculateCurrent(0, 100, 50, 50, 300, 100)).toBeCloseTo(29, 12);
+        expect(calculateCurrent(0, 50, 100, 100, 300, 100)).toBeCloseTo(59, 12);
+        expect(calculateCurrent(0, 100, 50, 0, 300, 100)).toBe(-1);
+    });
+
+    it('adds overlapping throttle and regen', () => {
+        expect(calculateCurrent(10, 100, 50, 100, 300, 100)).toBeCloseTo(29, 12);
+    });
+});
+
+describe('calculateVoltage', () => {
+    const cell = cellParameters(DEFAULT_BATTERY_PARAMS, 50, 25);
+
+    it('is series x OCV at rest with centred noise', () => {
+        expect(calculateVoltage(cell, 0, [0, 0], 96, () => 0.5)).toBeCloseTo(cell.ocv * 96, 12);
+    });
+
+    it('adds the I·R0 and RC branch drops per cell', () => {
+        const expected = (cell.ocv - 10 * cell.r0 - 0.01 - 0.002) * 96;
+        expect(calculateVoltage(cell, -10, [-0.01, -0.002], 96, () => 0.5)).toBeCloseTo(expected, 12);
+        expect(calculateVoltage(cell, -10, [-0.01, -0.002], 96, () => 0.5)).toBeCloseTo(cellTerminalVoltage(cell, -10, [-0.01, -0.002]) * 96, 12);
+    });
+
+    it('keeps the sensor noise within ±50 mV', () => {
+        expect(calculateVoltage(cell, 0, [0, 0], 96, () => 0) - cell.ocv * 96).toBeCloseTo(-0.05, 12);
+        expect(calculateVoltage(cell, 0, [0, 0], 96, () => 1) - cell.ocv * 96).toBeCloseTo(0.05, 12);
+    });
+});
+
+describe('calculateTemperatureChange', () => {
+    it('heats by I²R over the heat capacity', () => {
+        expect(calculateTemperatureChange(100, 25, 25, 0.05, 50, 1)).toBeCloseTo(500 / PACK_HEAT_CAPACITY, 12);
+        expect(calculateTemperatureChange(-100, 25, 25, 0.05, 50, 2, 1000)).toBeCloseTo(1, 12);
+    });
+
+    it('cools toward ambient faster with a higher cooling rate', () => {
+        expect(calculateTemperatureChange(0, 35, 25, 0.05, 0, 1)).toBeCloseTo(-0.5, 12);
+        expect(calculateTemperatureChange(0, 35, 25, 0.05, 50, 1)).toBeCloseTo(-2, 12);
+        expect(calculateTemperatureChange(0, 35, 25, 0.05, 100, 0.5)).toBeCloseTo(-1.75, 12);
+    });
+});
+
+describe('calculateSOHDegradation', () => {
+    it('does not age a pack at rest in the comfortable window', () => {
+        expect(calculateSOHDegradation(100, 50, 25, 0, 1, 1)).toBe(100);
+    });
+
+    it('sums the high-SOC, high-temperature and current penalties over warped time', () => {
+        // (10 x 1e-5 + 5 x 2e-5 + 10 x 5e-6) per s, for 10 s x 1
+        expect(calculateSOHDegradation(100, 90, 45, -10, 10, 1)).toBeCloseTo(100 - 0.0025, 12);
+        expect(calculateSOHDegradation(100, 90, 45, -10, 1, 10)).toBeCloseTo(100 - 0.0025, 12);
+        expect(calculateSOHDegradation(100, 10, 25, 0, 100, 1)).toBeCloseTo(100 - 0.01, 12);
+    });
+
+    it('never goes below 0', () => {
+        expect(calculateSOHDegradation(0.001, 100, 80, 300, 1000, 100)).toBe(0);
+    });
+});
+
+describe('calculateSpeed', () => {
+    it('lags toward the throttle-proportional speed', () => {
+        expect(calculateSpeed(0, 50, 0, 0, 160, 1)).toBeCloseTo(6.4, 12);
+        expect(calculateSpeed(80, 50, 0, 0, 160, 1)).toBeCloseTo(80, 12);
+    });
+
+    it('decays while coasting or braking, harder with more brake', () => {
+        expect(calculateSpeed(100, 0, 0, 0, 160, 1)).toBeCloseTo(99.6, 12);
+        expect(calculateSpeed(100, 0, 100, 0, 160, 1)).toBeCloseTo(98.4, 12);
+        expect(calculateSpeed(100, 80, 50, 0, 160, 1)).toBeCloseTo(99, 12);
+    });
+
+    it('loses speed on a climb and never goes negative', () => {
+        expect(calculateSpeed(0, 50, 0, 2, 160, 1)).toBeCloseTo(6.3, 12);
+        expect(calculateSpeed(0.01, 0, 0, 10, 160, 1)).toBe(0);
+    });
+});
+
+describe('step', () => {
+    it('does not mutate its input state', () => {
+        const state = createInitialState({ seed: 3 });
+        const before = JSON.stringify(state);
+        step(state, { throttle: 40 }, ENGINE_DT);
+        expect(JSON.stringify(state)).toBe(before);
+    });
+
+    it('integrates distance from the trapezoid of the speed trace', () => {
+        const inputs = Array.from({ length: 600 }, (_, i) => ({ throttle: i < 400 ? 70 : 0 }));
+        const states = run(inputs, { config: LUMPED_CONFIG, seed: 1 });
+        let distance = 0, prev = 0;
+        for (const s of states) {
+            distance += (prev + s.speed) / 2 * ENGINE_DT / 3600;
+            prev = s.speed;
+        }
+        const last = states[states.length - 1];
+        expect(last.speed).toBeGreaterThan(0);
+        expect(last.distance).toBeCloseTo(distance, 12);
+        expect(last.time).toBeCloseTo(600 * ENGINE_DT, 12);
+    });
+
+    it('coulomb-counts a forced current against the pack capacity', () => {
+        // 13.5 A for an hour is half the 27 Ah pack
+        const states = run(Array(3600).fill({ current: -13.5 }), { dt: 1, config: LUMPED_CONFIG, soc: 80 });
+        const last = states[states.length - 1];
+        expect(last.soc).toBeCloseTo(30, 9);
+        expect(last.dischargedAh).toBeCloseTo(13.5, 9);
+        expect(last.chargedAh).toBe(0);
+        expect(last.speed).toBe(0);
+        expect(last.time).toBeCloseTo(3600, 9);
+    });
+
+    it('clamps SOC to 0-100 %', () => {
+        const empty = run(Array(10).fill({ current: -1000 }), { dt: 60, config: LUMPED_CONFIG, soc: 5 });
+        const full = run(Array(10).fill({ current: 1000 }), { dt: 60, config: LUMPED_CONFIG, soc: 95 });
+        expect(empty[empty.length - 1].soc).toBe(0);
+        expect(full[full.length - 1].soc).toBe(100);
+    });
+});
+
+describe('run', () => {
+    const inputs = Array.from({ length: 300 }, (_, i) => ({ throttle: i < 200 ? 60 : 0, isBraking: i >= 250 }));
+
+    it('gives the same states for the same seed', () => {
+        expect(run(inputs, { seed: 1234 })).toEqual(run(inputs, { seed: 1234 }));
+        expect(run(inputs, { seed: 1234, config: LUMPED_CONFIG })).toEqual(run(inputs, { seed: 1234, config: LUMPED_CONFIG }));
+    });
+
+    it('changes only the noise with the seed', () => {
+        const a = run(inputs, { seed: 1, config: LUMPED_CONFIG });
+        const b = run(inputs, { seed: 2, config: LUMPED_CONFIG });
+        expect(a.at(-1).voltage).not.toBe(b.at(-1).voltage);
+        expect(a.at(-1).speed).toBe(b.at(-1).speed);
+        expect(a.at(-1).soc).toBe(b.at(-1).soc);
+    });
+
+    it('continues a run from its last state like one long run', () => {
+        const whole = run(inputs, { seed: 9 });
+        const first = run(inputs.slice(0, 150), { seed: 9 });
+        const rest = run(inputs.slice(150), { initialState: first.at(-1) });
+        expect(rest.at(-1)).toEqual(whole.at(-1));
+    });
+});
@@ -0,0 +1,258 @@
+// evaluation.js - Accuracy of the SOC estimators on the labelled drive cycles (CSV_Output/DriveData_*.csv)
+//
+// Reproduces server.py's estimators per file: the NN, coulomb counting started from the NN's first
+// estimate (physics_integrate_soc) and their fusion with ML_WEIGHT. Coulomb counting can instead
+// start from the recorded SOC, to separate its drift from the NN's start error. Each is scored
+// against the recorded soc_percent: RMSE, MAE and max error, overall and per recorded-SOC band
+// and temperature.
+// Used by the dashboard's Evaluation page and by scripts/evaluate-estimators.mjs.
+import { NN_MODEL, predictNnSocBatch } from './nnModel';
+
+// server.py constants
+export const BATTERY_CAPACITY_AH = 27.0;
+export const ML_WEIGHT = 0.35;
+
+export const ESTIMATORS = {
+    nn: 'Neural net',
+    coulomb: 'Coulomb counting',
+    fusion: `Fusion (ML weight ${ML_WEIGHT})`,
+};
+
+// Error breakdown bins: [low, high) of the recorded SOC (%) and of the cell temperature (°C)
+const bins = (edges, unit) => edges.slice(0, -1).map((low, i) => {
+    const high = edges[i + 1];
+    const label = low === -Infinity ? `< ${high} ${unit}` : high === Infinity ? `≥ ${low} ${unit}` : `${low}-${high} ${unit}`;
+    return { low, high, label };
+});
+export const SOC_BANDS = bins([0, 20, 40, 60, 80, Infinity], '%');
+export const TEMP_BANDS = bins([-Infinity, 10, 20, 30, 40, Infinity], '°C');
+
+// Start SOC of the coulomb-counting path
+export const COULOMB_ANCHORS = { nn: "NN's first estimate (server.py)", recorded: 'Recorded start SOC' };
+
+// ML weights tried by the fusion sweep
+export const FUSION_WEIGHTS = Array.from({ length: 21 }, (_, i) => i / 20);
+
+/**
+ * Coulomb-counted SOC (%) as in server.py: ΔSOC = I·dt / (Ah·3600) · 100 with the previous
+ * sample's current, clamped at 100; at 0 the pack is dead and the rest of the run stays 0.
+ */
+export const coulombCountSoc = (current, time, startSoc, capacityAh = BATTERY_CAPACITY_AH) => {
+    const soc = new Float64Array(current.length);
+    soc[0] = startSoc;
+    let dead = false;
+    for (let i = 1; i < current.length && !dead; i++) {
+        const next = soc[i - 1] + (current[i - 1] * (time[i] - time[i - 1])) / (capacityAh * 3600.0) * 100.0;
+        dead = next <= 0.0;
+        soc[i] = dead ? 0 : Math.min(100.0, next);
+    }
+    return soc; // Samples after a dead pack stay 0
+};
+
+/** server.py fusion: `weight`·NN + (1 - weight)·coulomb, 0 once coulomb counting reaches 0. */
+export const fuseSoc = (nn, coulomb, weight = ML_WEIGHT) => Float64Array.from(coulomb, (ph, i) => (
+    ph <= 0 ? 0 : Math.max(0, Math.min(100, weight * nn[i] + (1.0 - weight) * ph))
+));
+
+// Running error sums; `stats` turns them into the reported numbers (null with no samples)
+const createTally = () => ({ count: 0, sumSq: 0, sumAbs: 0, max: 0 });
+const addError = (tally, error) => {
+    const abs = Math.abs(error);
+    tally.count++;
+    tally.sumSq += error * error;
+    tally.sumAbs += abs;
+    if (abs > tally.max) tally.max = abs;
+};
+const mergeTally = (into, from) => {
+    into.count += from.count;
+    into.sumSq += from.sumSq;
+    into.sumAbs += from.sumAbs;
+    into.max = Math.max(into.max, from.max);
+};
+const stats = (tally) => (tally.count
+    ? { count: tally.count, rmse: Math.sqrt(tally.sumSq / tally.count), mae: tally.sumAbs / tally.count, maxError: tally.max }
+    : { count: 0, rmse: null, mae: null, maxError: null });
+
+const binIndex = (bands, value) => bands.findIndex(b => value >= b.low && value < b.high);
+
+// Error tallies of one estimator: overall, by SOC band and by temperature band
+const createEstimatorTally = () => ({
+    all: createTally(),
+    soc: SOC_BANDS.map(createTally),
+    temp: TEMP_BANDS.map(createTally),
+});
+const estimatorStats = (tally) => ({
+    ...stats(tally.all),
+    bySoc: SOC_BANDS.map((band, i) => ({ band: band.label, ...stats(tally.soc[i]) })),
+    byTemp: TEMP_BANDS.map((band, i) => ({ band: band.label, ...stats(tally.temp[i]) })),
+});
+
+/**
+ * Scores one drive cycle (parseDriveCycleCsv output). `serverFusion` is the /simulate answer for
+ * it, when the fusion should come from the server instead of being computed here (the server
+ * always anchors at the NN). `anchor` is a COULOMB_ANCHORS key. Returns the
+ * file's result and its raw tallies (for the overall figures).
+ */
+const scoreCycle = (cycle, { model, serverFusion, anchor }) => {
+    const nn = predictNnSocBatch(model, { current: cycle.current, voltage: cycle.packVoltage, temperature: cycle.temperature });
+    const nnStart = nn.length && nn[0] >= 0 && nn[0] <= 100 ? nn[0] : 100.0;
+    const startSoc = anchor === 'recorded' ? cycle.soc[0] : nnStart;
+    const coulomb = coulombCountSoc(cycle.current, cycle.time, startSoc);
+    const localFusion = fuseSoc(nn, coulomb);
+    // /simulate stops at a dead pack; missing points are 0 like the rest of its answer
+    const fusion = serverFusion ? Float64Array.from(cycle.soc, (_, i) => serverFusion[i] ?? 0) : localFusion;
+    const series = { nn, coulomb, fusion };
+
+    const tallies = Object.fromEntries(Object.keys(ESTIMATORS).map(key => [key, createEstimatorTally()]));
+    const sweep = FUSION_WEIGHTS.map(createTally);
+    let serverMaxDiff = 0;
+    for (let i = 0; i < cycle.length; i++) {
+        const truth = cycle.soc[i];
+        const socBin = binIndex(SOC_BANDS, truth), tempBin = binIndex(TEMP_BANDS, cycle.temperature[i]);
+        Object.keys(ESTIMATORS).forEach(key => {
+            const error = series[key][i] - truth;
+            const tally = tallies[key];
+            addError(tally.all, error);
+            if (socBin !== -1) addError(tally.soc[socBin], error);
+            if (tempBin !== -1) addError(tally.temp[tempBin], error);
+        });
+        FUSION_WEIGHTS.forEach((w, k) => {
+            const fused = coulomb[i] <= 0 ? 0 : Math.max(0, Math.min(100, w * nn[i] + (1.0 - w) * coulomb[i]));
+            addError(sweep[k], fused - truth);
+        });
+        if (serverFusion) serverMaxDiff = Math.max(serverMaxDiff, Math.abs(fusion[i] - localFusion[i]));
+    }
+
+    let temperature = 0;
+    cycle.temperature.forEach(t => { temperature += t / cycle.length; });
+    return {
+        result: {
+            name: cycle.name,
+            samples: cycle.length,
+            duration: cycle.duration,
+            temperature, // mean °C
+            startSoc: cycle.soc[0],
+            endSoc: cycle.soc[cycle.length - 1],
+            fusionSource: serverFusion ? 'server' : 'local',
+            serverMaxDiff: serverFusion ? serverMaxDiff : null, // largest |/simulate - local fusion|
+            estimators: Object.fromEntries(Object.keys(ESTIMATORS).map(key => [key, estimatorStats(tallies[key])])),
+        },
+        tallies,
+        sweep,
+    };
+};
+
+/** Scores for one drive cycle (see evaluateCycles for the result shape of a file). */
+export const evaluateCycle = (cycle, { model = NN_MODEL, serverFusion = null, anchor = 'nn' } = {}) => (
+    scoreCycle(cycle, { model, serverFusion, anchor }).result
+);
+
+/**
+ * Evaluates every cycle and returns the report: per-file results, the same figures over all
+ * files, and the fusion RMSE/MAE for each of FUSION_WEIGHTS (the best one by RMSE flagged).
+ * With `simulate` (socApi.simulateCycle) the fusion is the server's /simulate output; the NN and
+ * coulomb columns are always computed here, since /simulate only returns the fused series.
+ * `anchor` picks the coulomb-counting start (COULOMB_ANCHORS; /simulate needs 'nn').
+ * `onProgress(done, total, name)` is called after each file.
+ */
+export const evaluateCycles = async (cycles, { model = NN_MODEL, simulate = null, anchor = 'nn', onProgress = () => {} } = {}) => {
+    if (!cycles.length) throw new Error('No drive cycles to evaluate.');
+    if (!(anchor in COULOMB_ANCHORS)) throw new Error(`Unknown coulomb-counting anchor "${anchor}".`);
+    if (simulate && anchor !== 'nn') throw new Error("/simulate starts coulomb counting from the NN; use the 'nn' anchor with it.");
+    const overall = Object.fromEntries(Object.keys(ESTIMATORS).map(key => [key, createEstimatorTally()]));
+    const sweep = FUSION_WEIGHTS.map(createTally);
+    const files = [];
+
+    for (const cycle of cycles) {
+        let serverFusion = null;
+        if (simulate) {
+            try {
+                serverFusion = (await simulate({ current: cycle.current, voltage: cycle.packVoltage, temperature: cycle.temperature, time: cycle.time })).soc;
+            } catch (err) {
+                throw new Error(`${cycle.name}: /simulate failed (${err.message}).`);
+            }
+        }
+        const scored = scoreCycle(cycle, { model, serverFusion, anchor });
+        files.push(scored.result);
+        Object.keys(ESTIMATORS).forEach(key => {
+            mergeTally(overall[key].all, scored.tallies[key].all);
+            overall[key].soc.forEach((tally, i) => mergeTally(tally, scored.tallies[key].soc[i]));
+            overall[key].temp.forEach((tally, i) => mergeTally(tally, scored.tallies[key].temp[i]));
+        });
+        sweep.forEach((tally, k) => mergeTally(tally, scored.sweep[k]));
+        onProgress(files.length, cycles.length, cycle.name);
+    }
+
+    const weightSweep = FUSION_WEIGHTS.map((weight, k) => ({ weight, ...stats(sweep[k]) }));
+    const best = weightSweep.reduce((a, b) => (b.rmse < a.rmse ? b : a));
+    return {
+        createdAt: new Date().toISOString(),
+        fusionSource: simulate ? 'server' : 'local',
+        anchor,
+        mlWeight: ML_WEIGHT,
+        capacityAh: BATTERY_CAPACITY_AH,
+        estimators: ESTIMATORS,
+        files,
+        overall: Object.fromEntries(Object.keys(ESTIMATORS).map(key => [key, estimatorStats(overall[key])])),
+        weightSweep,
+        bestWeight: best.weight,
+    };
+};
+
+// --- REPORT EXPORT ---
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+export const formatMetric = (value, digits = 3) => (value == null ? '--' : value.toFixed(digits));
+
+const metricsTable = (estimators, labels) => `<table>
+<tr><th>Estimator</th><th>RMSE %</th><th>MAE %</th><th>Max %</th><th>Samples</th></tr>
+${Object.entries(estimators).map(([key, s]) => `<tr><td>${escapeHtml(labels[key])}</td><td>${formatMetric(s.rmse)}</td><td>${formatMetric(s.mae)}</td><td>${formatMetric(s.maxError)}</td><td>${s.count}</td></tr>`).join('\n')}
+</table>`;
+
+const breakdownTable = (estimators, labels, field, title) => {
+    const bands = Object.values(estimators)[0][field].map(b => b.band);
+    return `<table>
+<tr><th>${title}</th>${Object.keys(estimators).map(key => `<th>${escapeHtml(labels[key])} RMSE / MAE / Max %</th>`).join('')}<th>Samples</th></tr>
+${bands.map((band, i) => `<tr><td>${escapeHtml(band)}</td>${Object.values(estimators).map(s => {
+        const b = s[field][i];
+        return `<td>${formatMetric(b.rmse)} / ${formatMetric(b.mae)} / ${formatMetric(b.maxError)}</td>`;
+    }).join('')}<td>${Object.values(estimators)[0][field][i].count}</td></tr>`).join('\n')}
+</table>`;
+};
+
+/** Self-contained HTML page of an evaluateCycles report. */
+export const buildEvaluationHtml = (report) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>SOC estimator evaluation ${escapeHtml(report.createdAt)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1e293b; }
+table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.85rem; }
+th, td { border: 1px solid #cbd5e1; padding: 0.25rem 0.5rem; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f1f5f9; }
+.best { font-weight: bold; background: #dcfce7; }
+</style>
+</head>
+<body>
+<h1>SOC estimator evaluation</h1>
+<p>${escapeHtml(report.createdAt)} · ${report.files.length} drive cycles · fusion from ${report.fusionSource === 'server' ? 'server.py /simulate' : 'local computation'}
+ · coulomb counting from ${escapeHtml(COULOMB_ANCHORS[report.anchor])}
+ · ML weight ${report.mlWeight} · capacity ${report.capacityAh} Ah. Errors are estimate - recorded soc_percent.</p>
+<h2>All files</h2>
+${metricsTable(report.overall, report.estimators)}
+${breakdownTable(report.overall, report.estimators, 'bySoc', 'Recorded SOC')}
+${breakdownTable(report.overall, report.estimators, 'byTemp', 'Temperature')}
+<h2>Fusion weight sweep</h2>
+<table>
+<tr><th>ML weight</th><th>RMSE %</th><th>MAE %</th><th>Max %</th></tr>
+${report.weightSweep.map(w => `<tr${w.weight === report.bestWeight ? ' class="best"' : ''}><td>${w.weight.toFixed(2)}</td><td>${formatMetric(w.rmse)}</td><td>${formatMetric(w.mae)}</td><td>${formatMetric(w.maxError)}</td></tr>`).join('\n')}
+</table>
+${report.files.map(file => `<h2>${escapeHtml(file.name)}</h2>
+<p>${file.samples} samples · ${file.duration.toFixed(0)} s · ${file.temperature.toFixed(1)} °C · SOC ${file.startSoc.toFixed(1)} → ${file.endSoc.toFixed(1)} %${file.serverMaxDiff != null ? ` · /simulate vs local fusion max diff ${file.serverMaxDiff.toExponential(2)} %` : ''}</p>
+${metricsTable(file.estimators, report.estimators)}
+${breakdownTable(file.estimators, report.estimators, 'bySoc', 'Recorded SOC')}`).join('\n')}
+</body>
+</html>
+`;
@@ -0,0 +1,165 @@
+// faultInjection.js - Sensor and cell faults applied on a scripted timeline for estimator and BMS robustness tests
+//
+// A timeline is a list of faults, each active from `start` until `end` (engine seconds; a null
+// end lasts until the run stops). Sensor faults sit between the physics truth and the measured
+// current / voltage / temperature that the BMS, the estimators and the telemetry log see; cell
+// faults change the physics of one cell group (the whole lumped cell carries 1/series of them).
+
+// `params` are the fault's settings with their defaults; `target` is where the fault acts
+export const FAULT_TYPES = {
+    currentOffset: {
+        label: 'Current sensor offset', target: 'sensor',
+        params: { offset: { label: 'Offset', unit: 'A', value: 5 } },
+    },
+    currentGain: {
+        label: 'Current sensor gain error', target: 'sensor',
+        params: { error: { label: 'Gain error', unit: '%', value: 5, min: -90, max: 100 } },
+    },
+    tempStuck: {
+        label: 'Temperature sensor stuck', target: 'sensor',
+        params: {},
+    },
+    tempDropout: {
+        label: 'Temperature sensor dropout', target: 'sensor',
+        params: { reading: { label: 'Reads', unit: '°C', value: -40 } }, // Open NTC: the bottom of the range
+    },
+    voltageSpikes: {
+        label: 'Voltage spikes', target: 'sensor',
+        params: {
+            amplitude: { label: 'Amplitude', unit: 'V', value: 20, min: 0 },
+            rate: { label: 'Rate', unit: '/s', value: 0.5, min: 0, max: 60 },
+        },
+    },
+    sampleLoss: {
+        label: 'Sample loss', target: 'sensor',
+        params: { probability: { label: 'Lost', unit: '%', value: 30, min: 0, max: 100 } },
+    },
+    internalShort: {
+        label: 'Internal short', target: 'cell',
+        params: {
+            resistance: { label: 'Short', unit: 'Ω', value: 1, min: 0.01 },
+            cell: { label: 'Cell', unit: '#', value: 1, min: 1, integer: true },
+        },
+    },
+    resistanceJump: {
+        label: 'Resistance jump', target: 'cell',
+        params: {
+            increase: { label: 'Increase', unit: '%', value: 100, min: 0 },
+            cell: { label: 'Cell', unit: '#', value: 1, min: 1, integer: true },
+        },
+    },
+};
+
+/** New timeline entry of `type` with default settings, active from `start` (s) until `end`. */
+export const createFault = (type, start = 0, end = null) => ({
+    type, start, end,
+    params: Object.fromEntries(Object.entries(FAULT_TYPES[type].params).map(([key, param]) => [key, param.value])),
+});
+
+/** "Current sensor offset (5 A) 30-90 s" - for the CSV metadata. */
+export const formatFault = (fault) => {
+    const type = FAULT_TYPES[fault.type];
+    const params = Object.entries(type.params).map(([key, param]) => `${param.unit === '#' ? 'cell ' : ''}${fault.params[key]}${param.unit === '#' ? '' : ` ${param.unit}`}`);
+    const span = fault.end == null ? `from ${fault.start} s` : `${fault.start}-${fault.end} s`;
+    return `${type.label}${params.length ? ` (${params.join(' ')})` : ''} ${span}`;
+};
+
+/**
+ * Checks a fault timeline against FAULT_TYPES; `cells` is the number of series cell groups.
+ * Throws with a readable message.
+ */
+export const validateFaultTimeline = (timeline, cells) => {
+    if (!Array.isArray(timeline)) throw new Error('Fault timeline must be a list of faults.');
+    timeline.forEach((fault, i) => {
+        const type = FAULT_TYPES[fault?.type];
+        if (!type) throw new Error(`Fault ${i + 1}: unknown type "${fault?.type}".`);
+        const name = `Fault ${i + 1} (${type.label})`;
+        if (!(Number.isFinite(fault.start) && fault.start >= 0)) throw new Error(`${name}: start must be a time of at least 0 s.`);
+        if (fault.end != null && !(Number.isFinite(fault.end) && fault.end > fault.start)) throw new Error(`${name}: end must come after the start.`);
+        for (const [key, param] of Object.entries(type.params)) {
+            const value = fault.params?.[key];
+            const max = key === 'cell' ? cells : param.max ?? Infinity;
+            if (!(Number.isFinite(value) && value >= (param.min ?? -Infinity) && value <= max) || (param.integer && !Number.isInteger(value))) {
+                throw new Error(`${name}: ${param.label.toLowerCase()} must be ${param.integer ? 'a whole number' : 'a number'}${
+                    param.min != null ? ` from ${param.min}` : ''}${Number.isFinite(max) ? ` to ${max}` : ''}.`);
+            }
+        }
+    });
+    return timeline;
+};
+
+/** Reads a timeline saved as JSON ({ "faults": [...] } or a bare list) and validates it. */
+export const parseFaultTimelineJson = (text, cells) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Fault timeline is not valid JSON: ${err.message}`);
+    }
+    const list = Array.isArray(raw) ? raw : raw?.faults;
+    if (!Array.isArray(list)) throw new Error('Fault timeline needs a "faults" list.');
+    // Missing settings take their defaults, so a script only has to name what it changes
+    const timeline = list.map(fault => (FAULT_TYPES[fault?.type]
+        ? { ...createFault(fault.type, fault.start, fault.end ?? null), params: { ...createFault(fault.type).params, ...fault.params } }
+        : fault));
+    return validateFaultTimeline(timeline, cells);
+};
+
+/** Faults of the timeline active at engine time `time`. */
+export const activeFaults = (timeline, time) => timeline.filter(f => f.start <= time && (f.end == null || time < f.end));
+
+/**
+ * Measured signals from the physics `truth` ({ current, voltage, temp }) under the `active`
+ * faults. `previous` is the last measurement: a stuck sensor and a lost sample repeat it.
+ * `random` is a uniform [0, 1) source, only drawn from while a random fault is active.
+ */
+export const measureSignals = (previous, truth, active, random, dt) => {
+    const loss = active.find(f => f.type === 'sampleLoss');
+    if (loss && random() * 100 < loss.params.probability) return previous;
+
+    let { voltage, temp } = truth;
+    let gain = 1, offset = 0;
+    for (const { type, params } of active) {
+        if (type === 'currentOffset') offset += params.offset;
+        else if (type === 'currentGain') gain *= 1 + params.error / 100;
+        else if (type === 'tempStuck') temp = previous.temp;
+        else if (type === 'tempDropout') temp = params.reading;
+        else if (type === 'voltageSpikes' && random() < params.rate * dt) voltage += (random() < 0.5 ? -1 : 1) * params.amplitude;
+    }
+    return { current: truth.current * gain + offset, voltage, temp };
+};
+
+/**
+ * Active cell faults by cell group index: { [i]: { resistanceFactor, shortResistance } }
+ * (shortResistance is Infinity without a short), or null when none is active.
+ */
+export const cellFaultMap = (active) => {
+    let map = null;
+    for (const { type, params } of active) {
+        if (FAULT_TYPES[type].target !== 'cell') continue;
+        map ??= {};
+        const cell = (map[params.cell - 1] ??= { resistanceFactor: 1, shortResistance: Infinity });
+        if (type === 'resistanceJump') cell.resistanceFactor *= 1 + params.increase / 100;
+        else cell.shortResistance = 1 / (1 / cell.shortResistance + 1 / params.resistance); // Shorts in parallel
+    }
+    return map;
+};
+
+/**
+ * SOC error of the EKF and the NN per set of active faults, from logged rows (their
+ * `activeFaults`), as CSV metadata lines. Empty when no row had a fault.
+ */
+export const faultErrorReport = (rows) => {
+    if (!rows.some(row => row.activeFaults)) return [];
+    const groups = new Map();
+    for (const row of rows) {
+        const key = row.activeFaults ?? 'none';
+        const group = groups.get(key) ?? { count: 0, ekf: 0, ekfCount: 0, nn: 0, nnCount: 0 };
+        group.count++;
+        if (row.socEkf != null) { group.ekf += Math.abs(row.socActual - row.socEkf); group.ekfCount++; }
+        if (row.socNn != null) { group.nn += Math.abs(row.socActual - row.socNn); group.nnCount++; }
+        groups.set(key, group);
+    }
+    const mae = (sum, count) => (count ? `${(sum / count).toFixed(3)} %` : '--');
+    return [...groups].map(([key, g]) => `${key}: EKF MAE ${mae(g.ekf, g.ekfCount)}; NN MAE ${mae(g.nn, g.nnCount)} (${g.count} samples)`);
+};
@@ -0,0 +1,101 @@
+// faultInjection.test.js - Fault timelines, the faulted sensor readings and the cell fault map
+import { describe, it, expect } from 'vitest';
+import {
+    createFault, formatFault, validateFaultTimeline, parseFaultTimelineJson, activeFaults, measureSignals, cellFaultMap, faultErrorReport
+} from './faultInjection';
+
+const TRUTH = { current: -100, voltage: 360, temp: 30 };
+const PREVIOUS = { current: -90, voltage: 361, temp: 28 };
+const never = () => 0.99; // A random source that never fires a random fault
+const fault = (type, params = {}, start = 0, end = null) => {
+    const f = createFault(type, start, end);
+    return { ...f, params: { ...f.params, ...params } };
+};
+
+describe('timelines', () => {
+    it('creates faults with default settings and describes them', () => {
+        expect(createFault('currentOffset', 30, 90)).toEqual({ type: 'currentOffset', start: 30, end: 90, params: { offset: 5 } });
+        expect(formatFault(createFault('currentOffset', 30, 90))).toBe('Current sensor offset (5 A) 30-90 s');
+        expect(formatFault(createFault('internalShort', 10))).toBe('Internal short (1 Ω cell 1) from 10 s');
+        expect(formatFault(createFault('tempStuck', 0, 5))).toBe('Temperature sensor stuck 0-5 s');
+    });
+
+    it('rejects unknown types, bad times and out-of-range settings', () => {
+        expect(() => validateFaultTimeline({}, 96)).toThrow('Fault timeline must be a list of faults.');
+        expect(() => validateFaultTimeline([{ type: 'meteor' }], 96)).toThrow('Fault 1: unknown type "meteor".');
+        expect(() => validateFaultTimeline([createFault('tempStuck', -1)], 96)).toThrow('Fault 1 (Temperature sensor stuck): start must be a time of at least 0 s.');
+        expect(() => validateFaultTimeline([createFault('tempStuck', 10, 10)], 96)).toThrow('Fault 1 (Temperature sensor stuck): end must come after the start.');
+        expect(() => validateFaultTimeline([fault('sampleLoss', { probability: 120 })], 96)).toThrow('Fault 1 (Sample loss): lost must be a number from 0 to 100.');
+        expect(() => validateFaultTimeline([fault('resistanceJump', { cell: 97 })], 96)).toThrow('Fault 1 (Resistance jump): cell must be a whole number from 1 to 96.');
+        expect(() => validateFaultTimeline([fault('resistanceJump', { cell: 1.5 })], 96)).toThrow('cell must be a whole number');
+    });
+
+    it('reads a JSON timeline, filling in settings it leaves out', () => {
+        const timeline = parseFaultTimelineJson('{"faults":[{"type":"voltageSpikes","start":5,"params":{"amplitude":40}}]}', 96);
+        expect(timeline).toEqual([{ type: 'voltageSpikes', start: 5, end: null, params: { amplitude: 40, rate: 0.5 } }]);
+        expect(parseFaultTimelineJson('[{"type":"tempStuck","start":1,"end":2}]', 96)).toEqual([createFault('tempStuck', 1, 2)]);
+        expect(() => parseFaultTimelineJson('{', 96)).toThrow(/^Fault timeline is not valid JSON: /);
+        expect(() => parseFaultTimelineJson('{"list":[]}', 96)).toThrow('Fault timeline needs a "faults" list.');
+    });
+
+    it('finds the faults active at a time, the end excluded', () => {
+        const timeline = [createFault('tempStuck', 10, 20), createFault('currentOffset', 15)];
+        expect(activeFaults(timeline, 9.99)).toEqual([]);
+        expect(activeFaults(timeline, 15).map(f => f.type)).toEqual(['tempStuck', 'currentOffset']);
+        expect(activeFaults(timeline, 20).map(f => f.type)).toEqual(['currentOffset']);
+    });
+});
+
+describe('measureSignals', () => {
+    it('passes the truth through without faults', () => {
+        expect(measureSignals(PREVIOUS, TRUTH, [], never, 0.1)).toEqual(TRUTH);
+    });
+
+    it('applies current gain then offset', () => {
+        const active = [fault('currentGain', { error: 10 }), fault('currentOffset', { offset: 5 })];
+        expect(measureSignals(PREVIOUS, TRUTH, active, never, 0.1).current).toBeCloseTo(-105, 12);
+    });
+
+    it('holds a stuck temperature and reads a dropout at the bottom of the range', () => {
+        expect(measureSignals(PREVIOUS, TRUTH, [fault('tempStuck')], never, 0.1).temp).toBe(28);
+        expect(measureSignals(PREVIOUS, TRUTH, [fault('tempDropout')], never, 0.1).temp).toBe(-40);
+    });
+
+    it('adds voltage spikes at their rate and repeats the last reading for a lost sample', () => {
+        const draws = [0.01, 0.2];
+        expect(measureSignals(PREVIOUS, TRUTH, [fault('voltageSpikes')], () => draws.shift(), 0.1).voltage).toBe(340);
+        expect(measureSignals(PREVIOUS, TRUTH, [fault('voltageSpikes')], never, 0.1).voltage).toBe(360);
+        expect(measureSignals(PREVIOUS, TRUTH, [fault('sampleLoss')], () => 0.1, 0.1)).toBe(PREVIOUS);
+        expect(measureSignals(PREVIOUS, TRUTH, [fault('sampleLoss')], () => 0.5, 0.1)).toEqual(TRUTH);
+    });
+});
+
+describe('cellFaultMap', () => {
+    it('is null without cell faults and combines faults on the same cell', () => {
+        expect(cellFaultMap([fault('currentOffset')])).toBeNull();
+        const map = cellFaultMap([
+            fault('resistanceJump', { increase: 100, cell: 3 }), fault('resistanceJump', { increase: 50, cell: 3 }),
+            fault('internalShort', { resistance: 2, cell: 3 }), fault('internalShort', { resistance: 2, cell: 3 }),
+            fault('internalShort', { resistance: 0.5, cell: 1 }),
+        ]);
+        expect(map).toEqual({
+            2: { resistanceFactor: 3, shortResistance: 1 },
+            0: { resistanceFactor: 1, shortResistance: 0.5 },
+        });
+    });
+});
+
+describe('faultErrorReport', () => {
+    it('gives the estimator errors per set of active faults', () => {
+        expect(faultErrorReport([{ activeFaults: null, socActual: 50, socEkf: 49, socNn: null }])).toEqual([]);
+        const rows = [
+            { activeFaults: null, socActual: 50, socEkf: 49, socNn: 52 },
+            { activeFaults: 'tempStuck', socActual: 50, socEkf: 47, socNn: null },
+            { activeFaults: 'tempStuck', socActual: 50, socEkf: 53, socNn: null },
+        ];
+        expect(faultErrorReport(rows)).toEqual([
+            'none: EKF MAE 1.000 %; NN MAE 2.000 % (1 samples)',
+            'tempStuck: EKF MAE 3.000 %; NN MAE -- (2 samples)',
+        ]);
+    });
+});
@@ -0,0 +1,200 @@
+// fleet.js - Fleet mode: many virtual vehicles with their own battery, climate and duty cycle, aged side by side
+//
+// A vehicle is { id, capacity (% of nominal), startSoh (%), climate, pattern } - keys of CLIMATES
+// and USAGE_PATTERNS ids from fleetYear.js. Fleets are drawn at random from a spread (seeded, so
+// the same settings give the same fleet) or imported as JSON. Each vehicle is one fleet-year
+// simulation; runFleet spreads them over a pool of fleet workers (workerPool.js).
+import { DEFAULT_CONFIG, createRng } from './engine';
+import { agedBattery } from './aging';
+import { USAGE_PATTERNS, CLIMATES, simulateFleetYears } from './fleetYear';
+import { runWorkerJobs } from './workerPool';
+
+export const MAX_FLEET_SIZE = 1000;
+export const FLEET_CHART_POINTS = 120; // Daily points kept per vehicle for its drill-down charts
+const START_SOC = 80; // % at midnight of the first day
+
+export const DEFAULT_FLEET_SPREAD = {
+    size: 100,
+    seed: 1,
+    capacity: { min: 95, max: 105 }, // % of nominal - manufacturing spread
+    startSoh: { min: 90, max: 100 }, // % - vehicles join the fleet used
+    climates: { temperate: 2, hot: 1, cold: 1 }, // Relative weights
+    patterns: { commuter: 3, highway: 2, rideshare: 1, light: 2 },
+};
+
+// Per-vehicle results: table columns and the CSV export
+export const FLEET_COLUMNS = {
+    soh: { label: 'SOH', unit: '%', digits: 2, csv: 'SOH_pct' },
+    resistanceGrowth: { label: 'Resistance growth', unit: '%', digits: 1, csv: 'Resistance_Growth_pct' },
+    endSoc: { label: 'End SOC', unit: '%', digits: 1, csv: 'End_SOC_pct' },
+    minSoc: { label: 'Lowest SOC', unit: '%', digits: 1, csv: 'Min_SOC_pct' },
+    faultEvents: { label: 'BMS faults', unit: '', digits: 0, csv: 'BMS_Fault_Events' },
+    strandedDays: { label: 'Stranded days', unit: '', digits: 0, csv: 'Stranded_Days' },
+    distanceKm: { label: 'Distance', unit: 'km', digits: 0, csv: 'Distance_km' },
+    equivalentCycles: { label: 'Full cycles', unit: '', digits: 0, csv: 'Equivalent_Cycles' },
+};
+
+const weightedPick = (weights, random) => {
+    const entries = Object.entries(weights).filter(([, w]) => w > 0);
+    let r = random() * entries.reduce((sum, [, w]) => sum + w, 0);
+    for (const [key, w] of entries) {
+        if ((r -= w) < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+};
+
+/** Checks the random-fleet settings; throws with a readable message. */
+export const validateFleetSpread = (spread) => {
+    if (!(Number.isInteger(spread.size) && spread.size >= 1 && spread.size <= MAX_FLEET_SIZE)) throw new Error(`Fleet size must be a whole number from 1 to ${MAX_FLEET_SIZE}.`);
+    if (!Number.isInteger(spread.seed)) throw new Error('Seed must be a whole number.');
+    const ranges = { capacity: ['Capacity', 50, 150], startSoh: ['Start SOH', 50, 100] };
+    for (const [key, [label, low, high]] of Object.entries(ranges)) {
+        const { min, max } = spread[key];
+        if (!(Number.isFinite(min) && Number.isFinite(max) && min >= low && max <= high && min <= max)) {
+            throw new Error(`${label} range must lie within ${low} to ${high} %, lowest first.`);
+        }
+    }
+    const weights = { climates: [CLIMATES, 'climate'], patterns: [Object.fromEntries(USAGE_PATTERNS.map(p => [p.id, p])), 'usage pattern'] };
+    for (const [key, [known, label]] of Object.entries(weights)) {
+        const entries = Object.entries(spread[key]);
+        if (entries.some(([id, w]) => !known[id] || !(Number.isFinite(w) && w >= 0))) throw new Error(`Every ${label} weight must be a number of at least 0.`);
+        if (!entries.some(([, w]) => w > 0)) throw new Error(`Give at least one ${label} a weight above 0.`);
+    }
+    return spread;
+};
+
+/** A random fleet drawn from `spread` (see DEFAULT_FLEET_SPREAD). */
+export const createFleet = (spread) => {
+    validateFleetSpread(spread);
+    const random = createRng(spread.seed);
+    const between = ({ min, max }) => Number((min + random() * (max - min)).toFixed(1));
+    const digits = String(spread.size).length;
+    return Array.from({ length: spread.size }, (_, i) => ({
+        id: `EV-${String(i + 1).padStart(Math.max(3, digits), '0')}`,
+        capacity: between(spread.capacity),
+        startSoh: between(spread.startSoh),
+        climate: weightedPick(spread.climates, random),
+        pattern: weightedPick(spread.patterns, random),
+    }));
+};
+
+/** Checks a configured fleet (a list of vehicles); throws with a readable message. */
+export const validateFleet = (vehicles) => {
+    if (!Array.isArray(vehicles) || !vehicles.length) throw new Error('A fleet needs at least one vehicle.');
+    if (vehicles.length > MAX_FLEET_SIZE) throw new Error(`A fleet is limited to ${MAX_FLEET_SIZE} vehicles.`);
+    const ids = new Set();
+    vehicles.forEach((v, i) => {
+        const name = `Vehicle ${i + 1}${v?.id ? ` (${v.id})` : ''}`;
+        if (typeof v?.id !== 'string' || !v.id) throw new Error(`${name}: needs an "id".`);
+        if (ids.has(v.id)) throw new Error(`${name}: the id is used twice.`);
+        ids.add(v.id);
+        if (!(Number.isFinite(v.capacity) && v.capacity >= 50 && v.capacity <= 150)) throw new Error(`${name}: capacity must be 50 to 150 % of nominal.`);
+        if (!(Number.isFinite(v.startSoh) && v.startSoh >= 50 && v.startSoh <= 100)) throw new Error(`${name}: start SOH must be 50 to 100 %.`);
+        if (!CLIMATES[v.climate]) throw new Error(`${name}: climate must be one of ${Object.keys(CLIMATES).join(', ')}.`);
+        if (!USAGE_PATTERNS.some(p => p.id === v.pattern)) throw new Error(`${name}: pattern must be one of ${USAGE_PATTERNS.map(p => p.id).join(', ')}.`);
+    });
+    return vehicles;
+};
+
+/** Reads a fleet saved as JSON ({ "vehicles": [...] } or a bare list) and validates it. */
+export const parseFleetJson = (text) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Fleet file is not valid JSON: ${err.message}`);
+    }
+    const vehicles = Array.isArray(raw) ? raw : raw?.vehicles;
+    if (!Array.isArray(vehicles)) throw new Error('Fleet file needs a "vehicles" list.');
+    return validateFleet(vehicles.map(v => ({ id: v?.id, capacity: v?.capacity, startSoh: v?.startSoh, climate: v?.climate, pattern: v?.pattern })));
+};
+
+/** Battery parameters of a vehicle at `soh` with `resistanceGrowth` % more resistance. */
+export const vehicleBattery = (vehicle, soh = vehicle.startSoh, resistanceGrowth = 0) => (
+    agedBattery(DEFAULT_CONFIG.battery, vehicle.capacity * soh / 100, resistanceGrowth)
+);
+
+/**
+ * Ages one vehicle through `years`. Resolves to its FLEET_COLUMNS values plus `points`, the
+ * daily points (see simulateFleetYears) thinned to about FLEET_CHART_POINTS.
+ */
+export const simulateVehicle = async (vehicle, { years, signal }) => {
+    const pattern = USAGE_PATTERNS.find(p => p.id === vehicle.pattern);
+    const { points, strandedDays } = await simulateFleetYears(pattern, {
+        years, climate: CLIMATES[vehicle.climate], startSoh: vehicle.startSoh, startSoc: START_SOC, signal,
+        config: { ...DEFAULT_CONFIG, battery: vehicleBattery(vehicle, 100) },
+    });
+    const last = points[points.length - 1];
+    const every = Math.ceil(points.length / FLEET_CHART_POINTS);
+    return {
+        soh: last.soh,
+        resistanceGrowth: last.resistanceGrowth,
+        endSoc: last.endSoc,
+        minSoc: Math.min(...points.map(p => p.minSoc)),
+        faultEvents: last.faultEvents,
+        strandedDays,
+        distanceKm: last.distanceKm,
+        equivalentCycles: last.equivalentCycles,
+        points: points
+            .filter((p, i) => (i + 1) % every === 0 || i === points.length - 1)
+            .map(p => ({ day: p.day, soh: p.soh, resistanceGrowth: p.resistanceGrowth, minSoc: p.minSoc, endSoc: p.endSoc, faultEvents: p.faultEvents })),
+    };
+};
+
+/**
+ * Simulates every vehicle on up to `workers` fleet workers from `createWorker()`.
+ * `onResult({ id, result, error, done, total })` runs per vehicle (`id` is its index). Resolves
+ * to [{ result, error }] in fleet order; aborting `signal` rejects with 'Cancelled.'.
+ */
+export const runFleet = async (vehicles, { years, createWorker, workers = 1, signal, onResult = () => {} }) => {
+    validateFleet(vehicles);
+    if (!(years > 0 && years <= 20)) throw new Error('Simulate more than 0 and at most 20 years.');
+    const replies = await runWorkerJobs(vehicles.map(vehicle => ({ type: 'run', vehicle, years })), {
+        createWorker, workers, signal,
+        onResult: (id, reply, done) => onResult({ id, result: reply.result ?? null, error: reply.message ?? null, done, total: vehicles.length }),
+    });
+    return replies.map(reply => ({ result: reply.result ?? null, error: reply.message ?? null }));
+};
+
+/** Counts of `values` in `bins` equal-width bins over their range: [{ from, to, count }]. */
+export const histogram = (values, bins = 10) => {
+    if (!values.length) return [];
+    const min = Math.min(...values), max = Math.max(...values);
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+    for (const v of values) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+    return counts.map((count, i) => ({ from: min + i * width, to: min + (i + 1) * width, count }));
+};
+
+/** CSV of a simulated fleet: one row per vehicle with its settings and FLEET_COLUMNS results. */
+export const buildFleetCsv = (vehicles, results, years) => {
+    const header = ['Vehicle', 'Capacity_pct', 'Start_SOH_pct', 'Climate', 'Usage_Pattern', ...Object.values(FLEET_COLUMNS).map(c => c.csv), 'Error'];
+    const rows = vehicles.map((v, i) => {
+        const { result, error } = results[i] ?? {};
+        return [
+            v.id, v.capacity, v.startSoh, v.climate, v.pattern,
+            ...Object.entries(FLEET_COLUMNS).map(([key, c]) => (result ? result[key].toFixed(c.digits) : '')),
+            error ? `"${error.replace(/"/g, '""')}"` : '',
+        ].join(',');
+    });
+    return [`# Years: ${years}`, header.join(','), ...rows].join('\n');
+};
+
+/**
+ * Simulator settings that put a vehicle on the dashboard as it ends the fleet run: its aged
+ * battery, its climate's mean temperature and the first trip of its usage pattern.
+ * `nominalBattery` is the same vehicle new, the reference the EKF estimates the fade against.
+ */
+export const simulatorPreset = (vehicle, result) => {
+    const pattern = USAGE_PATTERNS.find(p => p.id === vehicle.pattern);
+    const climate = CLIMATES[vehicle.climate];
+    return {
+        id: vehicle.id,
+        description: `${pattern.name}, ${climate.name}, ${vehicle.capacity}% capacity`,
+        battery: vehicleBattery(vehicle, result.soh, result.resistanceGrowth),
+        nominalBattery: vehicleBattery(vehicle, 100),
+        soh: result.soh,
+        ambientTemp: Math.round(climate.meanTemp),
+        scenarioId: pattern.events.find(e => e.drive).drive,
+    };
+};
@@ -0,0 +1,15 @@
+// fleet.worker.js - Ages fleet vehicles off the main thread (see fleet.js)
+//
+// Commands in:  run { id, vehicle, years } (see workerPool.js)
+// Messages out: result { id, result } or error { id, message }
+import { simulateVehicle } from './fleet';
+
+self.onmessage = async (e) => {
+    const { type, id, vehicle, years } = e.data;
+    if (type !== 'run') return;
+    try {
+        self.postMessage({ type: 'result', id, result: await simulateVehicle(vehicle, { years }) });
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+};
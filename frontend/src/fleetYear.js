@@ -0,0 +1,235 @@
+// fleetYear.js - Long-horizon aging: one daily usage pattern repeated headlessly over months or years
+//
+// Stepping the engine through every day of a decade would take hours, so one representative day
+// is simulated with the engine (lumped pack, coarse steps) and its SOC/temperature trace is fed
+// through the aging model (aging.js) day after day. Every `resimulateDays` the day is simulated
+// again with the aged battery (less capacity, more resistance) in that day's climate, so the
+// trace follows both the fade and the seasons; in between, its temperatures shift with the
+// day's mean ambient.
+import { DEFAULT_CONFIG, createInitialState, step } from './engine';
+import { BUILT_IN_SCENARIOS, createDriverState, driverStep } from './scenarios';
+import { CHARGERS, createChargeSession, chargeCommand } from './charging';
+import {
+    DEFAULT_AGING_CONFIG, createAgingState, agingStep, agingSoh, resistanceGrowth, equivalentFullCycles, agedBattery
+} from './aging';
+import { EMPTY_SOC } from './simulation';
+import { BMS_LEVELS } from './bms';
+
+// Ambient °C = mean - seasonal swing (coldest around 20 January) - daily swing (coldest at 03:00)
+export const CLIMATES = {
+    temperate: { name: 'Temperate (mean 11 °C)', meanTemp: 11, seasonalSwing: 8, dailySwing: 4 },
+    hot: { name: 'Hot (mean 26 °C)', meanTemp: 26, seasonalSwing: 6, dailySwing: 6 },
+    cold: { name: 'Cold (mean 2 °C)', meanTemp: 2, seasonalSwing: 12, dailySwing: 4 },
+};
+
+// Events run in order from their start hour: `drive` repeats a built-in scenario, `charge`
+// plugs into a CHARGERS entry until the target SOC (or midnight). The pack is parked in between.
+export const USAGE_PATTERNS = [
+    {
+        id: 'commuter',
+        name: 'Commuter',
+        description: '2x UDDS morning and evening (47 km), AC charge to 80 % overnight',
+        events: [
+            { hour: 8, drive: 'udds', repeats: 2 },
+            { hour: 17.5, drive: 'udds', repeats: 2 },
+            { hour: 22, charge: 'ac-7', targetSoc: 80 },
+        ],
+    },
+    {
+        id: 'highway',
+        name: 'Highway commuter',
+        description: '80 km/h cruise each way (27 km), 11 kW charge to 90 % every evening',
+        events: [
+            { hour: 7, drive: 'cruise-80', repeats: 1 },
+            { hour: 17, drive: 'cruise-80', repeats: 1 },
+            { hour: 19, charge: 'ac-11', targetSoc: 90 },
+        ],
+    },
+    {
+        id: 'rideshare',
+        name: 'Ride-share',
+        description: '4x UDDS before and after a midday DC fast charge to 80 % (94 km), AC to 90 % overnight',
+        events: [
+            { hour: 7, drive: 'udds', repeats: 2 },
+            { hour: 10, drive: 'udds', repeats: 2 },
+            { hour: 12.5, charge: 'dc-50', targetSoc: 80 },
+            { hour: 14, drive: 'udds', repeats: 2 },
+            { hour: 18, drive: 'udds', repeats: 2 },
+            { hour: 22, charge: 'ac-7', targetSoc: 90 },
+        ],
+    },
+    {
+        id: 'light',
+        name: 'Light use',
+        description: 'One WLTP trip (23 km), slow AC top-up to 70 %',
+        events: [
+            { hour: 10, drive: 'wltp3', repeats: 1 },
+            { hour: 20, charge: 'ac-2', targetSoc: 70 },
+        ],
+    },
+];
+
+export const FLEET_YEAR_SETTINGS = {
+    resimulateDays: 30, // Days between engine simulations of the pattern
+    driveDt: 0.5, // s engine step while driving (within about 2 % of the 60 Hz trip energy)
+    chargeDt: 2, // s engine step while charging
+    sampleSeconds: 10, // s between aging samples while driving or charging
+    parkSampleSeconds: 900, // s between aging samples while parked
+    parkTimeConstant: 3 * 3600, // s for a parked pack to settle toward the ambient temperature
+    yieldDays: 10, // Simulated days between yields to the event loop
+};
+
+const DAY_SECONDS = 24 * 3600;
+
+/** Ambient temperature (°C) on `day` (0 = 1 January) at `hour` in `climate`. */
+export const climateTemp = (climate, day, hour = 12) => (
+    climate.meanTemp
+    - climate.seasonalSwing * Math.cos(2 * Math.PI * (day - 20) / 365)
+    - climate.dailySwing * Math.cos(2 * Math.PI * (hour - 3) / 24)
+);
+
+// Mean ambient of a day (the daily swing averages out)
+const dayMeanTemp = (climate, day) => climate.meanTemp - climate.seasonalSwing * Math.cos(2 * Math.PI * (day - 20) / 365);
+
+/**
+ * Simulates one day of `pattern` from midnight, starting at `startSoc` with the pack at the
+ * night's ambient. `config` is the engine config (its battery already aged). Returns the aging
+ * trace `samples` ([{ dt, soc, temp }]), the end SOC, km driven, the energy drawn from the grid,
+ * `stranded` when a trip ran the pack empty and `faultEvents`, the BMS faults raised to a worse level.
+ */
+export const simulateUsageDay = (pattern, { config, startSoc, climate, day, settings = FLEET_YEAR_SETTINGS }) => {
+    const samples = [];
+    let time = 0; // s since midnight
+    let soc = startSoc;
+    let temp = climateTemp(climate, day, 0);
+    let distanceKm = 0;
+    let gridWh = 0;
+    let stranded = false;
+    let faultEvents = 0;
+    const emptySoc = config.bms ? config.bms.faults.lowSoc.cutoff : EMPTY_SOC;
+
+    // Parked: SOC holds, the pack settles toward the ambient temperature
+    const park = (until) => {
+        while (time < until) {
+            const dt = Math.min(settings.parkSampleSeconds, until - time);
+            const ambient = climateTemp(climate, day, (time + dt / 2) / 3600);
+            temp = ambient + (temp - ambient) * Math.exp(-dt / settings.parkTimeConstant);
+            time += dt;
+            samples.push({ dt, soc, temp });
+        }
+    };
+
+    // Steps the engine from a rested state until `next` returns null; samples every sampleSeconds
+    const runEvent = (dt, next) => {
+        const ambientTemp = climateTemp(climate, day, time / 3600);
+        let sim = { ...createInitialState({ soc, ambientTemp: temp, config }), time };
+        let sampleTime = 0;
+        for (;;) {
+            const inputs = next(sim);
+            if (!inputs || sim.time >= DAY_SECONDS) break;
+            sim = step(sim, { ...inputs, ambientTemp }, dt, config);
+            sampleTime += dt;
+            if (sampleTime >= settings.sampleSeconds) {
+                samples.push({ dt: sampleTime, soc: sim.soc, temp: sim.temp });
+                sampleTime = 0;
+            }
+        }
+        if (sampleTime > 0) samples.push({ dt: sampleTime, soc: sim.soc, temp: sim.temp });
+        if (sim.bms) faultEvents += sim.bms.events.filter(e => BMS_LEVELS.indexOf(e.to) > BMS_LEVELS.indexOf(e.from)).length;
+        time = sim.time;
+        soc = sim.soc;
+        temp = sim.temp;
+        return sim;
+    };
+
+    for (const event of pattern.events) {
+        park(Math.max(time, event.hour * 3600));
+        if (event.drive) {
+            const scenario = BUILT_IN_SCENARIOS.find(s => s.id === event.drive);
+            if (!scenario) throw new Error(`Usage pattern "${pattern.name}": unknown scenario "${event.drive}".`);
+            const start = time;
+            const end = start + scenario.duration * event.repeats;
+            let driver = createDriverState();
+            const sim = runEvent(settings.driveDt, (state) => {
+                if (state.time >= end) return null;
+                if (state.soc <= emptySoc || state.bms?.limits.discharge === 0) {
+                    stranded = true;
+                    return null;
+                }
+                const command = driverStep(driver, scenario, (state.time - start) % scenario.duration, state.speed, settings.driveDt, config);
+                driver = command.driver;
+                return command.inputs;
+            });
+            distanceKm += sim.distance;
+        } else if (event.charge) {
+            const charger = CHARGERS.find(c => c.id === event.charge);
+            if (!charger) throw new Error(`Usage pattern "${pattern.name}": unknown charger "${event.charge}".`);
+            let session = createChargeSession({ charger, targetSoc: event.targetSoc });
+            runEvent(settings.chargeDt, (state) => {
+                session = chargeCommand(session, state, config);
+                if (session.phase === 'done' || session.phase === 'stopped') return null;
+                gridWh += state.voltage * session.command / charger.efficiency * settings.chargeDt / 3600;
+                return { current: session.command };
+            });
+        }
+    }
+    park(DAY_SECONDS);
+
+    return { samples, endSoc: soc, distanceKm, gridWh, stranded, faultEvents };
+};
+
+/**
+ * Ages a pack through `years` of `pattern` in `climate`. Resolves to `{ points, aging, strandedDays }`
+ * with one point per day: { day, soh, capacityFade, resistanceGrowth, calendarLoss, cycleLoss,
+ * equivalentCycles, distanceKm, gridKwh and faultEvents (cumulative), minSoc, endSoc }. `onProgress({ day,
+ * totalDays, points })` runs every `settings.yieldDays` simulated days; aborting `signal` rejects
+ * with 'Cancelled.'.
+ */
+export const simulateFleetYears = async (pattern, {
+    years, climate, config = DEFAULT_CONFIG, startSoh = 100, startSoc = 80, settings = FLEET_YEAR_SETTINGS, signal, onProgress = () => {},
+}) => {
+    if (!(years > 0)) throw new Error('Simulate at least part of a year.');
+    const agingConfig = config.aging ?? DEFAULT_AGING_CONFIG;
+    const totalDays = Math.round(years * 365);
+    // The trace supplies the aging, so the engine's own aging and per-cell model are left out
+    const dayConfig = (aging) => ({
+        ...config, pack: null, aging: null,
+        battery: agedBattery(config.battery, agingSoh(aging), resistanceGrowth(aging, agingConfig)),
+    });
+
+    let aging = createAgingState({ soh: startSoh, soc: startSoc });
+    let soc = startSoc;
+    let trace = null;
+    let distanceKm = 0, gridWh = 0, strandedDays = 0, faultEvents = 0;
+    const points = [];
+
+    for (let day = 0; day < totalDays; day++) {
+        if (day % settings.resimulateDays === 0) {
+            trace = { day, ...simulateUsageDay(pattern, { config: dayConfig(aging), startSoc: soc, climate, day, settings }) };
+            soc = trace.endSoc;
+        }
+        const shift = dayMeanTemp(climate, day) - dayMeanTemp(climate, trace.day);
+        let minSoc = Infinity;
+        for (const sample of trace.samples) {
+            aging = agingStep(aging, { soc: sample.soc, temp: sample.temp + shift }, sample.dt, agingConfig);
+            minSoc = Math.min(minSoc, sample.soc);
+        }
+        distanceKm += trace.distanceKm;
+        gridWh += trace.gridWh;
+        faultEvents += trace.faultEvents;
+        if (trace.stranded) strandedDays++;
+        const soh = agingSoh(aging);
+        points.push({
+            day: day + 1, soh, capacityFade: 100 - soh, resistanceGrowth: resistanceGrowth(aging, agingConfig),
+            calendarLoss: aging.calendarLoss, cycleLoss: aging.cycleLoss, equivalentCycles: equivalentFullCycles(aging),
+            distanceKm, gridKwh: gridWh / 1000, faultEvents, minSoc, endSoc: trace.endSoc,
+        });
+
+        if ((day + 1) % settings.yieldDays === 0 || day === totalDays - 1) {
+            onProgress({ day: day + 1, totalDays, points });
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (signal?.aborted) throw new Error('Cancelled.');
+        }
+    }
+    return { points, aging, strandedDays };
+};
@@ -0,0 +1,68 @@
+// nnModel.js - In-browser SOC neural net: the MATLAB-trained MLP of model_params.json, evaluated
+// the same way as run_neural_net_batch in server.py, so the dashboard needs no backend for it
+//
+// Inputs [current A, temperature °C, cell voltage V] are clamped to the training range, mapped
+// to [-1, 1], passed through the tanh hidden layer (IW, b1) and the linear output (LW, b2), then
+// denormalised from [-1, 1] to [y_min, y_max]. Operations keep server.py's order so results match.
+import modelParams from '../../model_params.json' with { type: 'json' };
+import { SERIES_CELLS } from './driveCycle';
+
+const EPS = 1e-9; // server.py: stands in for a zero-width input range
+const INPUTS = 3;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const vector = (value, length, name) => {
+    const flat = [].concat(value ?? []).flat();
+    if (flat.length !== length || !flat.every(isNumber)) {
+        throw new Error(`model_params.json: "${name}" must be ${length} number${length > 1 ? 's' : ''}.`);
+    }
+    return Float64Array.from(flat);
+};
+
+/** Model from parsed model_params.json content; throws with a readable message on a bad shape. */
+export const createNnModel = (params) => {
+    if (!Array.isArray(params?.IW) || !params.IW.length) throw new Error('model_params.json: "IW" must be a non-empty matrix.');
+    const hidden = params.IW.length;
+    const xMin = vector(params.x_min, INPUTS, 'x_min');
+    const xMax = vector(params.x_max, INPUTS, 'x_max');
+    return {
+        hidden,
+        iw: params.IW.map((row, i) => vector(row, INPUTS, `IW[${i}]`)),
+        b1: vector(params.b1, hidden, 'b1'),
+        lw: vector(params.LW, hidden, 'LW'),
+        b2: vector(params.b2, 1, 'b2')[0],
+        xMin, xMax,
+        denom: xMax.map((max, j) => (max - xMin[j] === 0 ? EPS : max - xMin[j])),
+        yMin: vector(params.y_min, 1, 'y_min')[0],
+        yMax: vector(params.y_max, 1, 'y_max')[0],
+    };
+};
+
+// The bundled model (repo root model_params.json)
+export const NN_MODEL = createNnModel(modelParams);
+
+/**
+ * SOC (%) for one sample. Pack `voltage` is divided by SERIES_CELLS like server.py; current
+ * follows the training data sign (negative = discharge). The result is clamped to 0-100.
+ */
+export const predictNnSoc = (model, { current, voltage, temperature }) => {
+    const x = [current, temperature, voltage / SERIES_CELLS];
+    const xNorm = x.map((v, j) => 2.0 * (Math.max(model.xMin[j], Math.min(model.xMax[j], v)) - model.xMin[j]) / model.denom[j] - 1.0);
+    let yNorm = 0;
+    for (let i = 0; i < model.hidden; i++) {
+        const w = model.iw[i];
+        yNorm += model.lw[i] * Math.tanh(w[0] * xNorm[0] + w[1] * xNorm[1] + w[2] * xNorm[2] + model.b1[i]);
+    }
+    yNorm += model.b2;
+    const fraction = (yNorm - (-1.0)) * (model.yMax - model.yMin) / (1.0 - (-1.0)) + model.yMin;
+    const percent = model.yMax < 2.0 ? fraction * 100.0 : fraction;
+    return Math.max(0.0, Math.min(100.0, percent));
+};
+
+/** predictNnSoc over equal-length `current` / `voltage` / `temperature` arrays (the /simulate batch shape). */
+export const predictNnSocBatch = (model, { current, voltage, temperature }) => {
+    if (voltage.length !== current.length || temperature.length !== current.length) {
+        throw new Error('NN batch: current, voltage and temperature must have the same length.');
+    }
+    return Array.from(current, (c, i) => predictNnSoc(model, { current: c, voltage: voltage[i], temperature: temperature[i] }));
+};
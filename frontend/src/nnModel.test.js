@@ -0,0 +1,45 @@
+// nnModel.test.js - The in-browser NN against server.py (fixture from scripts/nn-parity-fixture.py)
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import fixture from './fixtures/server_nn_soc.json' with { type: 'json' };
+import { NN_MODEL, createNnModel, predictNnSoc, predictNnSocBatch } from './nnModel';
+import { SERIES_CELLS } from './driveCycle';
+
+const TOLERANCE = 1e-9; // % SOC
+
+// The fixture's rows of a CSV_Output drive cycle, voltage scaled to the pack like the dashboard
+const fixtureRows = (name) => {
+    const [header, ...lines] = readFileSync(new URL(`../../CSV_Output/${name}`, import.meta.url), 'utf8').trim().split(/\r?\n/);
+    const columns = header.split(',');
+    const col = (key) => columns.indexOf(key);
+    return lines
+        .filter((_, i) => i % fixture.every === 0)
+        .map(line => line.split(',').map(Number))
+        .map(v => ({ current: v[col('current_A')], temperature: v[col('temperature_C')], voltage: v[col('voltage_V')] * SERIES_CELLS }));
+};
+
+describe('predictNnSoc', () => {
+    for (const [name, expected] of Object.entries(fixture.files)) {
+        it(`matches server.py run_neural_net_batch on ${name}`, () => {
+            const rows = fixtureRows(name);
+            expect(rows.length).toBe(expected.length);
+            const maxDelta = Math.max(...rows.map((row, i) => Math.abs(predictNnSoc(NN_MODEL, row) - expected[i])));
+            expect(maxDelta).toBeLessThanOrEqual(TOLERANCE);
+        });
+    }
+
+    it('evaluates a batch like single samples', () => {
+        const rows = fixtureRows(Object.keys(fixture.files)[0]).slice(0, 50);
+        const batch = predictNnSocBatch(NN_MODEL, {
+            current: rows.map(r => r.current), voltage: rows.map(r => r.voltage), temperature: rows.map(r => r.temperature),
+        });
+        expect(batch).toEqual(rows.map(r => predictNnSoc(NN_MODEL, r)));
+    });
+});
+
+describe('createNnModel', () => {
+    it('rejects a parameter file of the wrong shape', () => {
+        expect(() => createNnModel({})).toThrow('"IW" must be a non-empty matrix');
+        expect(() => createNnModel({ IW: [[1, 2, 3]], x_min: [0, 0], x_max: [1, 1, 1] })).toThrow('"x_min" must be 3 numbers');
+    });
+});
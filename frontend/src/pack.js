@@ -0,0 +1,195 @@
+// pack.js - Series string of cell groups with manufacturing spread, per-cell thermals and passive balancing
+//
+// Each of the N series positions is one parallel cell group (battery.layout.parallel cells).
+// Per-cell state lives in Float64Arrays (struct of arrays) so a 96-cell step stays cheap at
+// high time warp; `stepPack` returns fresh arrays and never mutates its input.
+import { cellParameters } from './batteryModel';
+import { capacityFactor } from './thermal';
+
+export const DEFAULT_PACK_CONFIG = {
+    capacitySpread: 2, // % (1σ of cell capacity around nominal)
+    resistanceSpread: 5, // % (1σ of cell resistance around the table value)
+    socSpread: 1, // % SOC (1σ of the initial state of charge)
+    coolingSpread: 10, // % (1σ of how well each cell is reached by the cooling plate)
+    neighbourConductance: 0.5, // W/K between adjacent cells
+    balancing: {
+        enabled: true,
+        startDelta: 0.010, // V above the lowest cell before a cell starts bleeding
+        stopDelta: 0.003, // V above the lowest cell where it stops again (hysteresis)
+        minVoltage: 3.4, // V - never bleed a cell below this
+        maxPackCurrent: 10, // A - only balance at rest / light load, where cell voltages are comparable
+        bleedResistance: 33, // Ω per cell group
+    },
+};
+
+// Standard normal deviate from a uniform [0, 1) source (Box-Muller)
+const gaussian = (random) => {
+    const u = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Builds the cell string. Spreads are drawn from `random` (pass a seeded RNG for a
+ * reproducible pack); values are clamped to ±3σ so no cell is absurd.
+ */
+export const createPack = ({
+    battery, soc, temp, random = Math.random, config = DEFAULT_PACK_CONFIG, heatCapacity
+}) => {
+    const n = battery.layout.series;
+    const draw = (sigmaPct) => 1 + Math.max(-3, Math.min(3, gaussian(random))) * sigmaPct / 100;
+    const groupAh = battery.cell.capacityAh * battery.layout.parallel;
+
+    const capacityAh = new Float64Array(n);
+    const resistanceScale = new Float64Array(n);
+    const coolingScale = new Float64Array(n);
+    const cellSoc = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        capacityAh[i] = groupAh * draw(config.capacitySpread);
+        resistanceScale[i] = draw(config.resistanceSpread);
+        coolingScale[i] = draw(config.coolingSpread);
+        cellSoc[i] = Math.max(0, Math.min(100, soc + Math.max(-3, Math.min(3, gaussian(random))) * config.socSpread));
+    }
+
+    const voltage = new Float64Array(n);
+    for (let i = 0; i < n; i++) voltage[i] = cellParameters(battery, cellSoc[i], temp).ocv;
+
+    return {
+        // Fixed per-cell properties (shared between steps)
+        capacityAh, resistanceScale, coolingScale,
+        cellHeatCapacity: heatCapacity / n, // J/K per cell group
+        config,
+        // Per-step state
+        soc: cellSoc,
+        v1: new Float64Array(n),
+        v2: new Float64Array(n),
+        temp: new Float64Array(n).fill(temp),
+        voltage,
+        bleeding: new Uint8Array(n),
+        bleedAh: 0, // Charge burnt in the bleed resistors so far
+    };
+};
+
+/**
+ * Passive balancing decision: a cell bleeds while it sits more than `startDelta` above the
+ * lowest cell and keeps bleeding until it is within `stopDelta` (hysteresis).
+ */
+export const balancingMask = (voltage, bleeding, packCurrent, balancing) => {
+    const n = voltage.length;
+    const next = new Uint8Array(n);
+    if (!balancing.enabled || Math.abs(packCurrent) > balancing.maxPackCurrent) return next;
+
+    let vMin = Infinity;
+    for (let i = 0; i < n; i++) vMin = Math.min(vMin, voltage[i]);
+    for (let i = 0; i < n; i++) {
+        if (voltage[i] < balancing.minVoltage) continue;
+        const delta = voltage[i] - vMin;
+        next[i] = delta > balancing.startDelta || (bleeding[i] && delta > balancing.stopDelta) ? 1 : 0;
+    }
+    return next;
+};
+
+/**
+ * Advances every cell group by dt with the pack current (A, negative = discharge).
+ * Bleeding cells additionally discharge through their bleed resistor. Without `thermal`,
+ * cooling follows the lumped engine model (coolingRate %, ambientTemp °C) scaled per cell;
+ * with a thermal config (see thermal.js) every cell is a core node conducting to the shared
+ * surface node at `surfaceTemp` and its capacity follows the temperature. Either way cells
+ * also conduct to their neighbours. `heatToSurface` (W) is what the cells passed on this step.
+ * `cellFaults` (see cellFaultMap in faultInjection.js) scales a cell's resistance and drains it
+ * through an internal short that heats the cell and bypasses the terminals.
+ */
+export const stepPack = (pack, battery, current, dt, {
+    ambientTemp, coolingRate, thermal = null, surfaceTemp = ambientTemp, cellFaults = null
+}) => {
+    const n = pack.soc.length;
+    const { parallel } = battery.layout;
+    const { balancing, neighbourConductance } = pack.config;
+    const bleeding = balancingMask(pack.voltage, pack.bleeding, current, balancing);
+
+    const soc = new Float64Array(n);
+    const v1 = new Float64Array(n);
+    const v2 = new Float64Array(n);
+    const temp = new Float64Array(n);
+    const voltage = new Float64Array(n);
+    const coolingFactor = 0.05 + (coolingRate / 100) * 0.3;
+    const cellResistance = thermal ? thermal.coreToSurface * n : 0; // K/W of one cell to the surface
+    let bleedAh = pack.bleedAh;
+    let heatToSurface = 0;
+
+    for (let i = 0; i < n; i++) {
+        const bleedCurrent = bleeding[i] ? pack.voltage[i] / balancing.bleedResistance : 0;
+        const fault = cellFaults?.[i];
+        const shortCurrent = fault ? pack.voltage[i] / fault.shortResistance : 0;
+        const groupCurrent = current - bleedCurrent - shortCurrent;
+        const chargeAh = groupCurrent * dt / 3600;
+        const capacityAh = thermal ? pack.capacityAh[i] * capacityFactor(thermal, pack.temp[i]) : pack.capacityAh[i];
+        soc[i] = Math.max(0, Math.min(100, pack.soc[i] + chargeAh / capacityAh * 100));
+        bleedAh += bleedCurrent * dt / 3600;
+
+        // Resistances scale with the cell's spread; the RC time constants stay those of the table
+        const cell = cellParameters(battery, soc[i], pack.temp[i]);
+        const k = fault ? pack.resistanceScale[i] * fault.resistanceFactor : pack.resistanceScale[i];
+        const r0 = cell.r0 * k, r1 = cell.r1 * k, r2 = (cell.r2 ?? 0) * k;
+        const cellCurrent = current / parallel; // terminal current; the bleed path sits across the terminals
+        const a1 = Math.exp(-dt / (cell.r1 * cell.c1));
+        v1[i] = pack.v1[i] * a1 + cellCurrent * r1 * (1 - a1);
+        if (cell.r2 !== undefined) {
+            const a2 = Math.exp(-dt / (cell.r2 * cell.c2));
+            v2[i] = pack.v2[i] * a2 + cellCurrent * r2 * (1 - a2);
+        }
+        voltage[i] = cell.ocv + cellCurrent * r0 + v1[i] + v2[i];
+
+        // Group resistance for I²R: parallel cells share the current
+        const rGroup = (r0 + r1 + r2) / parallel;
+        const heat = current * current * rGroup + bleedCurrent * bleedCurrent * balancing.bleedResistance + shortCurrent * pack.voltage[i];
+        const left = i > 0 ? pack.temp[i - 1] : pack.temp[i];
+        const right = i < n - 1 ? pack.temp[i + 1] : pack.temp[i];
+        const conduction = neighbourConductance * (left + right - 2 * pack.temp[i]);
+        if (thermal) {
+            const toSurface = (pack.temp[i] - surfaceTemp) * pack.coolingScale[i] / cellResistance;
+            heatToSurface += toSurface;
+            temp[i] = pack.temp[i] + (heat + conduction - toSurface) / pack.cellHeatCapacity * dt;
+        } else {
+            const cooling = (pack.temp[i] - ambientTemp) * coolingFactor * pack.coolingScale[i];
+            const dT = ((heat + conduction) / pack.cellHeatCapacity - cooling) * dt;
+            temp[i] = Math.max(ambientTemp, pack.temp[i] + dT);
+        }
+    }
+
+    return { ...pack, soc, v1, v2, temp, voltage, bleeding, bleedAh, heatToSurface };
+};
+
+/** Pack-level summary of the cell string (voltages in V, SOC in %, temperatures in °C). */
+export const packStats = (pack) => {
+    const n = pack.soc.length;
+    const stats = {
+        cells: n,
+        voltageSum: 0,
+        minVoltage: Infinity, maxVoltage: -Infinity, minVoltageCell: 0, maxVoltageCell: 0,
+        minSoc: Infinity, maxSoc: -Infinity, meanSoc: 0,
+        minTemp: Infinity, maxTemp: -Infinity, meanTemp: 0,
+        bleedingCount: 0,
+        bleedAh: pack.bleedAh,
+    };
+    for (let i = 0; i < n; i++) {
+        const v = pack.voltage[i];
+        stats.voltageSum += v;
+        if (v < stats.minVoltage) { stats.minVoltage = v; stats.minVoltageCell = i; }
+        if (v > stats.maxVoltage) { stats.maxVoltage = v; stats.maxVoltageCell = i; }
+        stats.minSoc = Math.min(stats.minSoc, pack.soc[i]);
+        stats.maxSoc = Math.max(stats.maxSoc, pack.soc[i]);
+        stats.meanSoc += pack.soc[i] / n;
+        stats.minTemp = Math.min(stats.minTemp, pack.temp[i]);
+        stats.maxTemp = Math.max(stats.maxTemp, pack.temp[i]);
+        stats.meanTemp += pack.temp[i] / n;
+        stats.bleedingCount += pack.bleeding[i];
+    }
+    stats.deltaVoltage = stats.maxVoltage - stats.minVoltage;
+    return stats;
+};
+
+/** Shifts every cell's SOC by the same amount (used when a replay seek re-anchors the pack). */
+export const offsetPackSoc = (pack, delta) => ({
+    ...pack,
+    soc: pack.soc.map(s => Math.max(0, Math.min(100, s + delta))),
+});
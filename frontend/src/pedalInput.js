@@ -0,0 +1,218 @@
+// pedalInput.js - Keyboard and gamepad pedals: bindings, response curves, ramping and storage
+//
+// Keys are digital, so a held key ramps its pedal toward full travel at the pedal's ramp rate and
+// back when released. Gamepad triggers are analog: the dead zone and exponential curve shape the
+// travel, then the same ramp limits how fast it changes. Throttle and brake are independent, so
+// both can be pressed at once; regen steps up or down once per key or button press.
+
+export const PEDALS = { throttle: 'Throttle', brake: 'Brake' };
+export const REGEN_ACTIONS = { up: 'Regen +', down: 'Regen -' };
+export const PEDAL_STORAGE_KEY = 'ev-twin.pedal-settings';
+
+/**
+ * Gamepad controls are `{ type: 'button', index }` (analog value 0..1 on standard-mapping
+ * triggers) or `{ type: 'axis', index, range, invert }`: 'full' maps -1..1 to 0..1 (triggers
+ * reported as axes rest at -1), 'half' uses one side of a stick, flipped by `invert`.
+ */
+export const DEFAULT_PEDAL_SETTINGS = {
+    enabled: true,
+    throttle: {
+        keys: ['KeyW', 'ArrowUp'],
+        gamepad: { type: 'button', index: 7 }, // Right trigger
+        rampUp: 150, // %/s
+        rampDown: 300, // %/s
+        deadZone: 0.05, // Fraction of trigger travel ignored
+        exponent: 1.5, // 1 = linear; >1 gives finer control near rest
+    },
+    brake: {
+        keys: ['KeyS', 'ArrowDown', 'Space'],
+        gamepad: { type: 'button', index: 6 }, // Left trigger
+        rampUp: 300,
+        rampDown: 400,
+        deadZone: 0.05,
+        exponent: 1,
+    },
+    regen: {
+        up: { keys: ['KeyE'], gamepad: { type: 'button', index: 5 } }, // Right bumper
+        down: { keys: ['KeyQ'], gamepad: { type: 'button', index: 4 } }, // Left bumper
+        step: 10, // % per press
+    },
+};
+
+// Slider ranges of the tunable pedal numbers (also the clamp applied to stored values)
+export const PEDAL_LIMITS = {
+    rampUp: { min: 10, max: 1000, step: 10, unit: '%/s' },
+    rampDown: { min: 10, max: 1000, step: 10, unit: '%/s' },
+    deadZone: { min: 0, max: 0.5, step: 0.01, unit: '' },
+    exponent: { min: 0.5, max: 4, step: 0.1, unit: '' },
+};
+const REGEN_STEP_LIMITS = { min: 1, max: 50 };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/** Dead zone then power curve: raw travel 0..1 -> shaped travel 0..1. */
+export const applyResponseCurve = (raw, { deadZone, exponent }) => {
+    if (!(raw > deadZone)) return 0;
+    const x = Math.min(1, (raw - deadZone) / (1 - deadZone));
+    return x ** exponent;
+};
+
+/** Moves `value` toward `target` (both %) by at most the pedal's rise or fall rate over `dt` seconds. */
+export const rampToward = (value, target, { rampUp, rampDown }, dt) => (
+    target > value ? Math.min(target, value + rampUp * dt) : Math.max(target, value - rampDown * dt)
+);
+
+/** Travel 0..1 of one gamepad control, or 0 when the pad does not have it. */
+export const readGamepadControl = (gamepad, control) => {
+    if (!gamepad || !control) return 0;
+    if (control.type === 'button') {
+        const button = gamepad.buttons[control.index];
+        if (!button) return 0;
+        return typeof button === 'number' ? button : button.pressed && !button.value ? 1 : button.value;
+    }
+    const axis = gamepad.axes[control.index];
+    if (axis == null) return 0;
+    const v = control.invert ? -axis : axis;
+    return clamp(control.range === 'full' ? (v + 1) / 2 : v, 0, 1);
+};
+
+/** First connected pad from `navigator.getGamepads()` output, or null. */
+export const firstGamepad = (gamepads) => Array.from(gamepads ?? []).find(pad => pad && pad.connected) ?? null;
+
+/**
+ * The control being pressed while binding, relative to the axes when capture started
+ * (`baselineAxes`), or null. Axes that rested near -1 are treated as full-range triggers.
+ */
+export const detectGamepadControl = (gamepad, baselineAxes) => {
+    if (!gamepad) return null;
+    const button = gamepad.buttons.findIndex(b => (typeof b === 'number' ? b : b.value) > 0.5 || b.pressed);
+    if (button !== -1) return { type: 'button', index: button };
+    for (let i = 0; i < gamepad.axes.length; i++) {
+        const rest = baselineAxes?.[i] ?? 0;
+        const moved = gamepad.axes[i] - rest;
+        if (Math.abs(moved) < 0.5) continue;
+        return rest < -0.5
+            ? { type: 'axis', index: i, range: 'full', invert: false }
+            : { type: 'axis', index: i, range: 'half', invert: moved < 0 };
+    }
+    return null;
+};
+
+export const createPedalState = () => ({ throttle: 0, brake: 0, regenUp: false, regenDown: false });
+
+/**
+ * One poll of the input devices. `keys` is the Set of held `KeyboardEvent.code`s and `gamepad`
+ * the pad to read (or null). Returns the next state plus the pedal travel (%) and the regen
+ * change (%) from presses that started since the last poll.
+ */
+export const stepPedals = (state, { keys, gamepad }, settings, dt) => {
+    const next = { ...state };
+    for (const pedal of Object.keys(PEDALS)) {
+        const cfg = settings[pedal];
+        const keyTarget = cfg.keys.some(code => keys.has(code)) ? 1 : 0;
+        const padTarget = applyResponseCurve(readGamepadControl(gamepad, cfg.gamepad), cfg);
+        next[pedal] = rampToward(state[pedal], 100 * Math.max(keyTarget, padTarget), cfg, dt);
+    }
+
+    const held = (action) => action.keys.some(code => keys.has(code)) || readGamepadControl(gamepad, action.gamepad) > 0.5;
+    next.regenUp = held(settings.regen.up);
+    next.regenDown = held(settings.regen.down);
+    const regenDelta = settings.regen.step * ((next.regenUp && !state.regenUp ? 1 : 0) - (next.regenDown && !state.regenDown ? 1 : 0));
+
+    return { state: next, throttle: next.throttle, brake: next.brake, regenDelta };
+};
+
+/** The binding of `target`: 'throttle' | 'brake' for the pedals, 'up' | 'down' for regen. */
+export const bindingFor = (settings, target) => (target in PEDALS ? settings[target] : settings.regen[target]);
+
+/**
+ * Settings with the binding of `target` replaced by `{ keys }` and/or `{ gamepad }`. Keys given
+ * to `target` are taken from any other binding so one key never drives two actions.
+ */
+export const updateBinding = (settings, target, patch) => {
+    const strip = (binding) => (patch.keys ? { ...binding, keys: binding.keys.filter(code => !patch.keys.includes(code)) } : binding);
+    const next = {
+        ...settings,
+        throttle: strip(settings.throttle),
+        brake: strip(settings.brake),
+        regen: { ...settings.regen, up: strip(settings.regen.up), down: strip(settings.regen.down) },
+    };
+    const patched = { ...bindingFor(settings, target), ...patch };
+    if (target in PEDALS) next[target] = patched;
+    else next.regen[target] = patched;
+    return next;
+};
+
+/** Every key code bound to a pedal or regen action (these keys are kept from the page). */
+export const boundKeys = (settings) => new Set([
+    ...settings.throttle.keys, ...settings.brake.keys, ...settings.regen.up.keys, ...settings.regen.down.keys,
+]);
+
+const KEY_NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Space: 'Space' };
+
+export const describeKey = (code) => KEY_NAMES[code] ?? code.replace(/^Key|^Digit/, '');
+
+export const describeGamepadControl = (control) => {
+    if (!control) return 'none';
+    if (control.type === 'button') return `Button ${control.index}`;
+    return `Axis ${control.index} ${control.range === 'full' ? '(trigger)' : control.invert ? '(-)' : '(+)'}`;
+};
+
+// A stored gamepad control, or the default when it is malformed
+const normalizeControl = (control, fallback) => {
+    if (control === null) return null;
+    if (!control || !['button', 'axis'].includes(control.type) || !Number.isInteger(control.index) || control.index < 0) return fallback;
+    return control.type === 'button'
+        ? { type: 'button', index: control.index }
+        : { type: 'axis', index: control.index, range: control.range === 'full' ? 'full' : 'half', invert: Boolean(control.invert) };
+};
+
+const normalizeKeys = (keys, fallback) => (
+    Array.isArray(keys) && keys.every(code => typeof code === 'string') ? [...new Set(keys)] : fallback
+);
+
+const normalizeNumber = (value, fallback, { min, max }) => (Number.isFinite(value) ? clamp(value, min, max) : fallback);
+
+/** Stored (possibly old or hand-edited) settings merged over the defaults, with numbers clamped. */
+export const normalizePedalSettings = (raw) => {
+    const d = DEFAULT_PEDAL_SETTINGS;
+    const s = raw && typeof raw === 'object' ? raw : {};
+    const pedal = (key) => {
+        const p = s[key] && typeof s[key] === 'object' ? s[key] : {};
+        const out = { keys: normalizeKeys(p.keys, d[key].keys), gamepad: normalizeControl(p.gamepad, d[key].gamepad) };
+        Object.entries(PEDAL_LIMITS).forEach(([name, limits]) => {
+            out[name] = normalizeNumber(p[name], d[key][name], limits);
+        });
+        return out;
+    };
+    const regen = s.regen && typeof s.regen === 'object' ? s.regen : {};
+    const action = (key) => ({
+        keys: normalizeKeys(regen[key]?.keys, d.regen[key].keys),
+        gamepad: normalizeControl(regen[key]?.gamepad, d.regen[key].gamepad),
+    });
+    return {
+        enabled: typeof s.enabled === 'boolean' ? s.enabled : d.enabled,
+        throttle: pedal('throttle'),
+        brake: pedal('brake'),
+        regen: { up: action('up'), down: action('down'), step: normalizeNumber(regen.step, d.regen.step, REGEN_STEP_LIMITS) },
+    };
+};
+
+/** Settings saved in `storage` (localStorage), or the defaults when nothing usable is stored. */
+export const loadPedalSettings = (storage = globalThis.localStorage) => {
+    try {
+        const text = storage?.getItem(PEDAL_STORAGE_KEY);
+        return normalizePedalSettings(text ? JSON.parse(text) : null);
+    } catch {
+        return normalizePedalSettings(null);
+    }
+};
+
+/** Throws a readable error when the browser refuses to store them (private mode, quota). */
+export const savePedalSettings = (settings, storage = globalThis.localStorage) => {
+    try {
+        storage.setItem(PEDAL_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+        throw new Error(`Could not save pedal bindings: ${err.message}`);
+    }
+};
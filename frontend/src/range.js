@@ -0,0 +1,125 @@
+// range.js - Remaining range and time-to-empty from a rolling window of measured consumption
+//
+// Consumption (Wh/km) and power (W) come from the pack's own voltage x current over the last
+// `windowSeconds` of simulated time, kept in 1 s buckets. The remaining energy integrates the
+// OCV table from the usable floor up to the present SOC (scaled by SOH) minus the I²R loss at
+// the window's mean current and the present temperature, times the share of the capacity the
+// thermal model makes available at that temperature. The bands are ±1σ of the per-bucket
+// consumption/power, so they widen when driving is erratic.
+import { packCapacityAh, cellParameters } from './batteryModel';
+import { GRADE_CURRENT_PER_DEGREE } from './engine';
+import { steadyConsumptionWhPerKm } from './vehicle';
+
+export const RANGE_SETTINGS = {
+    bucketSeconds: 1, // s of simulated time per window bucket
+    windowSeconds: 120, // s of simulated time the estimate looks back
+    priorKm: 2, // km of prior consumption blended in, so the first estimates are not wild
+    priorKmPerSoc: 3.8, // km per % SOC (the dashboard's SOC_TO_RANGE_FACTOR) behind the prior without a vehicle model
+    priorSpeed: 50, // km/h whose steady consumption is the prior with a vehicle model
+    minBand: 0.05, // Narrowest band as a fraction of the estimate
+    minSpeed: 1, // km/h below which a bucket carries no consumption information
+};
+
+const emptyBucket = () => ({ energyWh: 0, distanceKm: 0, seconds: 0, ampSeconds: 0, gradeSeconds: 0 });
+
+export const createRangeEstimator = () => ({ buckets: [], open: emptyBucket() });
+
+/** Adds one engine step (`sim` is the state after the step, `grade` in degrees). */
+export const rangeStep = (estimator, sim, grade, dt, settings = RANGE_SETTINGS) => {
+    const { open } = estimator;
+    const bucket = {
+        energyWh: open.energyWh - sim.voltage * sim.current * dt / 3600, // discharge counts positive
+        distanceKm: open.distanceKm + sim.speed * dt / 3600,
+        seconds: open.seconds + dt,
+        ampSeconds: open.ampSeconds - sim.current * dt,
+        gradeSeconds: open.gradeSeconds + grade * dt,
+    };
+    if (bucket.seconds < settings.bucketSeconds) return { ...estimator, open: bucket };
+
+    const keep = Math.max(1, Math.round(settings.windowSeconds / settings.bucketSeconds));
+    return { buckets: [...estimator.buckets.slice(-(keep - 1)), bucket], open: emptyBucket() };
+};
+
+/**
+ * Energy (Wh) the pack can still deliver between `floorSoc` and `soc`, at a steady discharge
+ * of `dischargeCurrent` A (positive) and temperature `temp`.
+ */
+export const remainingEnergyWh = (battery, soc, soh, temp, dischargeCurrent, floorSoc, stepSoc = 1) => {
+    if (soc <= floorSoc) return 0;
+    const { series, parallel } = battery.layout;
+    const cellCurrent = Math.max(0, dischargeCurrent) / parallel;
+    const ahPerSoc = packCapacityAh(battery) * soh / 100 / 100;
+    let energy = 0;
+    for (let s = floorSoc; s < soc; s += stepSoc) {
+        const width = Math.min(stepSoc, soc - s);
+        const cell = cellParameters(battery, s + width / 2, temp);
+        const rTotal = cell.r0 + cell.r1 + (cell.r2 ?? 0);
+        energy += Math.max(0, cell.ocv - cellCurrent * rTotal) * series * ahPerSoc * width;
+    }
+    return energy;
+};
+
+// Weighted mean and standard deviation
+const weightedStats = (values, weights) => {
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0) return { mean: null, std: 0 };
+    const mean = values.reduce((sum, v, i) => sum + v * weights[i], 0) / total;
+    const variance = values.reduce((sum, v, i) => sum + weights[i] * (v - mean) ** 2, 0) / total;
+    return { mean, std: Math.sqrt(variance) };
+};
+
+/**
+ * Range (km) and time-to-empty (s) with low/high bands. `grade` is the present grade: its
+ * difference from the window's mean grade is added as the extra climbing energy at the present
+ * speed (from `vehicle`, or the lumped engine's grade current without one). Range is null
+ * while the vehicle stands still; time-to-empty is null while the window shows no net discharge.
+ */
+export const predictRange = (estimator, sim, { battery, vehicle = null, grade = 0, floorSoc = 0.1, capacityFactor = 1, settings = RANGE_SETTINGS }) => {
+    const buckets = estimator.buckets;
+    const seconds = buckets.reduce((sum, b) => sum + b.seconds, 0);
+    const meanCurrent = seconds > 0 ? buckets.reduce((sum, b) => sum + b.ampSeconds, 0) / seconds : 0;
+    const energyWh = remainingEnergyWh(battery, sim.soc, sim.soh, sim.temp, meanCurrent, floorSoc) * capacityFactor;
+    // Remaining energy over rate ± 1σ (a higher rate gives the low end)
+    const band = (rate, std) => {
+        const spread = Math.max(std, settings.minBand * rate);
+        return { low: energyWh / (rate + spread), high: rate - spread > 0 ? energyWh / (rate - spread) : Infinity };
+    };
+
+    // --- Time to empty from net power ---
+    const powers = buckets.map(b => b.energyWh * 3600 / b.seconds);
+    const power = weightedStats(powers, buckets.map(b => b.seconds));
+    const timeToEmpty = power.mean > 0 ? energyWh / power.mean * 3600 : null;
+    const tteBand = power.mean > 0 ? band(power.mean, power.std) : null;
+
+    // --- Range from consumption, shrunk toward the SOC_TO_RANGE_FACTOR prior ---
+    const moving = buckets.filter(b => b.distanceKm > settings.minSpeed * b.seconds / 3600);
+    const distanceKm = moving.reduce((sum, b) => sum + b.distanceKm, 0);
+    const windowWh = moving.reduce((sum, b) => sum + b.energyWh, 0);
+    const priorWhPerKm = vehicle
+        ? steadyConsumptionWhPerKm(vehicle, settings.priorSpeed)
+        : packCapacityAh(battery) * (sim.voltage / 100) / settings.priorKmPerSoc;
+    const stats = weightedStats(moving.map(b => b.energyWh / b.distanceKm), moving.map(b => b.distanceKm));
+
+    let consumption = null;
+    if (sim.speed >= settings.minSpeed) {
+        consumption = (priorWhPerKm * settings.priorKm + windowWh) / (settings.priorKm + distanceKm);
+        const windowGrade = seconds > 0 ? buckets.reduce((sum, b) => sum + b.gradeSeconds, 0) / seconds : grade;
+        consumption += vehicle
+            ? steadyConsumptionWhPerKm(vehicle, sim.speed, grade) - steadyConsumptionWhPerKm(vehicle, sim.speed, windowGrade)
+            : (grade - windowGrade) * GRADE_CURRENT_PER_DEGREE * sim.voltage / sim.speed;
+        consumption = Math.max(1, consumption);
+    }
+    const rangeBand = consumption != null ? band(consumption, stats.std * distanceKm / (settings.priorKm + distanceKm)) : null;
+
+    return {
+        remainingWh: energyWh,
+        consumption, // Wh/km
+        power: power.mean, // W (net discharge)
+        range: consumption != null ? energyWh / consumption : null,
+        rangeLow: rangeBand?.low ?? null,
+        rangeHigh: rangeBand?.high ?? null,
+        timeToEmpty, // s
+        timeToEmptyLow: tteBand?.low != null ? tteBand.low * 3600 : null,
+        timeToEmptyHigh: tteBand?.high != null ? tteBand.high * 3600 : null,
+    };
+};
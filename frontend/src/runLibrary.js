@@ -0,0 +1,161 @@
+// runLibrary.js - Saved simulation runs in IndexedDB, plus summaries and side-by-side comparison
+//
+// A run is stored as a small record (label, mode, settings, CSV metadata, summary) in the
+// `runs` store and its telemetry rows under the same id in `telemetry`, so listing the library
+// never loads the rows. All functions return promises and reject with readable errors.
+
+const DB_NAME = 'ev-digital-twin';
+const DB_VERSION = 1;
+
+// Quantities the comparison charts overlay: row field, label, unit
+export const COMPARE_METRICS = {
+    socActual: { label: 'SOC', unit: '%' },
+    sohActual: { label: 'SOH', unit: '%' },
+    current: { label: 'Current', unit: 'A' },
+    temp: { label: 'Temperature', unit: '°C' },
+};
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+let dbPromise = null;
+const openLibrary = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('This browser has no IndexedDB; runs cannot be saved.'));
+        const open = indexedDB.open(DB_NAME, DB_VERSION);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+            open.result.createObjectStore('telemetry', { keyPath: 'id' });
+        };
+        dbPromise = request(open).catch(err => {
+            dbPromise = null;
+            throw new Error(`Run library unavailable: ${err?.message ?? 'IndexedDB could not be opened'}.`);
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `body(stores)` in one transaction and resolves with its result once committed
+const transaction = async (mode, body) => {
+    const db = await openLibrary();
+    const tx = db.transaction(['runs', 'telemetry'], mode);
+    const committed = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error ?? new Error('Run library transaction aborted.'));
+    });
+    const [result] = await Promise.all([body({ runs: tx.objectStore('runs'), telemetry: tx.objectStore('telemetry') }), committed]);
+    return result;
+};
+
+/** Stores a run (`rows` plus any record fields) and resolves with its new id. */
+export const saveRun = ({ rows, ...record }) => transaction('readwrite', async ({ runs, telemetry }) => {
+    const id = await request(runs.add({ ...record, samples: rows.length }));
+    await request(telemetry.add({ id, rows }));
+    return id;
+});
+
+/** All run records (without rows), newest first. */
+export const listRuns = () => transaction('readonly', ({ runs }) => request(runs.getAll()))
+    .then(records => records.sort((a, b) => b.createdAt - a.createdAt));
+
+export const loadRunRows = (id) => transaction('readonly', ({ telemetry }) => request(telemetry.get(id)))
+    .then(entry => {
+        if (!entry) throw new Error(`Run ${id} has no telemetry.`);
+        return entry.rows;
+    });
+
+export const renameRun = (id, label) => transaction('readwrite', async ({ runs }) => {
+    const record = await request(runs.get(id));
+    if (!record) throw new Error(`Run ${id} no longer exists.`);
+    await request(runs.put({ ...record, label }));
+});
+
+export const deleteRun = (id) => transaction('readwrite', async ({ runs, telemetry }) => {
+    await request(runs.delete(id));
+    await request(telemetry.delete(id));
+});
+
+// The physics clock of a row; files from before Sim_Time_s only have Time_s
+const rowClock = (row) => row.simTime ?? row.time;
+
+/** Headline numbers of a run, stored with the record and shown in the library list. */
+export const summarizeRun = (rows) => {
+    if (!rows.length) return null;
+    const first = rows[0], last = rows[rows.length - 1];
+    let energyWh = 0, ampSeconds = 0, peakTemp = -Infinity;
+    for (let i = 1; i < rows.length; i++) {
+        const dt = rowClock(rows[i]) - rowClock(rows[i - 1]);
+        energyWh -= rows[i].voltage * rows[i].current * dt / 3600; // discharge counts positive
+        ampSeconds += rows[i].current * dt;
+        peakTemp = Math.max(peakTemp, rows[i].temp);
+    }
+    const duration = rowClock(last) - rowClock(first);
+    return {
+        duration, // s
+        startSoc: first.socActual,
+        endSoc: last.socActual,
+        endSoh: last.sohActual,
+        energyWh, // net energy out of the pack
+        meanCurrent: duration > 0 ? ampSeconds / duration : last.current,
+        peakTemp: Math.max(peakTemp, first.temp),
+        distance: last.distance ?? null, // km
+    };
+};
+
+// Linear interpolation of `key` at each of `times`; null outside the run
+const resample = (rows, key, times) => {
+    const out = new Array(times.length).fill(null);
+    let j = 0;
+    times.forEach((t, i) => {
+        while (j < rows.length - 2 && rowClock(rows[j + 1]) < t) j++;
+        const a = rows[j], b = rows[Math.min(j + 1, rows.length - 1)];
+        const ta = rowClock(a), tb = rowClock(b);
+        if (t < ta || t > tb || a[key] == null || b[key] == null) return;
+        out[i] = tb > ta ? a[key] + (b[key] - a[key]) * (t - ta) / (tb - ta) : a[key];
+    });
+    return out;
+};
+
+/**
+ * Puts runs (`[{ record, rows }]`) on one time grid of `points` samples from 0 to the longest
+ * run, and diffs every run against the first (the baseline): end-state deltas plus the RMS and
+ * largest SOC difference where both runs have data.
+ */
+export const compareRuns = (runs, points = 100) => {
+    if (runs.length < 2) throw new Error('Pick at least two runs to compare.');
+    const starts = runs.map(({ rows }) => rowClock(rows[0]));
+    const span = Math.max(...runs.map(({ rows }, k) => rowClock(rows[rows.length - 1]) - starts[k]));
+    const times = Array.from({ length: points }, (_, i) => span * i / (points - 1));
+
+    const series = {};
+    Object.keys(COMPARE_METRICS).forEach(key => {
+        series[key] = runs.map(({ rows }, k) => resample(rows, key, times.map(t => t + starts[k])));
+    });
+
+    const base = runs[0].record.summary;
+    const stats = runs.map(({ record }, k) => {
+        let sumSq = 0, count = 0, maxDiff = 0;
+        series.socActual[k].forEach((v, i) => {
+            const ref = series.socActual[0][i];
+            if (v == null || ref == null) return;
+            sumSq += (v - ref) ** 2;
+            count++;
+            maxDiff = Math.max(maxDiff, Math.abs(v - ref));
+        });
+        const { summary } = record;
+        return {
+            id: record.id,
+            label: record.label,
+            ...summary,
+            deltaEndSoc: summary.endSoc - base.endSoc,
+            deltaEnergyWh: summary.energyWh - base.energyWh,
+            deltaPeakTemp: summary.peakTemp - base.peakTemp,
+            socRmsDiff: count ? Math.sqrt(sumSq / count) : null,
+            socMaxDiff: count ? maxDiff : null,
+        };
+    });
+    return { times, series, stats };
+};
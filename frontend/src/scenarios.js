@@ -0,0 +1,188 @@
+// scenarios.js - Scripted speed-vs-time drive profiles and the closed-loop driver that follows them
+import { DEFAULT_CONFIG } from './engine';
+import { pedalForAcceleration } from './vehicle';
+
+// Driver controller tuning (speeds in km/h, throttle in %)
+export const DRIVER_GAINS = {
+    kp: 4, // % throttle per km/h of speed error
+    ki: 0.5, // % throttle per km/h·s of accumulated error
+    lookahead: 2, // s - feed forward the target this far ahead to hide plant lag
+    brakeThreshold: 2, // km/h over target before the brake pedal is used
+};
+
+// Waypoints are { t (s), speed (km/h), grade (°, optional) }, linearly interpolated.
+// Cycle shapes are coarse approximations of the standard cycles, not certified traces.
+const cycle = (pairs) => pairs.map(([t, speed, grade = 0]) => ({ t, speed, grade }));
+
+const BUILT_IN_DEFINITIONS = [
+    {
+        id: 'udds',
+        name: 'UDDS (approx.)',
+        description: 'Urban stop-and-go, 1369 s, peak 91 km/h',
+        points: cycle([
+            [0, 0], [20, 0], [40, 40], [80, 50], [120, 90], [160, 91], [200, 50], [220, 0], [240, 0],
+            [270, 40], [330, 50], [350, 0], [380, 0], [410, 48], [440, 56], [480, 0], [500, 0],
+            [540, 55], [600, 40], [640, 0], [660, 0], [700, 50], [740, 40], [780, 0], [800, 0],
+            [840, 45], [900, 55], [940, 30], [980, 0], [1000, 0], [1040, 50], [1100, 40], [1140, 0],
+            [1160, 0], [1200, 45], [1260, 35], [1300, 0], [1369, 0],
+        ]),
+    },
+    {
+        id: 'wltp3',
+        name: 'WLTP Class 3 (approx.)',
+        description: 'Low/medium/high/extra-high phases, 1800 s, peak 131 km/h',
+        points: cycle([
+            // Low
+            [0, 0], [15, 0], [40, 30], [70, 25], [90, 0], [120, 0], [160, 45], [220, 40], [260, 0],
+            [300, 0], [350, 56], [420, 50], [470, 0], [500, 0], [540, 35], [575, 0], [589, 0],
+            // Medium
+            [620, 50], [700, 76], [760, 60], [800, 0], [830, 0], [880, 60], [960, 70], [1010, 0], [1022, 0],
+            // High
+            [1060, 70], [1140, 97], [1220, 85], [1260, 40], [1300, 60], [1380, 90], [1440, 50], [1477, 0],
+            // Extra high
+            [1500, 0], [1560, 100], [1640, 131], [1700, 120], [1760, 60], [1800, 0],
+        ]),
+    },
+    {
+        id: 'cruise-80',
+        name: 'Highway Cruise 80 km/h',
+        description: 'Ramp to 80 km/h, hold 8 minutes, stop',
+        points: cycle([[0, 0], [60, 80], [540, 80], [600, 0]]),
+    },
+    {
+        id: 'hill-climb',
+        name: 'Hill Climb & Descent',
+        description: '60 km/h over a 6° climb and a 6° descent',
+        points: cycle([
+            [0, 0, 0], [40, 60, 0], [100, 60, 0], [110, 60, 6], [280, 60, 6], [290, 60, 0],
+            [340, 60, 0], [350, 60, -6], [520, 60, -6], [530, 60, 0], [580, 0, 0],
+        ]),
+    },
+];
+
+const withDuration = (scenario) => ({
+    ...scenario,
+    duration: scenario.points[scenario.points.length - 1].t - scenario.points[0].t,
+});
+
+export const BUILT_IN_SCENARIOS = BUILT_IN_DEFINITIONS.map(s => withDuration({ ...s, builtIn: true }));
+
+/**
+ * Parses a user-authored scenario:
+ * `{ "name": "...", "description"?: "...", "points": [{ "t": 0, "speed": 0, "grade"?: 0 }, ...] }`.
+ * Throws with a readable message on any schema problem.
+ */
+export const parseScenarioJson = (text) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Scenario is not valid JSON: ${err.message}`);
+    }
+    if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) {
+        throw new Error('Scenario needs a non-empty "name".');
+    }
+    if (!Array.isArray(raw.points) || raw.points.length < 2) {
+        throw new Error('Scenario needs a "points" array with at least two waypoints.');
+    }
+
+    const points = raw.points.map((p, i) => {
+        const t = Number(p?.t);
+        const speed = Number(p?.speed);
+        const grade = p?.grade === undefined ? 0 : Number(p.grade);
+        if (![t, speed, grade].every(Number.isFinite)) {
+            throw new Error(`Waypoint ${i}: "t", "speed" and "grade" must be numbers.`);
+        }
+        if (speed < 0) throw new Error(`Waypoint ${i}: speed cannot be negative.`);
+        if (Math.abs(grade) > 30) throw new Error(`Waypoint ${i}: grade must be within ±30°.`);
+        return { t, speed, grade };
+    });
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].t <= points[i - 1].t) {
+            throw new Error(`Waypoint ${i}: time must increase strictly.`);
+        }
+    }
+
+    return withDuration({
+        id: `custom-${raw.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+        name: raw.name.trim(),
+        description: typeof raw.description === 'string' ? raw.description : 'User scenario',
+        points,
+        builtIn: false,
+    });
+};
+
+/** Target speed (km/h) and grade (°) at scenario time t (s from the first waypoint). */
+export const sampleScenario = (scenario, t) => {
+    const { points } = scenario;
+    const abs = points[0].t + t;
+    if (abs <= points[0].t) return { speed: points[0].speed, grade: points[0].grade };
+    const last = points[points.length - 1];
+    if (abs >= last.t) return { speed: last.speed, grade: last.grade };
+
+    let i = 1;
+    while (points[i].t < abs) i++;
+    const a = points[i - 1], b = points[i];
+    const f = (abs - a.t) / (b.t - a.t);
+    return {
+        speed: a.speed + (b.speed - a.speed) * f,
+        grade: a.grade + (b.grade - a.grade) * f,
+    };
+};
+
+// =================================================================
+// CLOSED-LOOP DRIVER
+// =================================================================
+
+export const createDriverState = () => ({ integral: 0, sumSquaredError: 0, maxAbsError: 0, samples: 0 });
+
+/**
+ * One controller update: PI on speed error plus a look-ahead feed-forward of the profile.
+ * With the vehicle model the feed-forward is the pedal for the acceleration that reaches the
+ * look-ahead speed, and one signed command works both pedals (negative = brake travel);
+ * the lumped model feeds forward a throttle proportional to speed and brakes fully.
+ * Returns the engine inputs (`throttle`, `isBraking`, `brake`, `grade`), the next driver state and
+ * the tracking error (target - actual, km/h).
+ */
+export const driverStep = (driver, scenario, t, speed, dt, config = DEFAULT_CONFIG, gains = DRIVER_GAINS) => {
+    const target = sampleScenario(scenario, t);
+    const ahead = sampleScenario(scenario, t + gains.lookahead);
+    const error = target.speed - speed;
+
+    const { vehicle } = config;
+    const feedForward = vehicle
+        ? pedalForAcceleration(vehicle, speed, target.grade, (ahead.speed - speed) / 3.6 / gains.lookahead)
+        : (ahead.speed / config.maxSpeed) * 100;
+    let integral = driver.integral + error * dt;
+    let command = feedForward + gains.kp * error + gains.ki * integral;
+
+    // Anti-windup: stop integrating while the pedals are saturated in the error's direction
+    if ((command > 100 && error > 0) || (command < (vehicle ? -100 : 0) && error < 0)) {
+        integral = driver.integral;
+        command = feedForward + gains.kp * error + gains.ki * integral;
+    }
+
+    let throttle, brake;
+    if (vehicle) {
+        throttle = Math.max(0, Math.min(100, command));
+        brake = Math.max(0, Math.min(100, -command));
+    } else {
+        const fullBrake = error < -gains.brakeThreshold && ahead.speed <= target.speed;
+        throttle = fullBrake ? 0 : Math.max(0, Math.min(100, command));
+        brake = fullBrake ? 100 : 0;
+    }
+
+    return {
+        inputs: { throttle, isBraking: brake > 0, brake, grade: target.grade },
+        targetSpeed: target.speed,
+        speedError: error,
+        driver: {
+            integral,
+            sumSquaredError: driver.sumSquaredError + error * error,
+            maxAbsError: Math.max(driver.maxAbsError, Math.abs(error)),
+            samples: driver.samples + 1,
+        },
+    };
+};
+
+export const trackingRms = (driver) => (driver.samples ? Math.sqrt(driver.sumSquaredError / driver.samples) : 0);
@@ -0,0 +1,202 @@
+// simulation.js - One simulation run: the engine with its drive source (live controls, drive-cycle
+// replay, scripted driver or charger), the EKF, the range estimator and optionally the in-browser
+// NN SOC model, advanced in ENGINE_DT steps
+//
+// The estimators see the engine's measured signals, so injected sensor faults reach them as
+// they would a real BMS; the physics truth stays alongside in the log.
+//
+// A run belongs to a single thread (the simulation worker) and is advanced in place, like the
+// dashboard refs it replaces. Snapshots and log rows are plain data, so they survive postMessage.
+import { ENGINE_DT, createInitialState, step, withSoc } from './engine';
+import { sampleDriveCycle } from './driveCycle';
+import { packStats } from './pack';
+import { BMS_LEVELS, resetBms, bmsWorstLevel, bmsPackEmpty } from './bms';
+import { createChargeSession, chargeCommand, recordCharge, predictTimeToTarget } from './charging';
+import { RANGE_SETTINGS, createRangeEstimator, rangeStep, predictRange } from './range';
+import { createEkf, ekfStep, ekfOutputs } from './ekf';
+import { createDriverState, driverStep, trackingRms } from './scenarios';
+import { predictNnSoc } from './nnModel';
+import { capacityFactor, thermalPower } from './thermal';
+import { activeFaults } from './faultInjection';
+
+export const RUN_MODES = ['live', 'replay', 'scenario', 'charge'];
+export const EMPTY_SOC = 0.1; // % at which a run without a BMS low-SOC cutoff counts as empty
+export const SNAPSHOT_RATES = [5, 10, 20, 30]; // Hz the worker can post snapshots at
+export const DEFAULT_SNAPSHOT_HZ = 10;
+const CHARGE_END_REASONS = { done: 'charge complete', stopped: 'charging stopped by cell temperature' };
+
+/** Per-cell arrays plus their summary, as shown by the pack heat map. */
+export const packSnapshot = (pack) => (pack
+    ? { stats: packStats(pack), voltage: pack.voltage, soc: pack.soc, temp: pack.temp, bleeding: pack.bleeding }
+    : null);
+
+/**
+ * New run. `cycle` is needed for 'replay', `scenario` for 'scenario' and `charger` / `targetSoc`
+ * for 'charge'; `inputs` are the live control inputs (the driver and charger override theirs).
+ * `nn` is a createNnModel model to evaluate every step, or null when /predict supplies the NN SOC.
+ * `inputs.faults` is the injected fault timeline; it applies in every mode. `startSoh` (%) is
+ * bookkeeping for an already-aged pack - its capacity comes from `config.battery`. `ekfBattery` is
+ * the battery the EKF assumes: for an aged pack its nominal one, so the fade shows in the SOH estimate.
+ */
+export const createRun = ({
+    mode = 'live', config, seed = 1, startSoc, startSoh = 100, ambientTemp = 25, inputs = {}, ekfBattery = config.battery,
+    cycle = null, scenario = null, charger = null, targetSoc = null, rangeSettings = RANGE_SETTINGS, nn = null
+}) => {
+    if (!RUN_MODES.includes(mode)) throw new Error(`Unknown run mode "${mode}".`);
+    if (mode === 'replay' && !cycle) throw new Error('A replay run needs a drive cycle.');
+    if (mode === 'scenario' && !scenario) throw new Error('A scenario run needs a scenario.');
+    if (mode === 'charge' && !charger) throw new Error('A charging run needs a charger.');
+
+    const soc = startSoc ?? (mode === 'replay' ? cycle.soc[0] : undefined);
+    const sim = createInitialState({ soc, soh: startSoh, ambientTemp, seed, config });
+    // The EKF only sees measurements: its start SOC comes from the first voltage reading
+    const firstReading = mode === 'replay'
+        ? { voltage: cycle.packVoltage[0], temperature: cycle.temperature[0] }
+        : { voltage: sim.voltage, temperature: ambientTemp };
+
+    return {
+        mode, config, rangeSettings, nn, ekfBattery,
+        nnSoc: nn ? predictNnSoc(nn, { current: sim.measured.current, voltage: sim.measured.voltage, temperature: sim.measured.temp }) : null,
+        inputs: { ...inputs, ambientTemp },
+        sim,
+        ekf: createEkf({ ...firstReading, params: ekfBattery }),
+        range: createRangeEstimator(),
+        empty: null, // { time, distance } when the pack first ran empty
+        cycle, cycleTime: 0, socTruth: mode === 'replay' ? sim.soc : null,
+        scenario, driver: createDriverState(), command: null,
+        session: mode === 'charge'
+            ? createChargeSession({ charger, targetSoc, startSoc: sim.soc, startSoh: sim.soh })
+            : null,
+        timeToTarget: null,
+        // "Empty" is the usable floor: the BMS low-SOC threshold, or a low-SOC / under-voltage cutoff.
+        // Other cutoffs leave the run going so the operator can reset them.
+        emptySoc: config.bms ? config.bms.faults.lowSoc.cutoff : EMPTY_SOC,
+    };
+};
+
+// Grade the range estimate should assume: the driver's, none in replay, the slider otherwise
+const runGrade = (run) => (run.command ? run.command.inputs.grade : run.mode === 'replay' ? 0 : run.inputs.grade ?? 0);
+
+/**
+ * Why the run is over ('end of drive cycle', 'end of scenario', 'charge complete', 'charging stopped by
+ * cell temperature', 'pack empty'), or null.
+ * A driven run is over once the pack is empty as stepRun defines it (`run.empty`).
+ */
+export const runFinished = (run) => {
+    if (run.mode === 'replay') return run.cycleTime >= run.cycle.duration ? 'end of drive cycle' : null;
+    if (run.mode === 'charge') return CHARGE_END_REASONS[run.session.phase] ?? null;
+    if (run.mode === 'scenario' && run.sim.time >= run.scenario.duration) return 'end of scenario';
+    return run.empty ? 'pack empty' : null;
+};
+
+/** Advances the run by one engine step of `dt` seconds. */
+export const stepRun = (run, dt = ENGINE_DT) => {
+    const { config } = run;
+    let sim = run.sim;
+    if (run.mode === 'replay') {
+        // Recorded current/voltage/temperature are forced into the engine
+        run.cycleTime = Math.min(run.cycle.duration, run.cycleTime + dt);
+        const sample = sampleDriveCycle(run.cycle, run.cycleTime);
+        run.socTruth = sample.soc;
+        sim = step(sim, {
+            current: sample.current, voltage: sample.packVoltage, temperature: sample.temperature, faults: run.inputs.faults,
+        }, dt, config);
+    } else if (run.mode === 'scenario') {
+        // Driver model sets throttle/brake/grade to follow the target speed
+        run.command = driverStep(run.driver, run.scenario, sim.time, sim.speed, dt, config);
+        run.driver = run.command.driver;
+        sim = step(sim, { ...run.inputs, ...run.command.inputs }, dt, config);
+    } else if (run.mode === 'charge') {
+        // Charger forces the CC-CV current; the vehicle is parked
+        run.session = chargeCommand(run.session, sim, config);
+        sim = step(sim, { ...run.inputs, current: run.session.command }, dt, config);
+        run.session = recordCharge(run.session, sim, dt, config);
+    } else {
+        sim = step(sim, run.inputs, dt, config);
+    }
+    run.sim = sim;
+    const reading = { current: sim.measured.current, voltage: sim.measured.voltage, temperature: sim.measured.temp };
+    run.ekf = ekfStep(run.ekf, reading, dt, run.ekfBattery);
+    run.range = rangeStep(run.range, sim, runGrade(run), dt, run.rangeSettings);
+    if (run.nn) run.nnSoc = predictNnSoc(run.nn, reading);
+    if (!run.empty && (sim.soc <= run.emptySoc || (sim.bms && bmsPackEmpty(sim.bms)))) {
+        run.empty = { time: sim.time, distance: sim.distance };
+    }
+};
+
+/** Jumps a replay to cycle time `t`, re-anchoring the coulomb-counted SOC to the recorded one. */
+export const seekRun = (run, t) => {
+    const anchorSoc = sampleDriveCycle(run.cycle, t).soc;
+    run.cycleTime = t;
+    run.socTruth = anchorSoc;
+    run.sim = withSoc(run.sim, anchorSoc);
+};
+
+/** Operator reset of latched BMS cutoffs (see resetBms). */
+export const resetRunBms = (run) => {
+    if (run.sim.bms) run.sim = { ...run.sim, bms: resetBms(run.sim.bms, run.sim.time, run.config.bms) };
+};
+
+/** Refreshes the charging look-ahead (`run.timeToTarget`); a no-op outside a charging session. */
+export const updateTimeToTarget = (run) => {
+    if (!run.session) return;
+    const { phase } = run.session;
+    run.timeToTarget = phase === 'done' ? 0 : phase === 'stopped' ? null : predictTimeToTarget(run.session, run.sim, run.inputs, run.config);
+};
+
+/** Everything the dashboard shows about the run at this instant (engine state without the cell arrays). */
+export const snapshotRun = (run) => {
+    const { pack, ...state } = run.sim;
+    const { command, driver } = run;
+    return {
+        state,
+        pack: packSnapshot(pack),
+        ekf: ekfOutputs(run.ekf),
+        range: predictRange(run.range, run.sim, {
+            battery: run.config.battery, vehicle: run.config.vehicle, grade: runGrade(run), floorSoc: run.emptySoc,
+            capacityFactor: run.config.thermal ? capacityFactor(run.config.thermal, run.sim.temp) : 1, settings: run.rangeSettings,
+        }),
+        ambientTemp: run.inputs.ambientTemp,
+        faults: run.inputs.faults?.length ? activeFaults(run.inputs.faults, run.sim.time).map(f => f.type) : [],
+        empty: run.empty,
+        cycleTime: run.cycleTime,
+        socTruth: run.socTruth,
+        nnSoc: run.nnSoc,
+        tracking: command
+            ? { inputs: command.inputs, targetSpeed: command.targetSpeed, speedError: command.speedError, rms: trackingRms(driver), maxError: driver.maxAbsError }
+            : null,
+        session: run.session,
+        timeToTarget: run.timeToTarget,
+    };
+};
+
+/**
+ * One telemetry row from a snapshot. `time` is the row's Time_s (wall-clock seconds for live
+ * runs); socNn comes from the in-browser model, or stays null until /predict answers. In replay the
+ * recorded SOC is the ground truth. Voltage, current and temperature are the measured signals;
+ * the *True fields hold the physics before any injected sensor fault.
+ */
+export const logRow = (snapshot, time, config) => {
+    const { state: sim, ekf: estimate, range, tracking, session } = snapshot;
+    return {
+        time, voltage: sim.measured.voltage, current: sim.measured.current,
+        temp: sim.measured.temp, speed: sim.speed,
+        voltageTrue: sim.voltage, currentTrue: sim.current, tempTrue: sim.temp,
+        activeFaults: snapshot.faults?.length ? snapshot.faults.join('+') : null,
+        socActual: snapshot.socTruth ?? sim.soc, socCoulomb: sim.soc,
+        sohActual: sim.soh, socNn: snapshot.nnSoc ?? null,
+        socEkf: estimate.soc, socEkfStd: estimate.socStd, sohEkf: estimate.soh, sohEkfStd: estimate.sohStd,
+        targetSpeed: tracking?.targetSpeed ?? null, speedError: tracking?.speedError ?? null,
+        cells: snapshot.pack?.stats ?? null,
+        bmsLevel: sim.bms ? BMS_LEVELS[bmsWorstLevel(sim.bms)] : null,
+        dischargeLimit: sim.bms ? sim.bms.limits.discharge * config.maxDischargeCurrent : null,
+        chargeLimit: sim.bms ? sim.bms.limits.charge * config.maxChargeCurrent : null,
+        chargePhase: session?.phase ?? null, chargeLimitedBy: session?.limitedBy ?? null,
+        simTime: sim.time, distance: sim.distance,
+        range: range.range, rangeLow: range.rangeLow, rangeHigh: range.rangeHigh,
+        tte: range.timeToEmpty, tteLow: range.timeToEmptyLow, tteHigh: range.timeToEmptyHigh,
+        ambientTemp: snapshot.ambientTemp ?? null,
+        surfaceTemp: sim.thermal?.surface ?? null, coolantTemp: sim.thermal?.coolant ?? null,
+        thermalPower: sim.thermal ? thermalPower(sim.thermal) : null,
+    };
+};
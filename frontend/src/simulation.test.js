@@ -0,0 +1,82 @@
+// simulation.test.js - When runs end, and why
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CONFIG, ENGINE_DT } from './engine';
+import { DEFAULT_BMS_CONFIG } from './bms';
+import { CHARGERS } from './charging';
+import { packCapacityAh } from './batteryModel';
+import { agedBattery } from './aging';
+import { createRun, stepRun, runFinished, resetRunBms, updateTimeToTarget } from './simulation';
+
+// Steps until the run is over or `seconds` have passed; returns the reason (or null)
+const runFor = (run, seconds, dt = ENGINE_DT) => {
+    const end = run.sim.time + seconds;
+    while (run.sim.time < end) {
+        const reason = runFinished(run);
+        if (reason) return reason;
+        stepRun(run, dt);
+    }
+    return runFinished(run);
+};
+
+describe('runFinished', () => {
+    it('keeps a run going through an over-temperature cutoff until the operator resets it', () => {
+        // A forced pack temperature past the cutoff, as a failing coolant loop would give
+        const run = createRun({ mode: 'live', config: DEFAULT_CONFIG, startSoc: 80, inputs: { throttle: 100, temperature: 61 } });
+        expect(runFor(run, 60)).toBeNull();
+        expect(run.sim.bms.faults.overTemp.latched).toBe(true);
+        expect(run.sim.bms.limits.discharge).toBe(0);
+        expect(run.sim.soc).toBeGreaterThan(70);
+        expect(run.empty).toBeNull();
+
+        // Back under cutoff - hysteresis, then reset
+        run.inputs = { ...run.inputs, temperature: 30 };
+        expect(runFor(run, 5)).toBeNull();
+        resetRunBms(run);
+        expect(run.sim.bms.faults.overTemp.latched).toBe(false);
+        stepRun(run);
+        expect(run.sim.bms.limits.discharge).toBeGreaterThan(0);
+    });
+
+    it('ends a run as pack empty at the under-voltage cutoff', () => {
+        const run = createRun({ mode: 'live', config: DEFAULT_CONFIG, startSoc: 12, inputs: { throttle: 100 } });
+        expect(runFor(run, 600)).toBe('pack empty');
+        expect(run.sim.bms.faults.underVoltage.level).toBe(3);
+        expect(run.empty).toEqual({ time: expect.any(Number), distance: expect.any(Number) });
+        expect(run.sim.soc).toBeGreaterThan(DEFAULT_BMS_CONFIG.faults.lowSoc.cutoff);
+    });
+
+    it('ends a run without a BMS at the empty SOC', () => {
+        const run = createRun({ mode: 'live', config: { ...DEFAULT_CONFIG, bms: null }, startSoc: 3, inputs: { throttle: 60 } });
+        expect(runFor(run, 3600, 0.5)).toBe('pack empty');
+        expect(run.sim.soc).toBeLessThanOrEqual(0.1);
+    });
+
+    it('ends a charging run at the target', () => {
+        const charger = CHARGERS.find(c => c.id === 'dc-50');
+        const run = createRun({ mode: 'charge', config: DEFAULT_CONFIG, startSoc: 78, charger, targetSoc: 80 });
+        expect(runFor(run, 3600, 0.5)).toBe('charge complete');
+        expect(run.sim.soc).toBeGreaterThanOrEqual(80);
+    });
+
+    it('ends a charging run whose cells are too cold to take any current', () => {
+        const charger = CHARGERS.find(c => c.id === 'ac-7');
+        const run = createRun({ mode: 'charge', config: DEFAULT_CONFIG, startSoc: 50, ambientTemp: -15, charger, targetSoc: 80 });
+        expect(runFor(run, 60)).toBe('charging stopped by cell temperature');
+        expect(run.session).toMatchObject({ phase: 'stopped', limitedBy: 'temperature' });
+        updateTimeToTarget(run);
+        expect(run.timeToTarget).toBeNull();
+    });
+});
+
+describe('createRun', () => {
+    it('lets the EKF estimate an aged pack against its nominal battery', () => {
+        const battery = agedBattery(DEFAULT_CONFIG.battery, 80, 30);
+        const run = createRun({ mode: 'live', config: { ...DEFAULT_CONFIG, battery }, startSoc: 60, startSoh: 80, ekfBattery: DEFAULT_CONFIG.battery });
+        expect(run.sim.soh).toBe(80);
+        expect(run.ekf.nominalAh).toBe(packCapacityAh(DEFAULT_CONFIG.battery));
+        expect(run.ekf.x[3] / run.ekf.nominalAh).toBe(1);
+
+        // Without one the EKF takes the aged capacity as new
+        expect(createRun({ mode: 'live', config: { ...DEFAULT_CONFIG, battery }, startSoc: 60 }).ekf.nominalAh).toBe(packCapacityAh(battery));
+    });
+});
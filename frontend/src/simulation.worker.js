@@ -0,0 +1,150 @@
+// simulation.worker.js - Runs the simulation off the main thread at a fixed internal step
+//
+// The worker advances the run in ENGINE_DT steps against its own wall clock (sub-stepping at
+// high warp) and posts batched snapshots at `snapshotHz`. Telemetry rows are sampled every
+// speed / LOG_RATE_HZ simulated seconds, so the log spacing does not depend on timer jitter.
+//
+// Commands in:  start { options, speed, paused, snapshotHz }, stop, inputs { inputs },
+//               speed { speed, paused }, snapshotRate { hz }, seek { time }, resetBms
+// Messages out: snapshot { view, rows, dropped }, finished { reason, view, rows, dropped },
+//               error { message }
+import { ENGINE_DT } from './engine';
+import {
+    DEFAULT_SNAPSHOT_HZ, createRun, stepRun, runFinished, seekRun, resetRunBms, updateTimeToTarget, snapshotRun, logRow
+} from './simulation';
+
+const TICK_MS = 10; // Wall-clock spacing of the stepping loop
+const LOG_RATE_HZ = 10; // Telemetry rows per second of wall-clock time at the current speed
+const MAX_STEPS_PER_TICK = 2000; // Past this the backlog is dropped (and reported) instead of freezing
+const CHARGE_PREDICT_INTERVAL_MS = 2000; // Wall-clock spacing of the time-to-target look-ahead
+
+let run = null;
+let speed = 1; // Simulated seconds per wall-clock second
+let paused = false;
+let snapshotHz = DEFAULT_SNAPSHOT_HZ;
+let backlog = 0; // Simulated seconds not yet stepped
+let dropped = 0; // Simulated seconds skipped because stepping fell behind
+let wallTime = 0; // Wall-clock seconds the run has taken at its speeds so far
+let nextSampleTime = 0; // Engine time of the next telemetry row
+let rows = [];
+let lastTick = 0;
+let lastPost = 0;
+let lastChargePredict = 0;
+let timerId = null;
+
+// Time_s of a row: the cycle clock in replay, the engine clock for scenarios and charging,
+// wall-clock seconds for live driving
+const rowTime = () => (run.mode === 'replay' ? run.cycleTime : run.mode === 'live' ? wallTime : run.sim.time);
+
+const sample = () => {
+    rows.push(logRow(snapshotRun(run), rowTime(), run.config));
+    nextSampleTime = run.sim.time + speed / LOG_RATE_HZ;
+};
+
+const post = (type, extra = {}) => {
+    self.postMessage({ type, view: snapshotRun(run), rows, dropped, ...extra });
+    rows = [];
+};
+
+const finish = (reason) => {
+    sample();
+    updateTimeToTarget(run);
+    post('finished', { reason });
+    run = null;
+    clearInterval(timerId);
+    timerId = null;
+};
+
+const tick = () => {
+    const now = performance.now();
+    const elapsed = (now - lastTick) / 1000;
+    lastTick = now;
+    if (!run || paused) return;
+
+    backlog += elapsed * speed;
+    let steps = Math.floor(backlog / ENGINE_DT);
+    if (steps > MAX_STEPS_PER_TICK) {
+        dropped += (steps - MAX_STEPS_PER_TICK) * ENGINE_DT;
+        steps = MAX_STEPS_PER_TICK;
+        backlog = 0;
+    } else {
+        backlog -= steps * ENGINE_DT;
+    }
+
+    for (let i = 0; i < steps; i++) {
+        const reason = runFinished(run);
+        if (reason) {
+            finish(reason);
+            return;
+        }
+        stepRun(run, ENGINE_DT);
+        wallTime += ENGINE_DT / speed;
+        if (run.sim.time >= nextSampleTime) sample();
+    }
+
+    if (run.session && now - lastChargePredict > CHARGE_PREDICT_INTERVAL_MS) {
+        lastChargePredict = now;
+        updateTimeToTarget(run);
+    }
+    const reason = runFinished(run);
+    if (reason) finish(reason);
+    else if (now - lastPost >= 1000 / snapshotHz) {
+        lastPost = now;
+        post('snapshot');
+    }
+};
+
+const handlers = {
+    start: (msg) => {
+        run = createRun(msg.options);
+        speed = msg.speed ?? 1;
+        paused = msg.paused ?? false;
+        snapshotHz = msg.snapshotHz ?? snapshotHz;
+        backlog = 0;
+        dropped = 0;
+        wallTime = 0;
+        rows = [];
+        lastTick = lastPost = performance.now();
+        lastChargePredict = 0;
+        sample();
+        post('snapshot');
+        clearInterval(timerId);
+        timerId = setInterval(tick, TICK_MS);
+    },
+    stop: () => {
+        if (run) finish('stopped');
+    },
+    inputs: (msg) => {
+        if (run) run.inputs = { ...run.inputs, ...msg.inputs };
+    },
+    speed: (msg) => {
+        speed = msg.speed ?? speed;
+        paused = msg.paused ?? paused;
+    },
+    snapshotRate: (msg) => {
+        snapshotHz = msg.hz;
+    },
+    seek: (msg) => {
+        if (!run || run.mode !== 'replay') return;
+        seekRun(run, msg.time);
+        backlog = 0;
+        nextSampleTime = run.sim.time;
+        post('snapshot');
+    },
+    resetBms: () => {
+        if (!run) return;
+        resetRunBms(run);
+        post('snapshot');
+    },
+};
+
+self.onmessage = (e) => {
+    try {
+        handlers[e.data.type]?.(e.data);
+    } catch (err) {
+        run = null;
+        clearInterval(timerId);
+        timerId = null;
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
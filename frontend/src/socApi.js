@@ -0,0 +1,69 @@
+// socApi.js - HTTP client for the FastAPI SOC model backend (server.py)
+import axios from 'axios';
+
+// --- CONFIGURATION ---
+export const API_BASE_URL = import.meta.env.VITE_SOC_API_URL || 'http://localhost:8000';
+export const PREDICT_TIMEOUT_MS = 1500; // A slow backend must never hold up the UI
+export const SIMULATE_TIMEOUT_MS = 60000; // A whole drive cycle in one request
+export const RETRY_BASE_MS = 1000; // First retry delay after a failed request
+export const RETRY_MAX_MS = 15000; // Backoff ceiling while the backend is down
+
+const client = axios.create({
+    baseURL: API_BASE_URL,
+    headers: { 'Content-Type': 'application/json' },
+});
+
+/**
+ * Single-point NN SOC prediction via POST /predict.
+ * Sign convention matches the dashboard and the training data: negative current = discharge.
+ * Resolves to SOC in percent; rejects when the backend is unreachable, slow, or
+ * answers with its `{"soc": null}` error payload.
+ */
+export const predictSoc = async ({ current, voltage, temperature, time }, { signal } = {}) => {
+    const { data } = await client.post(
+        '/predict',
+        { current, voltage, temperature, time },
+        { timeout: PREDICT_TIMEOUT_MS, signal }
+    );
+    if (data == null || typeof data.soc !== 'number' || !Number.isFinite(data.soc)) {
+        throw new Error('Backend returned no SOC prediction');
+    }
+    return data.soc;
+};
+
+/**
+ * Whole-cycle SOC via POST /simulate: server.py's NN, coulomb counting from the NN's first point
+ * (or `startSoc`, to continue a previous chunk) and their ML_WEIGHT fusion. Arrays (typed arrays
+ * are fine) must have equal length; `voltage` is pack voltage. Resolves to `{ soc, physicsSoc,
+ * dischargeTime, totalPoints }` (SOC in %), which stop early if the pack runs dead; physicsSoc
+ * is null from a server that does not return it. Rejects on mismatched inputs and on the
+ * server's silent `{"soc": []}` error answer.
+ */
+export const simulateCycle = async ({ current, voltage, temperature, time, startSoc = null }, { signal } = {}) => {
+    const n = current.length;
+    if (!n) throw new Error('Nothing to simulate: the cycle has no samples.');
+    if (voltage.length !== n || temperature.length !== n || (time && time.length !== n)) {
+        throw new Error(`Input length mismatch: current ${n}, voltage ${voltage.length}, temperature ${temperature.length}${time ? `, time ${time.length}` : ''}.`);
+    }
+    const { data } = await client.post(
+        '/simulate',
+        {
+            current: Array.from(current), voltage: Array.from(voltage), temperature: Array.from(temperature),
+            time: time ? Array.from(time) : null, start_soc: startSoc,
+        },
+        { timeout: SIMULATE_TIMEOUT_MS, signal }
+    );
+    if (!Array.isArray(data?.soc) || !data.soc.length) {
+        throw new Error('/simulate answered with no SOC points: the server rejected the input or its model failed (see the server log).');
+    }
+    return {
+        soc: data.soc,
+        physicsSoc: Array.isArray(data.physics_soc) ? data.physics_soc : null,
+        dischargeTime: data.discharge_time,
+        totalPoints: data.total_points,
+    };
+};
+
+/** Exponential backoff delay (ms) for the n-th consecutive failure (n >= 1). */
+export const retryDelay = (failures) =>
+    Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, failures - 1));
@@ -0,0 +1,184 @@
+// sweep.js - Parameter sweeps: every combination of 1-3 parameter ranges run headlessly over a fixed input profile
+//
+// A sweep is { profileId, thermalModel, startSoc, axes: [{ parameter, from, to, step }] }. Each
+// combination is one engine run (simulation.js) at SWEEP_DT, reduced to SWEEP_METRICS; runSweep
+// spreads the runs over a pool of sweep workers (workerPool.js) and reports results as they arrive.
+import { DEFAULT_CONFIG, REFERENCE_SOC } from './engine';
+import { BUILT_IN_SCENARIOS } from './scenarios';
+import { agedBattery } from './aging';
+import { createRun, stepRun, runFinished } from './simulation';
+import { runWorkerJobs } from './workerPool';
+
+export const SWEEP_DT = 0.1; // s engine step (UDDS metrics within 0.3 % of ENGINE_DT, about 6x faster)
+export const MAX_SWEEP_POINTS = 500;
+export const MAX_SWEEP_AXES = 3;
+
+// `range` is the default sweep; `min`/`max` bound what can be entered; `csv` is the export column
+export const SWEEP_PARAMETERS = {
+    regenBraking: { label: 'Regen level', unit: '%', csv: 'Regen_pct', min: 0, max: 100, range: { from: 0, to: 100, step: 25 } },
+    coolingRate: { label: 'Cooling rate', unit: '%', csv: 'Cooling_Rate_pct', min: 0, max: 100, range: { from: 0, to: 100, step: 25 } },
+    grade: { label: 'Grade', unit: '°', csv: 'Grade_deg', min: -10, max: 10, range: { from: -4, to: 4, step: 2 } },
+    ambientTemp: { label: 'Ambient temperature', unit: '°C', csv: 'Ambient_Temp_C', min: -30, max: 50, range: { from: -10, to: 40, step: 10 } },
+    capacity: { label: 'Cell capacity', unit: '% of nominal', csv: 'Capacity_pct', min: 50, max: 150, range: { from: 80, to: 120, step: 10 } },
+    resistance: { label: 'Internal resistance', unit: '% of nominal', csv: 'Resistance_pct', min: 50, max: 300, range: { from: 100, to: 200, step: 25 } },
+};
+// Values of parameters that are not swept
+const BASE_VALUES = { regenBraking: 50, coolingRate: 50, grade: 0, ambientTemp: 25, capacity: 100, resistance: 100 };
+
+// `better` is the direction the heat map colours green
+export const SWEEP_METRICS = {
+    finalSoc: { label: 'Final SOC', unit: '%', csv: 'Final_SOC_pct', digits: 2, better: 'high' },
+    sohLoss: { label: 'SOH loss', unit: '%', csv: 'SOH_Loss_pct', digits: 5, better: 'low' },
+    peakTemp: { label: 'Peak cell temperature', unit: '°C', csv: 'Peak_Temp_C', digits: 2, better: 'low' },
+    endTemp: { label: 'End temperature', unit: '°C', csv: 'End_Temp_C', digits: 2, better: 'low' },
+    whPerKm: { label: 'Consumption', unit: 'Wh/km', csv: 'Consumption_Wh_per_km', digits: 1, better: 'low' },
+    energyWh: { label: 'Net energy', unit: 'Wh', csv: 'Net_Energy_Wh', digits: 0, better: 'low' },
+    distanceKm: { label: 'Distance', unit: 'km', csv: 'Distance_km', digits: 2, better: 'high' },
+};
+
+// Built-in scenarios follow their speed trace with the closed-loop driver (the swept grade
+// is added to theirs); the steady profile holds the pedal like an interactive run
+export const SWEEP_PROFILES = [
+    ...BUILT_IN_SCENARIOS.map(scenario => ({ id: scenario.id, name: scenario.name, description: scenario.description, scenario })),
+    { id: 'steady', name: 'Steady throttle', description: '50 % throttle for 20 s, like an interactive run', duration: 20, inputs: { throttle: 50 } },
+];
+
+export const THERMAL_MODELS = {
+    twoNode: 'Two-node with coolant loop (auto)',
+    coolingRate: 'Cooling-rate model',
+};
+
+export const DEFAULT_SWEEP = {
+    profileId: 'udds',
+    thermalModel: 'twoNode',
+    startSoc: REFERENCE_SOC,
+    axes: [
+        { parameter: 'ambientTemp', ...SWEEP_PARAMETERS.ambientTemp.range },
+        { parameter: 'regenBraking', ...SWEEP_PARAMETERS.regenBraking.range },
+    ],
+};
+
+/** Values of one axis, from `from` to `to` inclusive. */
+export const axisValues = ({ from, to, step }) => {
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => Number((from + i * step).toFixed(10)));
+};
+
+/** Checks a sweep definition; throws with a readable message. Returns the number of runs. */
+export const validateSweep = (sweep) => {
+    if (!SWEEP_PROFILES.some(p => p.id === sweep.profileId)) throw new Error(`Unknown input profile "${sweep.profileId}".`);
+    if (!THERMAL_MODELS[sweep.thermalModel]) throw new Error(`Unknown thermal model "${sweep.thermalModel}".`);
+    if (!(Number.isFinite(sweep.startSoc) && sweep.startSoc > 0 && sweep.startSoc <= 100)) throw new Error('Start SOC must be above 0 and at most 100 %.');
+    if (!(sweep.axes.length >= 1 && sweep.axes.length <= MAX_SWEEP_AXES)) throw new Error(`Sweep 1 to ${MAX_SWEEP_AXES} parameters.`);
+    const seen = new Set();
+    let points = 1;
+    for (const axis of sweep.axes) {
+        const parameter = SWEEP_PARAMETERS[axis.parameter];
+        if (!parameter) throw new Error(`Unknown parameter "${axis.parameter}".`);
+        if (seen.has(axis.parameter)) throw new Error(`${parameter.label} is swept twice.`);
+        seen.add(axis.parameter);
+        if (![axis.from, axis.to, axis.step].every(Number.isFinite)) throw new Error(`${parameter.label}: from, to and step must be numbers.`);
+        if (axis.from < parameter.min || axis.to > parameter.max) throw new Error(`${parameter.label} must stay within ${parameter.min} to ${parameter.max} ${parameter.unit}.`);
+        if (axis.to < axis.from) throw new Error(`${parameter.label}: "to" must not be below "from".`);
+        if (!(axis.step > 0)) throw new Error(`${parameter.label}: step must be above 0.`);
+        points *= axisValues(axis).length;
+    }
+    if (seen.has('coolingRate') && sweep.thermalModel !== 'coolingRate') {
+        throw new Error('Cooling rate only acts in the cooling-rate thermal model; pick that model to sweep it.');
+    }
+    if (points > MAX_SWEEP_POINTS) throw new Error(`${points} runs; a sweep is limited to ${MAX_SWEEP_POINTS}.`);
+    return points;
+};
+
+/** Every combination of the axes' values: [{ index: [i, j, k], values: { parameter: value } }], first axis slowest. */
+export const expandSweep = (axes) => {
+    let points = [{ index: [], values: {} }];
+    for (const axis of axes) {
+        const values = axisValues(axis);
+        points = points.flatMap(point => values.map((value, i) => ({
+            index: [...point.index, i], values: { ...point.values, [axis.parameter]: value },
+        })));
+    }
+    return points;
+};
+
+/**
+ * Runs one combination: `values` overrides BASE_VALUES. Returns the SWEEP_METRICS values plus
+ * `reason` (why the run ended) and the simulated `duration`.
+ */
+export const runSweepPoint = (sweep, values, dt = SWEEP_DT) => {
+    const v = { ...BASE_VALUES, ...values };
+    const profile = SWEEP_PROFILES.find(p => p.id === sweep.profileId);
+    const config = {
+        ...DEFAULT_CONFIG,
+        battery: agedBattery(DEFAULT_CONFIG.battery, v.capacity, v.resistance - 100),
+        thermal: sweep.thermalModel === 'coolingRate' ? null : DEFAULT_CONFIG.thermal,
+    };
+    const scenario = profile.scenario && {
+        ...profile.scenario, points: profile.scenario.points.map(p => ({ ...p, grade: p.grade + v.grade })),
+    };
+    const run = createRun({
+        mode: scenario ? 'scenario' : 'live', config, scenario, startSoc: sweep.startSoc, ambientTemp: v.ambientTemp,
+        inputs: { ...profile.inputs, regenBraking: v.regenBraking, coolingRate: v.coolingRate, grade: v.grade },
+    });
+    const startSoh = run.sim.soh;
+    let energyWh = 0;
+    let peakTemp = run.sim.pack ? run.sim.pack.temp.reduce((a, b) => Math.max(a, b)) : run.sim.temp;
+    let reason = null;
+    while (!(reason = runFinished(run) ?? (!scenario && run.sim.time >= profile.duration - 1e-9 ? 'end of profile' : null))) {
+        stepRun(run, dt);
+        const { sim } = run;
+        energyWh -= sim.voltage * sim.current * dt / 3600;
+        peakTemp = Math.max(peakTemp, sim.pack ? sim.pack.temp.reduce((a, b) => Math.max(a, b)) : sim.temp);
+    }
+    const { sim } = run;
+    return {
+        finalSoc: sim.soc,
+        sohLoss: startSoh - sim.soh,
+        peakTemp,
+        endTemp: sim.temp,
+        whPerKm: sim.distance > 0.01 ? energyWh / sim.distance : null,
+        energyWh,
+        distanceKm: sim.distance,
+        reason,
+        duration: sim.time,
+    };
+};
+
+/**
+ * Runs every point of `sweep` on up to `workers` sweep workers from `createWorker()` (see
+ * workerPool.js). `onResult({ id, point, metrics, error, done, total })` runs per finished
+ * point. Resolves to [{ ...point, metrics, error }] in point order; aborting `signal` terminates
+ * the workers and rejects with 'Cancelled.'.
+ */
+export const runSweep = async (sweep, { createWorker, workers = 1, signal, onResult = () => {} }) => {
+    validateSweep(sweep);
+    const points = expandSweep(sweep.axes);
+    const result = (id, reply) => ({ ...points[id], metrics: reply.metrics ?? null, error: reply.message ?? null });
+    const replies = await runWorkerJobs(points.map(point => ({ type: 'run', sweep, values: point.values })), {
+        createWorker, workers, signal,
+        onResult: (id, reply, done) => {
+            const { metrics, error } = result(id, reply);
+            onResult({ id, point: points[id], metrics, error, done, total: points.length });
+        },
+    });
+    return replies.map((reply, id) => result(id, reply));
+};
+
+/** CSV of sweep results: one row per point, the swept parameters then every metric. */
+export const buildSweepCsv = (sweep, results) => {
+    const profile = SWEEP_PROFILES.find(p => p.id === sweep.profileId);
+    const meta = [
+        `# Profile: ${profile.name}`, `# Thermal_Model: ${THERMAL_MODELS[sweep.thermalModel]}`, `# Start_SOC_pct: ${sweep.startSoc}`,
+        `# Step_s: ${SWEEP_DT}`,
+    ];
+    const header = [
+        ...sweep.axes.map(axis => SWEEP_PARAMETERS[axis.parameter].csv), ...Object.values(SWEEP_METRICS).map(metric => metric.csv), 'End_Reason', 'Error',
+    ];
+    const rows = results.map(r => [
+        ...sweep.axes.map(axis => r.values[axis.parameter]),
+        ...Object.entries(SWEEP_METRICS).map(([key, metric]) => (r.metrics?.[key] == null ? '' : r.metrics[key].toFixed(metric.digits))),
+        r.metrics?.reason ?? '', r.error ? `"${r.error.replace(/"/g, '""')}"` : '',
+    ].join(','));
+    return [...meta, header.join(','), ...rows].join('\n');
+};
@@ -0,0 +1,15 @@
+// sweep.worker.js - Runs parameter-sweep points off the main thread (see sweep.js)
+//
+// Commands in:  run { id, sweep, values } (see workerPool.js)
+// Messages out: result { id, metrics } or error { id, message }
+import { runSweepPoint } from './sweep';
+
+self.onmessage = (e) => {
+    const { type, id, sweep, values } = e.data;
+    if (type !== 'run') return;
+    try {
+        self.postMessage({ type: 'result', id, metrics: runSweepPoint(sweep, values) });
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+};
@@ -0,0 +1,141 @@
+// telemetryCsv.js - Simulation telemetry CSV (Battery Model Output/Grapher.m format): writing and reading back
+//
+// Run metadata goes on leading '#' comment lines (read with CommentStyle '#'), then one header
+// line and one line per logged row. Columns with a `key` map back onto a row field on import;
+// the SOC_Model/SOH_Model columns are derived from the chosen model source and are not read.
+
+// Where the CSV's SOC_Model_pct / SOH_Model_pct columns come from (the NN has no SOH output)
+export const MODEL_SOURCES = { nn: 'Neural net (/predict)', ekf: 'Extended Kalman filter' };
+export const modelColumns = (row, source) => (source === 'ekf'
+    ? { soc: row.socEkf, soh: row.sohEkf }
+    : { soc: row.socNn, soh: null });
+
+// Blank CSV cell for values the model never produced (backend offline, request dropped, no scenario)
+export const formatCell = (value, digits) => (value == null || !Number.isFinite(value) ? '' : value.toFixed(digits));
+
+const column = (header, key, digits, scale = 1) => ({
+    header, key, scale,
+    format: (row) => formatCell(key.startsWith('cells.') ? row.cells?.[key.slice(6)] * scale : row[key], digits),
+});
+const textColumn = (header, key) => ({ header, key, text: true, format: (row) => row[key] ?? '' });
+const derivedColumn = (header, format) => ({ header, format });
+
+const COLUMNS = [
+    column('Time_s', 'time', 3),
+    column('Voltage_V', 'voltage', 4),
+    column('Current_A', 'current', 2),
+    column('Temperature_C', 'temp', 2),
+    column('Speed_kmh', 'speed', 1),
+    column('SOC_Actual_pct', 'socActual', 4),
+    derivedColumn('SOC_Model_pct', (row, model) => formatCell(model.soc, 4)),
+    derivedColumn('SOC_Error_pct', (row, model) => formatCell(model.soc == null ? null : Math.abs(row.socActual - model.soc), 4)),
+    column('SOH_Actual_pct', 'sohActual', 4),
+    derivedColumn('SOH_Model_pct', (row, model) => formatCell(model.soh, 4)),
+    derivedColumn('SOH_Error_pct', (row, model) => formatCell(model.soh == null ? null : Math.abs(row.sohActual - model.soh), 4)),
+    column('SOC_Coulomb_pct', 'socCoulomb', 4),
+    column('Target_Speed_kmh', 'targetSpeed', 2),
+    column('Speed_Error_kmh', 'speedError', 2),
+    column('SOC_NN_pct', 'socNn', 4),
+    column('SOC_EKF_pct', 'socEkf', 4),
+    column('SOC_EKF_Std_pct', 'socEkfStd', 4),
+    column('SOH_EKF_pct', 'sohEkf', 4),
+    column('SOH_EKF_Std_pct', 'sohEkfStd', 4),
+    column('Cell_V_Min_V', 'cells.minVoltage', 4),
+    column('Cell_V_Max_V', 'cells.maxVoltage', 4),
+    column('Cell_dV_mV', 'cells.deltaVoltage', 1, 1000),
+    column('Cell_SOC_Min_pct', 'cells.minSoc', 3),
+    column('Cell_SOC_Max_pct', 'cells.maxSoc', 3),
+    column('Cell_T_Max_C', 'cells.maxTemp', 2),
+    column('Balancing_Cells', 'cells.bleedingCount', 0),
+    textColumn('BMS_Level', 'bmsLevel'),
+    column('I_Discharge_Limit_A', 'dischargeLimit', 1),
+    column('I_Charge_Limit_A', 'chargeLimit', 1),
+    textColumn('Charge_Phase', 'chargePhase'),
+    textColumn('Charge_Limited_By', 'chargeLimitedBy'),
+    column('Sim_Time_s', 'simTime', 3),
+    column('Distance_km', 'distance', 4),
+    column('Range_km', 'range', 3),
+    column('Range_Low_km', 'rangeLow', 3),
+    column('Range_High_km', 'rangeHigh', 3),
+    column('Range_Actual_km', 'rangeActual', 3),
+    column('TTE_s', 'tte', 1),
+    column('TTE_Low_s', 'tteLow', 1),
+    column('TTE_High_s', 'tteHigh', 1),
+    column('TTE_Actual_s', 'tteActual', 1),
+    column('Ambient_C', 'ambientTemp', 2),
+    column('Surface_Temp_C', 'surfaceTemp', 2),
+    column('Coolant_Temp_C', 'coolantTemp', 2),
+    column('Thermal_Power_W', 'thermalPower', 1),
+    // Physics before injected sensor faults (the voltage keeps the ±0.05 V base sensor noise)
+    column('Voltage_True_V', 'voltageTrue', 4),
+    column('Current_True_A', 'currentTrue', 2),
+    column('Temperature_True_C', 'tempTrue', 2),
+    textColumn('Active_Faults', 'activeFaults'),
+];
+
+// Columns a file must have to be read back as a run
+const REQUIRED_HEADERS = ['Time_s', 'Voltage_V', 'Current_A', 'Temperature_C', 'SOC_Actual_pct', 'SOH_Actual_pct'];
+
+/** CSV text for logged rows; `metadata` values that are arrays give one comment line per item. */
+export const buildTelemetryCsv = (rows, metadata = {}, source = 'nn') => {
+    const metaRows = Object.entries(metadata)
+        .filter(([, value]) => value != null)
+        .flatMap(([key, value]) => [].concat(value).map(item => `# ${key}: ${String(item).replace(/[\r\n]+/g, ' ')}`));
+    const csvRows = rows.map(row => {
+        const model = modelColumns(row, source);
+        return COLUMNS.map(col => col.format(row, model)).join(',');
+    });
+    return [...metaRows, COLUMNS.map(col => col.header).join(','), ...csvRows].join('\n');
+};
+
+const slugify = (text) => text.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/** Download name, e.g. Battery_Model_Output_EV_Simulation_Data_City_Loop_2025-01-01T12-00-00-000Z.csv */
+export const telemetryFilename = (label, date = new Date()) => {
+    const timestamp = date.toISOString().replace(/[:.]/g, '-');
+    return `Battery_Model_Output_EV_Simulation_Data_${label ? `${slugify(label)}_` : ''}${timestamp}.csv`;
+};
+
+/**
+ * Reads a telemetry CSV written by buildTelemetryCsv (older files with fewer columns work too).
+ * Returns `{ metadata, rows }`; repeated metadata keys collect into arrays. Throws with a
+ * readable message when required columns are missing or a value is not a number.
+ */
+export const parseTelemetryCsv = (text, name = 'telemetry.csv') => {
+    const metadata = {};
+    const lines = [];
+    text.split(/\r?\n/).forEach(line => {
+        const meta = line.match(/^#\s*([^:]+):\s?(.*)$/);
+        if (meta) {
+            const [, key, value] = meta;
+            metadata[key] = key in metadata ? [].concat(metadata[key], value) : value;
+        } else if (line.trim() !== '' && !line.startsWith('#')) {
+            lines.push(line);
+        }
+    });
+    if (lines.length < 2) throw new Error(`${name}: expected a header and at least one sample.`);
+
+    const header = lines[0].split(',').map(h => h.trim());
+    const missing = REQUIRED_HEADERS.filter(h => !header.includes(h));
+    if (missing.length) throw new Error(`${name}: missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}.`);
+    const readers = header.map(h => COLUMNS.find(col => col.header === h && col.key));
+
+    const rows = lines.slice(1).map((line, i) => {
+        const row = { cells: null };
+        line.split(',').forEach((cell, j) => {
+            const col = readers[j];
+            if (!col) return;
+            const value = cell.trim() === '' ? null : col.text ? cell.trim() : Number(cell) / col.scale;
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                throw new Error(`${name}: non-numeric ${col.header} in sample ${i + 1}.`);
+            }
+            if (col.key.startsWith('cells.')) {
+                if (value != null) row.cells = { ...row.cells, [col.key.slice(6)]: value };
+            } else {
+                row[col.key] = value;
+            }
+        });
+        return row;
+    });
+    return { metadata, rows };
+};
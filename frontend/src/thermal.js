@@ -0,0 +1,122 @@
+// thermal.js - Two-node pack thermal model with a coolant loop, chiller, PTC heater and their controller
+//
+// Core node: the cells, heated by I²R (one node per cell with the per-cell pack model). Surface
+// node: casing and cold plate, coupled to the core through `coreToSurface` and to the ambient
+// air through `surfaceToAmbient`. While the pump runs, the coolant loop couples the surface to
+// the coolant, whose heat goes to the radiator (ambient), the chiller or comes from the heater;
+// heating and chilling bypass the radiator.
+// Heater, chiller and pump are electrical loads on the pack. Temperature feeds back through the
+// cell resistance tables and the available-capacity factor below.
+
+// Controller modes: automatic thermal management, or passive (no pump, heater or chiller)
+export const THERMAL_MODES = { auto: 'Automatic', off: 'Passive only' };
+
+export const DEFAULT_THERMAL_CONFIG = {
+    coreHeatCapacity: 60000, // J/K - cells (the coolingRate model's PACK_HEAT_CAPACITY)
+    surfaceHeatCapacity: 20000, // J/K - casing and cold plate
+    coolantHeatCapacity: 15000, // J/K - about 4 L of glycol mix
+    coreToSurface: 0.002, // K/W thermal resistance, cells to cold plate
+    surfaceToCoolant: 0.0015, // K/W with the pump running
+    surfaceToAmbient: 0.1, // K/W natural convection of the casing
+    radiatorToAmbient: 0.005, // K/W from the coolant with the pump running
+    pumpPowerW: 60,
+    heater: { maxPowerW: 5000, maxCoolantTemp: 45 }, // PTC, heat = electrical power
+    chiller: { maxCoolingW: 6000, cop: 2.5 }, // Cooling W per electrical W
+    // Hysteresis on the (hottest) core temperature, °C
+    controller: { heatOn: 5, heatOff: 10, pumpOn: 28, pumpOff: 25, chillOn: 35, chillOff: 30, chillFull: 40 },
+    // Share of the rated capacity available at the core temperature (cold cells deliver less)
+    capacity: { temps: [-20, -10, 0, 10, 25, 45], factors: [0.7, 0.8, 0.88, 0.95, 1, 1.02] },
+};
+
+/**
+ * Checks a thermal config (see DEFAULT_THERMAL_CONFIG): capacities and resistances positive,
+ * controller thresholds ordered. Throws with a readable message.
+ */
+export const validateThermalConfig = (config) => {
+    const positive = ['coreHeatCapacity', 'surfaceHeatCapacity', 'coolantHeatCapacity', 'coreToSurface', 'surfaceToCoolant', 'surfaceToAmbient', 'radiatorToAmbient'];
+    for (const key of positive) {
+        if (!(Number.isFinite(config[key]) && config[key] > 0)) throw new Error(`Thermal: ${key} must be a positive number.`);
+    }
+    if (!(config.pumpPowerW >= 0 && config.heater.maxPowerW >= 0 && config.chiller.maxCoolingW >= 0)) {
+        throw new Error('Thermal: pump, heater and chiller powers cannot be negative.');
+    }
+    if (!(config.chiller.cop > 0)) throw new Error('Thermal: chiller COP must be positive.');
+    const c = config.controller;
+    if (!(c.heatOn < c.heatOff && c.heatOff < c.pumpOff && c.pumpOff < c.pumpOn && c.chillOff < c.chillOn && c.chillOn < c.chillFull)) {
+        throw new Error('Thermal controller: expected heatOn < heatOff < pumpOff < pumpOn and chillOff < chillOn < chillFull.');
+    }
+    const { temps, factors } = config.capacity;
+    if (temps.length < 2 || temps.length !== factors.length || temps.some((t, i) => i > 0 && t <= temps[i - 1]) || factors.some(f => !(f > 0))) {
+        throw new Error('Thermal: capacity factors need increasing temperatures and one positive factor each.');
+    }
+    return config;
+};
+
+/** Share of the rated capacity available at `temp` °C (linear between breakpoints, clamped). */
+export const capacityFactor = (config, temp) => {
+    const { temps, factors } = config.capacity;
+    if (temp <= temps[0]) return factors[0];
+    const last = temps.length - 1;
+    if (temp >= temps[last]) return factors[last];
+    let i = 0;
+    while (temps[i + 1] < temp) i++;
+    return factors[i] + (factors[i + 1] - factors[i]) * (temp - temps[i]) / (temps[i + 1] - temps[i]);
+};
+
+/** Thermal state soaked at `temp`: surface and coolant nodes plus the actuators' latched states. */
+export const createThermalState = (temp) => ({
+    surface: temp, // °C
+    coolant: temp, // °C
+    heating: false, pumping: false, chilling: false,
+    heaterW: 0, chillerW: 0, pumpW: 0, // Electrical draw of the last step
+});
+
+/**
+ * Controller decision from the core temperature (the hottest cell with a per-cell pack).
+ * Returns the latched on/off states plus heater heat and chiller cooling (W).
+ */
+export const thermalControl = (thermal, coreTemp, mode, config) => {
+    if (mode === 'off') return { heating: false, pumping: false, chilling: false, heatW: 0, coolW: 0 };
+    const c = config.controller;
+    const heating = thermal.heating ? coreTemp < c.heatOff : coreTemp < c.heatOn;
+    const chilling = thermal.chilling ? coreTemp > c.chillOff : coreTemp > c.chillOn;
+    const pumping = heating || chilling || (thermal.pumping ? coreTemp > c.pumpOff : coreTemp > c.pumpOn);
+    const heatW = heating && thermal.coolant < config.heater.maxCoolantTemp ? config.heater.maxPowerW : 0;
+    // Chiller duty rises from a third at chillOff to full at chillFull
+    const duty = Math.max(1 / 3, Math.min(1, (coreTemp - c.chillOff) / (c.chillFull - c.chillOff)));
+    const coolW = chilling ? duty * config.chiller.maxCoolingW : 0;
+    return { heating, pumping, chilling, heatW, coolW };
+};
+
+/** Electrical power (W) the thermal system draws in `thermal` (the last step's decision). */
+export const thermalPower = (thermal) => thermal.heaterW + thermal.chillerW + thermal.pumpW;
+
+/**
+ * Advances the surface and coolant nodes by dt. `coreHeatW` is the heat the cores pass to the
+ * surface this step (from thermalCoreStep or the per-cell pack); `control` is thermalControl's
+ * output. Explicit Euler: fine for ENGINE_DT and the few-second look-ahead steps.
+ */
+export const thermalStep = (thermal, { coreHeatW, ambientTemp, control }, dt, config) => {
+    const { surface, coolant } = thermal;
+    const toAmbient = (surface - ambientTemp) / config.surfaceToAmbient;
+    const toCoolant = control.pumping ? (surface - coolant) / config.surfaceToCoolant : 0;
+    const radiator = control.pumping && !control.heating && !control.chilling ? (coolant - ambientTemp) / config.radiatorToAmbient : 0;
+
+    return {
+        surface: surface + (coreHeatW - toAmbient - toCoolant) / config.surfaceHeatCapacity * dt,
+        coolant: coolant + (toCoolant - radiator + control.heatW - control.coolW) / config.coolantHeatCapacity * dt,
+        heating: control.heating, pumping: control.pumping, chilling: control.chilling,
+        heaterW: control.heatW,
+        chillerW: control.coolW / config.chiller.cop,
+        pumpW: control.pumping ? config.pumpPowerW : 0,
+    };
+};
+
+/**
+ * Lumped core update: I²R heat `heatW` in, conduction to the surface node out. Returns the
+ * next core temperature and the heat passed to the surface (W).
+ */
+export const thermalCoreStep = (coreTemp, surfaceTemp, heatW, dt, config) => {
+    const toSurface = (coreTemp - surfaceTemp) / config.coreToSurface;
+    return { temp: coreTemp + (heatW - toSurface) / config.coreHeatCapacity * dt, toSurface };
+};
@@ -0,0 +1,115 @@
+// timeSeries.js - Full-run telemetry history for the charts: growable columnar store and min/max decimation
+//
+// A history holds one time column and one Float64Array per key; missing values are NaN. It is
+// appended to in place (arrays double when full), so the owner keeps a version counter to tell
+// charts when to redraw.
+
+export const createHistory = (keys, capacity = 4096) => ({
+    keys,
+    length: 0,
+    time: new Float64Array(capacity),
+    columns: Object.fromEntries(keys.map(key => [key, new Float64Array(capacity).fill(NaN)])),
+});
+
+const grow = (history) => {
+    const capacity = history.time.length * 2;
+    const resize = (array) => {
+        const next = new Float64Array(capacity).fill(NaN);
+        next.set(array);
+        return next;
+    };
+    history.time = resize(history.time);
+    history.keys.forEach(key => { history.columns[key] = resize(history.columns[key]); });
+};
+
+const toValue = (value) => (value == null || !Number.isFinite(value) ? NaN : value);
+
+/** Appends one sample at time `t` (s); keys missing from `values` are stored as NaN. */
+export const appendHistory = (history, t, values) => {
+    if (history.length === history.time.length) grow(history);
+    const i = history.length;
+    history.time[i] = t;
+    history.keys.forEach(key => { history.columns[key][i] = toValue(values[key]); });
+    history.length = i + 1;
+    return i;
+};
+
+/** Fills in a value that arrived after its sample was appended (e.g. a /predict answer). */
+export const setHistoryValue = (history, key, index, value) => {
+    if (index < history.length) history.columns[key][index] = toValue(value);
+};
+
+export const clearHistory = (history) => {
+    history.length = 0;
+};
+
+/** History from ready-made columns (`time` and `columns` of equal length; null means missing). */
+export const historyFromColumns = (time, columns) => {
+    const keys = Object.keys(columns);
+    const history = createHistory(keys, Math.max(1, time.length));
+    time.forEach((t, i) => appendHistory(history, t, Object.fromEntries(keys.map(key => [key, columns[key][i]]))));
+    return history;
+};
+
+/** First index in [0, length) whose time is >= t (length when none is). Times must not decrease. */
+export const indexAtTime = (time, length, t) => {
+    let lo = 0, hi = length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (time[mid] < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+/**
+ * Points of `values` over indices [start, end) reduced to at most 2 per bucket: each bucket's
+ * minimum and maximum in time order, so spikes survive. A bucket with no finite value gives one
+ * NaN point (a gap). Returns `{ t, v }` arrays.
+ */
+export const decimate = (time, values, start, end, buckets) => {
+    const t = [], v = [];
+    if (end - start <= 2 * buckets) {
+        for (let i = start; i < end; i++) { t.push(time[i]); v.push(values[i]); }
+        return { t, v };
+    }
+    const count = end - start;
+    for (let b = 0; b < buckets; b++) {
+        const from = start + Math.floor(b * count / buckets), to = start + Math.floor((b + 1) * count / buckets);
+        let iMin = -1, iMax = -1;
+        for (let i = from; i < to; i++) {
+            const x = values[i];
+            if (Number.isNaN(x)) continue;
+            if (iMin === -1 || x < values[iMin]) iMin = i;
+            if (iMax === -1 || x > values[iMax]) iMax = i;
+        }
+        if (iMin === -1) {
+            t.push(time[from]);
+            v.push(NaN);
+        } else {
+            const first = Math.min(iMin, iMax), second = Math.max(iMin, iMax);
+            t.push(time[first]); v.push(values[first]);
+            if (second !== first) { t.push(time[second]); v.push(values[second]); }
+        }
+    }
+    return { t, v };
+};
+
+/** Band (lower/upper columns) over [start, end) reduced to one envelope point per bucket. */
+export const decimateBand = (time, lower, upper, start, end, buckets) => {
+    const t = [], lo = [], hi = [];
+    const count = end - start;
+    const n = Math.min(count, buckets);
+    for (let b = 0; b < n; b++) {
+        const from = start + Math.floor(b * count / n), to = start + Math.floor((b + 1) * count / n);
+        let l = Infinity, h = -Infinity;
+        for (let i = from; i < to; i++) {
+            if (lower[i] < l) l = lower[i];
+            if (upper[i] > h) h = upper[i];
+        }
+        t.push(time[from]);
+        lo.push(Number.isFinite(l) ? l : NaN);
+        hi.push(Number.isFinite(h) ? h : NaN);
+    }
+    return { t, lo, hi };
+};
@@ -0,0 +1,225 @@
+// vehicle.js - Longitudinal vehicle dynamics: road loads, motor/inverter limits and the electrical power they draw
+//
+// The throttle asks for a fraction of the torque the motor can give at its present speed
+// (constant torque up to base speed, constant power above it). The brake pedal asks for a
+// fraction of the maximum braking deceleration; the regen level decides how much of that the
+// motor recovers, up to its regen torque/power limit, and the friction brakes do the rest.
+// Mass, aero drag, rolling resistance and gravity on the grade then give the acceleration.
+// Electrical power = mechanical power through the motor/inverter efficiency map; the battery
+// current follows from it and the pack voltage, so battery limits cap the available torque.
+
+export const GRAVITY = 9.81; // m/s²
+
+// Efficiency of motor + inverter, bilinear in motor speed and |torque| / maxTorque
+const DEFAULT_EFFICIENCY_MAP = {
+    speedRpm: [0, 1000, 3000, 6000, 9000, 12000, 15000],
+    torqueFraction: [0, 0.1, 0.25, 0.5, 0.75, 1],
+    values: [
+        [0.50, 0.60, 0.70, 0.72, 0.70, 0.68, 0.65],
+        [0.60, 0.78, 0.86, 0.89, 0.88, 0.86, 0.84],
+        [0.65, 0.84, 0.91, 0.93, 0.93, 0.92, 0.90],
+        [0.68, 0.86, 0.93, 0.95, 0.95, 0.94, 0.92],
+        [0.66, 0.85, 0.92, 0.94, 0.94, 0.93, 0.91],
+        [0.62, 0.82, 0.90, 0.92, 0.92, 0.91, 0.89],
+    ],
+};
+
+// A compact car sized for the 96S1P 27 Ah pack (about 100 kW peak, 35 kW regen at its current limits)
+export const DEFAULT_VEHICLE_CONFIG = {
+    massKg: 1500, // Kerb weight plus driver
+    dragCoefficient: 0.29,
+    frontalAreaM2: 2.2,
+    rollingResistance: 0.009, // Coefficient (N per N of normal load)
+    airDensity: 1.225, // kg/m³
+    rotationalMassFactor: 1.05, // Equivalent inertia of wheels and rotor as extra mass
+    wheelRadiusM: 0.31,
+    gearRatio: 9,
+    gearEfficiency: 0.97,
+    maxBrakeDecel: 9, // m/s² at full brake pedal (friction + regen)
+    auxPowerW: 400, // Always-on electrical load (electronics, pumps, HVAC idle)
+    torqueTimeConstant: 0.1, // s - motor torque response to a new request
+    motor: {
+        maxTorqueNm: 250,
+        maxPowerKw: 100, // Drive power limit above base speed
+        maxRegenPowerKw: 35,
+        maxSpeedRpm: 14000, // No drive torque above this (sets the top speed)
+        efficiency: DEFAULT_EFFICIENCY_MAP,
+    },
+};
+
+/**
+ * Checks a vehicle config (see DEFAULT_VEHICLE_CONFIG): physical quantities must be positive
+ * and the efficiency map must match its breakpoints. Throws with a readable message.
+ */
+export const validateVehicleConfig = (config) => {
+    const positive = {
+        massKg: 'Mass', dragCoefficient: 'Drag coefficient', frontalAreaM2: 'Frontal area', airDensity: 'Air density',
+        wheelRadiusM: 'Wheel radius', gearRatio: 'Gear ratio', maxBrakeDecel: 'Max brake deceleration',
+    };
+    for (const [key, label] of Object.entries(positive)) {
+        if (!(Number.isFinite(config[key]) && config[key] > 0)) throw new Error(`Vehicle: ${label} must be a positive number.`);
+    }
+    if (!(config.rollingResistance >= 0)) throw new Error('Vehicle: rolling resistance cannot be negative.');
+    if (!(config.rotationalMassFactor >= 1)) throw new Error('Vehicle: rotational mass factor must be at least 1.');
+    if (!(config.gearEfficiency > 0 && config.gearEfficiency <= 1)) throw new Error('Vehicle: gear efficiency must be in (0, 1].');
+    if (!(config.auxPowerW >= 0)) throw new Error('Vehicle: auxiliary power cannot be negative.');
+    if (!(config.torqueTimeConstant >= 0)) throw new Error('Vehicle: torque time constant cannot be negative.');
+
+    const { motor } = config;
+    for (const key of ['maxTorqueNm', 'maxPowerKw', 'maxSpeedRpm']) {
+        if (!(Number.isFinite(motor[key]) && motor[key] > 0)) throw new Error(`Vehicle motor: ${key} must be a positive number.`);
+    }
+    if (!(motor.maxRegenPowerKw >= 0)) throw new Error('Vehicle motor: maxRegenPowerKw cannot be negative.');
+    const map = motor.efficiency;
+    const increasing = (axis) => axis.length >= 2 && axis.every((v, i) => Number.isFinite(v) && (i === 0 || v > axis[i - 1]));
+    if (!increasing(map.speedRpm) || !increasing(map.torqueFraction)) {
+        throw new Error('Vehicle motor: efficiency breakpoints must be increasing numbers.');
+    }
+    if (map.values.length !== map.torqueFraction.length
+        || map.values.some(row => row.length !== map.speedRpm.length || row.some(v => !(v > 0 && v <= 1)))) {
+        throw new Error(`Vehicle motor: efficiency map must be ${map.torqueFraction.length} x ${map.speedRpm.length} values in (0, 1].`);
+    }
+    return config;
+};
+
+// Index of the segment of `axis` holding x and the fraction along it (clamped to the ends)
+const locate = (axis, x) => {
+    if (x <= axis[0]) return [0, 0];
+    const last = axis.length - 1;
+    if (x >= axis[last]) return [last - 1, 1];
+    let i = 0;
+    while (axis[i + 1] < x) i++;
+    return [i, (x - axis[i]) / (axis[i + 1] - axis[i])];
+};
+
+/** Motor + inverter efficiency at `rpm` and shaft torque `torque` (either sign). */
+export const motorEfficiency = (vehicle, rpm, torque) => {
+    const { efficiency: map, maxTorqueNm } = vehicle.motor;
+    const [i, fi] = locate(map.torqueFraction, Math.abs(torque) / maxTorqueNm);
+    const [j, fj] = locate(map.speedRpm, Math.abs(rpm));
+    const row = (r) => map.values[r][j] + (map.values[r][j + 1] - map.values[r][j]) * fj;
+    return row(i) + (row(i + 1) - row(i)) * fi;
+};
+
+export const motorSpeedRpm = (vehicle, speedKmh) => speedKmh / 3.6 / vehicle.wheelRadiusM * vehicle.gearRatio * 60 / (2 * Math.PI);
+
+// Torque limit for a power limit (W) at `rpm`, capped by the torque rating
+const torqueForPower = (vehicle, powerW, rpm) => {
+    const omega = rpm * 2 * Math.PI / 60;
+    return omega > 1e-6 ? Math.min(vehicle.motor.maxTorqueNm, powerW / omega) : vehicle.motor.maxTorqueNm;
+};
+
+/** Drive torque (Nm) the motor can give at `rpm`: flat to base speed, constant power above, none past max speed. */
+export const availableDriveTorque = (vehicle, rpm) => (
+    rpm >= vehicle.motor.maxSpeedRpm ? 0 : torqueForPower(vehicle, vehicle.motor.maxPowerKw * 1000, rpm)
+);
+
+/** Regen torque (Nm, positive) the motor can absorb at `rpm`. */
+export const availableRegenTorque = (vehicle, rpm) => torqueForPower(vehicle, vehicle.motor.maxRegenPowerKw * 1000, rpm);
+
+/** Electrical power (W, positive = drawn from the pack) for shaft `torque` at `rpm`, without the auxiliary load. */
+export const electricalPower = (vehicle, torque, rpm) => {
+    const mechanical = torque * rpm * 2 * Math.PI / 60;
+    if (mechanical === 0) return 0;
+    const eta = motorEfficiency(vehicle, rpm, torque);
+    return mechanical > 0 ? mechanical / eta : mechanical * eta;
+};
+
+/** Resistive forces (N) at `speedKmh` on `grade` degrees; rolling resistance only acts while moving. */
+export const roadLoads = (vehicle, speedKmh, grade) => {
+    const v = speedKmh / 3.6;
+    const theta = grade * Math.PI / 180;
+    return {
+        aero: 0.5 * vehicle.airDensity * vehicle.dragCoefficient * vehicle.frontalAreaM2 * v * v,
+        rolling: v > 0 ? vehicle.rollingResistance * vehicle.massKg * GRAVITY * Math.cos(theta) : 0,
+        grade: vehicle.massKg * GRAVITY * Math.sin(theta),
+    };
+};
+
+// Wheel force (N) from shaft torque, with gear losses against the direction of power flow
+const wheelForce = (vehicle, torque) => {
+    const force = torque * vehicle.gearRatio / vehicle.wheelRadiusM;
+    return torque >= 0 ? force * vehicle.gearEfficiency : force / vehicle.gearEfficiency;
+};
+
+const shaftTorque = (vehicle, force) => {
+    const torque = force * vehicle.wheelRadiusM / vehicle.gearRatio;
+    return force >= 0 ? torque / vehicle.gearEfficiency : torque * vehicle.gearEfficiency;
+};
+
+export const createDriveState = () => ({ torque: 0 });
+
+/**
+ * One step of the vehicle. `throttle` and `brake` are pedal travel (%), `regenLevel` the share
+ * (%) of the motor's regen capability used for braking. `powerLimits` are the electrical powers
+ * (W, positive) the pack can deliver and accept for the motor after the auxiliary load.
+ * Returns the next drive state plus speed (km/h), shaft torque (Nm), the motor's electrical
+ * power (W) and the wheel forces (N) for display.
+ */
+export const vehicleStep = (drive, speedKmh, { throttle, brake, regenLevel, grade, powerLimits }, dt, vehicle) => {
+    const rpm = motorSpeedRpm(vehicle, speedKmh);
+    const massEff = vehicle.massKg * vehicle.rotationalMassFactor;
+
+    // Pedal requests: drive torque, then the brake force split into regen and friction
+    const driveTorque = throttle / 100 * availableDriveTorque(vehicle, rpm);
+    const brakeForce = speedKmh > 0 ? brake / 100 * vehicle.massKg * vehicle.maxBrakeDecel : 0;
+    const regenForceLimit = -wheelForce(vehicle, -regenLevel / 100 * availableRegenTorque(vehicle, rpm));
+    const regenForce = Math.min(brakeForce, regenForceLimit);
+    const requested = driveTorque + shaftTorque(vehicle, -regenForce);
+
+    // The pack's power limits cap the torque (the efficiency is taken at the requested torque)
+    let request = requested;
+    if (request > 0) {
+        request = Math.min(request, torqueForPower(vehicle, powerLimits.discharge * motorEfficiency(vehicle, rpm, request), rpm));
+    } else if (request < 0) {
+        request = -Math.min(-request, torqueForPower(vehicle, powerLimits.charge / motorEfficiency(vehicle, rpm, request), rpm));
+    }
+    const tau = vehicle.torqueTimeConstant;
+    const torque = tau > 0 ? request + (drive.torque - request) * Math.exp(-dt / tau) : request;
+
+    // Braking the motor does not deliver (limits, torque lag) is made up by the friction brakes
+    const traction = wheelForce(vehicle, torque);
+    const shortfall = brakeForce > 0 ? Math.max(0, traction - wheelForce(vehicle, requested)) : 0;
+    const friction = Math.min(brakeForce, brakeForce - regenForce + shortfall);
+    const loads = roadLoads(vehicle, speedKmh, grade);
+    const v = speedKmh / 3.6;
+    let nextV;
+    if (v > 0) {
+        nextV = Math.max(0, v + (traction - loads.aero - loads.rolling - loads.grade - friction) / massEff * dt);
+    } else {
+        // Standing still: pull away only once the traction beats the slope and static rolling resistance
+        const breakaway = traction - loads.grade - vehicle.rollingResistance * vehicle.massKg * GRAVITY;
+        nextV = breakaway > 0 && brake === 0 ? breakaway / massEff * dt : 0;
+    }
+
+    return {
+        drive: { torque },
+        speed: nextV * 3.6,
+        torque,
+        electricalPower: electricalPower(vehicle, torque, rpm),
+        tractionForce: traction,
+        frictionBrakeForce: friction,
+    };
+};
+
+/**
+ * Signed pedal (%) that gives acceleration `accel` (m/s²) at `speedKmh` on `grade`: positive is
+ * throttle, negative is brake. The scripted driver uses it as its feed-forward.
+ */
+export const pedalForAcceleration = (vehicle, speedKmh, grade, accel) => {
+    const loads = roadLoads(vehicle, Math.max(speedKmh, 0.1), grade);
+    const force = vehicle.massKg * vehicle.rotationalMassFactor * accel + loads.aero + loads.rolling + loads.grade;
+    if (force >= 0) {
+        const available = availableDriveTorque(vehicle, motorSpeedRpm(vehicle, speedKmh));
+        return available > 0 ? 100 * shaftTorque(vehicle, force) / available : 100;
+    }
+    return 100 * force / (vehicle.massKg * vehicle.maxBrakeDecel);
+};
+
+/** Steady-speed battery consumption (Wh/km) at `speedKmh` on `grade`, auxiliary load included. */
+export const steadyConsumptionWhPerKm = (vehicle, speedKmh, grade = 0) => {
+    const loads = roadLoads(vehicle, speedKmh, grade);
+    const rpm = motorSpeedRpm(vehicle, speedKmh);
+    const power = electricalPower(vehicle, shaftTorque(vehicle, loads.aero + loads.rolling + loads.grade), rpm) + vehicle.auxPowerW;
+    return power / speedKmh;
+};
@@ -0,0 +1,277 @@
+// vehicleSetup.js - The whole simulator setup: pack layout, current limits, vehicle, thermal, BMS and run length
+//
+// A setup is { preset, name, battery, limits, run, pack, bms, vehicle, thermal }: `battery`,
+// `limits` and `run` are described below, the rest are the engine's own configs (see
+// DEFAULT_CONFIG; null where the engine allows it). The cells keep the chemistry of
+// battery_params.json - a setup picks how many there are, their capacity and a resistance scale.
+// Setups start from a preset, are saved as JSON and shared as a URL hash holding only what
+// differs from their preset.
+import { DEFAULT_CONFIG, MAX_DISCHARGE_CURRENT, MAX_CHARGE_CURRENT, MAX_CHARGE_C_RATE, REFERENCE_SOC, MAX_SPEED_KMH } from './engine';
+import { packCapacityAh, packNominalVoltage } from './batteryModel';
+import { agedBattery } from './aging';
+import { DEFAULT_PACK_CONFIG } from './pack';
+import { DEFAULT_BMS_CONFIG, validateBmsConfig } from './bms';
+import { DEFAULT_VEHICLE_CONFIG, validateVehicleConfig } from './vehicle';
+import { DEFAULT_THERMAL_CONFIG, validateThermalConfig } from './thermal';
+
+export const SETUP_VERSION = 1;
+export const DEFAULT_RUN_SECONDS = 20; // Real-time length of a live run
+export const MAX_RUN_SECONDS = 24 * 3600;
+const HASH_KEY = 'setup';
+
+// BMS over-current thresholds sized to a preset's current limits
+const overCurrentBms = (warning, derate, cutoff) => ({
+    ...DEFAULT_BMS_CONFIG,
+    faults: { ...DEFAULT_BMS_CONFIG.faults, overCurrent: { ...DEFAULT_BMS_CONFIG.faults.overCurrent, warning, derate, cutoff } },
+});
+
+// Thermal masses and couplings grow with the number of cells
+const scaledThermal = ({ cells, heaterW, chillerW }) => {
+    const k = cells / 96;
+    const base = DEFAULT_THERMAL_CONFIG;
+    return {
+        ...base,
+        coreHeatCapacity: Math.round(base.coreHeatCapacity * k),
+        surfaceHeatCapacity: Math.round(base.surfaceHeatCapacity * Math.sqrt(k)),
+        coolantHeatCapacity: Math.round(base.coolantHeatCapacity * Math.sqrt(k)),
+        coreToSurface: Number((base.coreToSurface / k).toPrecision(3)),
+        surfaceToCoolant: Number((base.surfaceToCoolant / Math.sqrt(k)).toPrecision(3)),
+        radiatorToAmbient: Number((base.radiatorToAmbient / Math.sqrt(k)).toPrecision(3)),
+        heater: { ...base.heater, maxPowerW: heaterW },
+        chiller: { ...base.chiller, maxCoolingW: chillerW },
+    };
+};
+
+// Today's defaults, so a setup that is never touched runs exactly as before
+const REFERENCE_SETUP = {
+    battery: {
+        series: DEFAULT_CONFIG.battery.layout.series,
+        parallel: DEFAULT_CONFIG.battery.layout.parallel,
+        cellCapacityAh: DEFAULT_CONFIG.battery.cell.capacityAh,
+        resistance: 100, // % of the cell's resistance tables
+    },
+    limits: {
+        maxDischargeCurrent: MAX_DISCHARGE_CURRENT, // A
+        maxChargeCurrent: MAX_CHARGE_CURRENT, // A, regen and charging
+        maxChargeCRate: MAX_CHARGE_C_RATE, // C the cells accept from a charger between 20 and 40 °C
+        maxSpeed: MAX_SPEED_KMH, // km/h at full throttle (lumped throttle model only)
+    },
+    run: {
+        durationSeconds: DEFAULT_RUN_SECONDS, // Live runs stop after this; null runs until stopped
+        startSoc: REFERENCE_SOC, // % for live and scenario runs, and the DOD reference
+    },
+    pack: DEFAULT_PACK_CONFIG,
+    bms: DEFAULT_BMS_CONFIG,
+    vehicle: DEFAULT_VEHICLE_CONFIG,
+    thermal: DEFAULT_THERMAL_CONFIG,
+};
+
+export const SETUP_PRESETS = [
+    {
+        id: 'reference',
+        name: 'Reference compact',
+        description: '96S1P, 355 V, 9.6 kWh; 1500 kg compact with a 100 kW motor. The pack the drive-cycle logs were recorded on.',
+        ...REFERENCE_SETUP,
+    },
+    {
+        id: 'city',
+        name: 'Small city EV',
+        description: '88S2P, 326 V, 17.6 kWh; light 1150 kg hatchback with a 60 kW motor, top speed about 135 km/h.',
+        ...REFERENCE_SETUP,
+        battery: { ...REFERENCE_SETUP.battery, series: 88, parallel: 2 },
+        limits: { maxDischargeCurrent: 250, maxChargeCurrent: 110, maxChargeCRate: 1.5, maxSpeed: 135 },
+        bms: overCurrentBms(200, 225, 260),
+        vehicle: {
+            ...DEFAULT_VEHICLE_CONFIG, massKg: 1150, dragCoefficient: 0.31, frontalAreaM2: 2.1, wheelRadiusM: 0.29, gearRatio: 9.5, auxPowerW: 300,
+            motor: { ...DEFAULT_VEHICLE_CONFIG.motor, maxTorqueNm: 170, maxPowerKw: 60, maxRegenPowerKw: 30, maxSpeedRpm: 12000 },
+        },
+        thermal: scaledThermal({ cells: 176, heaterW: 4000, chillerW: 5000 }),
+    },
+    {
+        id: 'sedan400',
+        name: '400 V sedan',
+        description: '108S6P, 400 V, 65 kWh; 1900 kg sedan with a 200 kW motor and 90 kW regen.',
+        ...REFERENCE_SETUP,
+        battery: { ...REFERENCE_SETUP.battery, series: 108, parallel: 6 },
+        limits: { maxDischargeCurrent: 600, maxChargeCurrent: 300, maxChargeCRate: 2, maxSpeed: 200 },
+        bms: overCurrentBms(500, 560, 640),
+        vehicle: {
+            ...DEFAULT_VEHICLE_CONFIG, massKg: 1900, dragCoefficient: 0.24, frontalAreaM2: 2.3, rollingResistance: 0.008, wheelRadiusM: 0.33, auxPowerW: 500,
+            motor: { ...DEFAULT_VEHICLE_CONFIG.motor, maxTorqueNm: 420, maxPowerKw: 200, maxRegenPowerKw: 90, maxSpeedRpm: 16000 },
+        },
+        thermal: scaledThermal({ cells: 648, heaterW: 7000, chillerW: 9000 }),
+    },
+    {
+        id: 'performance800',
+        name: '800 V performance',
+        description: '192S4P, 710 V, 77 kWh; 2200 kg performance car with a 450 kW motor and 250 kW regen.',
+        ...REFERENCE_SETUP,
+        battery: { ...REFERENCE_SETUP.battery, series: 192, parallel: 4 },
+        limits: { maxDischargeCurrent: 700, maxChargeCurrent: 400, maxChargeCRate: 2.5, maxSpeed: 250 },
+        bms: overCurrentBms(600, 660, 760),
+        vehicle: {
+            ...DEFAULT_VEHICLE_CONFIG, massKg: 2200, dragCoefficient: 0.25, frontalAreaM2: 2.35, wheelRadiusM: 0.35, gearRatio: 8.5, auxPowerW: 600,
+            motor: { ...DEFAULT_VEHICLE_CONFIG.motor, maxTorqueNm: 700, maxPowerKw: 450, maxRegenPowerKw: 250, maxSpeedRpm: 16000 },
+        },
+        thermal: scaledThermal({ cells: 768, heaterW: 9000, chillerW: 15000 }),
+    },
+];
+
+/** The setup a preset starts from. */
+export const presetSetup = (id) => {
+    const preset = SETUP_PRESETS.find(p => p.id === id);
+    if (!preset) throw new Error(`Unknown setup preset "${id}".`);
+    const { id: presetId, name, battery, limits, run, pack, bms, vehicle, thermal } = preset;
+    return { preset: presetId, name, battery, limits, run, pack, bms, vehicle, thermal };
+};
+
+export const DEFAULT_SETUP = presetSetup('reference');
+
+/** Checks the setup's own sections (battery, limits, run); throws with a readable message. */
+export const validateBatterySetup = ({ battery, limits, run }) => {
+    if (!(Number.isInteger(battery.series) && battery.series >= 1 && battery.series <= 400)) throw new Error('Battery: cells in series must be a whole number from 1 to 400.');
+    if (!(Number.isInteger(battery.parallel) && battery.parallel >= 1 && battery.parallel <= 50)) throw new Error('Battery: cells in parallel must be a whole number from 1 to 50.');
+    if (!(battery.cellCapacityAh > 0 && battery.cellCapacityAh <= 1000)) throw new Error('Battery: cell capacity must be above 0 and at most 1000 Ah.');
+    if (!(battery.resistance >= 10 && battery.resistance <= 1000)) throw new Error('Battery: cell resistance must be 10 to 1000 % of the tables.');
+    if (!(limits.maxDischargeCurrent > 0 && limits.maxDischargeCurrent <= 5000)) throw new Error('Limits: max discharge current must be above 0 and at most 5000 A.');
+    if (!(limits.maxChargeCurrent > 0 && limits.maxChargeCurrent <= 5000)) throw new Error('Limits: max charge current must be above 0 and at most 5000 A.');
+    if (!(limits.maxChargeCRate > 0 && limits.maxChargeCRate <= 10)) throw new Error('Limits: charge C-rate must be above 0 and at most 10.');
+    if (!(limits.maxSpeed > 0 && limits.maxSpeed <= 500)) throw new Error('Limits: max speed must be above 0 and at most 500 km/h.');
+    if (!(run.durationSeconds === null || (run.durationSeconds > 0 && run.durationSeconds <= MAX_RUN_SECONDS))) {
+        throw new Error(`Run: length must be above 0 and at most ${MAX_RUN_SECONDS} s, or unlimited.`);
+    }
+    if (!(run.startSoc >= 1 && run.startSoc <= 100)) throw new Error('Run: start SOC must be 1 to 100 %.');
+    return { battery, limits, run };
+};
+
+/** Checks a whole setup, including the pack, BMS, vehicle and thermal configs; throws with a readable message. */
+export const validateSetup = (setup) => {
+    if (!setup || typeof setup !== 'object') throw new Error('Setup: expected an object.');
+    validateBatterySetup(setup);
+    const { pack, bms, vehicle, thermal } = setup;
+    if (pack !== null) {
+        const spreads = ['capacitySpread', 'resistanceSpread', 'socSpread', 'coolingSpread', 'neighbourConductance'];
+        if (!spreads.every(key => pack[key] >= 0)) throw new Error('Pack: spreads and conductance cannot be negative.');
+    }
+    if (!bms) throw new Error('Setup: BMS thresholds are missing.');
+    validateBmsConfig(bms);
+    if (vehicle !== null) validateVehicleConfig(vehicle);
+    if (thermal !== null) validateThermalConfig(thermal);
+    return setup;
+};
+
+/** Battery parameters of a setup: the reference cell tables with its layout, capacity and resistance. */
+export const setupBattery = ({ series, parallel, cellCapacityAh, resistance }) => {
+    const base = DEFAULT_CONFIG.battery;
+    const battery = agedBattery({ ...base, cell: { ...base.cell, capacityAh: cellCapacityAh } }, 100, resistance - 100);
+    return { ...battery, name: `NMC ${cellCapacityAh} Ah cell, ${series}S${parallel}P pack`, layout: { series, parallel } };
+};
+
+/** Engine config (see DEFAULT_CONFIG) for a setup. */
+export const setupEngineConfig = (setup) => ({
+    ...DEFAULT_CONFIG,
+    battery: setupBattery(setup.battery),
+    maxDischargeCurrent: setup.limits.maxDischargeCurrent,
+    maxChargeCurrent: setup.limits.maxChargeCurrent,
+    maxChargeCRate: setup.limits.maxChargeCRate,
+    referenceSoc: setup.run.startSoc,
+    maxSpeed: setup.limits.maxSpeed,
+    pack: setup.pack,
+    bms: setup.bms,
+    vehicle: setup.vehicle,
+    thermal: setup.thermal,
+});
+
+/** Pack voltage, capacity and energy of a setup's battery, for labels. */
+export const setupPackSummary = (setup) => {
+    const battery = setupBattery(setup.battery);
+    const capacityAh = packCapacityAh(battery);
+    const voltage = packNominalVoltage(battery);
+    return { voltage, capacityAh, energyKwh: voltage * capacityAh / 1000 };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// What `value` changes relative to `base` (undefined when nothing does); objects are compared key by key
+const diffValue = (value, base) => {
+    if (isPlainObject(value) && isPlainObject(base)) {
+        const changes = {};
+        for (const key of Object.keys(value)) {
+            const change = diffValue(value[key], base[key]);
+            if (change !== undefined) changes[key] = change;
+        }
+        return Object.keys(changes).length ? changes : undefined;
+    }
+    return JSON.stringify(value) === JSON.stringify(base) ? undefined : value;
+};
+
+// `base` with `changes` applied (see diffValue)
+const mergeValue = (base, changes) => {
+    if (changes === undefined) return base;
+    if (!isPlainObject(changes) || !isPlainObject(base)) return changes;
+    const merged = { ...base };
+    for (const [key, change] of Object.entries(changes)) merged[key] = mergeValue(base[key], change);
+    return merged;
+};
+
+// A setup from `changes` to a preset (the preset named in `raw.preset`, else the reference)
+const setupFromChanges = (raw) => {
+    if (!isPlainObject(raw)) throw new Error('Setup: expected a JSON object.');
+    if (raw.version > SETUP_VERSION) throw new Error(`Setup: version ${raw.version} is newer than this simulator (${SETUP_VERSION}).`);
+    const base = presetSetup(raw.preset ?? DEFAULT_SETUP.preset);
+    const known = ['name', 'battery', 'limits', 'run', 'pack', 'bms', 'vehicle', 'thermal'];
+    const merged = { ...base };
+    for (const key of known) merged[key] = mergeValue(base[key], raw[key]);
+    return validateSetup(merged);
+};
+
+/** True when the setup differs from its preset. */
+export const setupModified = (setup) => {
+    const { preset, ...rest } = setup;
+    const { preset: _preset, ...base } = presetSetup(preset);
+    return diffValue(rest, base) !== undefined;
+};
+
+/** The full setup as JSON, for saving to a file. */
+export const setupToJson = (setup) => JSON.stringify({ version: SETUP_VERSION, ...setup }, null, 2);
+
+/**
+ * Reads a setup saved as JSON and validates it. Sections it leaves out come from its preset,
+ * so a file may hold only the values it changes.
+ */
+export const parseSetupJson = (text) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Setup file is not valid JSON: ${err.message}`);
+    }
+    return setupFromChanges(raw);
+};
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => new TextDecoder().decode(
+    Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0)),
+);
+
+/** URL hash ("#setup=...") carrying the setup as its preset plus what differs from it. */
+export const setupToHash = (setup) => {
+    const { preset, ...rest } = setup;
+    const { preset: _preset, ...base } = presetSetup(preset);
+    const changes = diffValue(rest, base) ?? {};
+    return `#${HASH_KEY}=${toBase64Url(JSON.stringify({ version: SETUP_VERSION, preset, ...changes }))}`;
+};
+
+/** The setup in a URL hash made by setupToHash, or null when there is none. Throws on a damaged one. */
+export const setupFromHash = (hash) => {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+    if (!encoded) return null;
+    let raw;
+    try {
+        raw = JSON.parse(fromBase64Url(encoded));
+    } catch {
+        throw new Error('The setup in this link is damaged.');
+    }
+    return setupFromChanges(raw);
+};
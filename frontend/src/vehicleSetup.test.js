@@ -0,0 +1,93 @@
+// vehicleSetup.test.js - Setup presets, validation, the engine config and the JSON / URL hash round trips
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CONFIG } from './engine';
+import {
+    SETUP_VERSION, SETUP_PRESETS, DEFAULT_SETUP, presetSetup, validateSetup, setupEngineConfig, setupPackSummary,
+    setupModified, setupToJson, parseSetupJson, setupToHash, setupFromHash
+} from './vehicleSetup';
+
+const withSection = (setup, section, changes) => ({ ...setup, [section]: { ...setup[section], ...changes } });
+const decodeHash = (hash) => JSON.parse(atob(hash.slice('#setup='.length).replace(/-/g, '+').replace(/_/g, '/')));
+
+describe('presets', () => {
+    it('are all valid setups', () => {
+        for (const preset of SETUP_PRESETS) expect(() => validateSetup(presetSetup(preset.id)), preset.id).not.toThrow();
+        expect(() => presetSetup('tractor')).toThrow('Unknown setup preset "tractor".');
+    });
+
+    it('runs the reference setup exactly like DEFAULT_CONFIG', () => {
+        const { battery: { name, ...battery }, ...config } = setupEngineConfig(DEFAULT_SETUP);
+        const { battery: { name: _name, ...defaultBattery }, ...defaults } = DEFAULT_CONFIG;
+        expect(config).toEqual(defaults);
+        expect(battery).toEqual(defaultBattery);
+        expect(name).toBe('NMC 27 Ah cell, 96S1P pack');
+    });
+
+    it('sizes the pack from the layout and the cell capacity', () => {
+        const sedan = presetSetup('sedan400');
+        expect(setupPackSummary(sedan).capacityAh).toBe(6 * 27);
+        expect(setupEngineConfig(sedan).battery.layout).toEqual({ series: 108, parallel: 6 });
+        const summary = setupPackSummary(DEFAULT_SETUP);
+        expect(summary.energyKwh).toBeCloseTo(summary.voltage * 27 / 1000, 12);
+    });
+});
+
+describe('validateSetup', () => {
+    it('rejects out-of-range battery, limit and run values', () => {
+        expect(() => validateSetup(null)).toThrow('Setup: expected an object.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'battery', { series: 0 }))).toThrow('Battery: cells in series must be a whole number from 1 to 400.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'battery', { parallel: 1.5 }))).toThrow('Battery: cells in parallel must be a whole number from 1 to 50.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'battery', { resistance: 5 }))).toThrow('Battery: cell resistance must be 10 to 1000 % of the tables.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'limits', { maxChargeCRate: 0 }))).toThrow('Limits: charge C-rate must be above 0 and at most 10.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'limits', { maxDischargeCurrent: NaN }))).toThrow('Limits: max discharge current must be above 0 and at most 5000 A.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'run', { durationSeconds: 0 }))).toThrow('Run: length must be above 0');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'run', { durationSeconds: null }))).not.toThrow();
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'run', { startSoc: 0 }))).toThrow('Run: start SOC must be 1 to 100 %.');
+    });
+
+    it('checks the engine configs it carries', () => {
+        expect(() => validateSetup({ ...DEFAULT_SETUP, bms: null })).toThrow('Setup: BMS thresholds are missing.');
+        expect(() => validateSetup(withSection(DEFAULT_SETUP, 'pack', { socSpread: -1 }))).toThrow('Pack: spreads and conductance cannot be negative.');
+        const bms = { ...DEFAULT_SETUP.bms, faults: { ...DEFAULT_SETUP.bms.faults, overTemp: { ...DEFAULT_SETUP.bms.faults.overTemp, cutoff: 40 } } };
+        expect(() => validateSetup({ ...DEFAULT_SETUP, bms })).toThrow('BMS overTemp: expected warning < derate < cutoff.');
+        expect(() => validateSetup({ ...DEFAULT_SETUP, pack: null, vehicle: null, thermal: null })).not.toThrow();
+    });
+});
+
+describe('saving and sharing', () => {
+    const edited = withSection(withSection(presetSetup('city'), 'limits', { maxChargeCRate: 1.2 }), 'battery', { cellCapacityAh: 30 });
+
+    it('round-trips a setup through JSON', () => {
+        expect(parseSetupJson(setupToJson(edited))).toEqual(edited);
+        expect(JSON.parse(setupToJson(edited)).version).toBe(SETUP_VERSION);
+    });
+
+    it('reads a partial JSON file over its preset', () => {
+        const setup = parseSetupJson('{"preset":"sedan400","limits":{"maxSpeed":180}}');
+        expect(setup).toEqual(withSection(presetSetup('sedan400'), 'limits', { maxSpeed: 180 }));
+        expect(parseSetupJson('{}')).toEqual(DEFAULT_SETUP);
+        expect(() => parseSetupJson('{"preset":"sedan400"')).toThrow(/^Setup file is not valid JSON: /);
+        expect(() => parseSetupJson('[]')).toThrow('Setup: expected a JSON object.');
+        expect(() => parseSetupJson(`{"version":${SETUP_VERSION + 1}}`)).toThrow(`Setup: version ${SETUP_VERSION + 1} is newer than this simulator (${SETUP_VERSION}).`);
+        expect(() => parseSetupJson('{"battery":{"series":0}}')).toThrow('Battery: cells in series');
+    });
+
+    it('round-trips a setup through a URL hash holding only its changes', () => {
+        const hash = setupToHash(edited);
+        expect(hash).toMatch(/^#setup=[\w-]+$/);
+        expect(decodeHash(hash)).toEqual({ version: SETUP_VERSION, preset: 'city', battery: { cellCapacityAh: 30 }, limits: { maxChargeCRate: 1.2 } });
+        expect(setupFromHash(hash)).toEqual(edited);
+        expect(decodeHash(setupToHash(presetSetup('performance800')))).toEqual({ version: SETUP_VERSION, preset: 'performance800' });
+    });
+
+    it('ignores a hash without a setup and rejects a damaged one', () => {
+        expect(setupFromHash('')).toBeNull();
+        expect(setupFromHash('#run=3')).toBeNull();
+        expect(() => setupFromHash('#setup=%%%')).toThrow('The setup in this link is damaged.');
+    });
+
+    it('tells a modified setup from its preset', () => {
+        expect(setupModified(presetSetup('city'))).toBe(false);
+        expect(setupModified(edited)).toBe(true);
+    });
+});
@@ -0,0 +1,49 @@
+// workerPool.js - Hands a list of jobs to a pool of workers, one job per worker at a time
+//
+// A worker gets each job as a message with its `id` added and answers it with one message
+// carrying the same `id`; an answer with a `message` field is a failed job. Used by the
+// parameter sweep (sweep.worker.js) and the fleet simulation (fleet.worker.js).
+
+/**
+ * Runs `jobs` (message objects) on up to `workers` workers from `createWorker()`.
+ * `onResult(id, reply, done)` runs per answer. Resolves to the answers in job order; aborting
+ * `signal` terminates the workers and rejects with 'Cancelled.', as does a worker that fails to load.
+ */
+export const runWorkerJobs = (jobs, { createWorker, workers = 1, signal, onResult = () => {} }) => new Promise((resolve, reject) => {
+    const replies = new Array(jobs.length);
+    const pool = [];
+    let next = 0;
+    let done = 0;
+
+    const finish = (err) => {
+        pool.forEach(worker => worker.terminate());
+        signal?.removeEventListener('abort', abort);
+        if (err) reject(err);
+        else resolve(replies);
+    };
+    const abort = () => finish(new Error('Cancelled.'));
+    if (signal?.aborted) return abort();
+    if (!jobs.length) return finish();
+    signal?.addEventListener('abort', abort);
+
+    const dispatch = (worker) => {
+        if (next >= jobs.length) return;
+        const id = next++;
+        worker.postMessage({ ...jobs[id], id });
+    };
+
+    for (let i = 0; i < Math.max(1, Math.min(workers, jobs.length)); i++) {
+        const worker = createWorker();
+        worker.onmessage = (e) => {
+            const reply = e.data;
+            replies[reply.id] = reply;
+            done++;
+            onResult(reply.id, reply, done);
+            if (done === jobs.length) finish();
+            else dispatch(worker);
+        };
+        worker.onerror = (e) => finish(new Error(e.message || 'Worker failed.'));
+        pool.push(worker);
+        dispatch(worker);
+    }
+});
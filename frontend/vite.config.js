@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Bundled drive cycles are served from ../CSV_Output
+    fs: { allow: ['..'] },
+  },
+  // The simulation worker is a module worker; it shares the lazily loaded drive-cycle chunks
+  worker: { format: 'es' },
 })
@@ -109,6 +109,9 @@ class DriveCycleData(BaseModel):
     voltage: List[float]
     temperature: List[float]
     time: Optional[List[float]] = None
+    # Continue coulomb counting from this SOC (%) instead of the NN's first point,
+    # so a long cycle can be sent in chunks
+    start_soc: Optional[float] = None
 
 # ---------------------------
 # PHYSICS MODEL (improved)
@@ -186,6 +189,8 @@ async def predict_cycle(data: DriveCycleData):
 
         # 2) Physics integration: use START_SOC as either NN first point or a fixed start (choose fixed START_SOC for safety)
         START_SOC = nn_socs[0] if (nn_socs and 0 <= nn_socs[0] <= 100) else 100.0
+        if data.start_soc is not None and 0 <= data.start_soc <= 100:
+            START_SOC = data.start_soc
         # If you always want start=100, uncomment next line:
         # START_SOC = 100.0
 
@@ -210,6 +215,7 @@ async def predict_cycle(data: DriveCycleData):
 
         return {
             "soc": final_socs,
+            "physics_soc": phys_socs,
             "discharge_time": discharge_time,
             "total_points": len(final_socs)
         }